@@ -1,14 +1,53 @@
+/**
+ * SaveState - localStorage access for numbered save slots
+ * Each slot lives under its own key so separate players on one machine
+ * don't overwrite each other's progress
+ */
 export default class SaveState {
-    static save(data) {
-        localStorage.setItem('gameState', JSON.stringify(data));
+    static SLOT_COUNT = 3;
+    static LEGACY_KEY = 'gameState';
+    // Rolling slot overwritten by autosaves, kept out of the numbered slots
+    static AUTOSAVE_SLOT = 'autosave';
+
+    static getSlotKey(slot) {
+        return `gameState_slot_${slot}`;
+    }
+
+    static getSlotIds() {
+        return Array.from({ length: SaveState.SLOT_COUNT }, (_, i) => i + 1);
+    }
+
+    static save(data, slot = 1) {
+        localStorage.setItem(SaveState.getSlotKey(slot), JSON.stringify(data));
     }
 
-    static load() {
-        const data = localStorage.getItem('gameState');
+    static load(slot = 1) {
+        const data = localStorage.getItem(SaveState.getSlotKey(slot));
         return data ? JSON.parse(data) : null;
     }
 
-    static clear() {
-        localStorage.removeItem('gameState');
+    static exists(slot) {
+        return localStorage.getItem(SaveState.getSlotKey(slot)) !== null;
+    }
+
+    static clear(slot = 1) {
+        localStorage.removeItem(SaveState.getSlotKey(slot));
+    }
+
+    /**
+     * Move a pre-slot save (single 'gameState' key) into slot 1
+     * Leaves the legacy key alone if slot 1 is already taken
+     */
+    static migrateLegacySave() {
+        const legacy = localStorage.getItem(SaveState.LEGACY_KEY);
+        if (legacy === null) return false;
+
+        if (!SaveState.exists(1)) {
+            localStorage.setItem(SaveState.getSlotKey(1), legacy);
+            localStorage.removeItem(SaveState.LEGACY_KEY);
+            console.log('[SaveState] Migrated legacy save into slot 1');
+            return true;
+        }
+        return false;
     }
-}
\ No newline at end of file
+}
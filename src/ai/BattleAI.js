@@ -17,16 +17,39 @@
  * NPCs mirror the player's combat style - they enter target mode, target party members,
  * and perform juggle attacks with AP costs, just like the player does.
  * When player is NOT vulnerable, all NPCs are frozen and cannot attack.
+ * 
+ * What an enemy does comes from its type's battle script in types.json (see
+ * NpcDefinitionManager.validateBattleScript): weighted actions with conditions,
+ * cooldowns and damage formulas. Types without one use DEFAULT_BATTLE_SCRIPT.
+ * Boss types switch scripts by HP phase and can enrage after a while (see updateBoss).
  */
 
 import { npcAI } from './NpcAI.js';
 import { gameStateManager } from '../managers/GameStateManager.js';
+import { npcDefinitionManager } from '../managers/NpcDefinitionManager.js';
 import { soundManager } from '../managers/SoundManager.js';
+import { statusEffectManager } from '../managers/StatusEffectManager.js';
+
+// Used by types without a battle script (the old hard-coded melee + juggle behavior)
+const DEFAULT_BATTLE_SCRIPT = {
+    actions: [
+        { id: 'attack', type: 'melee', weight: 1, cooldown: 0, when: {}, damage: { base: 10, perLevel: 0, perCombo: 0, missingHealth: 0 } },
+        { id: 'juggle_combo', type: 'combo', weight: 1, cooldown: 0, when: {}, damage: { base: 10, perLevel: 0, perCombo: 2, missingHealth: 0 } }
+    ]
+};
+
+// Enemy turn strikes - the real-time loop uses combo instead
+const TURN_ONLY_ACTIONS = ['melee', 'projectile'];
+
+const AREA_HALF_WIDTH = 90; // Area attacks hit everyone within this distance of a marked spot
+
+const getHealthFraction = (enemy) => enemy.enemyData.health / Math.max(1, enemy.enemyData.maxHealth);
 
 export class BattleAI {
     constructor(scene) {
         this.scene = scene;
         this.enemyStates = new Map(); // Store AI state for each enemy
+        this.vulnerableSince = 0; // When the player last became vulnerable (difficulty reaction time)
         
         // NPC movement properties (from scene)
         this.npcMovementSpeed = 150; // Base NPC movement speed
@@ -51,6 +74,14 @@ export class BattleAI {
             profile: profile,
             combatStyle: profile.combatStyle,
             
+            // Battle script (types.json) and when each of its actions is ready again
+            script: this.getBattleScript(enemy.enemyData.type),
+            actionReadyAt: {},
+            comboAction: null, // Combo action driving the current target mode
+            pendingAction: null, // Used at the next chance to act (boss phase onEnter)
+            damageMultiplier: 1, // Raised when a boss enrages
+            boss: null,
+            
             // Target mode properties
             isInTargetMode: false,
             currentTarget: null,
@@ -68,14 +99,21 @@ export class BattleAI {
             // Decision making
             aggressiveness: profile.attackFrequency * difficulty.aggressiveness,
             accuracy: difficulty.accuracy,
+            reactionTime: difficulty.reactionTime, // ms after the player turns vulnerable before attacking
             nextActionTime: 0 // Allow immediate action when player becomes vulnerable (was causing 1-3 second delay)
         };
 
+        const bossConfig = npcDefinitionManager.getNpcTypes()[enemy.enemyData.type]?.boss;
+        if (bossConfig) {
+            aiState.boss = { config: bossConfig, phaseIndex: 0, elapsed: 0, enraged: false };
+        }
+
         this.enemyStates.set(enemy, aiState);
         console.log(`[BattleAI] Initialized AI for ${enemy.enemyData.type} with target mode system:`, {
             combatStyle: aiState.combatStyle,
             startingAP: aiState.currentAP,
-            attackCost: aiState.targetModeAPCost
+            attackCost: aiState.targetModeAPCost,
+            actions: aiState.script.actions.map(action => action.id)
         });
     }
 
@@ -113,6 +151,9 @@ export class BattleAI {
             return;
         }
         
+        // Boss phases and enrage timers run whether or not the player is vulnerable
+        enemies.forEach(enemy => this.updateBoss(enemy, delta));
+        
         // CRITICAL NEW RULE: NPCs can ONLY act when player is charging AP or escape
         // If player is not charging/escaping, NPCs are frozen/idle
         if (!isPlayerVulnerable) {
@@ -122,29 +163,21 @@ export class BattleAI {
                     enemy.body.setVelocityX(0);
                 }
             });
+            // Reset when player becomes safe again
+            this._wasVulnerable = false;
             return;
         }
         
+        const currentTime = this.scene.time.now;
+        
         // Player IS vulnerable (charging AP or escape) - NPCs can now act!
-        // Log once when becoming vulnerable
-        if (!this._wasVulnerable) {
-            console.log('[BattleAI] 🔥 Player became VULNERABLE - NPCs activating!');
-            this._wasVulnerable = true;
-        }
-        // Player IS vulnerable (charging AP or escape) - NPCs can now act!
-        // Log once when becoming vulnerable
+        // Log once when becoming vulnerable (reaction times count from here)
         if (!this._wasVulnerable) {
             console.log('[BattleAI] 🔥 Player became VULNERABLE - NPCs activating!');
             this._wasVulnerable = true;
+            this.vulnerableSince = currentTime;
         }
         
-        // Reset when player becomes safe again
-        if (isPlayerVulnerable === false && this._wasVulnerable) {
-            this._wasVulnerable = false;
-        }
-        
-        const currentTime = this.scene.time.now;
-        
         // Update each NPC's AI
         enemies.forEach(enemy => {
             const aiState = this.enemyStates.get(enemy);
@@ -155,11 +188,17 @@ export class BattleAI {
             // NO MOVEMENT - NPCs stay in place
             enemy.body.setVelocityX(0);
             
+            // Stunned NPCs can't act; slowed NPCs regenerate AP and attack at reduced speed
+            if (statusEffectManager.isStunned(enemy)) {
+                return;
+            }
+            const speed = statusEffectManager.getSpeedMultiplier(enemy);
+            
             // Regenerate AP over time (faster when player is vulnerable)
             const timeSinceLastRegen = currentTime - (aiState.lastAPRegenTime || 0);
             if (timeSinceLastRegen >= 1000) { // Every second
                 // NPCs regenerate AP faster when player is vulnerable (they get aggressive)
-                const apToRegen = Math.floor(timeSinceLastRegen / 1000) * (aiState.apRegenRate * 1.5);
+                const apToRegen = Math.floor(timeSinceLastRegen / 1000) * (aiState.apRegenRate * 1.5) * speed;
                 aiState.currentAP = Math.min(aiState.maxAP, aiState.currentAP + apToRegen);
                 aiState.lastAPRegenTime = currentTime;
             }
@@ -171,6 +210,7 @@ export class BattleAI {
                 
                 const hasEnoughAP = aiState.currentAP >= aiState.targetModeAPCost;
                 const cooldownFinished = currentTime >= aiState.nextActionTime;
+                const hasReacted = currentTime - this.vulnerableSince >= aiState.reactionTime / speed;
                 
                 // Much more aggressive since we can only act when player charges
                 const aggressiveness = Math.min(0.95, aiState.aggressiveness * 2.0);
@@ -183,6 +223,7 @@ export class BattleAI {
                         currentAP: aiState.currentAP,
                         cooldownFinished,
                         shouldAttack,
+                        hasReacted,
                         aggressiveness: aggressiveness.toFixed(2),
                         nextActionTime: aiState.nextActionTime,
                         currentTime
@@ -190,14 +231,25 @@ export class BattleAI {
                     enemy._firstDecisionLogged = true;
                 }
                 
-                if (hasEnoughAP && cooldownFinished && shouldAttack) {
+                if (hasEnoughAP && cooldownFinished && hasReacted && shouldAttack) {
+                    const action = this.chooseAction(enemy, 'realtime');
+                    
+                    // Area attacks, heals, summons and buffs use up the attack cycle instead of starting a combo
+                    if (action && action.type !== 'combo') {
+                        this.performSpecialAction(enemy, action);
+                        aiState.currentAP -= aiState.targetModeAPCost;
+                        aiState.nextActionTime = currentTime + Math.random() * 3000 + 2000;
+                        return;
+                    }
+                    
                     // Find closest party member to target
-                    const { target: closestTarget, distance: distanceToTarget } = this.findClosestPartyMember(enemy, player);
+                    const { target: closestTarget } = action ? this.findClosestPartyMember(enemy, player) : {};
                     
                     if (closestTarget) {
                         // Enter target mode
                         aiState.isInTargetMode = true;
                         aiState.currentTarget = closestTarget;
+                        aiState.comboAction = action;
                         aiState.comboCount = 0;
                         aiState.lastAttackTime = 0; // Reset attack cooldown to allow immediate first hit
                         
@@ -209,7 +261,7 @@ export class BattleAI {
                 }
             } else {
                 // NPC is in target mode - execute attack
-                const canAttack = currentTime - aiState.lastAttackTime >= aiState.attackCooldown;
+                const canAttack = currentTime - aiState.lastAttackTime >= aiState.attackCooldown / speed;
                 const hasAP = aiState.currentAP >= aiState.targetModeAPCost;
                 
                 if (canAttack && hasAP) {
@@ -264,6 +316,307 @@ export class BattleAI {
         });
     }
 
+    /**
+     * Get the battle script of an NPC type (bosses start with their first phase, falls back to DEFAULT_BATTLE_SCRIPT)
+     */
+    getBattleScript(npcType) {
+        const typeConfig = npcDefinitionManager.getNpcTypes()[npcType];
+        return typeConfig?.boss?.phases[0].battle || typeConfig?.battle || DEFAULT_BATTLE_SCRIPT;
+    }
+
+    /**
+     * Advance a boss through its HP phases and enrage timer
+     * Phases trigger in order as HP drops (a big hit can go through several at once)
+     */
+    updateBoss(enemy, delta) {
+        const aiState = this.enemyStates.get(enemy);
+        const boss = aiState?.boss;
+        if (!boss || !enemy.active || enemy.enemyData.health <= 0) return;
+        
+        const { phases, enrage } = boss.config;
+        const health = getHealthFraction(enemy);
+        while (boss.phaseIndex < phases.length - 1 && health <= phases[boss.phaseIndex + 1].threshold) {
+            boss.phaseIndex++;
+            this.enterBossPhase(enemy, aiState, phases[boss.phaseIndex]);
+        }
+        
+        boss.elapsed += delta;
+        if (enrage && !boss.enraged && boss.elapsed >= enrage.after) {
+            boss.enraged = true;
+            aiState.damageMultiplier = enrage.damageMultiplier;
+            console.log(`[BattleAI] 😡 ${enemy.enemyData.type} ENRAGED after ${Math.round(boss.elapsed / 1000)}s - damage x${enrage.damageMultiplier}`);
+            this.showActionText(enemy, enrage.message || 'ENRAGED!', '#FF0000');
+            this.scene.onBossEnraged(enemy);
+        }
+    }
+
+    /**
+     * Switch a boss to a new phase: its actions replace the script (cooldowns reset)
+     */
+    enterBossPhase(enemy, aiState, phase) {
+        console.log(`[BattleAI] 👑 ${enemy.enemyData.type} enters phase ${aiState.boss.phaseIndex + 1}: ${phase.name}`);
+        
+        aiState.script = phase.battle;
+        aiState.actionReadyAt = {};
+        aiState.pendingAction = phase.onEnter
+            ? phase.battle.actions.find(action => action.id === phase.onEnter)
+            : null;
+        
+        // A combo from the previous phase doesn't carry over
+        aiState.isInTargetMode = false;
+        aiState.currentTarget = null;
+        aiState.comboCount = 0;
+        
+        this.showActionText(enemy, phase.message || phase.name.toUpperCase(), '#FFD700');
+        this.scene.onBossPhaseChanged(enemy, aiState.boss.phaseIndex, phase);
+    }
+
+    /**
+     * Boss state for the HUD (null for regular enemies)
+     * @returns {Object|null} { title, phaseIndex, phaseCount, phaseName, enraged, noFlee }
+     */
+    getBossState(enemy) {
+        const boss = this.enemyStates.get(enemy)?.boss;
+        if (!boss) return null;
+        return {
+            title: boss.config.title,
+            phaseIndex: boss.phaseIndex,
+            phaseCount: boss.config.phases.length,
+            phaseName: boss.config.phases[boss.phaseIndex].name,
+            enraged: boss.enraged,
+            noFlee: boss.config.noFlee
+        };
+    }
+
+    /**
+     * Pick a weighted action among the enemy's usable ones and start its cooldown
+     * @param {Object} enemy - Enemy sprite
+     * @param {string} mode - 'turn' (enemy turn after a player action) or 'realtime' (player vulnerable)
+     * @returns {Object|null} Script action, or null if nothing is usable right now
+     */
+    chooseAction(enemy, mode) {
+        const aiState = this.enemyStates.get(enemy);
+        if (!aiState) return null;
+        
+        const currentTime = this.scene.time.now;
+
+        // A boss phase's onEnter action goes first
+        if (aiState.pendingAction) {
+            const pending = aiState.pendingAction;
+            aiState.pendingAction = null;
+            aiState.actionReadyAt[pending.id] = currentTime + pending.cooldown;
+            return pending;
+        }
+
+        const usable = aiState.script.actions.filter(action =>
+            (mode === 'turn' ? action.type !== 'combo' : !TURN_ONLY_ACTIONS.includes(action.type)) &&
+            currentTime >= (aiState.actionReadyAt[action.id] || 0) &&
+            this.meetsConditions(enemy, action)
+        );
+        
+        const totalWeight = usable.reduce((sum, action) => sum + action.weight, 0);
+        let pick = Math.random() * totalWeight;
+        const action = usable.find(candidate => (pick -= candidate.weight) < 0) || null;
+        
+        if (action && action.cooldown > 0) {
+            aiState.actionReadyAt[action.id] = currentTime + action.cooldown;
+        }
+        return action;
+    }
+
+    /**
+     * Check an action's "when" conditions (and whether a heal/summon/party debuff would do anything)
+     */
+    meetsConditions(enemy, action) {
+        const { when } = action;
+        const health = getHealthFraction(enemy);
+        const allies = this.getAllies(enemy);
+        
+        if (when.selfHealthBelow !== undefined && health >= when.selfHealthBelow) return false;
+        if (when.selfHealthAbove !== undefined && health <= when.selfHealthAbove) return false;
+        if (when.alliesAtLeast !== undefined && allies.length < when.alliesAtLeast) return false;
+        if (when.alliesAtMost !== undefined && allies.length > when.alliesAtMost) return false;
+        if (when.allyHealthBelow !== undefined && !allies.some(ally => getHealthFraction(ally) < when.allyHealthBelow)) return false;
+        
+        if (action.type === 'heal' && !this.getHealTarget(enemy, action)) return false;
+        if (action.type === 'summon' && this.scene.enemies.length >= action.maxEnemies) return false;
+        if (action.type === 'buff' && action.target === 'party' && this.getPartyTargets().length === 0) return false;
+        return true;
+    }
+
+    /**
+     * Other enemies still standing
+     */
+    getAllies(enemy) {
+        return (this.scene.enemies || []).filter(ally =>
+            ally !== enemy && ally.active && ally.enemyData.health > 0
+        );
+    }
+
+    /**
+     * Most hurt enemy a heal can target (null if nobody is missing HP)
+     */
+    getHealTarget(enemy, action) {
+        const candidates = action.target === 'self' ? [enemy] : [enemy, ...this.getAllies(enemy)];
+        return candidates
+            .filter(candidate => candidate.enemyData.health < candidate.enemyData.maxHealth)
+            .sort((a, b) => getHealthFraction(a) - getHealthFraction(b))[0] || null;
+    }
+
+    /**
+     * Damage of an attack action before status effects and difficulty
+     * base + perLevel per level above 1 + perCombo per hit already landed + missingHealth × fraction of HP lost,
+     * times the enrage multiplier
+     */
+    calculateActionDamage(enemy, action, comboCount = 0) {
+        const { damage } = action;
+        const level = enemy.enemyData.level || 1;
+        const multiplier = this.enemyStates.get(enemy)?.damageMultiplier || 1;
+        return Math.max(1, Math.round((
+            damage.base +
+            damage.perLevel * (level - 1) +
+            damage.perCombo * comboCount +
+            damage.missingHealth * (1 - getHealthFraction(enemy))
+        ) * multiplier));
+    }
+
+    /**
+     * Perform an area attack, heal, summon or buff action
+     */
+    performSpecialAction(enemy, action) {
+        console.log(`[BattleAI] ✨ ${enemy.enemyData.type} uses ${action.id} (${action.type})`);
+        
+        if (action.type === 'area') {
+            this.performAreaAttack(enemy, action);
+            return;
+        }
+        
+        if (action.type === 'heal') {
+            const target = this.getHealTarget(enemy, action);
+            if (!target) return;
+            const amount = Math.max(1, Math.round(target.enemyData.maxHealth * action.amount));
+            target.enemyData.health = Math.min(target.enemyData.maxHealth, target.enemyData.health + amount);
+            this.showActionText(target, `+${amount}`, '#44FF44');
+            console.log(`[BattleAI] ${target.enemyData.type} healed ${amount} HP: ${target.enemyData.health}/${target.enemyData.maxHealth}`);
+        } else if (action.type === 'summon') {
+            for (let i = 0; i < action.count && this.scene.enemies.length < action.maxEnemies; i++) {
+                this.scene.spawnSummonedEnemy(action.summonType, enemy);
+            }
+            this.showActionText(enemy, '📯 SUMMON!', '#FFAA00');
+        } else if (action.type === 'buff') {
+            const targets = action.target === 'party' ? this.getPartyTargets()
+                : action.target === 'allies' ? [enemy, ...this.getAllies(enemy)]
+                : [enemy];
+            targets.forEach(target => statusEffectManager.apply(target, action.effect, {
+                amount: action.amount,
+                duration: action.duration,
+                source: enemy
+            }));
+            this.showActionText(enemy, `${action.id.replace(/_/g, ' ').toUpperCase()}!`, action.target === 'party' ? '#9B59B6' : '#FF44FF');
+        }
+        
+        // Party debuffs show up on the party HUD too
+        if (action.type === 'buff' && action.target === 'party') {
+            this.scene.refreshStatusHUD();
+        } else {
+            this.scene.updateEnemyHUD();
+        }
+    }
+
+    /**
+     * Telegraphed area attack: the spots where the party stands are marked, and after
+     * the telegraph time everyone still inside a marked spot is hit (move or dash away to dodge)
+     */
+    performAreaAttack(enemy, action) {
+        const targets = this.getPartyTargets();
+        if (targets.length === 0) return;
+        
+        const groundY = this.scene.cameras.main.height * 0.8;
+        const zones = targets.map(target => {
+            const zone = this.scene.add.rectangle(target.x, groundY - 150, AREA_HALF_WIDTH * 2, 260, 0xFF0000, 0.25);
+            zone.setStrokeStyle(3, 0xFF0000);
+            zone.setDepth(999);
+            this.scene.tweens.add({
+                targets: zone,
+                alpha: 0.6,
+                duration: 200,
+                yoyo: true,
+                repeat: -1
+            });
+            return zone;
+        });
+        this.showActionText(enemy, `⚠️ ${action.id.replace(/_/g, ' ').toUpperCase()}`, '#FF4444');
+        
+        this.scene.time.delayedCall(action.telegraph, () => {
+            const spots = zones.map(zone => zone.x);
+            zones.forEach(zone => {
+                this.scene.tweens.killTweensOf(zone);
+                zone.destroy();
+            });
+            
+            // The attacker may have been defeated during the warning
+            if (!enemy.active || enemy.enemyData.health <= 0 || this.scene.isVictorySequence) return;
+            
+            this.scene.cameras.main.shake(200, 0.01);
+            this.getPartyTargets()
+                .filter(target => spots.some(x => Math.abs(target.x - x) <= AREA_HALF_WIDTH))
+                .forEach(target => {
+                    const damage = this.scene.scaleEnemyDamage(
+                        this.scene.calculateBattleDamage(enemy, target, this.calculateActionDamage(enemy, action))
+                    );
+                    console.log(`[BattleAI] 💥 ${action.id} hits ${target === this.scene.player ? 'Player' : target.memberData?.name} for ${damage}`);
+                    this.applyDamageToTarget(target, damage);
+                    this.showActionText(target, `-${damage}`, '#FF4444');
+                });
+        });
+    }
+
+    /**
+     * Player and party characters that can still be hit
+     */
+    getPartyTargets() {
+        const targets = [];
+        if (this.scene.player?.active && !this.scene.isPlayerDowned) {
+            targets.push(this.scene.player);
+        }
+        (this.scene.partyCharacters || []).forEach(character => {
+            if (character && character.active && !character.memberData?.isDowned) {
+                targets.push(character);
+            }
+        });
+        return targets;
+    }
+
+    /**
+     * Floating text above an enemy for special actions
+     */
+    showActionText(enemy, message, color) {
+        const text = this.scene.add.text(
+            enemy.x,
+            enemy.y - 120,
+            message,
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial Black, Arial',
+                fontStyle: 'bold',
+                color: color,
+                stroke: '#000000',
+                strokeThickness: 4
+            }
+        ).setOrigin(0.5);
+        
+        this.scene.tweens.add({
+            targets: text,
+            y: text.y - 40,
+            alpha: 0,
+            duration: 800,
+            ease: 'Power2.Out',
+            onComplete: () => {
+                text.destroy();
+            }
+        });
+    }
+
     /**
      * Find closest party member (player or party character) to target
      */
@@ -308,25 +661,15 @@ export class BattleAI {
     /**
      * Check if NPC can perform ranged attacks
      */
-    canNPCDoRangedAttack(npc, isPlayerCharging = false) {
-        const npcType = npc.enemyData.type;
-        // MERCHANT can do ranged, GUARD can do both
-        // VILLAGER can do ranged attacks when player charges AP (throwing rocks/stones)
-        if (npcType === 'MERCHANT' || npcType === 'GUARD') {
-            return true;
-        }
-        // Villagers can throw ranged attacks when player charges AP
-        if (npcType === 'VILLAGER' && isPlayerCharging) {
-            return true;
-        }
-        return false;
+    canNPCDoRangedAttack(npc) {
+        return this.getBattleScript(npc.enemyData.type).actions.some(action => action.type === 'projectile');
     }
     
     /**
      * Get ideal attack range for NPC based on their attack type
      */
-    getNPCAttackRange(npc, isPlayerCharging = false) {
-        if (this.canNPCDoRangedAttack(npc, isPlayerCharging)) {
+    getNPCAttackRange(npc) {
+        if (this.canNPCDoRangedAttack(npc)) {
             // Ranged NPCs prefer 200-300px distance
             return 250;
         } else {
@@ -350,9 +693,11 @@ export class BattleAI {
         const isPlayer = target === this.scene.player;
         const characterName = isPlayer ? 'Player' : (target.memberData?.name || 'Character');
         
-        // Calculate damage (increases with combo like player)
-        const baseDamage = 10;
-        const comboDamage = baseDamage + (aiState.comboCount * 2);
+        // Calculate damage from the combo action's formula (status effects applied)
+        const comboAction = aiState.comboAction || DEFAULT_BATTLE_SCRIPT.actions[1];
+        const comboDamage = this.scene.scaleEnemyDamage(
+            this.scene.calculateBattleDamage(npc, target, this.calculateActionDamage(npc, comboAction, aiState.comboCount))
+        );
         
         console.log(`[BattleAI] ${npc.enemyData.type} juggle attack ${aiState.comboCount + 1}! Target: ${characterName}, Damage: ${comboDamage}`);
         
@@ -384,6 +729,24 @@ export class BattleAI {
         });
         
         // Apply damage
+        this.applyDamageToTarget(target, comboDamage);
+        
+        // Show combo text (like player's juggle combo)
+        this.showNPCComboText(npc, target, aiState.comboCount + 1, comboDamage);
+        
+        // Play attack sound
+        if (this.scene.battleSceneSFX && typeof this.scene.battleSceneSFX.playAttack === 'function') {
+            this.scene.battleSceneSFX.playAttack();
+        }
+    }
+    
+    /**
+     * Apply enemy damage to the player or a party character (downs them at 0 HP)
+     */
+    applyDamageToTarget(target, damage) {
+        const isPlayer = target === this.scene.player;
+        const characterName = isPlayer ? 'Player' : (target.memberData?.name || 'Character');
+        
         if (isPlayer) {
             // Play damage sound
             if (this.scene.battleSceneSFX) {
@@ -393,7 +756,7 @@ export class BattleAI {
             }
             
             // Damage player
-            this.scene.currentHP = Math.max(0, this.scene.currentHP - comboDamage);
+            this.scene.currentHP = Math.max(0, this.scene.currentHP - damage);
             console.log(`[BattleAI] Player HP: ${this.scene.currentHP}/${this.scene.maxHP}`);
             
             // Save health to gameStateManager
@@ -401,7 +764,7 @@ export class BattleAI {
             
             // Check if player defeated
             if (this.scene.currentHP <= 0) {
-                console.log('[BattleAI] Player defeated by NPC juggle attack!');
+                console.log('[BattleAI] Player defeated by NPC attack!');
                 this.scene.handleCharacterDowned(this.scene.player, true);
             }
         } else {
@@ -414,12 +777,12 @@ export class BattleAI {
             
             // Damage party member
             if (target.memberData) {
-                target.memberData.currentHP = Math.max(0, target.memberData.currentHP - comboDamage);
+                target.memberData.currentHP = Math.max(0, target.memberData.currentHP - damage);
                 console.log(`[BattleAI] ${characterName} HP: ${target.memberData.currentHP}/${target.memberData.maxHP}`);
                 
                 // Check if party member defeated
                 if (target.memberData.currentHP <= 0) {
-                    console.log(`[BattleAI] ${characterName} defeated by NPC juggle attack!`);
+                    console.log(`[BattleAI] ${characterName} defeated by NPC attack!`);
                     this.scene.handleCharacterDowned(target, false);
                 }
             }
@@ -429,14 +792,6 @@ export class BattleAI {
         if (this.scene.hudManager) {
             this.scene.hudManager.updateBattlePartyStats();
         }
-        
-        // Show combo text (like player's juggle combo)
-        this.showNPCComboText(npc, target, aiState.comboCount + 1, comboDamage);
-        
-        // Play attack sound
-        if (this.scene.battleSceneSFX && typeof this.scene.battleSceneSFX.playAttack === 'function') {
-            this.scene.battleSceneSFX.playAttack();
-        }
     }
     
     /**
@@ -3,16 +3,31 @@
  * Handles AI behaviors for NPCs in both WorldScene and BattleScene
  */
 
+export const DEFAULT_DIFFICULTY = 'normal';
+
 export class NpcAI {
     constructor() {
         // AI difficulty settings
+        // enemyDamage / enemyHealth scale BattleScene enemies, rewards scales XP and gold (StatsManager)
         this.difficulty = {
-            easy: { reactionTime: 1000, accuracy: 0.6, aggressiveness: 0.3 },
-            normal: { reactionTime: 600, accuracy: 0.75, aggressiveness: 0.6 },
-            hard: { reactionTime: 300, accuracy: 0.9, aggressiveness: 0.9 }
+            easy: {
+                label: 'Easy', description: 'Slower, weaker enemies • 80% XP and gold',
+                reactionTime: 1000, accuracy: 0.6, aggressiveness: 0.3,
+                enemyDamage: 0.7, enemyHealth: 0.8, rewards: 0.8
+            },
+            normal: {
+                label: 'Normal', description: 'The intended challenge',
+                reactionTime: 600, accuracy: 0.75, aggressiveness: 0.6,
+                enemyDamage: 1.0, enemyHealth: 1.0, rewards: 1.0
+            },
+            hard: {
+                label: 'Hard', description: 'Quick, tough enemies • 130% XP and gold',
+                reactionTime: 300, accuracy: 0.9, aggressiveness: 0.9,
+                enemyDamage: 1.35, enemyHealth: 1.3, rewards: 1.3
+            }
         };
 
-        this.currentDifficulty = 'normal';
+        this.currentDifficulty = DEFAULT_DIFFICULTY;
     }
 
     /**
@@ -25,6 +40,8 @@ export class NpcAI {
                 battleBehavior: 'aggressive',
                 detectionRadius: 200,
                 aggroRadius: 150,
+                visionAngle: 100, // degrees; only sees the player inside this cone...
+                hearingRadius: 50, // ...unless the player gets this close
                 chaseSpeed: 1.2,
                 combatStyle: 'tactical',
                 attackFrequency: 0.7,
@@ -55,6 +72,18 @@ export class NpcAI {
                 dodgeChance: 0.3,
                 preferredRange: 'far',
                 intelligence: 'low'
+            },
+            WARDEN: {
+                worldBehavior: 'stationary',
+                battleBehavior: 'aggressive',
+                detectionRadius: 160,
+                aggroRadius: 100,
+                chaseSpeed: 0.6,
+                combatStyle: 'tactical',
+                attackFrequency: 0.8,
+                dodgeChance: 0.2,
+                preferredRange: 'close',
+                intelligence: 'high'
             }
         };
 
@@ -63,12 +92,15 @@ export class NpcAI {
 
     /**
      * Set AI difficulty
+     * @returns {boolean} false for an unknown difficulty (the current one is kept)
      */
     setDifficulty(difficulty) {
         if (this.difficulty[difficulty]) {
             this.currentDifficulty = difficulty;
             console.log('[NpcAI] Difficulty set to:', difficulty);
+            return true;
         }
+        return false;
     }
 
     /**
@@ -77,6 +109,24 @@ export class NpcAI {
     getDifficulty() {
         return this.difficulty[this.currentDifficulty];
     }
+
+    /**
+     * Key of the current difficulty ('easy', 'normal', 'hard')
+     */
+    getDifficultyKey() {
+        return this.currentDifficulty;
+    }
+
+    /**
+     * Difficulty keys in menu order
+     */
+    getDifficultyKeys() {
+        return Object.keys(this.difficulty);
+    }
+
+    isValidDifficulty(difficulty) {
+        return Object.prototype.hasOwnProperty.call(this.difficulty, difficulty);
+    }
 }
 
 // Singleton instance
@@ -0,0 +1,390 @@
+/**
+ * Pathfinder Module
+ * Tile-based A* over the map's Walls layer (tiles with the collision property block movement).
+ * One per WorldScene; WorldAI (chase/return/scripted moves) and PartyFollowingManager request paths from it.
+ * - Paths are cached per start/goal tile until the grid changes
+ * - Dynamic obstacles (setObstacle) block tiles on top of the walls
+ * - Debug overlay (toggleDebug) draws the paths currently followed and the dynamic obstacles
+ */
+
+const DIRECTIONS = [
+    { x: 1, y: 0, cost: 1 }, { x: -1, y: 0, cost: 1 }, { x: 0, y: 1, cost: 1 }, { x: 0, y: -1, cost: 1 },
+    { x: 1, y: 1, cost: Math.SQRT2 }, { x: -1, y: 1, cost: Math.SQRT2 },
+    { x: 1, y: -1, cost: Math.SQRT2 }, { x: -1, y: -1, cost: Math.SQRT2 }
+];
+const MAX_SEARCH_NODES = 5000; // Give up (no path) after expanding this many tiles
+const MAX_CACHED_PATHS = 256;
+
+/**
+ * Minimal binary heap keyed by f score (A* open list)
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].f <= items[i].f) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].f < items[smallest].f) smallest = left;
+                if (right < items.length && items[right].f < items[smallest].f) smallest = right;
+                if (smallest === i) break;
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+export class Pathfinder {
+    /**
+     * @param {Phaser.Scene} scene
+     * @param {Phaser.Tilemaps.Tilemap} map
+     * @param {Phaser.Tilemaps.TilemapLayer} wallsLayer - Collision must already be set on it
+     */
+    constructor(scene, map, wallsLayer) {
+        this.scene = scene;
+        this.wallsLayer = wallsLayer;
+        this.width = map.width;
+        this.height = map.height;
+        this.tileWidth = map.tileWidth;
+        this.tileHeight = map.tileHeight;
+
+        this.walls = new Uint8Array(this.width * this.height);
+        this.obstacles = new Map(); // key -> { x, y, width, height }
+        this.blocked = new Uint8Array(this.width * this.height); // walls + obstacles
+        this.cache = new Map();
+
+        this.debugEnabled = false;
+        this.debugGraphics = null;
+        this.debugPaths = new Map(); // owner key -> path
+
+        this.refresh();
+    }
+
+    /**
+     * Re-read the Walls layer (call after tiles or their collision change)
+     */
+    refresh() {
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                this.walls[y * this.width + x] = this.wallsLayer?.getTileAt(x, y)?.collides ? 1 : 0;
+            }
+        }
+        this.rebuildBlocked();
+        console.log(`[Pathfinder] Grid built: ${this.width}x${this.height} tiles`);
+    }
+
+    /**
+     * Block (or free) a world-space rectangle, e.g. a door or a parked object
+     * @param {string} key - Obstacle id
+     * @param {Object|null} rect - { x, y, width, height } centered on x/y; null removes the obstacle
+     */
+    setObstacle(key, rect) {
+        if (rect) {
+            this.obstacles.set(key, rect);
+        } else if (!this.obstacles.delete(key)) {
+            return;
+        }
+        this.rebuildBlocked();
+    }
+
+    rebuildBlocked() {
+        this.blocked.set(this.walls);
+        this.obstacles.forEach(rect => {
+            const left = this.toTileX(rect.x - rect.width / 2);
+            const right = this.toTileX(rect.x + rect.width / 2 - 1);
+            const top = this.toTileY(rect.y - rect.height / 2);
+            const bottom = this.toTileY(rect.y + rect.height / 2 - 1);
+            for (let y = Math.max(0, top); y <= Math.min(this.height - 1, bottom); y++) {
+                for (let x = Math.max(0, left); x <= Math.min(this.width - 1, right); x++) {
+                    this.blocked[y * this.width + x] = 1;
+                }
+            }
+        });
+        // Any grid change invalidates every cached path
+        this.cache.clear();
+    }
+
+    toTileX(worldX) {
+        return Math.floor(worldX / this.tileWidth);
+    }
+
+    toTileY(worldY) {
+        return Math.floor(worldY / this.tileHeight);
+    }
+
+    tileCenter(tileX, tileY) {
+        return {
+            x: tileX * this.tileWidth + this.tileWidth / 2,
+            y: tileY * this.tileHeight + this.tileHeight / 2
+        };
+    }
+
+    isWalkableTile(tileX, tileY) {
+        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return false;
+        return this.blocked[tileY * this.width + tileX] === 0;
+    }
+
+    isWalkable(worldX, worldY) {
+        return this.isWalkableTile(this.toTileX(worldX), this.toTileY(worldY));
+    }
+
+    /**
+     * Can something walk straight from a to b without crossing a blocked tile?
+     * Walks every tile the segment touches (grid traversal), so wall corners aren't skipped.
+     */
+    isClearLine(ax, ay, bx, by) {
+        let tileX = this.toTileX(ax);
+        let tileY = this.toTileY(ay);
+        const endX = this.toTileX(bx);
+        const endY = this.toTileY(by);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const stepX = Math.sign(dx);
+        const stepY = Math.sign(dy);
+
+        // Distance along the segment (0..1) to the next vertical / horizontal tile border
+        const deltaX = stepX !== 0 ? this.tileWidth / Math.abs(dx) : Infinity;
+        const deltaY = stepY !== 0 ? this.tileHeight / Math.abs(dy) : Infinity;
+        let nextX = stepX > 0 ? ((tileX + 1) * this.tileWidth - ax) / dx : stepX < 0 ? (tileX * this.tileWidth - ax) / dx : Infinity;
+        let nextY = stepY > 0 ? ((tileY + 1) * this.tileHeight - ay) / dy : stepY < 0 ? (tileY * this.tileHeight - ay) / dy : Infinity;
+
+        while (tileX !== endX || tileY !== endY) {
+            if (Math.abs(nextX - nextY) < 1e-9) {
+                // Exactly through a corner - both side tiles must be free
+                if (!this.isWalkableTile(tileX + stepX, tileY) || !this.isWalkableTile(tileX, tileY + stepY)) return false;
+                tileX += stepX;
+                tileY += stepY;
+                nextX += deltaX;
+                nextY += deltaY;
+            } else if (nextX < nextY) {
+                tileX += stepX;
+                nextX += deltaX;
+            } else {
+                tileY += stepY;
+                nextY += deltaY;
+            }
+            if (!this.isWalkableTile(tileX, tileY)) return false;
+            if (nextX > 1 && nextY > 1 && (tileX !== endX || tileY !== endY)) return false; // float safety
+        }
+        return true;
+    }
+
+    /**
+     * Closest walkable tile to a (possibly blocked) tile, searching up to 2 tiles around it
+     */
+    nearestWalkableTile(tileX, tileY) {
+        if (this.isWalkableTile(tileX, tileY)) return { x: tileX, y: tileY };
+
+        for (let radius = 1; radius <= 2; radius++) {
+            for (let dy = -radius; dy <= radius; dy++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                    if (this.isWalkableTile(tileX + dx, tileY + dy)) return { x: tileX + dx, y: tileY + dy };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find a path between two world positions
+     * @returns {Array|null} Waypoints [{ x, y }] after the start (the last one is the goal itself
+     *   when it's walkable), or null if there is no route
+     */
+    findPath(fromX, fromY, toX, toY) {
+        const start = this.nearestWalkableTile(this.toTileX(fromX), this.toTileY(fromY));
+        const goal = this.nearestWalkableTile(this.toTileX(toX), this.toTileY(toY));
+        if (!start || !goal) return null;
+
+        const key = `${start.x},${start.y}:${goal.x},${goal.y}`;
+        let tiles = this.cache.get(key);
+        if (tiles === undefined) {
+            tiles = this.search(start, goal);
+            if (tiles) tiles = this.smooth(tiles);
+            if (this.cache.size >= MAX_CACHED_PATHS) {
+                this.cache.delete(this.cache.keys().next().value);
+            }
+            this.cache.set(key, tiles);
+        }
+        if (!tiles) return null;
+
+        // Tile centers after the start, ending on the exact goal if it can be stood on
+        const path = tiles.slice(1).map(tile => this.tileCenter(tile.x, tile.y));
+        if (this.isWalkable(toX, toY)) {
+            if (path.length > 0) path.pop();
+            path.push({ x: toX, y: toY });
+        }
+        return path;
+    }
+
+    /**
+     * A* over the tile grid (8 directions, no cutting wall corners)
+     * @returns {Array|null} Tiles from start to goal
+     */
+    search(start, goal) {
+        const width = this.width;
+        const startIndex = start.y * width + start.x;
+        const goalIndex = goal.y * width + goal.x;
+        if (startIndex === goalIndex) return [start];
+
+        const heuristic = (x, y) => {
+            const dx = Math.abs(x - goal.x);
+            const dy = Math.abs(y - goal.y);
+            return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+        };
+
+        const gScore = new Map([[startIndex, 0]]);
+        const cameFrom = new Map();
+        const closed = new Set();
+        const open = new MinHeap();
+        open.push({ index: startIndex, x: start.x, y: start.y, f: heuristic(start.x, start.y) });
+
+        while (open.size > 0 && closed.size < MAX_SEARCH_NODES) {
+            const current = open.pop();
+            if (current.index === goalIndex) {
+                return this.buildPath(cameFrom, goalIndex);
+            }
+            if (closed.has(current.index)) continue;
+            closed.add(current.index);
+
+            for (const dir of DIRECTIONS) {
+                const x = current.x + dir.x;
+                const y = current.y + dir.y;
+                if (!this.isWalkableTile(x, y)) continue;
+                // Diagonals need both sides free, or bodies snag on the corner
+                if (dir.x !== 0 && dir.y !== 0 &&
+                    (!this.isWalkableTile(current.x + dir.x, current.y) || !this.isWalkableTile(current.x, current.y + dir.y))) {
+                    continue;
+                }
+
+                const index = y * width + x;
+                if (closed.has(index)) continue;
+                const g = gScore.get(current.index) + dir.cost;
+                if (g < (gScore.get(index) ?? Infinity)) {
+                    gScore.set(index, g);
+                    cameFrom.set(index, current.index);
+                    open.push({ index, x, y, f: g + heuristic(x, y) });
+                }
+            }
+        }
+
+        return null;
+    }
+
+    buildPath(cameFrom, goalIndex) {
+        const tiles = [];
+        let index = goalIndex;
+        while (index !== undefined) {
+            tiles.unshift({ x: index % this.width, y: Math.floor(index / this.width) });
+            index = cameFrom.get(index);
+        }
+        return tiles;
+    }
+
+    /**
+     * Drop waypoints that can be skipped by walking straight (fewer, longer segments)
+     */
+    smooth(tiles) {
+        if (tiles.length <= 2) return tiles;
+
+        const center = tile => this.tileCenter(tile.x, tile.y);
+        const smoothed = [tiles[0]];
+        let anchor = tiles[0];
+        for (let i = 1; i < tiles.length - 1; i++) {
+            const from = center(anchor);
+            const to = center(tiles[i + 1]);
+            if (!this.isClearLine(from.x, from.y, to.x, to.y)) {
+                smoothed.push(tiles[i]);
+                anchor = tiles[i];
+            }
+        }
+        smoothed.push(tiles[tiles.length - 1]);
+        return smoothed;
+    }
+
+    /**
+     * Remember the path an owner is following so the debug overlay can draw it
+     */
+    setDebugPath(key, path) {
+        if (path) {
+            this.debugPaths.set(key, path);
+        } else {
+            this.debugPaths.delete(key);
+        }
+    }
+
+    toggleDebug() {
+        this.debugEnabled = !this.debugEnabled;
+        if (!this.debugEnabled && this.debugGraphics) {
+            this.debugGraphics.clear();
+        }
+        console.log(`[Pathfinder] 🐛 Path overlay ${this.debugEnabled ? 'ON' : 'OFF'}`);
+        return this.debugEnabled;
+    }
+
+    /**
+     * Draw the debug overlay (called every frame; no-op while it's off)
+     */
+    drawDebug() {
+        if (!this.debugEnabled) return;
+        if (!this.debugGraphics) {
+            this.debugGraphics = this.scene.add.graphics().setDepth(1000);
+        }
+
+        const graphics = this.debugGraphics;
+        graphics.clear();
+
+        graphics.fillStyle(0xff0000, 0.3);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const index = y * this.width + x;
+                if (this.blocked[index] && !this.walls[index]) {
+                    graphics.fillRect(x * this.tileWidth, y * this.tileHeight, this.tileWidth, this.tileHeight);
+                }
+            }
+        }
+
+        graphics.lineStyle(2, 0x00ffff, 0.8);
+        graphics.fillStyle(0x00ffff, 0.9);
+        this.debugPaths.forEach(path => {
+            path.forEach((point, i) => {
+                if (i > 0) graphics.lineBetween(path[i - 1].x, path[i - 1].y, point.x, point.y);
+                graphics.fillCircle(point.x, point.y, 3);
+            });
+        });
+    }
+
+    destroy() {
+        this.debugGraphics?.destroy();
+        this.debugGraphics = null;
+        this.debugPaths.clear();
+        this.cache.clear();
+    }
+}
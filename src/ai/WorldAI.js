@@ -1,33 +1,69 @@
 /**
  * World AI Module
  * Handles NPC behaviors in WorldScene (patrol, wander, detection, chase)
+ * NPCs collide with the map's Walls layer and can't see the player through walls.
+ * Profiles with a visionAngle (GUARD) only spot the player inside their vision cone.
+ * Chase, alert, return and scripted moves follow Pathfinder routes around walls when one is set.
+ * Stationary NPCs standing at their post are Pathfinder obstacles, so others route around them.
  */
 
-import { npcAI } from './NpcAI.js';
+import Phaser from "phaser";
+
+const STUCK_TIME = 600; // ms blocked by a wall before giving up on the current target
+const SIGHT_STEP = 8; // px between line-of-sight samples
+const REPATH_INTERVAL = 400; // ms between path updates toward a moving target
+const REPATH_DISTANCE = 32; // px the target must move before a new path is worth it
+const WAYPOINT_RADIUS = 8; // px from a waypoint to count it as reached
 
 export class WorldAI {
     constructor(scene) {
         this.scene = scene;
         this.behaviors = new Map(); // Store AI state for each NPC
+        this.wallsLayer = scene.map?.getLayer('Walls')?.tilemapLayer || null;
+        this.pathfinder = null;
+    }
+
+    /**
+     * Use a Pathfinder for moves that would otherwise walk into walls
+     * @param {Pathfinder} pathfinder
+     */
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
     }
 
     /**
      * Initialize AI for an NPC
+     * @param {Object} npc - NPC game object with a physics body and npcData
+     * @param {Object} profile - NpcAI profile; npcData.behavior overrides its worldBehavior
      */
     initNPC(npc, profile) {
+        const { behavior, patrolRadius = 100, wanderRadius = 100 } = npc.npcData;
+        const worldBehavior = behavior || profile.worldBehavior;
+
         const aiState = {
             profile: profile,
-            behavior: profile.worldBehavior,
+            behavior: worldBehavior,
             state: 'idle',
             spawnPoint: { x: npc.x, y: npc.y },
-            patrolPoints: this.generatePatrolPoints(npc.x, npc.y, profile),
+            patrolPoints: worldBehavior === 'patrol' ? this.generatePatrolPoints(npc.x, npc.y, patrolRadius) : [],
             currentPatrolIndex: 0,
+            wanderRadius: wanderRadius,
             wanderTimer: 0,
             wanderDelay: Phaser.Math.Between(2000, 5000),
             detectionTimer: 0,
             chaseTarget: null,
             lastKnownPlayerPos: null,
-            alertLevel: 0 // 0 = calm, 1 = suspicious, 2 = aggressive
+            alertLevel: 0, // 0 = calm, 1 = suspicious, 2 = aggressive
+            facing: 0, // radians, follows movement
+            stuckTimer: 0,
+            path: null, // Pathfinder waypoints currently followed
+            pathFor: null, // state the path was computed for
+            pathGoal: null,
+            repathTimer: 0,
+            scriptedMove: null, // { target, onArrive } while in the 'scripted' state
+            obstacleTile: null, // "x,y" tile while registered as a Pathfinder obstacle
+            wallCollider: this.wallsLayer ? this.scene.physics.add.collider(npc, this.wallsLayer) : null,
+            visionCone: profile.visionAngle ? this.scene.add.graphics().setDepth(0) : null
         };
 
         this.behaviors.set(npc, aiState);
@@ -35,38 +71,88 @@ export class WorldAI {
     }
 
     /**
-     * Generate patrol points around spawn
+     * Generate patrol points around spawn (points inside walls are dropped)
      */
-    generatePatrolPoints(x, y, profile) {
-        if (profile.worldBehavior !== 'patrol') return [];
-
+    generatePatrolPoints(x, y, radius) {
         const points = [];
-        const radius = 100;
         const numPoints = 4;
 
         for (let i = 0; i < numPoints; i++) {
             const angle = (Math.PI * 2 / numPoints) * i;
-            points.push({
+            const point = {
                 x: x + Math.cos(angle) * radius,
                 y: y + Math.sin(angle) * radius
-            });
+            };
+            if (this.isWalkable(point.x, point.y)) {
+                points.push(point);
+            }
         }
 
         return points;
     }
 
+    /**
+     * Is this world position free of wall tiles and inside the world?
+     */
+    isWalkable(x, y) {
+        const bounds = this.scene.physics.world.bounds;
+        if (!bounds.contains(x, y)) return false;
+        if (this.pathfinder) return this.pathfinder.isWalkable(x, y);
+        if (!this.wallsLayer) return true;
+        return !this.wallsLayer.getTileAtWorldXY(x, y)?.collides;
+    }
+
+    /**
+     * Walls block sight: sample the line between both points for colliding tiles
+     */
+    hasLineOfSight(from, to) {
+        if (!this.wallsLayer) return true;
+
+        const distance = Phaser.Math.Distance.Between(from.x, from.y, to.x, to.y);
+        const steps = Math.ceil(distance / SIGHT_STEP);
+        for (let i = 1; i < steps; i++) {
+            const t = i / steps;
+            const tile = this.wallsLayer.getTileAtWorldXY(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t);
+            if (tile?.collides) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Can this NPC see the player? Checks range, vision cone (if the profile has one) and walls.
+     * The player can sneak past a cone from behind, but not closer than hearingRadius.
+     */
+    canSeePlayer(npc, aiState, player, distance) {
+        const profile = aiState.profile;
+        if (distance >= profile.detectionRadius) return false;
+
+        // Already tracking the player - the cone no longer matters
+        const tracking = aiState.state === 'chase' || aiState.state === 'alert';
+        if (profile.visionAngle && !tracking && distance >= (profile.hearingRadius || 0)) {
+            const angleToPlayer = Phaser.Math.Angle.Between(npc.x, npc.y, player.x, player.y);
+            const offset = Math.abs(Phaser.Math.Angle.Wrap(angleToPlayer - aiState.facing));
+            if (offset > Phaser.Math.DegToRad(profile.visionAngle) / 2) return false;
+        }
+
+        return this.hasLineOfSight(npc, player);
+    }
+
     /**
      * Update all NPCs AI
+     * @param {Array} npcs - NPC game objects (NPCs without AI state are skipped)
+     * @param {Object} player - Player sprite
+     * @param {number} delta - Frame time in ms
+     * @param {Function} canEngage - (npc) => boolean; false while battles with this NPC are on cooldown
      */
-    update(npcs, player, delta) {
+    update(npcs, player, delta, canEngage = () => true) {
         if (!player) return;
 
         npcs.forEach(npc => {
             const aiState = this.behaviors.get(npc);
-            if (!aiState) return;
+            if (!aiState || !npc.body) return;
 
             // Check player detection
-            this.updateDetection(npc, aiState, player);
+            this.updateDetection(npc, aiState, player, delta, canEngage(npc));
 
             // Execute current behavior
             switch (aiState.state) {
@@ -88,20 +174,43 @@ export class WorldAI {
                 case 'alert':
                     this.executeAlert(npc, aiState, player, delta);
                     break;
+                case 'scripted':
+                    this.executeScripted(npc, aiState, delta);
+                    break;
             }
+
+            this.updateStuck(npc, aiState, delta);
+            this.updateObstacle(npc, aiState);
+            this.drawVisionCone(npc, aiState);
         });
     }
 
     /**
      * Update player detection
+     * While battles are on cooldown (canEngage false) NPCs ignore the player and head home,
+     * so nobody is standing on the player when the cooldown runs out.
      */
-    updateDetection(npc, aiState, player) {
+    updateDetection(npc, aiState, player, delta, canEngage = true) {
+        // Scripted moves ignore the player
+        if (aiState.state === 'scripted') return;
+
+        if (!canEngage) {
+            aiState.detectionTimer = 0;
+            aiState.alertLevel = 0;
+            if (aiState.state === 'chase' || aiState.state === 'alert') {
+                aiState.state = 'return';
+                aiState.chaseTarget = null;
+                aiState.lastKnownPlayerPos = null;
+            }
+            return;
+        }
+
         const distance = Phaser.Math.Distance.Between(npc.x, npc.y, player.x, player.y);
         const profile = aiState.profile;
 
-        // Detection radius check
-        if (distance < profile.detectionRadius) {
-            aiState.detectionTimer += 16; // ~60fps
+        // Detection radius, vision cone and line of sight check
+        if (this.canSeePlayer(npc, aiState, player, distance)) {
+            aiState.detectionTimer += delta;
 
             // Gradual alert level increase
             if (distance < profile.aggroRadius) {
@@ -111,19 +220,19 @@ export class WorldAI {
                     aiState.state = 'chase';
                     aiState.chaseTarget = player;
                 }
-            } else if (distance < profile.detectionRadius) {
+            } else {
                 aiState.alertLevel = Math.max(1, aiState.alertLevel); // Suspicious
-                if (aiState.state === 'idle' || aiState.state === 'patrol' || aiState.state === 'wander') {
+                if (aiState.state === 'idle' || aiState.state === 'patrol' || aiState.state === 'wander' || aiState.state === 'return') {
                     aiState.state = 'alert';
                     aiState.lastKnownPlayerPos = { x: player.x, y: player.y };
                 }
             }
         } else {
             // Player left detection range
-            aiState.detectionTimer = Math.max(0, aiState.detectionTimer - 32);
+            aiState.detectionTimer = Math.max(0, aiState.detectionTimer - delta * 2);
             
             if (aiState.detectionTimer <= 0) {
-                aiState.alertLevel = Math.max(0, aiState.alertLevel - 0.01);
+                aiState.alertLevel = Math.max(0, aiState.alertLevel - delta * 0.0006);
                 
                 if (aiState.state === 'chase' || aiState.state === 'alert') {
                     console.log(`[WorldAI] ${npc.npcData.type} lost player - RETURN`);
@@ -142,14 +251,16 @@ export class WorldAI {
         if (npc.body) {
             npc.body.setVelocity(0, 0);
         }
+        this.clearPath(npc, aiState);
 
-        // Transition based on behavior type
-        if (aiState.profile.worldBehavior === 'patrol') {
-            aiState.state = 'patrol';
-        } else if (aiState.profile.worldBehavior === 'wander') {
+        // Transition based on behavior type (patrols pause at each point, looking around)
+        if (aiState.behavior === 'patrol' || aiState.behavior === 'wander') {
             aiState.wanderTimer += delta;
+            if (aiState.behavior === 'patrol') {
+                aiState.facing = Phaser.Math.Angle.Wrap(aiState.facing + delta * 0.0015);
+            }
             if (aiState.wanderTimer >= aiState.wanderDelay) {
-                aiState.state = 'wander';
+                aiState.state = aiState.behavior;
                 aiState.wanderTimer = 0;
             }
         }
@@ -169,7 +280,7 @@ export class WorldAI {
 
         if (distance < 10) {
             // Reached patrol point, move to next
-            aiState.currentPatrolIndex = (aiState.currentPatrolIndex + 1) % aiState.patrolPoints.length;
+            this.nextPatrolPoint(aiState);
             
             // Pause at patrol point
             if (npc.body) {
@@ -184,6 +295,13 @@ export class WorldAI {
         }
     }
 
+    /**
+     * Skip to the next patrol point
+     */
+    nextPatrolPoint(aiState) {
+        aiState.currentPatrolIndex = (aiState.currentPatrolIndex + 1) % Math.max(1, aiState.patrolPoints.length);
+    }
+
     /**
      * Execute wander behavior
      */
@@ -193,12 +311,11 @@ export class WorldAI {
         if (aiState.wanderTimer < 2000) {
             // Pick random direction and move
             if (!aiState.wanderDirection) {
-                const angle = Math.random() * Math.PI * 2;
-                const distance = Phaser.Math.Between(50, 150);
-                aiState.wanderDirection = {
-                    x: npc.x + Math.cos(angle) * distance,
-                    y: npc.y + Math.sin(angle) * distance
-                };
+                aiState.wanderDirection = this.pickWanderPoint(aiState);
+                if (!aiState.wanderDirection) {
+                    this.endWander(aiState);
+                    return;
+                }
             }
 
             this.moveToward(npc, aiState.wanderDirection, 40);
@@ -206,18 +323,35 @@ export class WorldAI {
             // Check if reached wander point
             const dist = Phaser.Math.Distance.Between(npc.x, npc.y, aiState.wanderDirection.x, aiState.wanderDirection.y);
             if (dist < 20) {
-                aiState.wanderDirection = null;
-                aiState.state = 'idle';
-                aiState.wanderDelay = Phaser.Math.Between(3000, 6000);
-                aiState.wanderTimer = 0;
+                this.endWander(aiState);
             }
         } else {
             // Wander time expired, return to idle
-            aiState.wanderDirection = null;
-            aiState.state = 'idle';
-            aiState.wanderDelay = Phaser.Math.Between(3000, 6000);
-            aiState.wanderTimer = 0;
+            this.endWander(aiState);
+        }
+    }
+
+    /**
+     * Random walkable point within wanderRadius of spawn (null if none found)
+     */
+    pickWanderPoint(aiState) {
+        for (let attempt = 0; attempt < 8; attempt++) {
+            const angle = Math.random() * Math.PI * 2;
+            const distance = Math.random() * aiState.wanderRadius;
+            const point = {
+                x: aiState.spawnPoint.x + Math.cos(angle) * distance,
+                y: aiState.spawnPoint.y + Math.sin(angle) * distance
+            };
+            if (this.isWalkable(point.x, point.y)) return point;
         }
+        return null;
+    }
+
+    endWander(aiState) {
+        aiState.wanderDirection = null;
+        aiState.state = 'idle';
+        aiState.wanderDelay = Phaser.Math.Between(3000, 6000);
+        aiState.wanderTimer = 0;
     }
 
     /**
@@ -230,7 +364,7 @@ export class WorldAI {
         }
 
         const chaseSpeed = 70 * aiState.profile.chaseSpeed;
-        this.moveToward(npc, player, chaseSpeed);
+        this.moveAlongPath(npc, aiState, player, chaseSpeed, delta);
 
         // Update last known position
         aiState.lastKnownPlayerPos = { x: player.x, y: player.y };
@@ -253,7 +387,7 @@ export class WorldAI {
                 aiState.state = 'return';
                 aiState.lastKnownPlayerPos = null;
             } else {
-                this.moveToward(npc, aiState.lastKnownPlayerPos, 60);
+                this.moveAlongPath(npc, aiState, aiState.lastKnownPlayerPos, 60, delta);
             }
         } else {
             aiState.state = 'return';
@@ -279,13 +413,111 @@ export class WorldAI {
             aiState.alertLevel = 0;
             aiState.chaseTarget = null;
             aiState.lastKnownPlayerPos = null;
+            this.clearPath(npc, aiState);
             console.log(`[WorldAI] ${npc.npcData.type} returned to spawn`);
         } else {
             // Move toward spawn
-            this.moveToward(npc, aiState.spawnPoint, 60);
+            this.moveAlongPath(npc, aiState, aiState.spawnPoint, 60, delta);
         }
     }
 
+    /**
+     * Scripted move (quests, cutscenes): walk an NPC to a point, ignoring the player.
+     * On arrival the point becomes the NPC's new spawn (patrols and wandering continue from there).
+     * @param {Object} npc
+     * @param {Object} target - { x, y }
+     * @param {Function} onArrive - (reached: boolean) => void; reached is false when there is no route
+     * @returns {boolean} false if the NPC has no AI
+     */
+    moveNpcTo(npc, target, onArrive = null) {
+        const aiState = this.behaviors.get(npc);
+        if (!aiState) return false;
+
+        this.clearPath(npc, aiState);
+        aiState.state = 'scripted';
+        aiState.chaseTarget = null;
+        aiState.lastKnownPlayerPos = null;
+        aiState.scriptedMove = { target: { x: target.x, y: target.y }, onArrive };
+        console.log(`[WorldAI] ${npc.npcData.type} scripted move to (${target.x}, ${target.y})`);
+        return true;
+    }
+
+    /**
+     * Execute scripted move
+     */
+    executeScripted(npc, aiState, delta) {
+        const { target } = aiState.scriptedMove;
+        const distance = Phaser.Math.Distance.Between(npc.x, npc.y, target.x, target.y);
+
+        if (distance < 10) {
+            this.finishScriptedMove(npc, aiState, true);
+        } else if (!this.moveAlongPath(npc, aiState, target, 60, delta)) {
+            console.warn(`[WorldAI] ${npc.npcData.type} has no route to (${target.x}, ${target.y})`);
+            this.finishScriptedMove(npc, aiState, false);
+        }
+    }
+
+    finishScriptedMove(npc, aiState, reached) {
+        const { onArrive } = aiState.scriptedMove;
+        aiState.scriptedMove = null;
+        aiState.state = 'idle';
+        npc.body.setVelocity(0, 0);
+        this.clearPath(npc, aiState);
+
+        if (reached) {
+            aiState.spawnPoint = { x: npc.x, y: npc.y };
+            if (aiState.behavior === 'patrol') {
+                aiState.patrolPoints = this.generatePatrolPoints(npc.x, npc.y, npc.npcData.patrolRadius || 100);
+                aiState.currentPatrolIndex = 0;
+            }
+        }
+        onArrive?.(reached);
+    }
+
+    /**
+     * Walk toward a target along a Pathfinder route - straight when nothing is in the way
+     * @returns {boolean} false when the Pathfinder knows no route
+     */
+    moveAlongPath(npc, aiState, target, speed, delta) {
+        const pathfinder = this.pathfinder;
+        if (!pathfinder || pathfinder.isClearLine(npc.x, npc.y, target.x, target.y)) {
+            this.clearPath(npc, aiState);
+            this.moveToward(npc, target, speed);
+            return true;
+        }
+
+        aiState.repathTimer -= delta;
+        const goalMoved = !aiState.pathGoal ||
+            Phaser.Math.Distance.Between(aiState.pathGoal.x, aiState.pathGoal.y, target.x, target.y) > REPATH_DISTANCE;
+        if (!aiState.path || aiState.pathFor !== aiState.state || (goalMoved && aiState.repathTimer <= 0)) {
+            aiState.path = pathfinder.findPath(npc.x, npc.y, target.x, target.y);
+            aiState.pathFor = aiState.state;
+            aiState.pathGoal = { x: target.x, y: target.y };
+            aiState.repathTimer = REPATH_INTERVAL;
+            pathfinder.setDebugPath(npc.npcData.id, aiState.path);
+        }
+
+        if (!aiState.path || aiState.path.length === 0) {
+            this.moveToward(npc, target, speed);
+            return false;
+        }
+
+        const path = aiState.path;
+        while (path.length > 1 && Phaser.Math.Distance.Between(npc.x, npc.y, path[0].x, path[0].y) < WAYPOINT_RADIUS) {
+            path.shift();
+        }
+        this.moveToward(npc, path[0], speed);
+        return true;
+    }
+
+    clearPath(npc, aiState) {
+        if (!aiState.path && !aiState.pathGoal) return;
+        aiState.path = null;
+        aiState.pathFor = null;
+        aiState.pathGoal = null;
+        this.pathfinder?.setDebugPath(npc.npcData.id, null);
+    }
+
     /**
      * Move NPC toward target position
      */
@@ -297,6 +529,85 @@ export class WorldAI {
         const velocityY = Math.sin(angle) * speed;
 
         npc.body.setVelocity(velocityX, velocityY);
+
+        const aiState = this.behaviors.get(npc);
+        if (aiState) {
+            aiState.facing = angle;
+        }
+    }
+
+    /**
+     * Give up on targets the NPC keeps walking into a wall for.
+     * Chasers just slide along the wall; the player might come around.
+     */
+    updateStuck(npc, aiState, delta) {
+        const blocked = npc.body.blocked;
+        const moving = npc.body.velocity.x !== 0 || npc.body.velocity.y !== 0;
+        if (!moving || !blocked || blocked.none || aiState.state === 'chase') {
+            aiState.stuckTimer = 0;
+            return;
+        }
+
+        aiState.stuckTimer += delta;
+        if (aiState.stuckTimer < STUCK_TIME) return;
+        aiState.stuckTimer = 0;
+
+        console.log(`[WorldAI] ${npc.npcData.type} blocked by a wall while in ${aiState.state}`);
+        switch (aiState.state) {
+            case 'patrol':
+                this.nextPatrolPoint(aiState);
+                break;
+            case 'wander':
+                this.endWander(aiState);
+                break;
+            case 'alert':
+                aiState.lastKnownPlayerPos = null;
+                aiState.state = 'return';
+                break;
+            case 'scripted':
+                // Recompute the route from where the wall stopped us
+                this.clearPath(npc, aiState);
+                break;
+            case 'return':
+                // Can't get home - settle here and continue the routine
+                npc.body.setVelocity(0, 0);
+                aiState.state = 'idle';
+                aiState.alertLevel = 0;
+                break;
+        }
+    }
+
+    /**
+     * Keep a parked NPC (stationary and idle) registered as a Pathfinder obstacle
+     * The obstacle follows it when it settles somewhere else and is lifted while it moves
+     */
+    updateObstacle(npc, aiState) {
+        if (!this.pathfinder) return;
+
+        const parked = aiState.behavior === 'stationary' && aiState.state === 'idle';
+        const tile = parked ? `${this.pathfinder.toTileX(npc.x)},${this.pathfinder.toTileY(npc.y)}` : null;
+        if (tile === aiState.obstacleTile) return;
+
+        aiState.obstacleTile = tile;
+        this.pathfinder.setObstacle(`npc:${npc.npcData.id}`, parked
+            ? { x: npc.x, y: npc.y, width: npc.body.width, height: npc.body.height }
+            : null);
+    }
+
+    /**
+     * Draw the vision cone of NPCs that have one, colored by alert level
+     */
+    drawVisionCone(npc, aiState) {
+        const cone = aiState.visionCone;
+        if (!cone) return;
+
+        const color = aiState.state === 'chase' ? 0xff0000 : aiState.alertLevel >= 1 ? 0xffa500 : 0xffff00;
+        const halfAngle = Phaser.Math.DegToRad(aiState.profile.visionAngle) / 2;
+
+        cone.clear();
+        cone.fillStyle(color, 0.15);
+        cone.slice(npc.x, npc.y, aiState.profile.detectionRadius, aiState.facing - halfAngle, aiState.facing + halfAngle);
+        cone.fillPath();
     }
 
     /**
@@ -323,6 +634,13 @@ export class WorldAI {
      * Clean up AI for removed NPC
      */
     removeNPC(npc) {
+        const aiState = this.behaviors.get(npc);
+        if (!aiState) return;
+
+        aiState.wallCollider?.destroy();
+        aiState.visionCone?.destroy();
+        this.pathfinder?.setDebugPath(npc.npcData.id, null);
+        this.pathfinder?.setObstacle(`npc:${npc.npcData.id}`, null);
         this.behaviors.delete(npc);
     }
 
@@ -330,7 +648,7 @@ export class WorldAI {
      * Clean up all AI
      */
     cleanup() {
-        this.behaviors.clear();
+        Array.from(this.behaviors.keys()).forEach(npc => this.removeNPC(npc));
     }
 }
 
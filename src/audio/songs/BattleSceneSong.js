@@ -3,7 +3,7 @@ import * as Tone from 'tone';
 /**
  * BATTLE SCENE SONG - Context-Aware Combat Music
  * 
- * Two distinct battle themes:
+ * Three distinct battle themes:
  * 1. MYSTERY MODE - Suspenseful, mysterious encounter music for neutral NPCs
  *    - BPM: 100 (moderate, tense)
  *    - Key: A minor (mysterious, suspenseful)
@@ -14,12 +14,17 @@ import * as Tone from 'tone';
  *    - Key: D minor (aggressive, driving)
  *    - Mood: Intense, energetic, aggressive
  * 
+ * 3. BOSS MODE - Heavy, ominous music for boss encounters
+ *    - BPM: 150, +10 per boss phase (speeds up as the boss gets desperate)
+ *    - Key: C minor (dark, menacing)
+ *    - Mood: Relentless, dramatic
+ * 
  * Plus victory and recruitment celebration tunes.
  */
 export class BattleSceneSong {
     constructor() {
         this.isPlaying = false;
-        this.currentMode = null; // 'mystery' or 'fight'
+        this.currentMode = null; // 'mystery', 'fight' or 'boss'
         this.bpm = 100;
         this.key = 'A minor';
         
@@ -454,6 +459,143 @@ export class BattleSceneSong {
         console.log('[BattleSceneSong] ▶️ FIGHT mode playing (D minor, 140 BPM, intense action!)');
     }
     
+    /**
+     * Play BOSS mode - heavy, ominous boss encounter music
+     * Calling it again while the boss theme plays only ramps the tempo to the new phase
+     * @param {number} phaseIndex - Current boss phase (0-based)
+     */
+    async playBoss(phaseIndex = 0) {
+        const bossBpm = 150 + phaseIndex * 10;
+        
+        if (this.isPlaying && this.currentMode === 'boss') {
+            this.bpm = bossBpm;
+            Tone.Transport.bpm.rampTo(this.bpm, 2);
+            console.log(`[BattleSceneSong] Boss phase ${phaseIndex + 1} - tempo up to ${this.bpm} BPM`);
+            return;
+        }
+        
+        // Stop if playing different mode
+        if (this.isPlaying) {
+            this.stop();
+        }
+        
+        // Initialize instruments if not already done
+        await this.init();
+        
+        console.log('[BattleSceneSong] Starting BOSS mode...');
+        
+        this.currentMode = 'boss';
+        this.bpm = bossBpm;
+        Tone.Transport.bpm.value = this.bpm;
+        
+        // C minor chords for the boss
+        const bossChords = {
+            Cm: ['C4', 'Eb4', 'G4'],
+            Ab: ['Ab3', 'C4', 'Eb4'],
+            Fm: ['F3', 'Ab3', 'C4'],
+            G: ['G3', 'B3', 'D4']
+        };
+        
+        // Heavy, pounding kick
+        const bossKick = new Tone.Part((time, note) => {
+            this.kickDrum.triggerAttackRelease('C1', '8n', time, note.velocity);
+        }, [
+            { time: '0:0:0', velocity: 1.0 },
+            { time: '0:0:2', velocity: 0.8 },
+            { time: '0:1:0', velocity: 1.0 },
+            { time: '0:2:0', velocity: 1.0 },
+            { time: '0:2:2', velocity: 0.8 },
+            { time: '0:3:0', velocity: 1.0 },
+            { time: '0:3:3', velocity: 0.6 }
+        ]);
+        bossKick.loop = true;
+        bossKick.loopEnd = '1m';
+        bossKick.start(0);
+        this.parts.push(bossKick);
+        
+        // Snare on the backbeat with a roll into the next bar
+        const bossSnare = new Tone.Part((time, note) => {
+            this.snare.triggerAttackRelease('16n', time, note.velocity);
+        }, [
+            { time: '0:1:0', velocity: 0.9 },
+            { time: '0:3:0', velocity: 0.9 },
+            { time: '0:3:2', velocity: 0.5 },
+            { time: '0:3:3', velocity: 0.6 }
+        ]);
+        bossSnare.loop = true;
+        bossSnare.loopEnd = '1m';
+        bossSnare.start(0);
+        this.parts.push(bossSnare);
+        
+        // Steady hi-hat
+        const bossHiHat = new Tone.Part((time, note) => {
+            this.hiHat.triggerAttackRelease('32n', time, note.velocity);
+        }, [
+            { time: '0:0:2', velocity: 0.4 },
+            { time: '0:1:2', velocity: 0.4 },
+            { time: '0:2:2', velocity: 0.4 },
+            { time: '0:3:2', velocity: 0.4 }
+        ]);
+        bossHiHat.loop = true;
+        bossHiHat.loopEnd = '1m';
+        bossHiHat.start(0);
+        this.parts.push(bossHiHat);
+        
+        // Low, chugging bass
+        const bossBass = new Tone.Part((time, note) => {
+            this.bass.triggerAttackRelease(note.pitch, '8n', time, 1.0);
+        }, [
+            { time: '0:0:0', pitch: 'C2' },
+            { time: '0:0:2', pitch: 'C2' },
+            { time: '0:1:0', pitch: 'C2' },
+            { time: '0:1:2', pitch: 'Eb2' },
+            { time: '0:2:0', pitch: 'Ab1' },
+            { time: '0:2:2', pitch: 'Ab1' },
+            { time: '0:3:0', pitch: 'G1' },
+            { time: '0:3:2', pitch: 'B1' }
+        ]);
+        bossBass.loop = true;
+        bossBass.loopEnd = '1m';
+        bossBass.start(0);
+        this.parts.push(bossBass);
+        
+        // Ominous descending melody
+        const bossMelody = new Tone.Part((time, note) => {
+            this.fightSynth.triggerAttackRelease(note.pitch, note.duration, time, 0.7);
+        }, [
+            { time: '0:0:0', pitch: 'C5', duration: '8n' },
+            { time: '0:1:0', pitch: 'B4', duration: '8n' },
+            { time: '0:2:0', pitch: 'Ab4', duration: '8n' },
+            { time: '0:3:0', pitch: 'G4', duration: '4n' },
+            { time: '1:0:0', pitch: 'Eb5', duration: '8n' },
+            { time: '1:1:0', pitch: 'D5', duration: '8n' },
+            { time: '1:2:0', pitch: 'C5', duration: '8n' },
+            { time: '1:3:0', pitch: 'B4', duration: '4n' }
+        ]);
+        bossMelody.loop = true;
+        bossMelody.loopEnd = '2m';
+        bossMelody.start(0);
+        this.parts.push(bossMelody);
+        
+        // Dark chord stabs
+        const bossChordStabs = new Tone.Part((time, chord) => {
+            this.padSynth.triggerAttackRelease(chord.notes, '4n', time);
+        }, [
+            { time: '0:0:0', notes: bossChords.Cm },
+            { time: '0:2:0', notes: bossChords.Ab },
+            { time: '1:0:0', notes: bossChords.Fm },
+            { time: '1:2:0', notes: bossChords.G }
+        ]);
+        bossChordStabs.loop = true;
+        bossChordStabs.loopEnd = '2m';
+        bossChordStabs.start(0);
+        this.parts.push(bossChordStabs);
+        
+        Tone.Transport.start();
+        this.isPlaying = true;
+        console.log(`[BattleSceneSong] ▶️ BOSS mode playing (C minor, ${this.bpm} BPM, ominous!)`);
+    }
+    
     /**
      * Legacy play method - defaults to mystery mode
      */
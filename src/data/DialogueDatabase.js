@@ -17,6 +17,7 @@ class DialogueDatabase {
         this.initializeMerchantDialogues();
         this.initializeVillagerDialogues();
         this.initializeElderDialogues();
+        this.initializeWardenDialogues();
     }
     
     /**
@@ -101,7 +102,7 @@ class DialogueDatabase {
                 choices: [
                     { id: 'browse_goods', text: "What do you have for sale?", available: true },
                     { id: 'sell_items', text: "I have some items to sell.", available: true },
-                    { id: 'ask_about_rumors', text: "Any interesting rumors lately?", available: true }
+                    { id: 'ask_about_quests', text: "Do you have any work for me?", available: true }
                 ]
             },
             
@@ -291,6 +292,25 @@ class DialogueDatabase {
         });
     }
     
+    /**
+     * Initialize WARDEN (boss) dialogues
+     * No choices - the Warden can't be talked out of a fight
+     */
+    initializeWardenDialogues() {
+        this.dialogues.set('WARDEN', {
+            // Initial encounter
+            initial: {
+                paragraphs: [
+                    "None pass the east gate while the Iron Warden stands.",
+                    "I have broken a hundred blades on this shield. Yours will be the hundred and first.",
+                    "There is no running from me, traveler. Draw your weapon!"
+                ],
+                hasChoices: false,
+                type: 'ultimatum'
+            }
+        });
+    }
+    
     /**
      * Get dialogue for NPC type and situation
      */
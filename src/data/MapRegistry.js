@@ -0,0 +1,83 @@
+/**
+ * MapRegistry - Every Tiled map the world can load
+ * Maps are linked by warp rectangles on their Warps layer (targetMap = registry key,
+ * targetSpawn = name of an "arrival" point on the target map's Spawns layer)
+ */
+
+export const DEFAULT_MAP_KEY = 'town';
+
+/**
+ * Tileset images by Tiled tileset name -> Phaser texture key + path
+ * Any map may use any of these tilesets
+ */
+export const TILESET_TEXTURES = {
+    'TX Tileset Grass': { key: 'tilesGrass', path: '/assets/tilesets/TX Tileset Grass.png' },
+    'TX Tileset Stone Ground': { key: 'tilesStoneGround', path: '/assets/tilesets/TX Tileset Stone Ground.png' },
+    'TX Tileset Wall': { key: 'tilesWall', path: '/assets/tilesets/TX Tileset Wall.png' },
+    'TX Struct': { key: 'tilesStruct', path: '/assets/tilesets/TX Struct.png' },
+    'TX Props': { key: 'tilesProps', path: '/assets/tilesets/TX Props.png' },
+    'TX Plants': { key: 'tilesPlants', path: '/assets/tilesets/TX Plants.png' },
+    'TX Sea': { key: 'tilesSea', path: '/assets/tilesets/TX Sea.png' }
+};
+
+class MapRegistry {
+    constructor() {
+        this.maps = new Map();
+        this.initializeMaps();
+    }
+
+    /**
+     * Register the built-in maps
+     */
+    initializeMaps() {
+        this.register({
+            key: 'town',
+            name: 'Town',
+            tilemapPath: '/assets/tilemaps/TownScene.tmj',
+            npcPath: '/assets/data/npcs/town.json',
+            worldPadding: 2800 // Open overworld - lots of room around the tiles
+        });
+
+        this.register({
+            key: 'village_house',
+            name: 'Village House',
+            tilemapPath: '/assets/tilemaps/VillageHouse.tmj',
+            npcPath: '/assets/data/npcs/village_house.json',
+            worldPadding: 0 // Interiors keep the party inside the walls
+        });
+    }
+
+    /**
+     * Add a map
+     * @param {Object} config - { key, name, tilemapPath, npcPath, worldPadding }
+     */
+    register(config) {
+        this.maps.set(config.key, {
+            worldPadding: 0,
+            ...config,
+            tilemapKey: `tilemap_${config.key}`,
+            npcDataKey: `npcDefinitions_${config.key}`
+        });
+    }
+
+    /**
+     * Get a map config by key (null if unknown)
+     */
+    get(mapKey) {
+        return this.maps.get(mapKey) || null;
+    }
+
+    has(mapKey) {
+        return this.maps.has(mapKey);
+    }
+
+    /**
+     * Get every registered map config
+     */
+    getAll() {
+        return Array.from(this.maps.values());
+    }
+}
+
+// Export singleton instance
+export const mapRegistry = new MapRegistry();
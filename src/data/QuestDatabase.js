@@ -0,0 +1,255 @@
+/**
+ * QuestDatabase - Quest definitions
+ * Each quest is a list of steps; a step is done once all of its objectives are done.
+ *
+ * Objective types:
+ *   defeat  - win battles against NPCs ({ npcType | npcId, count })
+ *   talk    - speak with an NPC in battle dialogue ({ npcType | npcId })
+ *   deliver - talk to an NPC while carrying items, which are handed over ({ itemId, quantity, npcType | npcId })
+ *   reach   - walk into a map zone ({ areaId } from the Tiled Zones layer)
+ * An objective without npcType/npcId matches any NPC.
+ *
+ * giver: { npcType, choiceId } - picking that battle dialogue choice offers the quest
+ * requires: quest ids that must be completed before the quest is offered
+ */
+
+class QuestDatabase {
+    constructor() {
+        this.quests = new Map();
+        this.initializeQuests();
+    }
+
+    /**
+     * Initialize all quest content
+     */
+    initializeQuests() {
+        this.initializeGuardQuests();
+        this.initializeMerchantQuests();
+        this.initializeVillagerQuests();
+        this.initializeElderQuests();
+    }
+
+    /**
+     * Quests handed out by village guards
+     */
+    initializeGuardQuests() {
+        this.register({
+            id: 'patrol_duty',
+            name: 'Patrol Duty',
+            description: 'The guards are short-handed. Walk the village perimeter and report back.',
+            giver: { npcType: 'GUARD', choiceId: 'introduce' },
+            steps: [
+                {
+                    description: 'Patrol the edges of the village',
+                    objectives: [
+                        { type: 'reach', areaId: 'village_north', description: 'Check the north side' },
+                        { type: 'reach', areaId: 'village_east', description: 'Check the east side' },
+                        { type: 'reach', areaId: 'village_south', description: 'Check the south side' }
+                    ]
+                },
+                {
+                    description: 'Report to a guard',
+                    objectives: [
+                        { type: 'talk', npcType: 'GUARD', description: 'Talk to a guard' }
+                    ]
+                }
+            ],
+            rewards: { money: 60, xp: 80 }
+        });
+
+        this.register({
+            id: 'investigate_strangers',
+            name: 'Investigate the Strangers',
+            description: 'Strangers in stolen guard uniforms have been spotted near the southeast outpost.',
+            giver: { npcType: 'GUARD', choiceId: 'ask_about_trouble' },
+            requires: ['patrol_duty'],
+            steps: [
+                {
+                    description: 'Scout the southeast outpost',
+                    objectives: [
+                        { type: 'reach', areaId: 'southeast_outpost', description: 'Reach the southeast outpost' }
+                    ]
+                },
+                {
+                    description: 'Deal with the impostors',
+                    objectives: [
+                        { type: 'defeat', npcType: 'GUARD', count: 2, description: 'Defeat guards' }
+                    ]
+                },
+                {
+                    description: 'Report to a guard',
+                    objectives: [
+                        { type: 'talk', npcType: 'GUARD', description: 'Talk to a guard' }
+                    ]
+                }
+            ],
+            rewards: { money: 120, xp: 150, items: [{ itemId: 'defense_boost', quantity: 1 }] }
+        });
+    }
+
+    /**
+     * Quests handed out by merchants
+     */
+    initializeMerchantQuests() {
+        this.register({
+            id: 'deliver_goods',
+            name: 'Special Delivery',
+            description: 'Marcus needs a valuable package delivered safely.',
+            giver: { npcType: 'MERCHANT', choiceId: 'ask_about_quests' },
+            startItems: [{ itemId: 'merchant_package', quantity: 1 }],
+            steps: [
+                {
+                    description: 'Deliver the package to the village house',
+                    objectives: [
+                        { type: 'deliver', itemId: 'merchant_package', quantity: 1, npcId: 'npc_house_villager_1', description: 'Hand the package to the villager at home' }
+                    ]
+                }
+            ],
+            rewards: { money: 100, xp: 60 }
+        });
+
+        this.register({
+            id: 'find_rare_items',
+            name: 'Rare Finds',
+            description: 'Merchants pay well for relics from the old ruins.',
+            giver: { npcType: 'MERCHANT', choiceId: 'sell_items' },
+            steps: [
+                {
+                    description: 'Bring an Ancient Scroll to a merchant',
+                    objectives: [
+                        { type: 'deliver', itemId: 'ancient_scroll', quantity: 1, npcType: 'MERCHANT', description: 'Sell the scroll to a merchant' }
+                    ]
+                }
+            ],
+            rewards: { money: 200, xp: 50 }
+        });
+    }
+
+    /**
+     * Quests handed out by villagers
+     */
+    initializeVillagerQuests() {
+        this.register({
+            id: 'gather_herbs',
+            name: 'Garden Trouble',
+            description: 'Something has been trampling the herb gardens on the east side.',
+            giver: { npcType: 'VILLAGER', choiceId: 'ask_for_help' },
+            steps: [
+                {
+                    description: 'Look around the eastern gardens',
+                    objectives: [
+                        { type: 'reach', areaId: 'village_east', description: 'Visit the east side' }
+                    ]
+                },
+                {
+                    description: 'Tell a villager what you found',
+                    objectives: [
+                        { type: 'talk', npcType: 'VILLAGER', description: 'Talk to a villager' }
+                    ]
+                }
+            ],
+            rewards: { money: 30, xp: 40, items: [{ itemId: 'health_potion', quantity: 2 }] }
+        });
+
+        this.register({
+            id: 'hidden_treasure',
+            name: 'Hidden Treasure',
+            description: 'Villagers whisper about old coins turning up near the southeast outpost.',
+            giver: { npcType: 'VILLAGER', choiceId: 'ask_about_rumors' },
+            steps: [
+                {
+                    description: 'Search the southeast outpost',
+                    objectives: [
+                        { type: 'reach', areaId: 'southeast_outpost', description: 'Reach the southeast outpost' }
+                    ]
+                }
+            ],
+            rewards: { xp: 40, items: [{ itemId: 'ancient_scroll', quantity: 1 }] }
+        });
+
+        this.register({
+            id: 'village_protection',
+            name: 'Village Protection',
+            description: 'Troublemakers keep harassing the villagers. Show them the village is protected.',
+            giver: { npcType: 'VILLAGER', choiceId: 'ask_about_problems' },
+            requires: ['patrol_duty'],
+            steps: [
+                {
+                    description: 'Drive off the troublemakers',
+                    objectives: [
+                        { type: 'defeat', count: 3, description: 'Win battles' }
+                    ]
+                }
+            ],
+            rewards: { money: 150, xp: 120, items: [{ itemId: 'attack_boost', quantity: 1 }] }
+        });
+    }
+
+    /**
+     * Quests from the elder and the stranger (offered through DialogueSystem effects)
+     */
+    initializeElderQuests() {
+        this.register({
+            id: 'ancient_knowledge',
+            name: 'Ancient Knowledge',
+            description: 'The elder believes the village house keeps records of the ancient mages.',
+            steps: [
+                {
+                    description: 'Search the village house',
+                    objectives: [
+                        { type: 'reach', areaId: 'village_house', description: 'Enter the village house' },
+                        { type: 'talk', npcId: 'npc_house_villager_1', description: 'Ask the villager at home' }
+                    ]
+                }
+            ],
+            rewards: { xp: 100 }
+        });
+
+        this.register({
+            id: 'ancient_prophecy',
+            name: 'The Prophecy',
+            description: 'A stranger speaks of a prophecy only a mage can read.',
+            steps: [
+                {
+                    description: 'Find a mage',
+                    objectives: [
+                        { type: 'talk', npcType: 'MAGE', description: 'Talk to a mage' }
+                    ]
+                }
+            ],
+            rewards: { xp: 120, items: [{ itemId: 'mana_potion', quantity: 2 }] }
+        });
+    }
+
+    /**
+     * Add a quest definition
+     * @param {Object} quest - { id, name, description, giver, requires, startItems, steps, rewards }
+     */
+    register(quest) {
+        this.quests.set(quest.id, {
+            requires: [],
+            startItems: [],
+            rewards: {},
+            ...quest
+        });
+    }
+
+    /**
+     * Get a quest definition by id (null if unknown)
+     */
+    getQuest(questId) {
+        return this.quests.get(questId) || null;
+    }
+
+    /**
+     * Get the quests offered by a battle dialogue choice
+     */
+    getQuestsForChoice(npcType, choiceId) {
+        return Array.from(this.quests.values()).filter(quest =>
+            quest.giver && quest.giver.npcType === npcType && quest.giver.choiceId === choiceId
+        );
+    }
+}
+
+// Export singleton instance
+export const questDatabase = new QuestDatabase();
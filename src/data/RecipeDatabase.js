@@ -0,0 +1,91 @@
+/**
+ * RecipeDatabase - Crafting recipe definitions
+ * A recipe turns a set of inventory items into another item at a save point.
+ *
+ *   ingredients - [{ itemId, quantity }] used up when crafting
+ *   result      - { itemId, quantity } added to the inventory
+ * Item ids refer to ItemsManager's item database.
+ */
+
+class RecipeDatabase {
+    constructor() {
+        this.recipes = new Map();
+        this.initializeRecipes();
+    }
+
+    /**
+     * Initialize all recipes
+     */
+    initializeRecipes() {
+        this.initializePotionRecipes();
+        this.initializeGearRecipes();
+    }
+
+    /**
+     * Stronger potions brewed from weaker ones
+     */
+    initializePotionRecipes() {
+        this.register({
+            id: 'greater_potion',
+            ingredients: [{ itemId: 'health_potion', quantity: 2 }],
+            result: { itemId: 'greater_potion', quantity: 1 }
+        });
+
+        this.register({
+            id: 'greater_mana_potion',
+            ingredients: [{ itemId: 'mana_potion', quantity: 2 }],
+            result: { itemId: 'greater_mana_potion', quantity: 1 }
+        });
+    }
+
+    /**
+     * Equipment made from gear and valuables
+     */
+    initializeGearRecipes() {
+        this.register({
+            id: 'sage_ring',
+            ingredients: [
+                { itemId: 'ancient_scroll', quantity: 1 },
+                { itemId: 'gold_ring', quantity: 1 }
+            ],
+            result: { itemId: 'sage_ring', quantity: 1 }
+        });
+
+        this.register({
+            id: 'iron_sword',
+            ingredients: [
+                { itemId: 'wooden_sword', quantity: 1 },
+                { itemId: 'old_coin', quantity: 3 }
+            ],
+            result: { itemId: 'iron_sword', quantity: 1 }
+        });
+    }
+
+    /**
+     * Add a recipe definition
+     * @param {Object} recipe - { id, ingredients, result }
+     */
+    register(recipe) {
+        this.recipes.set(recipe.id, {
+            ...recipe,
+            result: { quantity: 1, ...recipe.result }
+        });
+    }
+
+    /**
+     * Get a recipe definition by id (null if unknown)
+     */
+    getRecipe(recipeId) {
+        return this.recipes.get(recipeId) || null;
+    }
+
+    /**
+     * Get every recipe in definition order
+     */
+    getRecipes() {
+        return Array.from(this.recipes.values());
+    }
+}
+
+// Export singleton instance
+export const recipeDatabase = new RecipeDatabase();
@@ -7,6 +7,7 @@ import BattleMenuScene from "./scenes/BattleMenuScene";
 import ShooterScene from "./scenes/ShooterScene";
 import MapScene from "./scenes/MapScene";
 import MenuScene from "./scenes/MenuScene";
+import ShopScene from "./scenes/ShopScene";
 
 import PlayerManager from "./managers/PlayerManager";
 import NpcManager from "./managers/NpcManager";
@@ -130,7 +131,7 @@ const config = {
     input: {
         gamepad: false // Disable Phaser's gamepad plugin - using native Gamepad API instead
     },
-    scene: [StartScene, WorldScene, BattleScene, BattleMenuScene, ShooterScene, MapScene, MenuScene]
+    scene: [StartScene, WorldScene, BattleScene, BattleMenuScene, ShooterScene, MapScene, MenuScene, ShopScene]
 };
 
 const game = new Phaser.Game(config);
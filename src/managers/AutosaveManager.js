@@ -0,0 +1,103 @@
+/**
+ * AutosaveManager - Decides when the game writes the rolling autosave slot
+ * WorldScene reports triggers (battle victory, recruitment, leaving ShooterScene,
+ * resting on a save point, timer) and this manager applies the configuration
+ */
+import { gameStateManager } from './GameStateManager.js';
+
+export default class AutosaveManager {
+    constructor() {
+        // Initialize as singleton
+        if (AutosaveManager.instance) {
+            return AutosaveManager.instance;
+        }
+        AutosaveManager.instance = this;
+
+        this.config = {
+            enabled: true,
+            intervalMs: 5 * 60 * 1000,  // Timer autosave every 5 minutes of world time
+            minSpacingMs: 10 * 1000,    // Skip triggers that fire right after another autosave
+            triggers: {
+                victory: true,
+                recruitment: true,
+                shooterExit: true,
+                savePoint: true,
+                timer: true
+            }
+        };
+
+        this.lastAutosaveAt = 0;  // Last autosave of any kind (for minSpacingMs)
+        this.worldTimeMs = 0;     // Active world time since the timer (re)started
+
+        console.log('[AutosaveManager] Initialized');
+    }
+
+    /**
+     * Override configuration values
+     * @param {Object} options - Partial config, e.g. { intervalMs: 60000, triggers: { timer: false } }
+     */
+    configure(options = {}) {
+        this.config = {
+            ...this.config,
+            ...options,
+            triggers: { ...this.config.triggers, ...(options.triggers || {}) }
+        };
+        console.log('[AutosaveManager] Config updated:', this.config);
+    }
+
+    isTriggerEnabled(reason) {
+        return this.config.enabled && this.config.triggers[reason] === true;
+    }
+
+    /**
+     * Restart the timer (e.g., when entering the world)
+     */
+    resetTimer() {
+        this.worldTimeMs = 0;
+    }
+
+    /**
+     * Advance the timer - WorldScene calls this from update(), so battles,
+     * menus and pauses don't count toward the interval
+     * @param {number} delta - Frame time in ms
+     */
+    advanceTimer(delta) {
+        this.worldTimeMs += delta;
+    }
+
+    /**
+     * Check whether the timer autosave should fire
+     */
+    isTimerDue() {
+        return this.isTriggerEnabled('timer') && this.worldTimeMs >= this.config.intervalMs;
+    }
+
+    /**
+     * Write the autosave slot if the trigger is enabled
+     * @param {string} reason - 'victory' | 'recruitment' | 'shooterExit' | 'savePoint' | 'timer'
+     * @param {Object} playerPosition - {x, y} coordinates of player
+     * @returns {boolean} - True if an autosave was written
+     */
+    autosave(reason, playerPosition = null) {
+        if (!this.isTriggerEnabled(reason)) {
+            return false;
+        }
+
+        const now = Date.now();
+        if (reason !== 'timer' && now - this.lastAutosaveAt < this.config.minSpacingMs) {
+            console.log(`[AutosaveManager] Skipping ${reason} autosave (last one was ${now - this.lastAutosaveAt}ms ago)`);
+            return false;
+        }
+
+        const saved = gameStateManager.autosave(playerPosition);
+        // Any autosave restarts the timer
+        this.lastAutosaveAt = now;
+        this.worldTimeMs = 0;
+        console.log(`[AutosaveManager] ${saved ? '✅' : '❌'} Autosave (${reason})`);
+        return saved;
+    }
+}
+
+// Export singleton instance
+const autosaveManager = new AutosaveManager();
+export { autosaveManager };
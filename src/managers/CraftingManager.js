@@ -0,0 +1,111 @@
+/**
+ * CraftingManager - Combines inventory items using RecipeDatabase recipes
+ * Singleton used by the save point menu. Checks ingredient quantities and
+ * inventory space (stack limit included) before anything is used up.
+ */
+
+import { recipeDatabase } from '../data/RecipeDatabase.js';
+import { itemsManager } from './ItemsManager.js';
+import { questManager } from './QuestManager.js';
+
+class CraftingManager {
+    constructor() {
+        if (CraftingManager.instance) {
+            return CraftingManager.instance;
+        }
+
+        CraftingManager.instance = this;
+    }
+
+    /**
+     * Every recipe with what the player has for it
+     * @returns {Array} checkRecipe() results
+     */
+    getRecipes() {
+        return recipeDatabase.getRecipes().map(recipe => this.checkRecipe(recipe.id));
+    }
+
+    /**
+     * Can a recipe be crafted right now?
+     * @returns {Object|null} { recipe, result: { itemId, name, quantity }, ingredients: [{ itemId, name, quantity, owned }], canCraft, reason }
+     */
+    checkRecipe(recipeId) {
+        const recipe = recipeDatabase.getRecipe(recipeId);
+        if (!recipe) {
+            console.warn(`[CraftingManager] Unknown recipe: ${recipeId}`);
+            return null;
+        }
+
+        const resultItem = itemsManager.getItemInfo(recipe.result.itemId);
+        const ingredients = recipe.ingredients.map(({ itemId, quantity }) => ({
+            itemId,
+            name: itemsManager.getItemInfo(itemId)?.name || itemId,
+            quantity,
+            owned: itemsManager.getItemCount(itemId)
+        }));
+        const check = {
+            recipe,
+            result: { itemId: recipe.result.itemId, name: resultItem?.name || recipe.result.itemId, quantity: recipe.result.quantity },
+            ingredients,
+            canCraft: false,
+            reason: null
+        };
+
+        if (!resultItem || recipe.ingredients.some(({ itemId }) => !itemsManager.getItemInfo(itemId))) {
+            check.reason = 'Recipe uses an unknown item';
+            return check;
+        }
+
+        const missing = ingredients.find(ingredient => ingredient.owned < ingredient.quantity);
+        if (missing) {
+            check.reason = `Need ${missing.quantity}x ${missing.name}`;
+            return check;
+        }
+
+        const questItem = ingredients.find(ingredient => questManager.isItemNeeded(ingredient.itemId));
+        if (questItem) {
+            check.reason = `${questItem.name} is needed for a quest`;
+            return check;
+        }
+
+        // Space once the ingredients are used up
+        const used = ingredients.reduce((sum, ingredient) => sum + ingredient.quantity, 0);
+        const usedOfResult = ingredients.find(ingredient => ingredient.itemId === resultItem.id)?.quantity || 0;
+        const stackAfter = itemsManager.getItemCount(resultItem.id) - usedOfResult;
+        if (check.result.quantity > itemsManager.getFreeSpace() + used) {
+            check.reason = 'Inventory full!';
+        } else if (stackAfter + check.result.quantity > itemsManager.getStackLimit(resultItem.id)) {
+            check.reason = `Can't carry more than ${itemsManager.getStackLimit(resultItem.id)} ${resultItem.name}`;
+        } else {
+            check.canCraft = true;
+        }
+        return check;
+    }
+
+    /**
+     * Use up a recipe's ingredients and add its result
+     * @returns {Object} { success, message }
+     */
+    craft(recipeId) {
+        const check = this.checkRecipe(recipeId);
+        if (!check) {
+            return { success: false, message: 'Unknown recipe' };
+        }
+        if (!check.canCraft) {
+            return { success: false, message: check.reason };
+        }
+
+        check.ingredients.forEach(({ itemId, quantity }) => itemsManager.removeItem(itemId, quantity));
+        if (!itemsManager.addItem(check.result.itemId, check.result.quantity)) {
+            // Checked above - put the ingredients back rather than lose them
+            check.ingredients.forEach(({ itemId, quantity }) => itemsManager.addItem(itemId, quantity));
+            return { success: false, message: 'Inventory full!' };
+        }
+
+        console.log(`[CraftingManager] ⚒️ Crafted ${check.result.quantity}x ${check.result.name}`);
+        return { success: true, message: `Crafted ${check.result.quantity}x ${check.result.name}` };
+    }
+}
+
+// Export singleton instance
+export const craftingManager = new CraftingManager();
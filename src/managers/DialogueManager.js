@@ -58,9 +58,10 @@ class DialogueManager {
      * Attempt money negotiation
      * @param {object} npcData - NPC data
      * @param {number} offeredAmount - Money offered
+     * @param {Array<string>} memberIds - Members who share the XP (default: the whole party)
      * @returns {object} Result of negotiation
      */
-    negotiateWithMoney(npcData, offeredAmount) {
+    negotiateWithMoney(npcData, offeredAmount, memberIds) {
         const playerLevel = gameStateManager.playerStats.level;
         const requiredAmount = this.calculateNegotiationCost(npcData.type, npcData.level, playerLevel);
         
@@ -93,18 +94,18 @@ class DialogueManager {
         // Successful negotiation
         moneyManager.removeMoney(offeredAmount, `Negotiated with ${npcData.type}`);
         
-        // Grant negotiation XP (50% of battle XP)
+        // Grant negotiation XP (50% of battle XP), split across the party
         const battleXp = statsManager.calculateBattleXp(npcData.level, playerLevel, npcData.type);
         const negotiationXp = Math.floor(battleXp * 0.5);
-        const xpResult = statsManager.addPlayerExperience(negotiationXp);
+        const levelUps = this.grantPartyXp(negotiationXp, memberIds);
         
         return {
             success: true,
             reason: 'negotiation_success',
             message: `${npcData.type} accepts your offer and leaves peacefully.`,
             xpGained: negotiationXp,
-            leveledUp: xpResult.leveledUp,
-            newLevel: xpResult.newLevel
+            leveledUp: levelUps.length > 0,
+            levelUps
         };
     }
     
@@ -112,9 +113,10 @@ class DialogueManager {
      * Attempt item gift negotiation
      * @param {object} npcData - NPC data
      * @param {string} itemId - Item to gift
+     * @param {Array<string>} memberIds - Members who share the XP (default: the whole party)
      * @returns {object} Result of negotiation
      */
-    negotiateWithItem(npcData, itemId) {
+    negotiateWithItem(npcData, itemId, memberIds) {
         const playerLevel = gameStateManager.playerStats.level;
         const requiredValue = this.calculateItemGiftValue(npcData.type, npcData.level, playerLevel);
         
@@ -158,21 +160,33 @@ class DialogueManager {
         // Remove item from inventory
         itemsManager.removeItem(itemId, 1);
         
-        // Grant negotiation XP (50% of battle XP)
+        // Grant negotiation XP (50% of battle XP), split across the party
         const battleXp = statsManager.calculateBattleXp(npcData.level, playerLevel, npcData.type);
         const negotiationXp = Math.floor(battleXp * 0.5);
-        const xpResult = statsManager.addPlayerExperience(negotiationXp);
+        const levelUps = this.grantPartyXp(negotiationXp, memberIds);
         
         return {
             success: true,
             reason: 'negotiation_success',
             message: `${npcData.type} is pleased with your ${itemInfo.name} and leaves peacefully.`,
             xpGained: negotiationXp,
-            leveledUp: xpResult.leveledUp,
-            newLevel: xpResult.newLevel
+            leveledUp: levelUps.length > 0,
+            levelUps
         };
     }
     
+    /**
+     * Split negotiation XP across the party
+     * @param {Array<string>} memberIds - Members who share the XP (default: the whole party)
+     * @returns {Array} Members that leveled up: [{ memberId, name, newLevel }]
+     */
+    grantPartyXp(xp, memberIds) {
+        const { results } = statsManager.distributePartyExperience(xp, memberIds);
+        return results
+            .filter(result => result.leveledUp)
+            .map(result => ({ memberId: result.memberId, name: result.name, newLevel: result.newLevel }));
+    }
+    
     /**
      * Get dialogue options for NPC
      */
@@ -7,6 +7,7 @@ import { gameStateManager } from './GameStateManager.js';
 import { moneyManager } from './MoneyManager.js';
 import { itemsManager } from './ItemsManager.js';
 import { statsManager } from './StatsManager.js';
+import { questManager } from './QuestManager.js';
 
 class DialogueSystem {
     constructor() {
@@ -538,11 +539,14 @@ class DialogueSystem {
         
         // Quest offers
         if (effects.quest) {
-            result.message += `\nNew quest available: ${effects.quest}`;
+            questManager.startQuest(effects.quest).forEach(message => {
+                result.message += `\n${message}`;
+            });
         }
         
-        // Shop access
+        // Shop access - callers open ShopScene in result.shop mode ('buy' or 'sell')
         if (effects.shop) {
+            result.shop = effects.shop;
             result.message += `\nShop opened`;
         }
         
@@ -602,6 +606,21 @@ class DialogueSystem {
         return npc.areas && npc.areas.includes(areaId);
     }
     
+    /**
+     * Get a story flag value
+     */
+    getStoryFlag(flag) {
+        return this.storyFlags.get(flag);
+    }
+    
+    /**
+     * Set a story flag (e.g., from a map trigger)
+     */
+    setStoryFlag(flag, value = true) {
+        this.storyFlags.set(flag, value);
+        console.log(`[DialogueSystem] Story flag set: ${flag} = ${value}`);
+    }
+    
     /**
      * Get story progression summary
      */
@@ -617,6 +636,53 @@ class DialogueSystem {
         };
     }
     
+    /**
+     * Get save data
+     */
+    getSaveData() {
+        return {
+            storyFlags: Object.fromEntries(this.storyFlags),
+            completedEvents: Array.from(this.completedEvents),
+            unlockedAreas: Array.from(this.unlockedAreas),
+            npcStates: Object.fromEntries(
+                Array.from(this.npcPersonalities.entries())
+                    .map(([id, npc]) => [id, { trust: npc.trust, dialogueMood: npc.dialogueMood }])
+            )
+        };
+    }
+    
+    /**
+     * Load save data
+     * Starts from a fresh state so anything missing from the save keeps its default
+     */
+    loadSaveData(data) {
+        this.reset();
+        if (!data) return;
+        
+        Object.entries(data.storyFlags || {}).forEach(([flag, value]) => {
+            this.storyFlags.set(flag, value);
+        });
+        
+        (data.completedEvents || []).forEach(eventId => this.completedEvents.add(eventId));
+        (data.unlockedAreas || []).forEach(areaId => this.unlockedAreas.add(areaId));
+        
+        Object.entries(data.npcStates || {}).forEach(([npcId, state]) => {
+            const npc = this.npcPersonalities.get(npcId);
+            if (!npc) {
+                console.warn(`[DialogueSystem] Saved state for unknown NPC ${npcId} ignored`);
+                return;
+            }
+            if (typeof state.trust === 'number') {
+                npc.trust = Math.max(0, Math.min(npc.maxTrust, state.trust));
+            }
+            if (state.dialogueMood) {
+                npc.dialogueMood = state.dialogueMood;
+            }
+        });
+        
+        console.log('[DialogueSystem] Loaded save data:', this.getStoryProgress());
+    }
+    
     /**
      * Reset dialogue system (for new game)
      */
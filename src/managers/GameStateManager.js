@@ -1,6 +1,8 @@
 /**
  * GameStateManager - Centralized game state management
- * Tracks universal gameplay time, player stats, NPC states
+ * Tracks universal gameplay time, player stats, NPC states, the current map
+ * and per-map NPC state (defeated/recruited NPCs)
+ * Saves also carry the difficulty (NpcAI owns the setting)
  * Persists across all scenes
  */
 
@@ -9,6 +11,12 @@ import { moneyManager } from './MoneyManager.js';
 import { itemsManager } from './ItemsManager.js';
 import { skillsManager } from './SkillsManager.js';
 import { partyLeadershipManager } from './PartyLeadershipManager.js';
+import { dialogueSystem } from './DialogueSystem.js';
+import { questManager } from './QuestManager.js';
+import { saveMigrations, CURRENT_SAVE_VERSION } from './SaveMigrations.js';
+import { npcAI, DEFAULT_DIFFICULTY } from '../ai/NpcAI.js';
+import { mapRegistry, DEFAULT_MAP_KEY } from '../data/MapRegistry.js';
+import SaveState from '../SaveState.js';
 
 export default class GameStateManager {
     constructor() {
@@ -25,12 +33,37 @@ export default class GameStateManager {
         this.pauseStartTime = null;
 
         // Player state
-        this.playerStats = {
+        this.playerStats = this.getDefaultPlayerStats();
+
+        // NPC states (keyed by NPC ID)
+        this.npcStats = {};
+
+        // Current map (MapRegistry key) and per-map NPC state
+        this.currentMap = DEFAULT_MAP_KEY;
+        this.mapStates = {}; // map key -> { defeatedNpcIds: Set, recruitedNpcIds: Set }
+
+        // Battle/negotiation history
+        this.battleHistory = [];
+        this.negotiationHistory = [];
+
+        // Save slot this session was loaded from / last saved to
+        this.currentSlot = null;
+
+        console.log('[GameStateManager] Initialized singleton instance');
+    }
+
+    /**
+     * Fresh level 1 player stats
+     */
+    getDefaultPlayerStats() {
+        return {
             level: 1,
             experience: 0,
             experienceToNextLevel: 100,
             health: 100,
             maxHealth: 100,
+            mp: 30,
+            maxMp: 30,
             attack: 10,
             defense: 5,
             speed: 100,
@@ -38,18 +71,6 @@ export default class GameStateManager {
             x: 0,
             y: 0
         };
-
-        // NPC states (keyed by NPC ID)
-        this.npcStats = {};
-
-        // Defeated NPCs tracking
-        this.defeatedNpcIds = new Set();
-
-        // Battle/negotiation history
-        this.battleHistory = [];
-        this.negotiationHistory = [];
-
-        console.log('[GameStateManager] Initialized singleton instance');
     }
 
     /**
@@ -107,11 +128,18 @@ export default class GameStateManager {
      * Get formatted play time as HH:MM:SS
      */
     getFormattedPlayTime() {
-        const totalSeconds = Math.floor(this.getPlayTime() / 1000);
+        return this.formatPlayTime(this.getPlayTime());
+    }
+
+    /**
+     * Format a play time in milliseconds as HH:MM:SS
+     */
+    formatPlayTime(ms) {
+        const totalSeconds = Math.floor((ms || 0) / 1000);
         const hours = Math.floor(totalSeconds / 3600);
         const minutes = Math.floor((totalSeconds % 3600) / 60);
         const seconds = totalSeconds % 60;
-        
+
         return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
     }
 
@@ -155,22 +183,73 @@ export default class GameStateManager {
         }
     }
 
+    /**
+     * Set the map the party is on (MapRegistry key)
+     */
+    setCurrentMap(mapKey) {
+        this.currentMap = mapKey;
+        console.log(`[GameStateManager] Current map: ${mapKey}`);
+    }
+
+    /**
+     * Get the NPC state of a map, creating an empty one on first visit
+     * @returns {Object} - { defeatedNpcIds: Set, recruitedNpcIds: Set }
+     */
+    getMapState(mapKey = this.currentMap) {
+        if (!this.mapStates[mapKey]) {
+            this.mapStates[mapKey] = { defeatedNpcIds: new Set(), recruitedNpcIds: new Set() };
+        }
+        return this.mapStates[mapKey];
+    }
+
     /**
      * Mark NPC as defeated
      */
-    markNpcDefeated(npcId) {
-        this.defeatedNpcIds.add(npcId);
+    markNpcDefeated(npcId, mapKey = this.currentMap) {
+        this.getMapState(mapKey).defeatedNpcIds.add(npcId);
         if (this.npcStats[npcId]) {
             this.npcStats[npcId].health = 0;
         }
-        console.log(`[GameStateManager] Marked NPC ${npcId} as defeated`);
+        console.log(`[GameStateManager] Marked NPC ${npcId} as defeated on ${mapKey}`);
+    }
+
+    /**
+     * Mark NPC as recruited (removed from its map for good)
+     */
+    markNpcRecruited(npcId, mapKey = this.currentMap) {
+        this.getMapState(mapKey).recruitedNpcIds.add(npcId);
+        console.log(`[GameStateManager] Marked NPC ${npcId} as recruited on ${mapKey}`);
     }
 
     /**
      * Check if NPC is defeated
      */
-    isNpcDefeated(npcId) {
-        return this.defeatedNpcIds.has(npcId);
+    isNpcDefeated(npcId, mapKey = this.currentMap) {
+        return this.getMapState(mapKey).defeatedNpcIds.has(npcId);
+    }
+
+    /**
+     * Get the defeated NPC ids of a map
+     */
+    getDefeatedNpcIds(mapKey = this.currentMap) {
+        return Array.from(this.getMapState(mapKey).defeatedNpcIds);
+    }
+
+    /**
+     * Get the recruited NPC ids of a map
+     */
+    getRecruitedNpcIds(mapKey = this.currentMap) {
+        return Array.from(this.getMapState(mapKey).recruitedNpcIds);
+    }
+
+    /**
+     * Per-map NPC state as plain arrays (save format)
+     */
+    serializeMapStates() {
+        return Object.fromEntries(Object.entries(this.mapStates).map(([mapKey, state]) => [mapKey, {
+            defeatedNpcIds: Array.from(state.defeatedNpcIds),
+            recruitedNpcIds: Array.from(state.recruitedNpcIds)
+        }]));
     }
 
     /**
@@ -196,6 +275,104 @@ export default class GameStateManager {
         console.log(`[GameStateManager] Player health updated to ${this.playerStats.health}/${this.playerStats.maxHealth}`);
     }
 
+    /**
+     * Update player MP
+     */
+    updatePlayerMP(mp) {
+        this.playerStats.mp = Math.max(0, Math.min(mp, this.playerStats.maxMp));
+        console.log(`[GameStateManager] Player MP updated to ${this.playerStats.mp}/${this.playerStats.maxMp}`);
+    }
+
+    /**
+     * Refill MP for the player and every party member (resting at a save point)
+     */
+    restorePartyMP() {
+        this.playerStats.mp = this.playerStats.maxMp;
+        partyLeadershipManager.getParty().forEach(member => {
+            const maxMp = member.id === 'player' ? this.playerStats.maxMp : member.stats.maxMp;
+            partyLeadershipManager.updateMemberStats(member.id, { mp: maxMp, maxMp });
+        });
+        console.log('[GameStateManager] 💧 Party MP restored');
+    }
+
+    /**
+     * HP/MP of a party member (player vitals live here, recruits keep theirs in their party stats)
+     * @param {string} memberId - 'player' or npcId
+     * @returns {Object|null} { health, maxHealth, mp, maxMp }
+     */
+    getMemberVitals(memberId) {
+        if (memberId === 'player') {
+            const { health, maxHealth, mp = 0, maxMp = 0 } = this.playerStats;
+            return { health, maxHealth, mp, maxMp };
+        }
+        const member = partyLeadershipManager.getParty().find(m => m.id === memberId);
+        if (!member) return null;
+        const { health, maxHealth = health, mp = 0, maxMp = 0 } = member.stats;
+        return { health, maxHealth, mp, maxMp };
+    }
+
+    /**
+     * What a consumable would do to a party member outside of battle
+     * Only healing and MP items work in the field - boosts are battle only
+     * @returns {Object} { before, after } vitals, or { error }
+     */
+    previewFieldItem(itemId, memberId) {
+        const item = itemsManager.getItemInfo(itemId);
+        const effect = item?.effect;
+        if (!item || item.type !== 'consumable' || !effect) {
+            return { error: `${item?.name || 'That'} can't be used` };
+        }
+        if (effect.type !== 'heal' && effect.type !== 'mana') {
+            return { error: `${item.name} only works in battle` };
+        }
+
+        const before = this.getMemberVitals(memberId);
+        const name = partyLeadershipManager.getParty().find(m => m.id === memberId)?.name;
+        if (!before) return { error: 'Not in the party' };
+        if (before.health <= 0) return { error: `${name} is downed` };
+
+        const after = { ...before };
+        if (effect.type === 'heal') {
+            if (before.health >= before.maxHealth) return { error: `${name}'s HP is already full` };
+            after.health = Math.min(before.maxHealth, before.health + effect.amount);
+        } else {
+            if (before.mp >= before.maxMp) return { error: `${name}'s MP is already full` };
+            after.mp = Math.min(before.maxMp, before.mp + effect.amount);
+        }
+        return { before, after };
+    }
+
+    /**
+     * Use a consumable on a party member from the field menu
+     * @returns {Object} { success, message }
+     */
+    useFieldItem(itemId, memberId) {
+        const { before, after, error } = this.previewFieldItem(itemId, memberId);
+        if (error) {
+            return { success: false, message: error };
+        }
+        if (!itemsManager.useItem(itemId)) {
+            return { success: false, message: "You don't have that item" };
+        }
+
+        if (memberId === 'player') {
+            this.updatePlayerHealth(after.health);
+            this.updatePlayerMP(after.mp);
+        }
+        partyLeadershipManager.updateMemberStats(memberId, {
+            health: after.health,
+            maxHealth: after.maxHealth,
+            mp: after.mp,
+            maxMp: after.maxMp
+        });
+
+        const item = itemsManager.getItemInfo(itemId);
+        const name = partyLeadershipManager.getParty().find(m => m.id === memberId)?.name;
+        const restored = after.health > before.health ? `+${after.health - before.health} HP` : `+${Math.floor(after.mp - before.mp)} MP`;
+        console.log(`[GameStateManager] 🎒 ${item.name} used on ${name} (${restored})`);
+        return { success: true, message: `${item.name} → ${name} (${restored})` };
+    }
+
     /**
      * Get all game state data
      */
@@ -205,20 +382,116 @@ export default class GameStateManager {
             formattedPlayTime: this.getFormattedPlayTime(),
             playerStats: this.getPlayerStats(),
             npcStats: { ...this.npcStats },
-            defeatedNpcIds: Array.from(this.defeatedNpcIds),
+            currentMap: this.currentMap,
+            mapStates: this.serializeMapStates(),
             battleHistory: [...this.battleHistory],
             negotiationHistory: [...this.negotiationHistory]
         };
     }
 
     /**
-     * Save game state to localStorage
+     * Build the summary shown in slot browsers
      * @param {Object} playerPosition - {x, y} coordinates of player
      */
-    saveGame(playerPosition = null) {
-        console.log('[GameStateManager] ========== SAVING GAME ==========');
-        console.log('[GameStateManager] Player position to save:', playerPosition);
-        
+    buildSaveMetadata(playerPosition = null) {
+        const party = partyLeadershipManager.getParty();
+        const leader = party[0];
+        const leaderLevel = !leader || leader.type === 'player'
+            ? this.playerStats.level
+            : (leader.stats?.level || 1);
+
+        return {
+            playTime: this.getPlayTime(),
+            leaderName: leader ? leader.name : 'Player',
+            leaderLevel: leaderLevel,
+            partyRoster: party.map(member => member.name),
+            difficulty: npcAI.getDifficultyKey(),
+            location: playerPosition
+                ? {
+                    x: Math.floor(playerPosition.x),
+                    y: Math.floor(playerPosition.y),
+                    map: this.currentMap,
+                    mapName: mapRegistry.get(this.currentMap)?.name || this.currentMap
+                }
+                : null,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Read a slot and run it through migration + validation
+     * @param {number} slot
+     * @returns {Object} - { success, data, error, warnings } (data is null for an empty slot)
+     */
+    readSaveSlot(slot) {
+        let rawState;
+        try {
+            rawState = SaveState.load(slot);
+        } catch (e) {
+            return { success: false, data: null, error: 'Save file is not valid JSON', warnings: [] };
+        }
+
+        if (!rawState) {
+            return { success: true, data: null, error: null, warnings: [] };
+        }
+
+        return saveMigrations.prepare(rawState);
+    }
+
+    /**
+     * Get metadata for one slot
+     * @param {number|string} slot
+     * @returns {Object} - { slot, isEmpty, isCorrupt, error, meta }
+     */
+    getSlotInfo(slot) {
+        const result = this.readSaveSlot(slot);
+
+        if (!result.success) {
+            console.error(`[GameStateManager] Slot ${slot} is unreadable:`, result.error);
+            return { slot, isEmpty: false, isCorrupt: true, error: result.error, meta: null };
+        }
+
+        if (!result.data) {
+            return { slot, isEmpty: true, isCorrupt: false, error: null, meta: null };
+        }
+
+        return { slot, isEmpty: false, isCorrupt: false, error: null, meta: result.data.meta };
+    }
+
+    /**
+     * Get metadata for every numbered save slot (empty and corrupted slots included)
+     * @returns {Array} - [{ slot, isEmpty, isCorrupt, error, meta }]
+     */
+    getSaveSlots() {
+        SaveState.migrateLegacySave();
+
+        return SaveState.getSlotIds().map(slot => this.getSlotInfo(slot));
+    }
+
+    /**
+     * Check whether any slot holds a save
+     */
+    hasSaveData() {
+        return this.getSaveSlots().some(slot => !slot.isEmpty);
+    }
+
+    /**
+     * Get the slot with the newest savedAt timestamp
+     * @returns {number|null}
+     */
+    getMostRecentSlot() {
+        const filled = this.getSaveSlots().filter(slot => !slot.isEmpty && !slot.isCorrupt);
+        if (filled.length === 0) return null;
+
+        filled.sort((a, b) => new Date(b.meta.savedAt || 0) - new Date(a.meta.savedAt || 0));
+        return filled[0].slot;
+    }
+
+    /**
+     * Build the full save payload from the current state
+     * @param {Object} playerPosition - {x, y} coordinates of player
+     */
+    buildSaveData(playerPosition = null) {
         // Get money, items, and skills data
         const mm = moneyManager;
         const im = itemsManager;
@@ -226,11 +499,15 @@ export default class GameStateManager {
         
         const plm = partyLeadershipManager;
         
-        const gameState = {
+        return {
+            version: CURRENT_SAVE_VERSION,
+            meta: this.buildSaveMetadata(playerPosition),
             playTime: this.getPlayTime(),
             playerStats: this.playerStats,
             npcStats: this.npcStats,
-            defeatedNpcIds: Array.from(this.defeatedNpcIds),
+            currentMap: this.currentMap,
+            mapStates: this.serializeMapStates(),
+            difficulty: npcAI.getDifficultyKey(),
             battleHistory: this.battleHistory,
             negotiationHistory: this.negotiationHistory,
             playerPosition: playerPosition,
@@ -238,17 +515,32 @@ export default class GameStateManager {
             items: im ? im.getSaveData() : { inventory: [] },
             skills: sm ? sm.getSaveData() : { playerSkills: { unlocked: ['quick_strike'], equipped: ['quick_strike'], maxEquipped: 4, cooldowns: {} }, playerEnergy: { current: 100, max: 100, regenRate: 2 } },
             party: plm ? plm.getSaveData() : { party: [], originalPlayerData: null },
+            dialogue: dialogueSystem.getSaveData(),
+            quests: questManager.getSaveData(),
             savedAt: new Date().toISOString()
         };
+    }
+
+    /**
+     * Save game state to a localStorage slot
+     * @param {Object} playerPosition - {x, y} coordinates of player
+     * @param {number} slot - Slot to write (defaults to the current slot, then slot 1)
+     */
+    saveGame(playerPosition = null, slot = this.currentSlot || 1) {
+        console.log('[GameStateManager] ========== SAVING GAME ==========');
+        console.log('[GameStateManager] Player position to save:', playerPosition);
+        console.log('[GameStateManager] Target slot:', slot);
+        
+        const gameState = this.buildSaveData(playerPosition);
 
         try {
-            localStorage.setItem('gameState', JSON.stringify(gameState));
+            SaveState.save(gameState, slot);
+            this.currentSlot = slot;
             console.log('[GameStateManager] ✅ Game saved successfully:', gameState);
-            console.log('[GameStateManager] LocalStorage key "gameState" set');
+            console.log(`[GameStateManager] LocalStorage key "${SaveState.getSlotKey(slot)}" set`);
             
             // Verify save
-            const verification = localStorage.getItem('gameState');
-            console.log('[GameStateManager] Verification - data exists in localStorage:', !!verification);
+            console.log('[GameStateManager] Verification - data exists in localStorage:', SaveState.exists(slot));
             
             return true;
         } catch (e) {
@@ -260,65 +552,239 @@ export default class GameStateManager {
     }
 
     /**
-     * Load game state from localStorage
-     * @returns {Object|null} - Loaded game state with player position, or null if no save exists
+     * Load game state from a localStorage slot
+     * Old saves are migrated to the current version and validated before anything is applied
+     * @param {number} slot - Slot to read (defaults to the most recently saved slot)
+     * @returns {Object} - { success, slot, mapKey, playerPosition, defeatedNpcIds, warnings } or { success: false, error }
      */
-    loadGame() {
+    loadGame(slot = this.getMostRecentSlot()) {
         console.log('[GameStateManager] ========== LOADING GAME ==========');
-        const savedState = localStorage.getItem('gameState');
+        console.log('[GameStateManager] Loading slot:', slot);
+        const result = slot ? this.readSaveSlot(slot) : { success: true, data: null };
         
-        if (savedState) {
-            const gameState = JSON.parse(savedState);
-            console.log('[GameStateManager] Raw loaded data:', gameState);
-            
-            this.totalPlayTime = gameState.playTime || 0;
-            this.playerStats = gameState.playerStats || this.playerStats;
-            this.npcStats = gameState.npcStats || {};
-            this.defeatedNpcIds = new Set(gameState.defeatedNpcIds || []);
-            this.battleHistory = gameState.battleHistory || [];
-            this.negotiationHistory = gameState.negotiationHistory || [];
-            
-            // Restore money, items, skills, and party
-            const mm = moneyManager;
-            const im = itemsManager;
-            const sm = skillsManager;
-            const plm = partyLeadershipManager;
-            
-            if (mm && gameState.money) {
-                mm.loadSaveData(gameState.money);
-            }
-            
-            if (im && gameState.items) {
-                im.loadSaveData(gameState.items);
-            }
+        if (!result.success) {
+            console.error(`[GameStateManager] ❌ Slot ${slot} rejected:`, result.error);
+            console.log('[GameStateManager] =====================================');
+            return { success: false, slot, error: result.error };
+        }
+        
+        const gameState = result.data;
+        if (gameState) {
+            console.log('[GameStateManager] Loaded data (v' + gameState.version + '):', gameState);
             
-            if (sm && gameState.skills) {
-                sm.loadSaveData(gameState.skills);
+            try {
+                this.applySaveData(gameState);
+            } catch (e) {
+                console.error('[GameStateManager] ❌ Failed to apply save data:', e);
+                console.log('[GameStateManager] =====================================');
+                return { success: false, slot, error: `Save data could not be applied: ${e.message}` };
             }
-            
-            if (plm && gameState.party) {
-                plm.loadSaveData(gameState.party);
+            // Manual saves after loading an autosave go to a numbered slot, not the rolling one
+            if (slot !== SaveState.AUTOSAVE_SLOT) {
+                this.currentSlot = slot;
             }
             
             console.log('[GameStateManager] ✅ State restored:');
             console.log('  - Play time:', this.totalPlayTime, 'ms');
             console.log('  - Player stats:', this.playerStats);
-            console.log('  - Defeated NPCs:', Array.from(this.defeatedNpcIds));
+            console.log('  - Map:', this.currentMap);
+            console.log('  - Defeated NPCs on map:', this.getDefeatedNpcIds());
             console.log('  - Player position:', gameState.playerPosition);
-            console.log('  - Money:', mm ? mm.getMoney() : 'N/A');
-            console.log('  - Items:', im ? im.getInventory().length : 'N/A', 'types');
+            console.log('  - Money:', moneyManager.getMoney());
+            console.log('  - Items:', itemsManager.getInventory().length, 'types');
             console.log('[GameStateManager] =====================================');
             
+            // A position on a map that no longer exists would drop the party somewhere random
+            const onSavedMap = this.currentMap === gameState.currentMap;
+            
             return {
                 success: true,
-                playerPosition: gameState.playerPosition || null,
-                defeatedNpcIds: Array.from(this.defeatedNpcIds)
+                slot: slot,
+                mapKey: this.currentMap,
+                playerPosition: onSavedMap ? gameState.playerPosition || null : null,
+                defeatedNpcIds: this.getDefeatedNpcIds(),
+                warnings: result.warnings
             };
         }
         
         console.log('[GameStateManager] ⚠️ No save data found');
         console.log('[GameStateManager] =====================================');
-        return { success: false };
+        return { success: false, error: 'No save data found' };
+    }
+
+    /**
+     * Apply a migrated and validated save payload to this manager and its sub-managers
+     * @param {Object} gameState
+     */
+    applySaveData(gameState) {
+        this.totalPlayTime = gameState.playTime;
+        this.playerStats = { ...this.getDefaultPlayerStats(), ...gameState.playerStats };
+        this.npcStats = gameState.npcStats;
+        this.mapStates = {};
+        Object.entries(gameState.mapStates).forEach(([mapKey, state]) => {
+            this.mapStates[mapKey] = {
+                defeatedNpcIds: new Set(state.defeatedNpcIds),
+                recruitedNpcIds: new Set(state.recruitedNpcIds)
+            };
+        });
+        if (mapRegistry.has(gameState.currentMap)) {
+            this.currentMap = gameState.currentMap;
+        } else {
+            console.warn(`[GameStateManager] ⚠️ Saved map "${gameState.currentMap}" does not exist - starting on ${DEFAULT_MAP_KEY}`);
+            this.currentMap = DEFAULT_MAP_KEY;
+        }
+        this.battleHistory = gameState.battleHistory;
+        this.negotiationHistory = gameState.negotiationHistory;
+        npcAI.setDifficulty(gameState.difficulty);
+        
+        // Restore money, items, skills, and party (sections dropped by validation fall back to defaults)
+        if (gameState.money) {
+            moneyManager.loadSaveData(gameState.money);
+        } else {
+            moneyManager.reset();
+        }
+        
+        if (gameState.items) {
+            itemsManager.loadSaveData(gameState.items);
+        } else {
+            itemsManager.reset();
+        }
+        
+        if (gameState.skills) {
+            skillsManager.loadSaveData(gameState.skills);
+        } else {
+            skillsManager.reset();
+        }
+        
+        if (gameState.party) {
+            partyLeadershipManager.loadSaveData(gameState.party);
+        } else {
+            partyLeadershipManager.reset();
+        }
+        
+        if (gameState.dialogue) {
+            dialogueSystem.loadSaveData(gameState.dialogue);
+        } else {
+            dialogueSystem.reset();
+        }
+        
+        if (gameState.quests) {
+            questManager.loadSaveData(gameState.quests);
+        } else {
+            questManager.reset();
+        }
+    }
+
+    /**
+     * Write the current state to the rolling autosave slot
+     * Does not change currentSlot, so manual saves keep going to the player's chosen slot
+     * @param {Object} playerPosition - {x, y} coordinates of player
+     */
+    autosave(playerPosition = null) {
+        try {
+            SaveState.save(this.buildSaveData(playerPosition), SaveState.AUTOSAVE_SLOT);
+            console.log('[GameStateManager] 💾 Autosaved at', playerPosition);
+            return true;
+        } catch (e) {
+            console.error('[GameStateManager] ❌ Autosave failed:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Get metadata for the autosave slot
+     */
+    getAutosaveInfo() {
+        return this.getSlotInfo(SaveState.AUTOSAVE_SLOT);
+    }
+
+    /**
+     * Export the current state as a downloadable file
+     * @param {Object} playerPosition - {x, y} coordinates of player
+     * @param {boolean} compress - gzip the JSON (falls back to plain JSON if the browser can't)
+     * @returns {Promise<Object>} - { blob, fileName, compressed }
+     */
+    async exportSave(playerPosition = null, compress = false) {
+        const json = JSON.stringify(this.buildSaveData(playerPosition), null, compress ? 0 : 2);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const baseName = `nageex-save${this.currentSlot ? `-slot${this.currentSlot}` : ''}-${stamp}.json`;
+
+        if (compress && typeof CompressionStream !== 'undefined') {
+            const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('gzip'));
+            const blob = await new Response(stream).blob();
+            console.log(`[GameStateManager] 📦 Exported compressed save (${json.length} → ${blob.size} bytes)`);
+            return { blob, fileName: `${baseName}.gz`, compressed: true };
+        }
+
+        if (compress) {
+            console.warn('[GameStateManager] ⚠️ CompressionStream not supported - exporting plain JSON');
+        }
+        console.log(`[GameStateManager] 📦 Exported save (${json.length} bytes)`);
+        return { blob: new Blob([json], { type: 'application/json' }), fileName: baseName, compressed: false };
+    }
+
+    /**
+     * Import a save file (.json or gzipped .json.gz) into a slot
+     * The file is migrated and validated before anything is written to localStorage
+     * @param {File|Blob} file
+     * @param {number} slot
+     * @returns {Promise<Object>} - { success, slot, meta, warnings } or { success: false, error }
+     */
+    async importSave(file, slot) {
+        console.log(`[GameStateManager] ========== IMPORTING SAVE → SLOT ${slot} ==========`);
+        let text;
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            const isGzip = bytes[0] === 0x1f && bytes[1] === 0x8b;
+
+            if (isGzip) {
+                if (typeof DecompressionStream === 'undefined') {
+                    return { success: false, error: 'This browser cannot read compressed saves' };
+                }
+                const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+                text = await new Response(stream).text();
+            } else {
+                text = new TextDecoder().decode(bytes);
+            }
+        } catch (e) {
+            console.error('[GameStateManager] ❌ Failed to read save file:', e);
+            return { success: false, error: 'Save file could not be read' };
+        }
+
+        let rawState;
+        try {
+            rawState = JSON.parse(text);
+        } catch (e) {
+            return { success: false, error: 'Save file is not valid JSON' };
+        }
+
+        const result = saveMigrations.prepare(rawState);
+        if (!result.success) {
+            console.error('[GameStateManager] ❌ Import rejected:', result.error);
+            return { success: false, error: result.error };
+        }
+
+        try {
+            SaveState.save(result.data, slot);
+        } catch (e) {
+            console.error('[GameStateManager] ❌ Failed to write imported save:', e);
+            return { success: false, error: 'Not enough storage space for this save' };
+        }
+
+        console.log(`[GameStateManager] ✅ Imported save into slot ${slot}`);
+        return { success: true, slot, meta: result.data.meta, warnings: result.warnings };
+    }
+
+    /**
+     * Delete the save in a slot
+     * @param {number} slot
+     */
+    deleteSave(slot) {
+        SaveState.clear(slot);
+        if (this.currentSlot === slot) {
+            this.currentSlot = null;
+        }
+        console.log(`[GameStateManager] 🗑️ Deleted save in slot ${slot}`);
     }
 
     /**
@@ -330,25 +796,16 @@ export default class GameStateManager {
         this.isPaused = false;
         this.pauseStartTime = null;
         
-        this.playerStats = {
-            level: 1,
-            experience: 0,
-            experienceToNextLevel: 100,
-            health: 100,
-            maxHealth: 100,
-            attack: 10,
-            defense: 5,
-            speed: 100,
-            x: 0,
-            y: 0
-        };
+        this.playerStats = this.getDefaultPlayerStats();
         
         this.npcStats = {};
-        this.defeatedNpcIds = new Set();
+        this.currentMap = DEFAULT_MAP_KEY;
+        this.mapStates = {};
         this.battleHistory = [];
         this.negotiationHistory = [];
+        npcAI.setDifficulty(DEFAULT_DIFFICULTY);
         
-        // Reset money, items, skills, and party
+        // Reset money, items, skills, party, story and quest progress
         const mm = moneyManager;
         const im = itemsManager;
         const sm = skillsManager;
@@ -358,9 +815,12 @@ export default class GameStateManager {
         if (im) im.reset();
         if (sm) sm.reset();
         if (plm) plm.reset();
+        dialogueSystem.reset();
+        questManager.reset();
         
-        localStorage.removeItem('gameState');
-        console.log('[GameStateManager] Game state reset (including money, items, and party)');
+        // Saved slots are left untouched - a new game only picks a slot when it saves
+        this.currentSlot = null;
+        console.log('[GameStateManager] Game state reset (including money, items, party, story and quest progress)');
     }
 }
 
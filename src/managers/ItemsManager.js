@@ -3,6 +3,23 @@
  * Singleton pattern for managing player's items across all scenes
  */
 
+// Equipment slots every party member has (PartyLeadershipManager stores what's in them)
+export const EQUIPMENT_SLOTS = ['weapon', 'armor', 'accessory'];
+
+// Inventory categories (MenuScene tabs) and the item types in each
+export const ITEM_CATEGORIES = [
+    { id: 'consumable', label: 'Consumables', icon: '🧪', types: ['consumable'] },
+    { id: 'equipment', label: 'Equipment', icon: '⚔️', types: ['equipment'] },
+    { id: 'key', label: 'Key Items', icon: '📜', types: ['quest'] },
+    { id: 'valuable', label: 'Valuables', icon: '💎', types: ['valuable'] }
+];
+
+// Inventory sort orders
+export const SORT_MODES = ['type', 'name', 'value'];
+
+// Stack limit for items without a maxStack
+const DEFAULT_MAX_STACK = 10;
+
 class ItemsManager {
     constructor() {
         if (ItemsManager.instance) {
@@ -20,22 +37,43 @@ class ItemsManager {
                 description: 'Restores 50 HP',
                 type: 'consumable',
                 value: 25,
+                maxStack: 10,
                 effect: { type: 'heal', amount: 50 }
             },
             'mana_potion': {
                 id: 'mana_potion',
                 name: 'Mana Potion',
-                description: 'Restores 30 Mana',
+                description: 'Restores 30 MP',
                 type: 'consumable',
                 value: 20,
+                maxStack: 10,
                 effect: { type: 'mana', amount: 30 }
             },
+            'greater_potion': {
+                id: 'greater_potion',
+                name: 'Greater Potion',
+                description: 'Restores 120 HP',
+                type: 'consumable',
+                value: 70,
+                maxStack: 5,
+                effect: { type: 'heal', amount: 120 }
+            },
+            'greater_mana_potion': {
+                id: 'greater_mana_potion',
+                name: 'Greater Mana Potion',
+                description: 'Restores 80 MP',
+                type: 'consumable',
+                value: 60,
+                maxStack: 5,
+                effect: { type: 'mana', amount: 80 }
+            },
             'attack_boost': {
                 id: 'attack_boost',
                 name: 'Attack Boost',
                 description: 'Temporarily increases attack by 10',
                 type: 'consumable',
                 value: 30,
+                maxStack: 5,
                 effect: { type: 'attack', amount: 10, duration: 3 }
             },
             'defense_boost': {
@@ -44,6 +82,7 @@ class ItemsManager {
                 description: 'Temporarily increases defense by 10',
                 type: 'consumable',
                 value: 30,
+                maxStack: 5,
                 effect: { type: 'defense', amount: 10, duration: 3 }
             },
             'ancient_scroll': {
@@ -52,14 +91,100 @@ class ItemsManager {
                 description: 'Contains ancient knowledge',
                 type: 'quest',
                 value: 100,
+                maxStack: 1,
+                effect: null
+            },
+            'merchant_package': {
+                id: 'merchant_package',
+                name: 'Sealed Package',
+                description: "Marcus's delivery - do not open",
+                type: 'quest',
+                value: 0,
+                maxStack: 1,
                 effect: null
             },
             'gold_ring': {
                 id: 'gold_ring',
                 name: 'Gold Ring',
-                description: 'A valuable gold ring',
-                type: 'valuable',
+                description: 'A valuable gold ring (+1 DEF, +5 SPD)',
+                type: 'equipment',
+                slot: 'accessory',
                 value: 150,
+                maxStack: 3,
+                stats: { defense: 1, speed: 5 },
+                effect: null
+            },
+            'sage_ring': {
+                id: 'sage_ring',
+                name: "Sage's Ring",
+                description: 'A gold ring inscribed with ancient words (+2 ATK, +2 DEF, +5 SPD)',
+                type: 'equipment',
+                slot: 'accessory',
+                value: 300,
+                maxStack: 1,
+                stats: { attack: 2, defense: 2, speed: 5 },
+                effect: null
+            },
+            'wooden_sword': {
+                id: 'wooden_sword',
+                name: 'Wooden Sword',
+                description: 'Better than bare hands (+3 ATK)',
+                type: 'equipment',
+                slot: 'weapon',
+                value: 40,
+                maxStack: 3,
+                stats: { attack: 3 },
+                effect: null
+            },
+            'iron_sword': {
+                id: 'iron_sword',
+                name: 'Iron Sword',
+                description: 'A well-balanced blade (+6 ATK)',
+                type: 'equipment',
+                slot: 'weapon',
+                value: 90,
+                maxStack: 3,
+                stats: { attack: 6 },
+                effect: null
+            },
+            'leather_armor': {
+                id: 'leather_armor',
+                name: 'Leather Armor',
+                description: 'Light protection (+3 DEF)',
+                type: 'equipment',
+                slot: 'armor',
+                value: 45,
+                maxStack: 3,
+                stats: { defense: 3 },
+                effect: null
+            },
+            'chain_mail': {
+                id: 'chain_mail',
+                name: 'Chain Mail',
+                description: 'Heavy but sturdy (+6 DEF, -2 SPD)',
+                type: 'equipment',
+                slot: 'armor',
+                value: 100,
+                maxStack: 3,
+                stats: { defense: 6, speed: -2 },
+                effect: null
+            },
+            'old_coin': {
+                id: 'old_coin',
+                name: 'Old Coin',
+                description: 'A worn coin from another age - collectors pay well',
+                type: 'valuable',
+                value: 35,
+                maxStack: 20,
+                effect: null
+            },
+            'ruby': {
+                id: 'ruby',
+                name: 'Ruby',
+                description: 'A flawless red gem',
+                type: 'valuable',
+                value: 120,
+                maxStack: 10,
                 effect: null
             }
         };
@@ -85,6 +210,39 @@ class ItemsManager {
         return item ? item.quantity : 0;
     }
     
+    /**
+     * Get how many more items fit in the inventory
+     */
+    getFreeSpace() {
+        const totalItems = this.inventory.reduce((sum, item) => sum + item.quantity, 0);
+        return Math.max(0, this.maxInventorySize - totalItems);
+    }
+    
+    /**
+     * Get the most of one item the inventory can hold
+     */
+    getStackLimit(itemId) {
+        return this.itemDatabase[itemId]?.maxStack || DEFAULT_MAX_STACK;
+    }
+    
+    /**
+     * Get how many more of an item can be added (stack limit and total space)
+     */
+    getRoomFor(itemId) {
+        const stackRoom = Math.max(0, this.getStackLimit(itemId) - this.getItemCount(itemId));
+        return Math.min(stackRoom, this.getFreeSpace());
+    }
+    
+    /**
+     * Why an item can't be added, or null if it fits
+     * @returns {string|null}
+     */
+    getAddError(itemId, quantity = 1) {
+        if (quantity <= this.getRoomFor(itemId)) return null;
+        if (quantity > this.getFreeSpace()) return 'Inventory full!';
+        return `Can't carry more than ${this.getStackLimit(itemId)} ${this.itemDatabase[itemId].name}`;
+    }
+    
     /**
      * Add item to inventory
      * @param {string} itemId - Item ID from database
@@ -97,10 +255,10 @@ class ItemsManager {
             return false;
         }
         
-        // Check inventory space
-        const totalItems = this.inventory.reduce((sum, item) => sum + item.quantity, 0);
-        if (totalItems + quantity > this.maxInventorySize) {
-            console.warn('[ItemsManager] Inventory full!');
+        // Check inventory space and the stack limit
+        const error = this.getAddError(itemId, quantity);
+        if (error) {
+            console.warn(`[ItemsManager] ${error}`);
             return false;
         }
         
@@ -195,6 +353,78 @@ class ItemsManager {
         return this.itemDatabase[itemId] ? { ...this.itemDatabase[itemId] } : null;
     }
     
+    /**
+     * Check if an item can be equipped
+     */
+    isEquipment(itemId) {
+        const item = this.itemDatabase[itemId];
+        return !!item && item.type === 'equipment' && EQUIPMENT_SLOTS.includes(item.slot);
+    }
+    
+    /**
+     * Get equipment in the inventory that fits a slot
+     * @param {string} slot - 'weapon', 'armor' or 'accessory'
+     */
+    getEquipmentForSlot(slot) {
+        return this.inventory.filter(item => item.type === 'equipment' && item.slot === slot);
+    }
+    
+    /**
+     * Get the category id of an item ('consumable', 'equipment', 'key' or 'valuable')
+     */
+    getCategory(itemId) {
+        const type = this.itemDatabase[itemId]?.type;
+        return ITEM_CATEGORIES.find(category => category.types.includes(type))?.id || null;
+    }
+    
+    /**
+     * Get the items of one category in a sort order
+     * @param {string|null} categoryId - Category id (null = every item)
+     * @param {string} sortBy - 'type', 'name' or 'value' (most valuable first)
+     */
+    getSortedInventory(categoryId = null, sortBy = 'type') {
+        const categoryOrder = ITEM_CATEGORIES.map(category => category.id);
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const compare = {
+            type: (a, b) => categoryOrder.indexOf(this.getCategory(a.id)) - categoryOrder.indexOf(this.getCategory(b.id)) ||
+                (a.slot || '').localeCompare(b.slot || '') || byName(a, b),
+            name: byName,
+            value: (a, b) => b.value - a.value || byName(a, b)
+        }[sortBy] || byName;
+        
+        return this.inventory
+            .filter(item => !categoryId || this.getCategory(item.id) === categoryId)
+            .sort(compare);
+    }
+    
+    /**
+     * Check if an item can be thrown away (quest items can't)
+     */
+    canDiscard(itemId) {
+        const item = this.itemDatabase[itemId];
+        return !!item && item.type !== 'quest';
+    }
+    
+    /**
+     * Throw items away
+     * @returns {Object} { success, message }
+     */
+    discardItem(itemId, quantity = 1) {
+        const item = this.itemDatabase[itemId];
+        if (!item) {
+            return { success: false, message: 'Nothing to discard' };
+        }
+        if (!this.canDiscard(itemId)) {
+            return { success: false, message: `${item.name} is needed for a quest` };
+        }
+        if (!this.removeItem(itemId, quantity)) {
+            return { success: false, message: `You don't have ${quantity}x ${item.name}` };
+        }
+        
+        console.log(`[ItemsManager] 🗑️ Discarded ${quantity}x ${item.name}`);
+        return { success: true, message: `Discarded ${quantity}x ${item.name}` };
+    }
+    
     /**
      * Get total inventory value
      */
@@ -0,0 +1,133 @@
+/**
+ * LootManager - Enemy loot tables and battle rewards
+ * Loot tables belong to the NPC types in types.json:
+ *   "loot": { "gold": { "min", "max" }, "dropChance", "rolls", "drops": [{ "itemId", "weight", "quantity" }] }
+ * Each roll drops one weighted item with dropChance; gold scales with the defeated NPC's level
+ * and the difficulty (StatsManager reward multiplier).
+ * NPC definitions can add their own "loot" entries ({ itemId, chance, quantity }) on top.
+ * Items that don't fit in the inventory (or their stack) are sold on the spot at the merchant sell price.
+ */
+
+import { itemsManager } from './ItemsManager.js';
+import { moneyManager } from './MoneyManager.js';
+import { shopManager } from './ShopManager.js';
+import { npcDefinitionManager } from './NpcDefinitionManager.js';
+import { statsManager } from './StatsManager.js';
+
+const GOLD_PER_LEVEL = 0.25; // +25% gold per level above 1
+
+class LootManager {
+    constructor() {
+        if (LootManager.instance) {
+            return LootManager.instance;
+        }
+
+        LootManager.instance = this;
+    }
+
+    /**
+     * Roll the loot of a defeated enemy
+     * @param {Object} enemyData - { type, level, loot } (BattleScene enemyData)
+     * @returns {Object} { gold, items: [{ itemId, quantity }] }
+     */
+    rollLoot(enemyData) {
+        const table = npcDefinitionManager.getNpcTypes()[enemyData.type]?.loot;
+        const level = Math.max(1, enemyData.level || 1);
+        const loot = { gold: 0, items: [] };
+
+        if (table) {
+            const baseGold = table.gold.min + Math.floor(Math.random() * (table.gold.max - table.gold.min + 1));
+            loot.gold = statsManager.scaleGoldReward(baseGold * (1 + (level - 1) * GOLD_PER_LEVEL));
+
+            for (let roll = 0; roll < table.rolls; roll++) {
+                if (Math.random() >= table.dropChance) continue;
+                const drop = this.pickWeighted(table.drops);
+                if (drop) {
+                    this.addToLoot(loot, drop.itemId, drop.quantity);
+                }
+            }
+        }
+
+        // Extra drops from the NPC's own definition
+        (enemyData.loot || []).forEach(entry => {
+            if (Math.random() < entry.chance) {
+                this.addToLoot(loot, entry.itemId, entry.quantity);
+            }
+        });
+
+        console.log(`[LootManager] 🎲 ${enemyData.type} (Lvl ${level}) dropped ${loot.gold} gold`, loot.items);
+        return loot;
+    }
+
+    /**
+     * Pick one entry by weight
+     * @returns {Object|null}
+     */
+    pickWeighted(drops) {
+        const totalWeight = drops.reduce((sum, drop) => sum + drop.weight, 0);
+        let pick = Math.random() * totalWeight;
+        for (const drop of drops) {
+            pick -= drop.weight;
+            if (pick < 0) return drop;
+        }
+        return null;
+    }
+
+    addToLoot(loot, itemId, quantity) {
+        if (!itemsManager.getItemInfo(itemId)) {
+            console.warn(`[LootManager] Loot table has unknown item: ${itemId}`);
+            return;
+        }
+        const existing = loot.items.find(item => item.itemId === itemId);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            loot.items.push({ itemId, quantity });
+        }
+    }
+
+    /**
+     * Give the player the loot of a battle
+     * @param {Array} loots - rollLoot() results
+     * @returns {Object} { gold, items: [{ itemId, name, quantity }], sold: [{ itemId, name, quantity, gold }], lost: [{ itemId, name, quantity }] }
+     *   gold includes what overflow items sold for
+     */
+    grantLoot(loots) {
+        const result = { gold: 0, items: [], sold: [], lost: [] };
+        const combined = { gold: 0, items: [] };
+        loots.forEach(loot => {
+            combined.gold += loot.gold;
+            loot.items.forEach(item => this.addToLoot(combined, item.itemId, item.quantity));
+        });
+
+        combined.items.forEach(({ itemId, quantity }) => {
+            const item = itemsManager.getItemInfo(itemId);
+            const fits = Math.min(quantity, itemsManager.getRoomFor(itemId));
+            if (fits > 0 && itemsManager.addItem(itemId, fits)) {
+                result.items.push({ itemId, name: item.name, quantity: fits });
+            }
+
+            const overflow = quantity - Math.max(0, fits);
+            if (overflow <= 0) return;
+            if (shopManager.canSell(itemId)) {
+                const gold = shopManager.getSellPrice(itemId) * overflow;
+                result.sold.push({ itemId, name: item.name, quantity: overflow, gold });
+                result.gold += gold;
+            } else {
+                result.lost.push({ itemId, name: item.name, quantity: overflow });
+            }
+            console.log(`[LootManager] Inventory full - ${overflow}x ${item.name} ${shopManager.canSell(itemId) ? 'sold' : 'left behind'}`);
+        });
+
+        result.gold += combined.gold;
+        if (result.gold > 0) {
+            moneyManager.addMoney(result.gold, 'Battle loot');
+        }
+
+        console.log(`[LootManager] 💰 Battle loot: ${result.gold} gold, ${result.items.length} item type(s)`);
+        return result;
+    }
+}
+
+// Export singleton instance
+export const lootManager = new LootManager();
@@ -0,0 +1,219 @@
+import Phaser from "phaser";
+
+/**
+ * MapObjectManager - Reads placement data from the Tiled map's object layers
+ * Spawns (NPC points named by NPC id, optional "player" point, named "arrival" points
+ * for warps), SavePoints, Vehicles, Triggers, Zones and Warps (rectangles).
+ * Custom properties are flattened into a plain `properties` object on each parsed map object
+ */
+export const MAP_OBJECT_LAYERS = {
+    spawns: 'Spawns',
+    savePoints: 'SavePoints',
+    vehicles: 'Vehicles',
+    triggers: 'Triggers',
+    zones: 'Zones',
+    warps: 'Warps'
+};
+
+export default class MapObjectManager {
+    constructor(scene, map) {
+        this.scene = scene;
+        this.map = map;
+
+        this.npcPlacements = new Map(); // NPC id -> {x, y}
+        this.playerSpawn = null;
+        this.arrivals = new Map(); // Arrival point name -> {x, y}
+        this.savePoints = [];
+        this.vehicles = [];
+        this.triggers = [];
+        this.zones = [];
+        this.warps = [];
+
+        this.activeTriggerIds = new Set(); // Triggers the player is currently standing in
+        this.activeWarpIds = null; // Warps the player is standing in (null until the first update)
+        this.currentZone = null;
+    }
+
+    /**
+     * Parse all object layers (call once after the tilemap is created)
+     */
+    parse() {
+        console.log('[MapObjectManager] ========== PARSING MAP OBJECTS ==========');
+
+        this.getLayerObjects(MAP_OBJECT_LAYERS.spawns).forEach(obj => {
+            if (obj.type === 'player') {
+                this.playerSpawn = { x: obj.x, y: obj.y };
+            } else if (obj.type === 'arrival') {
+                if (!obj.name) {
+                    console.warn(`[MapObjectManager] ⚠️ Arrival point #${obj.id} has no name - skipped`);
+                    return;
+                }
+                this.arrivals.set(obj.name, { x: obj.x, y: obj.y });
+            } else if (obj.type === 'npc') {
+                const npcId = obj.properties.npcId || obj.name;
+                if (!npcId) {
+                    console.warn(`[MapObjectManager] ⚠️ NPC spawn #${obj.id} has no name/npcId - skipped`);
+                    return;
+                }
+                if (this.npcPlacements.has(npcId)) {
+                    console.warn(`[MapObjectManager] ⚠️ NPC ${npcId} is placed twice - using the first spawn`);
+                    return;
+                }
+                this.npcPlacements.set(npcId, { x: obj.x, y: obj.y });
+            } else {
+                console.warn(`[MapObjectManager] ⚠️ Unknown spawn type "${obj.type}" on #${obj.id}`);
+            }
+        });
+
+        this.savePoints = this.getLayerObjects(MAP_OBJECT_LAYERS.savePoints).map(obj => this.getCenter(obj));
+
+        this.vehicles = this.getLayerObjects(MAP_OBJECT_LAYERS.vehicles).map(obj => ({
+            ...this.getCenter(obj),
+            requiredPartySize: obj.properties.requiredPartySize ?? 4,
+            scene: obj.properties.scene || 'ShooterScene'
+        }));
+
+        this.triggers = this.getLayerObjects(MAP_OBJECT_LAYERS.triggers).map(obj => ({
+            ...obj,
+            bounds: this.getBounds(obj)
+        }));
+
+        this.zones = this.getLayerObjects(MAP_OBJECT_LAYERS.zones).map(obj => ({
+            id: obj.id,
+            name: obj.name,
+            areaId: obj.properties.areaId || obj.name,
+            properties: obj.properties,
+            bounds: this.getBounds(obj)
+        }));
+
+        this.warps = this.getLayerObjects(MAP_OBJECT_LAYERS.warps).reduce((warps, obj) => {
+            const { targetMap, targetSpawn } = obj.properties;
+            if (!targetMap) {
+                console.warn(`[MapObjectManager] ⚠️ Warp #${obj.id} has no targetMap - skipped`);
+                return warps;
+            }
+            warps.push({
+                id: obj.id,
+                name: obj.name,
+                targetMap,
+                targetSpawn: targetSpawn || null,
+                properties: obj.properties,
+                bounds: this.getBounds(obj)
+            });
+            return warps;
+        }, []);
+
+        console.log('[MapObjectManager] Parsed:', {
+            npcPlacements: this.npcPlacements.size,
+            playerSpawn: this.playerSpawn,
+            arrivals: this.arrivals.size,
+            savePoints: this.savePoints.length,
+            vehicles: this.vehicles.length,
+            triggers: this.triggers.length,
+            zones: this.zones.length,
+            warps: this.warps.length
+        });
+        console.log('[MapObjectManager] =====================================');
+    }
+
+    /**
+     * Get the objects of one layer in a normalized format
+     * @returns {Array} - [{ id, name, type, x, y, width, height, isPoint, properties }]
+     */
+    getLayerObjects(layerName) {
+        const layer = this.map.getObjectLayer(layerName);
+        if (!layer) {
+            console.warn(`[MapObjectManager] ⚠️ Map has no "${layerName}" object layer`);
+            return [];
+        }
+
+        return layer.objects.map(obj => ({
+            id: obj.id,
+            name: obj.name || '',
+            type: obj.type || obj.class || '',
+            x: obj.x,
+            y: obj.y,
+            width: obj.width || 0,
+            height: obj.height || 0,
+            isPoint: obj.point === true || (!obj.width && !obj.height),
+            properties: this.getProperties(obj)
+        }));
+    }
+
+    /**
+     * Flatten Tiled custom properties ([{name, type, value}]) into an object
+     */
+    getProperties(obj) {
+        if (Array.isArray(obj.properties)) {
+            return obj.properties.reduce((props, prop) => {
+                props[prop.name] = prop.value;
+                return props;
+            }, {});
+        }
+        return { ...(obj.properties || {}) };
+    }
+
+    /**
+     * Position of a point object, or the center of a rectangle
+     */
+    getCenter(obj) {
+        return obj.isPoint
+            ? { x: obj.x, y: obj.y }
+            : { x: obj.x + obj.width / 2, y: obj.y + obj.height / 2 };
+    }
+
+    getBounds(obj) {
+        return new Phaser.Geom.Rectangle(obj.x, obj.y, obj.width, obj.height);
+    }
+
+    /**
+     * Get the zone containing a world position (first match in layer order)
+     */
+    getZoneAt(x, y) {
+        return this.zones.find(zone => zone.bounds.contains(x, y)) || null;
+    }
+
+    /**
+     * Get a named arrival point (null if the map doesn't have it)
+     */
+    getArrival(name) {
+        return this.arrivals.get(name) || null;
+    }
+
+    /**
+     * Check zone, trigger and warp overlaps for the controlled character
+     * Calls scene.onMapZoneChanged(zone, previousZone), scene.onMapTrigger(trigger) and
+     * scene.onMapWarp(warp) when the player enters a zone, trigger or warp rectangle
+     */
+    update(player) {
+        if (!player) return;
+
+        const zone = this.getZoneAt(player.x, player.y);
+        if (zone !== this.currentZone) {
+            const previousZone = this.currentZone;
+            this.currentZone = zone;
+            this.scene.onMapZoneChanged?.(zone, previousZone);
+        }
+
+        this.triggers.forEach(trigger => {
+            const inside = trigger.bounds.contains(player.x, player.y);
+            if (inside && !this.activeTriggerIds.has(trigger.id)) {
+                this.activeTriggerIds.add(trigger.id);
+                this.scene.onMapTrigger?.(trigger);
+            } else if (!inside) {
+                this.activeTriggerIds.delete(trigger.id);
+            }
+        });
+
+        // Warps the player is already standing in on the first update (e.g. arriving on a
+        // doorway) don't fire until they step out and back in
+        const insideWarps = this.warps.filter(warp => warp.bounds.contains(player.x, player.y));
+        if (this.activeWarpIds) {
+            const enteredWarp = insideWarps.find(warp => !this.activeWarpIds.has(warp.id));
+            if (enteredWarp) {
+                this.scene.onMapWarp?.(enteredWarp);
+            }
+        }
+        this.activeWarpIds = new Set(insideWarps.map(warp => warp.id));
+    }
+}
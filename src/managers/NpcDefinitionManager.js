@@ -0,0 +1,515 @@
+/**
+ * NpcDefinitionManager - Loads NPC definitions from JSON under public/assets/data/npcs
+ * types.json holds the shared NPC type templates (GUARD, MERCHANT, ...),
+ * each registered map has its own file listing its NPCs including recruitable characters.
+ * NPC ids are unique across all maps (save data tracks NPCs by id).
+ * Types can carry a loot table, a battle script (see validateBattleScript) and a boss block
+ * that turns them into a boss encounter (see validateBoss).
+ * Entries are validated when loaded; invalid ones are skipped with an error log.
+ * Positions come from the current map's Spawns object layer (see setPlacements),
+ * a "position" in the JSON is only used for NPCs the map doesn't place
+ */
+
+import { mapRegistry } from '../data/MapRegistry.js';
+import { STATUS_EFFECTS } from './StatusEffectManager.js';
+
+const NPC_TYPES_KEY = 'npcTypes';
+const NPC_TYPES_PATH = '/assets/data/npcs/types.json';
+
+const BEHAVIORS = ['patrol', 'wander', 'stationary'];
+
+// Battle script actions: melee/projectile are enemy turn strikes, combo is the juggle chain
+// BattleAI starts while the player is vulnerable, the rest can be used in both
+const BATTLE_ACTION_TYPES = ['melee', 'projectile', 'combo', 'area', 'heal', 'summon', 'buff'];
+const ATTACK_ACTION_TYPES = ['melee', 'projectile', 'combo', 'area'];
+const DAMAGE_TERMS = ['base', 'perLevel', 'perCombo', 'missingHealth'];
+const HEALTH_CONDITIONS = ['selfHealthBelow', 'selfHealthAbove', 'allyHealthBelow'];
+const COUNT_CONDITIONS = ['alliesAtLeast', 'alliesAtMost'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Convert a JSON color ("#ff0000", "0xff0000" or a number) to a Phaser color number
+ * @returns {number|null} - null if the value is not a color
+ */
+function parseColor(value) {
+    if (isNumber(value)) return value;
+    if (typeof value !== 'string') return null;
+    const match = value.match(/^(#|0x)([0-9a-f]{6})$/i);
+    return match ? parseInt(match[2], 16) : null;
+}
+
+export default class NpcDefinitionManager {
+    constructor() {
+        // Initialize as singleton
+        if (NpcDefinitionManager.instance) {
+            return NpcDefinitionManager.instance;
+        }
+        NpcDefinitionManager.instance = this;
+
+        this.npcTypes = {};        // type key -> type template
+        this.definitions = [];     // All valid NPC definitions of every map, in file order
+        this.placements = new Map(); // NPC id -> {x, y} from the current map's Spawns layer
+        this.currentMapKey = null;
+        this.loaded = false;
+
+        console.log('[NpcDefinitionManager] Initialized');
+    }
+
+    /**
+     * Queue the definition files on a scene's loader (call from preload)
+     * @param {Phaser.Loader.LoaderPlugin} loader
+     */
+    preload(loader) {
+        loader.json(NPC_TYPES_KEY, NPC_TYPES_PATH);
+        mapRegistry.getAll().forEach(map => loader.json(map.npcDataKey, map.npcPath));
+    }
+
+    /**
+     * Read and validate the definition files from the JSON cache (call from create)
+     * @param {Phaser.Cache.BaseCache} jsonCache - scene.cache.json
+     * @returns {Object} - { typeCount, npcCount, errors }
+     */
+    loadFromCache(jsonCache) {
+        const npcFiles = {};
+        mapRegistry.getAll().forEach(map => {
+            npcFiles[map.key] = jsonCache.get(map.npcDataKey);
+        });
+        return this.load(jsonCache.get(NPC_TYPES_KEY), npcFiles);
+    }
+
+    /**
+     * Validate raw definition data and replace the current definitions
+     * @param {Object} typesData - Parsed types.json ({ types: {...} })
+     * @param {Object} npcFiles - Map key -> parsed NPC file ({ npcs: [...] })
+     * @returns {Object} - { typeCount, npcCount, errors }
+     */
+    load(typesData, npcFiles) {
+        console.log('[NpcDefinitionManager] ========== LOADING NPC DEFINITIONS ==========');
+        const errors = [];
+
+        this.npcTypes = {};
+        if (!isObject(typesData?.types)) {
+            errors.push(`${NPC_TYPES_PATH}: missing "types" object`);
+        } else {
+            Object.entries(typesData.types).forEach(([typeKey, rawType]) => {
+                const { type, error } = this.validateType(typeKey, rawType);
+                if (error) {
+                    errors.push(`${NPC_TYPES_PATH}: type ${typeKey} - ${error}`);
+                } else {
+                    this.npcTypes[typeKey] = type;
+                }
+            });
+        }
+
+        // Summons can reference any type, so they're checked once every type is known
+        Object.entries(this.npcTypes).forEach(([typeKey, type]) => {
+            const scripts = [type.battle, ...(type.boss?.phases.map(phase => phase.battle) || [])];
+            const summon = scripts.flatMap(script => script?.actions || [])
+                .find(action => action.type === 'summon' && !this.npcTypes[action.summonType]);
+            if (summon) {
+                errors.push(`${NPC_TYPES_PATH}: type ${typeKey} - battle action ${summon.id} summons unknown type ${summon.summonType}`);
+                delete this.npcTypes[typeKey];
+            }
+        });
+
+        this.definitions = [];
+        const seenIds = new Set();
+        Object.entries(npcFiles).forEach(([mapKey, npcData]) => {
+            const path = mapRegistry.get(mapKey)?.npcPath || mapKey;
+            if (!Array.isArray(npcData?.npcs)) {
+                errors.push(`${path}: missing "npcs" array`);
+                return;
+            }
+
+            npcData.npcs.forEach((rawNpc, index) => {
+                const label = rawNpc?.id ? `NPC ${rawNpc.id}` : `entry #${index}`;
+                const { definition, error } = this.validateNpc(rawNpc);
+                if (error) {
+                    errors.push(`${path}: ${label} - ${error}`);
+                } else if (seenIds.has(definition.id)) {
+                    errors.push(`${path}: ${label} - duplicate id`);
+                } else {
+                    seenIds.add(definition.id);
+                    this.definitions.push({ ...definition, mapKey });
+                }
+            });
+        });
+
+        errors.forEach(error => console.error('[NpcDefinitionManager] ❌ Skipped:', error));
+
+        this.loaded = true;
+        const typeCount = Object.keys(this.npcTypes).length;
+        const npcCount = this.definitions.length;
+        console.log(`[NpcDefinitionManager] ✅ Loaded ${typeCount} NPC types, ${npcCount} NPCs (${this.definitions.filter(definition => definition.recruitable).length} recruitable)`);
+        console.log('[NpcDefinitionManager] =====================================');
+
+        return { typeCount, npcCount, errors };
+    }
+
+    /**
+     * Validate one NPC type template
+     * @returns {Object} - { type, error }
+     */
+    validateType(typeKey, raw) {
+        if (!isObject(raw)) return { error: 'not an object' };
+        if (typeof raw.name !== 'string' || !raw.name) return { error: 'missing name' };
+        if (!isNumber(raw.health) || raw.health <= 0) return { error: 'health must be a positive number' };
+        if (!isNumber(raw.triggerRadius) || raw.triggerRadius <= 0) return { error: 'triggerRadius must be a positive number' };
+        if (!BEHAVIORS.includes(raw.behavior)) return { error: `behavior must be one of ${BEHAVIORS.join(', ')}` };
+
+        const color = parseColor(raw.color);
+        if (color === null) return { error: 'color must be "#rrggbb"' };
+
+        const { loot, error } = this.validateLootTable(raw.loot);
+        if (error) return { error };
+
+        const { battle, error: battleError } = this.validateBattleScript(raw.battle);
+        if (battleError) return { error: battleError };
+
+        const { boss, error: bossError } = this.validateBoss(raw.boss);
+        if (bossError) return { error: bossError };
+
+        return {
+            type: {
+                ...raw,
+                level: isNumber(raw.level) ? raw.level : 1,
+                color,
+                size: isObject(raw.size) && isNumber(raw.size.width) && isNumber(raw.size.height)
+                    ? raw.size
+                    : { width: 32, height: 64 },
+                patrolRadius: isNumber(raw.patrolRadius) ? raw.patrolRadius : 100,
+                spawnWeight: isNumber(raw.spawnWeight) ? raw.spawnWeight : 1,
+                loot,
+                battle,
+                boss
+            }
+        };
+    }
+
+    /**
+     * Validate an NPC type loot table (optional)
+     * @returns {Object} - { loot, error } - loot is null when the type drops nothing
+     */
+    validateLootTable(raw) {
+        if (raw === undefined) return { loot: null };
+        if (!isObject(raw)) return { error: 'loot must be an object' };
+
+        const gold = raw.gold ?? { min: 0, max: 0 };
+        if (!(isObject(gold) && isNumber(gold.min) && isNumber(gold.max) && gold.min >= 0 && gold.max >= gold.min)) {
+            return { error: 'loot.gold must be { min, max } with 0 <= min <= max' };
+        }
+        if (!(isNumber(raw.dropChance) && raw.dropChance >= 0 && raw.dropChance <= 1)) {
+            return { error: 'loot.dropChance must be between 0 and 1' };
+        }
+        if (raw.rolls !== undefined && !(Number.isInteger(raw.rolls) && raw.rolls >= 0)) {
+            return { error: 'loot.rolls must be a whole number' };
+        }
+        if (!Array.isArray(raw.drops) || raw.drops.some(drop =>
+            !isObject(drop) || typeof drop.itemId !== 'string' ||
+            !(isNumber(drop.weight) && drop.weight > 0) ||
+            (drop.quantity !== undefined && !(Number.isInteger(drop.quantity) && drop.quantity > 0)))) {
+            return { error: 'loot.drops must be a list of { itemId, weight, quantity }' };
+        }
+
+        return {
+            loot: {
+                gold: { min: gold.min, max: gold.max },
+                dropChance: raw.dropChance,
+                rolls: raw.rolls ?? 1,
+                drops: raw.drops.map(drop => ({ itemId: drop.itemId, weight: drop.weight, quantity: drop.quantity ?? 1 }))
+            }
+        };
+    }
+
+    /**
+     * Validate an NPC type battle script (optional)
+     *   "battle": { "actions": [{ "id", "type", "weight", "cooldown" (ms), "when": {...}, ... }] }
+     * Attack actions (melee, projectile, combo, area) have "damage": { base, perLevel, perCombo, missingHealth },
+     * area attacks also have "telegraph" (ms of warning before they hit),
+     * heal has "amount" (fraction of max HP) and "target" ("lowest" or "self"),
+     * summon has "summonType", "count" and "maxEnemies", buff has "effect", "amount", "duration" and "target" ("self" or "allies" for buffs, "party" for debuffs).
+     * "when" conditions: selfHealthBelow/selfHealthAbove/allyHealthBelow (0-1), alliesAtLeast/alliesAtMost
+     * @returns {Object} - { battle, error } - battle is null when the type uses BattleAI's default script
+     */
+    validateBattleScript(raw) {
+        if (raw === undefined) return { battle: null };
+        if (!isObject(raw) || !Array.isArray(raw.actions) || raw.actions.length === 0) {
+            return { error: 'battle must be { actions: [...] } with at least one action' };
+        }
+
+        const actions = [];
+        for (const [index, action] of raw.actions.entries()) {
+            const label = `battle action ${action?.id || `#${index}`}`;
+            if (!isObject(action) || typeof action.id !== 'string' || !action.id) return { error: `${label} - missing id` };
+            if (actions.some(existing => existing.id === action.id)) return { error: `${label} - duplicate id` };
+            if (!BATTLE_ACTION_TYPES.includes(action.type)) return { error: `${label} - type must be one of ${BATTLE_ACTION_TYPES.join(', ')}` };
+            if (action.weight !== undefined && !(isNumber(action.weight) && action.weight > 0)) return { error: `${label} - weight must be positive` };
+            if (action.cooldown !== undefined && !(isNumber(action.cooldown) && action.cooldown >= 0)) return { error: `${label} - cooldown must be ms >= 0` };
+
+            const when = action.when ?? {};
+            if (!isObject(when) || Object.entries(when).some(([key, value]) =>
+                HEALTH_CONDITIONS.includes(key) ? !(isNumber(value) && value >= 0 && value <= 1)
+                    : COUNT_CONDITIONS.includes(key) ? !(Number.isInteger(value) && value >= 0)
+                        : true)) {
+                return { error: `${label} - when supports ${[...HEALTH_CONDITIONS, ...COUNT_CONDITIONS].join(', ')}` };
+            }
+
+            const normalized = { id: action.id, type: action.type, weight: action.weight ?? 1, cooldown: action.cooldown ?? 0, when: { ...when } };
+
+            if (ATTACK_ACTION_TYPES.includes(action.type)) {
+                const damage = action.damage;
+                if (!isObject(damage) || !isNumber(damage.base) ||
+                    Object.entries(damage).some(([key, value]) => !DAMAGE_TERMS.includes(key) || !isNumber(value))) {
+                    return { error: `${label} - damage must be { ${DAMAGE_TERMS.join(', ')} } with a base` };
+                }
+                normalized.damage = { base: damage.base, perLevel: damage.perLevel ?? 0, perCombo: damage.perCombo ?? 0, missingHealth: damage.missingHealth ?? 0 };
+                if (action.type === 'area') {
+                    if (action.telegraph !== undefined && !(isNumber(action.telegraph) && action.telegraph >= 0)) return { error: `${label} - telegraph must be ms >= 0` };
+                    normalized.telegraph = action.telegraph ?? 1500;
+                }
+            } else if (action.type === 'heal') {
+                if (!(isNumber(action.amount) && action.amount > 0 && action.amount <= 1)) return { error: `${label} - heal amount must be a fraction of max HP (0-1)` };
+                if (!['lowest', 'self'].includes(action.target ?? 'lowest')) return { error: `${label} - heal target must be lowest or self` };
+                normalized.amount = action.amount;
+                normalized.target = action.target ?? 'lowest';
+            } else if (action.type === 'summon') {
+                if (typeof action.summonType !== 'string' || !action.summonType) return { error: `${label} - missing summonType` };
+                if (action.count !== undefined && !(Number.isInteger(action.count) && action.count > 0)) return { error: `${label} - count must be a whole number` };
+                if (action.maxEnemies !== undefined && !(Number.isInteger(action.maxEnemies) && action.maxEnemies > 0)) return { error: `${label} - maxEnemies must be a whole number` };
+                normalized.summonType = action.summonType;
+                normalized.count = action.count ?? 1;
+                normalized.maxEnemies = action.maxEnemies ?? 4;
+            } else if (action.type === 'buff') {
+                if (!STATUS_EFFECTS[action.effect]) return { error: `${label} - unknown effect ${action.effect}` };
+                if (!(isNumber(action.duration) && action.duration > 0)) return { error: `${label} - buff duration must be ms > 0` };
+                if (!['self', 'allies', 'party'].includes(action.target ?? 'self')) return { error: `${label} - buff target must be self, allies or party` };
+                if ((action.target === 'party') !== STATUS_EFFECTS[action.effect].debuff) {
+                    return { error: `${label} - ${action.effect} must target ${STATUS_EFFECTS[action.effect].debuff ? 'party' : 'self or allies'}` };
+                }
+                normalized.effect = action.effect;
+                normalized.amount = isNumber(action.amount) ? action.amount : 0;
+                normalized.duration = action.duration;
+                normalized.target = action.target ?? 'self';
+            }
+
+            actions.push(normalized);
+        }
+
+        return { battle: { actions } };
+    }
+
+    /**
+     * Validate an NPC type boss block (optional)
+     *   "boss": { "title", "noFlee", "phases": [{ "name", "threshold", "message", "onEnter", "actions": [...] }],
+     *             "enrage": { "after" (ms), "damageMultiplier", "message" } }
+     * A phase starts once the boss HP fraction drops to its threshold (the first phase is 1) and replaces
+     * the battle script with its actions; onEnter names one of them (not an attack) to use right away.
+     * @returns {Object} - { boss, error } - boss is null for regular types
+     */
+    validateBoss(raw) {
+        if (raw === undefined) return { boss: null };
+        if (!isObject(raw)) return { error: 'boss must be an object' };
+        if (raw.title !== undefined && typeof raw.title !== 'string') return { error: 'boss.title must be a string' };
+        if (raw.noFlee !== undefined && typeof raw.noFlee !== 'boolean') return { error: 'boss.noFlee must be true or false' };
+        if (!Array.isArray(raw.phases) || raw.phases.length === 0) return { error: 'boss.phases must list at least one phase' };
+
+        const phases = [];
+        for (const [index, phase] of raw.phases.entries()) {
+            const label = `boss phase ${phase?.name || `#${index}`}`;
+            if (!isObject(phase) || typeof phase.name !== 'string' || !phase.name) return { error: `${label} - missing name` };
+
+            const threshold = index === 0 ? (phase.threshold ?? 1) : phase.threshold;
+            if (index === 0 && threshold !== 1) return { error: `${label} - the first phase starts at threshold 1` };
+            if (!(isNumber(threshold) && threshold > 0 && threshold <= 1)) return { error: `${label} - threshold must be an HP fraction (0-1]` };
+            if (index > 0 && threshold >= phases[index - 1].threshold) return { error: `${label} - thresholds must go down phase by phase` };
+
+            const { battle, error } = this.validateBattleScript({ actions: phase.actions });
+            if (error) return { error: `${label} - ${error}` };
+
+            if (phase.onEnter !== undefined) {
+                const onEnter = battle.actions.find(action => action.id === phase.onEnter);
+                if (!onEnter || ['melee', 'projectile', 'combo'].includes(onEnter.type)) {
+                    return { error: `${label} - onEnter must name one of its area, heal, summon or buff actions` };
+                }
+            }
+
+            phases.push({
+                name: phase.name,
+                threshold,
+                message: typeof phase.message === 'string' ? phase.message : null,
+                onEnter: phase.onEnter ?? null,
+                battle
+            });
+        }
+
+        let enrage = null;
+        if (raw.enrage !== undefined) {
+            if (!isObject(raw.enrage) || !(isNumber(raw.enrage.after) && raw.enrage.after > 0) ||
+                !(isNumber(raw.enrage.damageMultiplier) && raw.enrage.damageMultiplier >= 1)) {
+                return { error: 'boss.enrage must be { after (ms), damageMultiplier (>= 1), message }' };
+            }
+            enrage = {
+                after: raw.enrage.after,
+                damageMultiplier: raw.enrage.damageMultiplier,
+                message: typeof raw.enrage.message === 'string' ? raw.enrage.message : null
+            };
+        }
+
+        return {
+            boss: {
+                title: raw.title || null,
+                noFlee: raw.noFlee ?? true,
+                phases,
+                enrage
+            }
+        };
+    }
+
+    /**
+     * Validate one NPC definition
+     * Regular NPCs must use a known type; recruitable characters carry their own stats
+     * @returns {Object} - { definition, error }
+     */
+    validateNpc(raw) {
+        if (!isObject(raw)) return { error: 'not an object' };
+        if (typeof raw.id !== 'string' || !raw.id) return { error: 'missing id' };
+        if (typeof raw.type !== 'string' || !raw.type) return { error: 'missing type' };
+        if (raw.position !== undefined &&
+            !(isObject(raw.position) && isNumber(raw.position.x) && isNumber(raw.position.y))) {
+            return { error: 'position must be { x, y }' };
+        }
+        if (raw.stats !== undefined && !isObject(raw.stats)) return { error: 'stats must be an object' };
+
+        const recruitable = raw.recruitable === true;
+        const typeConfig = this.npcTypes[raw.type];
+        if (!recruitable && !typeConfig) return { error: `unknown type ${raw.type}` };
+
+        const behavior = raw.behavior ?? typeConfig?.behavior ?? 'stationary';
+        if (!BEHAVIORS.includes(behavior)) return { error: `behavior must be one of ${BEHAVIORS.join(', ')}` };
+
+        const loot = raw.loot ?? [];
+        if (!Array.isArray(loot) || loot.some(entry =>
+            !isObject(entry) || typeof entry.itemId !== 'string' ||
+            !(isNumber(entry.chance) && entry.chance >= 0 && entry.chance <= 1) ||
+            (entry.quantity !== undefined && !(isNumber(entry.quantity) && entry.quantity > 0)))) {
+            return { error: 'loot must be a list of { itemId, chance (0-1), quantity }' };
+        }
+
+        if (raw.stock !== undefined &&
+            !(Array.isArray(raw.stock) && raw.stock.every(itemId => typeof itemId === 'string'))) {
+            return { error: 'stock must be a list of item ids' };
+        }
+
+        const definition = {
+            id: raw.id,
+            type: raw.type,
+            name: raw.name || typeConfig?.name || raw.type,
+            position: raw.position ? { x: raw.position.x, y: raw.position.y } : null,
+            behavior,
+            stats: { ...(raw.stats || {}) },
+            dialogueKey: raw.dialogueKey || raw.type,
+            loot: loot.map(entry => ({ itemId: entry.itemId, chance: entry.chance, quantity: entry.quantity ?? 1 })),
+            stock: raw.stock ? [...raw.stock] : null,
+            recruitable
+        };
+
+        if (recruitable) {
+            if (!isNumber(definition.stats.health) || definition.stats.health <= 0) {
+                return { error: 'recruitable NPCs need stats.health' };
+            }
+            if (!Array.isArray(raw.abilities)) return { error: 'recruitable NPCs need an abilities list' };
+            if (raw.growth !== undefined && !(isObject(raw.growth) && Object.values(raw.growth).every(isNumber))) {
+                return { error: 'growth must map stats to per-level increases' };
+            }
+
+            const color = parseColor(raw.color ?? '#808080');
+            const indicatorColor = parseColor(raw.indicatorColor);
+            if (color === null || indicatorColor === null) return { error: 'color/indicatorColor must be "#rrggbb"' };
+
+            definition.stats.maxHealth = isNumber(definition.stats.maxHealth) ? definition.stats.maxHealth : definition.stats.health;
+            definition.stats.level = isNumber(definition.stats.level) ? definition.stats.level : 1;
+            definition.color = color;
+            definition.indicatorColor = indicatorColor;
+            definition.abilities = [...raw.abilities];
+            definition.dialogue = isObject(raw.dialogue) ? { ...raw.dialogue } : null;
+            definition.growth = raw.growth ? { ...raw.growth } : null;
+        }
+
+        return { definition };
+    }
+
+    /**
+     * Set the current map and its NPC positions (replaces previous placements)
+     * @param {Map<string, {x: number, y: number}>} placements - NPC id -> position
+     * @param {string} mapKey - MapRegistry key of the map the placements come from
+     */
+    setPlacements(placements, mapKey) {
+        this.placements = new Map(placements);
+        this.currentMapKey = mapKey;
+
+        this.placements.forEach((_, npcId) => {
+            const definition = this.getDefinition(npcId);
+            if (!definition) {
+                console.warn(`[NpcDefinitionManager] ⚠️ Map places unknown NPC: ${npcId}`);
+            } else if (definition.mapKey !== mapKey) {
+                console.warn(`[NpcDefinitionManager] ⚠️ Map ${mapKey} places ${npcId}, which belongs to ${definition.mapKey}`);
+            }
+        });
+    }
+
+    /**
+     * Get the definitions that belong to the current map
+     */
+    getCurrentMapDefinitions() {
+        return this.definitions.filter(definition => definition.mapKey === this.currentMapKey);
+    }
+
+    /**
+     * Resolve definitions to their map position, dropping NPCs with no position at all
+     */
+    getPlacedDefinitions(definitions) {
+        return definitions.reduce((placed, definition) => {
+            const position = this.placements.get(definition.id) || definition.position;
+            if (!position) {
+                console.error(`[NpcDefinitionManager] ❌ NPC ${definition.id} has no spawn point on the map - skipped`);
+                return placed;
+            }
+            placed.push({ ...definition, position: { ...position } });
+            return placed;
+        }, []);
+    }
+
+    /**
+     * Get NPC type templates keyed by type (NpcManager format)
+     */
+    getNpcTypes() {
+        return this.npcTypes;
+    }
+
+    /**
+     * Get the regular (battle-only) NPCs placed on the current map
+     */
+    getWorldNpcs() {
+        return this.getPlacedDefinitions(this.getCurrentMapDefinitions().filter(definition => !definition.recruitable));
+    }
+
+    /**
+     * Get the recruitable characters placed on the current map
+     */
+    getRecruitables() {
+        return this.getPlacedDefinitions(this.getCurrentMapDefinitions().filter(definition => definition.recruitable));
+    }
+
+    /**
+     * Get a single definition by NPC id (any map)
+     */
+    getDefinition(npcId) {
+        return this.definitions.find(definition => definition.id === npcId) || null;
+    }
+}
+
+// Export singleton instance
+const npcDefinitionManager = new NpcDefinitionManager();
+export { npcDefinitionManager };
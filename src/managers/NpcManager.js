@@ -1,4 +1,5 @@
 import Phaser from "phaser";
+import { npcAI } from "../ai/NpcAI.js";
 
 export default class NpcManager {
     constructor(scene) {
@@ -11,10 +12,11 @@ export default class NpcManager {
         this.isReturningFromBattle = false;
         this.playerStartPosition = { x: 100, y: 100 }; // Example player start position
         this.minimumDistanceFromPlayer = 200; // Minimum distance from player
-        this.npcTypes = [];
+        this.npcTypes = {};
         this.defeatedNpcIds = new Set(); // Track defeated NPCs
         this.lastBattleTime = 0;
         this.battleCooldownTime = 5000; // 5 seconds cooldown between battles
+        this.worldAI = null; // Set by attachWorldAI(); drives fixed NPC movement
 
         // Default spawn configuration
         this.spawnConfig = {
@@ -25,109 +27,18 @@ export default class NpcManager {
             spawnRadius: 100
         };
 
-        console.log('NpcManager: Initialized with default spawn config:', this.spawnConfig);
-
-        // NPC Types Configuration
-        this.npcTypes = {
-            GUARD: {
-                name: 'Guard',
-                health: 100,
-                level: 1,
-                color: 0xff0000,
-                size: { width: 32, height: 64 },
-                behavior: 'patrol',
-                patrolRadius: 100,
-                triggerRadius: 80,
-                spawnWeight: 2 // Higher weight means more likely to spawn
-            },
-            MERCHANT: {
-                name: 'Merchant',
-                health: 80,
-                level: 1,
-                color: 0x00ff00,
-                size: { width: 32, height: 64 },
-                behavior: 'stationary',
-                triggerRadius: 40,
-                spawnWeight: 1
-            },
-            VILLAGER: {
-                name: 'Villager',
-                health: 60,
-                level: 1,
-                color: 0x0000ff,
-                size: { width: 32, height: 64 },
-                behavior: 'wander',
-                wanderRadius: 50,
-                triggerRadius: 40,
-                spawnWeight: 3
-            }
-        };
-
-        // Fixed NPC Spawn Locations - These NPCs will always spawn at the same positions
-        // Each NPC has a permanent unique ID based on its position in this array
-        this.fixedNpcSpawns = [
-            // Area 1: Village Center
-            { id: 'npc_village_guard_1', type: 'GUARD', x: 200, y: 250, behavior: 'patrol' },
-            { id: 'npc_village_merchant_1', type: 'MERCHANT', x: 350, y: 280, behavior: 'stationary' },
-            { id: 'npc_village_villager_1', type: 'VILLAGER', x: 450, y: 220, behavior: 'wander' },
-            { id: 'npc_village_villager_2', type: 'VILLAGER', x: 280, y: 180, behavior: 'wander' },
-            
-            // Area 2: East Side
-            { id: 'npc_east_guard_1', type: 'GUARD', x: 650, y: 300, behavior: 'patrol' },
-            { id: 'npc_east_villager_1', type: 'VILLAGER', x: 750, y: 250, behavior: 'wander' },
-            { id: 'npc_east_merchant_1', type: 'MERCHANT', x: 850, y: 320, behavior: 'stationary' },
-            
-            // Area 3: South Side  
-            { id: 'npc_south_guard_1', type: 'GUARD', x: 400, y: 500, behavior: 'patrol' },
-            { id: 'npc_south_villager_1', type: 'VILLAGER', x: 300, y: 450, behavior: 'wander' },
-            { id: 'npc_south_villager_2', type: 'VILLAGER', x: 500, y: 480, behavior: 'wander' },
-            
-            // Area 4: North Side
-            { id: 'npc_north_guard_1', type: 'GUARD', x: 600, y: 100, behavior: 'patrol' },
-            { id: 'npc_north_villager_1', type: 'VILLAGER', x: 450, y: 80, behavior: 'wander' },
-            { id: 'npc_north_merchant_1', type: 'MERCHANT', x: 750, y: 120, behavior: 'stationary' },
-            
-            // Area 5: Southeast Outpost (1800px lower-right from South cluster) - Large Settlement
-            // Guards (6) - Patrol perimeter
-            { id: 'npc_southeast_guard_1', type: 'GUARD', x: 2150, y: 1450, behavior: 'patrol' },
-            { id: 'npc_southeast_guard_2', type: 'GUARD', x: 2280, y: 1380, behavior: 'patrol' },
-            { id: 'npc_southeast_guard_3', type: 'GUARD', x: 2100, y: 1550, behavior: 'patrol' },
-            { id: 'npc_southeast_guard_4', type: 'GUARD', x: 2320, y: 1500, behavior: 'patrol' },
-            { id: 'npc_southeast_guard_5', type: 'GUARD', x: 2180, y: 1350, behavior: 'patrol' },
-            { id: 'npc_southeast_guard_6', type: 'GUARD', x: 2250, y: 1580, behavior: 'patrol' },
-            
-            // Merchants (3) - Stationary market area
-            { id: 'npc_southeast_merchant_1', type: 'MERCHANT', x: 2220, y: 1520, behavior: 'stationary' },
-            { id: 'npc_southeast_merchant_2', type: 'MERCHANT', x: 2160, y: 1480, behavior: 'stationary' },
-            { id: 'npc_southeast_merchant_3', type: 'MERCHANT', x: 2280, y: 1450, behavior: 'stationary' },
-            
-            // Villagers (9) - Wander throughout settlement
-            { id: 'npc_southeast_villager_1', type: 'VILLAGER', x: 2080, y: 1500, behavior: 'wander' },
-            { id: 'npc_southeast_villager_2', type: 'VILLAGER', x: 2350, y: 1470, behavior: 'wander' },
-            { id: 'npc_southeast_villager_3', type: 'VILLAGER', x: 2200, y: 1420, behavior: 'wander' },
-            { id: 'npc_southeast_villager_4', type: 'VILLAGER', x: 2140, y: 1540, behavior: 'wander' },
-            { id: 'npc_southeast_villager_5', type: 'VILLAGER', x: 2300, y: 1380, behavior: 'wander' },
-            { id: 'npc_southeast_villager_6', type: 'VILLAGER', x: 2190, y: 1560, behavior: 'wander' },
-            { id: 'npc_southeast_villager_7', type: 'VILLAGER', x: 2120, y: 1430, behavior: 'wander' },
-            { id: 'npc_southeast_villager_8', type: 'VILLAGER', x: 2330, y: 1520, behavior: 'wander' },
-            { id: 'npc_southeast_villager_9', type: 'VILLAGER', x: 2240, y: 1410, behavior: 'wander' },
-            
-            // Additional NPCs for variety
-            { id: 'npc_extra_villager_1', type: 'VILLAGER', x: 150, y: 400, behavior: 'wander' },
-            { id: 'npc_extra_guard_1', type: 'GUARD', x: 900, y: 200, behavior: 'patrol' }
-        ];
-        
-        console.log(`NpcManager: Loaded ${this.fixedNpcSpawns.length} fixed NPC spawn locations`);
+        // NPC type templates and fixed spawns come from NpcDefinitionManager (JSON) via init()
+        // Each spawn has a permanent unique ID so defeated NPCs stay defeated across saves
+        this.fixedNpcSpawns = [];
 
-        console.log('NpcManager: Configuration loaded', {
-            npcTypes: Object.keys(this.npcTypes),
-            spawnConfig: this.spawnConfig
-        });
+        console.log('NpcManager: Initialized with default spawn config:', this.spawnConfig);
     }
 
     init(config) {
         console.log('NpcManager: Initializing with config:', config);
-        this.npcTypes = config.npcTypes || [];
+        this.npcTypes = config.npcTypes || {};
+        this.fixedNpcSpawns = config.npcSpawns || [];
+        console.log(`NpcManager: Loaded ${this.fixedNpcSpawns.length} fixed NPC spawn locations`);
         this.spawnConfig = {
             ...this.spawnConfig, // Keep default values
             ...config.spawnConfig // Override with provided values
@@ -175,7 +86,7 @@ export default class NpcManager {
             if (npc) {
                 this.npcs.push(npc);
                 spawnedCount++;
-                console.log(`[NpcManager] Spawned ${spawnData.type} at (${spawnData.x}, ${spawnData.y}) - ID: ${spawnData.id}`);
+                console.log(`[NpcManager] Spawned ${spawnData.type} at (${spawnData.position.x}, ${spawnData.position.y}) - ID: ${spawnData.id}`);
             }
         });
 
@@ -228,7 +139,8 @@ export default class NpcManager {
             return 'GUARD'; // Default fallback
         }
 
-        const types = Object.keys(this.npcTypes);
+        // Bosses only appear where a map places them
+        const types = Object.keys(this.npcTypes).filter(type => !this.npcTypes[type].boss);
         const weights = types.map(type => this.npcTypes[type].spawnWeight || 1);
         const totalWeight = weights.reduce((a, b) => a + b, 0);
         
@@ -278,7 +190,8 @@ export default class NpcManager {
     }
 
     spawnFixedNPC(spawnData) {
-        const { id, type, x, y, behavior } = spawnData;
+        const { id, type, behavior, stats = {} } = spawnData;
+        const { x, y } = spawnData.position;
         console.log(`NpcManager: Creating fixed NPC ${id} of type ${type} at (${x}, ${y})`);
         
         const npcConfig = this.npcTypes[type];
@@ -311,11 +224,15 @@ export default class NpcManager {
         npc.npcData = {
             id: id, // Use the fixed ID from spawn data
             type: type,
-            health: npcConfig.health,
-            level: npcConfig.level,
+            name: spawnData.name || npcConfig.name,
+            health: stats.health ?? npcConfig.health,
+            level: stats.level ?? npcConfig.level,
             behavior: behavior,
+            dialogueKey: spawnData.dialogueKey || type,
+            loot: spawnData.loot || [],
             triggerRadius: npcConfig.triggerRadius,
             patrolRadius: npcConfig.patrolRadius,
+            wanderRadius: npcConfig.wanderRadius ?? npcConfig.patrolRadius,
             originalX: x,
             originalY: y,
             lastMoveTime: 0,
@@ -387,9 +304,24 @@ export default class NpcManager {
         return npc;
     }
 
+    /**
+     * Hand the fixed NPCs over to WorldAI (patrol/wander/chase from their NpcAI profile).
+     * Recruitable NPCs stay with PartyManager.
+     * @param {WorldAI} worldAI
+     */
+    attachWorldAI(worldAI) {
+        this.worldAI = worldAI;
+        this.npcs
+            .filter(npc => !npc.npcData.isRecruitableCharacter)
+            .forEach(npc => worldAI.initNPC(npc, npcAI.getAIProfile(npc.npcData.type)));
+    }
+
     update() {
         this.npcs.forEach(npc => {
-            this.updateNPCBehavior(npc);
+            // WorldAI moves the NPCs it knows; the rest keep the simple legacy behaviors
+            if (!this.worldAI?.getState(npc)) {
+                this.updateNPCBehavior(npc);
+            }
             this.updateTriggerZone(npc);
         });
     }
@@ -435,14 +367,24 @@ export default class NpcManager {
         }
     }
 
-    checkInteraction(player) {
-        if (this.isReturningFromBattle) {
-            return;
-        }
+    /**
+     * True right after a battle (returning flag or battle cooldown still running)
+     */
+    isOnBattleCooldown() {
+        return this.isReturningFromBattle ||
+            this.scene.time.now - this.lastBattleTime < this.battleCooldownTime;
+    }
 
+    /**
+     * Could touching this NPC start a battle right now? (WorldAI only gives chase when it can)
+     */
+    canBattle(npc) {
+        return !this.isOnBattleCooldown() && !this.cooldowns.has(npc.npcData.id);
+    }
+
+    checkInteraction(player) {
         // Check battle cooldown
-        const currentTime = this.scene.time.now;
-        if (currentTime - this.lastBattleTime < this.battleCooldownTime) {
+        if (this.isOnBattleCooldown()) {
             return;
         }
 
@@ -590,6 +532,7 @@ export default class NpcManager {
                 }
                 
                 // Remove the NPC
+                this.worldAI?.removeNPC(npc);
                 npc.destroy();
                 
                 // Remove from array
@@ -621,6 +564,7 @@ export default class NpcManager {
             }
             
             // Destroy the NPC
+            this.worldAI?.removeNPC(npc);
             npc.destroy();
             
             // Remove from array
@@ -643,6 +587,13 @@ export default class NpcManager {
         };
     }
 
+    /**
+     * Total number of fixed NPCs defined for this map (defeated or not)
+     */
+    getTotalNpcCount() {
+        return this.fixedNpcSpawns.length;
+    }
+
     updateDefeatedNpcs(defeatedNpcIds) {
         console.log('[NpcManager] Updating defeated NPCs:', defeatedNpcIds);
         console.log('[NpcManager] Current NPCs in scene:', this.npcs.map(n => n.npcData.id));
@@ -671,6 +622,7 @@ export default class NpcManager {
             
             // Destroy the NPC sprite
             console.log(`[NpcManager] Destroying sprite for ${npc.npcData.id}`);
+            this.worldAI?.removeNPC(npc);
             npc.destroy();
             
             // Remove from cooldowns
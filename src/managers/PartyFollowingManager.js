@@ -2,6 +2,7 @@
  * PartyFollowingManager - Handles snake-trail following behavior for party members
  * Works with PartyLeadershipManager to get party order
  * Simple, clean logic: everyone follows the person in front of them
+ * With a Pathfinder set, followers walk around walls instead of through them
  */
 
 export default class PartyFollowingManager {
@@ -10,6 +11,41 @@ export default class PartyFollowingManager {
         this.followDistance = 60; // Distance between characters
         this.followSpeed = 0.15; // Smooth interpolation speed
         this.minFollowDistance = 10; // Stop moving if closer than this
+        this.pathfinder = null;
+    }
+
+    /**
+     * Route followers around walls with this Pathfinder
+     * @param {Pathfinder} pathfinder
+     */
+    setPathfinder(pathfinder) {
+        this.pathfinder = pathfinder;
+    }
+
+    /**
+     * Where a follower should step toward this frame to reach its target.
+     * Straight at the target when the way is clear, else the next waypoint of a path.
+     * @returns {Object} { x, y }
+     */
+    getStepTarget(follower, target, leaderInFront) {
+        const pathfinder = this.pathfinder;
+        const sprite = follower.sprite;
+        if (!pathfinder) return target;
+
+        // The spot behind the leader can be inside a wall - follow the leader's own position then
+        if (!pathfinder.isWalkable(target.x, target.y)) {
+            target = { x: leaderInFront.sprite.x, y: leaderInFront.sprite.y };
+        }
+
+        if (pathfinder.isClearLine(sprite.x, sprite.y, target.x, target.y)) {
+            pathfinder.setDebugPath(follower.id, null);
+            return target;
+        }
+
+        // Paths are cached per tile pair, so asking every frame is cheap
+        const path = pathfinder.findPath(sprite.x, sprite.y, target.x, target.y);
+        pathfinder.setDebugPath(follower.id, path);
+        return path?.[0] || target;
     }
 
     /**
@@ -48,9 +84,16 @@ export default class PartyFollowingManager {
 
             // Only move if far enough away
             if (distance > this.minFollowDistance) {
-                // Smooth movement towards target
-                follower.sprite.x += dx * this.followSpeed;
-                follower.sprite.y += dy * this.followSpeed;
+                // Smooth movement towards target, heading for the next waypoint when walls are in the way
+                const step = this.getStepTarget(follower, { x: targetX, y: targetY }, leaderInFront);
+                const stepX = step.x - follower.sprite.x;
+                const stepY = step.y - follower.sprite.y;
+                const stepDistance = Math.sqrt(stepX * stepX + stepY * stepY);
+                const moveDistance = Math.min(stepDistance, distance * this.followSpeed);
+                if (stepDistance > 0) {
+                    follower.sprite.x += stepX / stepDistance * moveDistance;
+                    follower.sprite.y += stepY / stepDistance * moveDistance;
+                }
             }
             
             // ALWAYS update indicator position to stay above follower (not just when moving)
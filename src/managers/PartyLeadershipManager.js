@@ -2,8 +2,14 @@
  * PartyLeadershipManager - Centralized party order and leadership system
  * Manages character hierarchy, leadership rotation, and data sync across scenes
  * Works as singleton to ensure consistent state
+ * Also holds each member's equipment (item ids from ItemsManager, one per slot)
  */
 
+import { itemsManager, EQUIPMENT_SLOTS } from './ItemsManager.js';
+
+// MP pool for recruits whose definition has no maxMp
+const DEFAULT_MEMBER_MAX_MP = 20;
+
 export default class PartyLeadershipManager {
     constructor() {
         // Singleton pattern
@@ -22,8 +28,9 @@ export default class PartyLeadershipManager {
          *     type: 'player' or 'npc',
          *     sprite: gameObject reference (set by scene),
          *     indicator: indicator reference (set by scene),
-         *     stats: { health, maxHealth, attack, defense, level },
+         *     stats: { health, maxHealth, mp, maxMp, attack, defense, level, experience },
          *     abilities: ['ability1', 'ability2'],
+         *     equipment: { weapon: itemId|null, armor: itemId|null, accessory: itemId|null },
          *     color: 0xHEXCOLOR,
          *     indicatorColor: 0xHEXCOLOR
          *   },
@@ -43,11 +50,14 @@ export default class PartyLeadershipManager {
             stats: {
                 health: 100,
                 maxHealth: 100,
+                mp: 30,
+                maxMp: 30,
                 attack: 10,
                 defense: 5,
                 level: 1
             },
             abilities: ['quick_strike'],
+            equipment: this.createEmptyEquipment(),
             color: 0x808080,
             indicatorColor: 0xff0000
         };
@@ -64,6 +74,7 @@ export default class PartyLeadershipManager {
             // First time initialization - player is leader
             this.party.push({
                 ...this.originalPlayerData,
+                equipment: { ...this.originalPlayerData.equipment },
                 sprite: playerSprite,
                 indicator: playerIndicator
             });
@@ -105,8 +116,9 @@ export default class PartyLeadershipManager {
             type: 'npc',
             sprite: npcData.gameObject || npcData.sprite,
             indicator: npcData.indicator,
-            stats: { ...npcData.stats },
+            stats: this.withMP(npcData.stats),
             abilities: [...npcData.abilities],
+            equipment: this.createEmptyEquipment(),
             color: npcData.color || 0x808080,
             indicatorColor: npcData.indicatorColor || 0x00ff00
         });
@@ -210,6 +222,27 @@ export default class PartyLeadershipManager {
         }
     }
 
+    /**
+     * Add an ability to a party member (skills learned from their skill tree)
+     */
+    addMemberAbility(memberId, abilityId) {
+        const member = this.party.find(m => m.id === memberId);
+        if (member && !member.abilities.includes(abilityId)) {
+            member.abilities.push(abilityId);
+            console.log(`[PartyLeadershipManager] ${member.name} learned ${abilityId}`);
+        }
+    }
+
+    /**
+     * Remove an ability from a party member (skill tree respec)
+     */
+    removeMemberAbility(memberId, abilityId) {
+        const member = this.party.find(m => m.id === memberId);
+        if (member) {
+            member.abilities = member.abilities.filter(id => id !== abilityId);
+        }
+    }
+
     /**
      * Get party data for BattleScene
      * Returns array in leadership order (leader first)
@@ -221,11 +254,124 @@ export default class PartyLeadershipManager {
             type: member.type,
             stats: { ...member.stats },
             abilities: [...member.abilities],
+            equipment: { ...member.equipment },
             color: member.color,
             indicatorColor: member.indicatorColor
         }));
     }
 
+    /**
+     * Stats with an MP pool (saves and recruits from before MP start full)
+     */
+    withMP(stats = {}) {
+        const maxMp = Number.isFinite(stats.maxMp) ? stats.maxMp : DEFAULT_MEMBER_MAX_MP;
+        return {
+            ...stats,
+            maxMp,
+            mp: Number.isFinite(stats.mp) ? Math.min(stats.mp, maxMp) : maxMp
+        };
+    }
+
+    createEmptyEquipment() {
+        return Object.fromEntries(EQUIPMENT_SLOTS.map(slot => [slot, null]));
+    }
+
+    /**
+     * Equipment of a saved member (saves from before equipment have none;
+     * items that no longer exist or don't fit their slot are dropped)
+     */
+    loadEquipment(savedMember) {
+        const equipment = this.createEmptyEquipment();
+        EQUIPMENT_SLOTS.forEach(slot => {
+            const itemId = savedMember?.equipment?.[slot];
+            if (!itemId) return;
+            if (itemsManager.isEquipment(itemId) && itemsManager.getItemInfo(itemId).slot === slot) {
+                equipment[slot] = itemId;
+            } else {
+                console.warn(`[PartyLeadershipManager] Saved ${slot} "${itemId}" of ${savedMember.name} no longer fits - dropped`);
+            }
+        });
+        return equipment;
+    }
+
+    /**
+     * Get a member's equipment
+     * @param {string} memberId - 'player' or npcId
+     * @returns {Object} { weapon, armor, accessory } item ids (null = empty)
+     */
+    getEquipment(memberId) {
+        const member = this.party.find(m => m.id === memberId);
+        return member ? { ...member.equipment } : this.createEmptyEquipment();
+    }
+
+    /**
+     * Total stat bonuses from a member's equipment
+     * @param {string} memberId - 'player' or npcId
+     * @returns {Object} { attack, defense, speed }
+     */
+    getEquipmentBonuses(memberId) {
+        const bonuses = { attack: 0, defense: 0, speed: 0 };
+        Object.values(this.getEquipment(memberId)).forEach(itemId => {
+            const stats = itemId ? itemsManager.getItemInfo(itemId)?.stats : null;
+            if (!stats) return;
+            Object.keys(bonuses).forEach(stat => {
+                bonuses[stat] += stats[stat] || 0;
+            });
+        });
+        return bonuses;
+    }
+
+    /**
+     * Equip an item from the inventory; whatever was in the slot goes back to the inventory
+     * @param {string} memberId - 'player' or npcId
+     * @param {string} itemId - Equipment item id
+     * @returns {Object} { success, message }
+     */
+    equipItem(memberId, itemId) {
+        const member = this.party.find(m => m.id === memberId);
+        if (!member) {
+            return { success: false, message: 'Not in the party' };
+        }
+        if (!itemsManager.isEquipment(itemId)) {
+            return { success: false, message: "That can't be equipped" };
+        }
+        if (!itemsManager.removeItem(itemId, 1)) {
+            return { success: false, message: "You don't have that item" };
+        }
+
+        const item = itemsManager.getItemInfo(itemId);
+        const previousId = member.equipment[item.slot];
+        if (previousId && !itemsManager.addItem(previousId, 1)) {
+            // Room was just freed by the new item, but the old one's stack can still be full
+            itemsManager.addItem(itemId, 1);
+            return { success: false, message: itemsManager.getAddError(previousId) };
+        }
+        member.equipment[item.slot] = itemId;
+
+        console.log(`[PartyLeadershipManager] 🗡️ ${member.name} equipped ${item.name} (${item.slot})`);
+        return { success: true, message: `${member.name} equipped ${item.name}` };
+    }
+
+    /**
+     * Move a member's equipped item back to the inventory
+     * @returns {Object} { success, message }
+     */
+    unequipItem(memberId, slot) {
+        const member = this.party.find(m => m.id === memberId);
+        const itemId = member?.equipment[slot];
+        if (!itemId) {
+            return { success: false, message: 'Nothing equipped' };
+        }
+        if (!itemsManager.addItem(itemId, 1)) {
+            return { success: false, message: itemsManager.getAddError(itemId) };
+        }
+
+        member.equipment[slot] = null;
+        const item = itemsManager.getItemInfo(itemId);
+        console.log(`[PartyLeadershipManager] ${member.name} unequipped ${item.name}`);
+        return { success: true, message: `${member.name} unequipped ${item.name}` };
+    }
+
     /**
      * Get save data for persistence
      */
@@ -237,6 +383,7 @@ export default class PartyLeadershipManager {
                 type: member.type,
                 stats: { ...member.stats },
                 abilities: [...member.abilities],
+                equipment: { ...member.equipment },
                 color: member.color,
                 indicatorColor: member.indicatorColor
                 // Note: sprite references are NOT saved - they're scene-specific
@@ -252,13 +399,18 @@ export default class PartyLeadershipManager {
         if (data.party) {
             this.party = data.party.map(member => ({
                 ...member,
+                stats: this.withMP(member.stats),
+                equipment: this.loadEquipment(member),
                 sprite: null, // Will be set by scene
                 indicator: null // Will be set by scene
             }));
             console.log('[PartyLeadershipManager] Loaded party data:', this.party.length, 'members');
         }
         if (data.originalPlayerData) {
-            this.originalPlayerData = { ...data.originalPlayerData };
+            this.originalPlayerData = {
+                ...data.originalPlayerData,
+                equipment: this.loadEquipment(data.originalPlayerData)
+            };
         }
         this.logPartyOrder();
     }
@@ -287,11 +439,14 @@ export default class PartyLeadershipManager {
             stats: {
                 health: 100,
                 maxHealth: 100,
+                mp: 30,
+                maxMp: 30,
                 attack: 10,
                 defense: 5,
                 level: 1
             },
             abilities: ['quick_strike'],
+            equipment: this.createEmptyEquipment(),
             color: 0x808080,
             indicatorColor: 0xff0000
         };
@@ -1,4 +1,5 @@
 import { partyLeadershipManager } from './PartyLeadershipManager.js';
+import { npcDefinitionManager } from './NpcDefinitionManager.js';
 
 export default class PartyManager {
     constructor(scene) {
@@ -11,12 +12,18 @@ export default class PartyManager {
         this.originalPlayer = null; // Store reference to original player sprite
     }
 
-    init() {
+    /**
+     * @param {Array<string>} mapRecruitedIds - NPCs recruited on the current map (GameStateManager map state)
+     */
+    init(mapRecruitedIds = []) {
         console.log('[PartyManager] Initializing party system');
         
         // Get list of already-recruited NPC IDs from PartyLeadershipManager
         const party = partyLeadershipManager.getParty();
-        const recruitedIds = party.filter(m => m.type === 'npc').map(m => m.id);
+        const recruitedIds = [...new Set([
+            ...party.filter(m => m.type === 'npc').map(m => m.id),
+            ...mapRecruitedIds
+        ])];
         
         console.log('[PartyManager] Already recruited NPCs:', recruitedIds);
         
@@ -28,72 +35,17 @@ export default class PartyManager {
         console.log('[PartyManager] Creating recruitable NPCs');
         console.log('[PartyManager] Excluding already-recruited IDs:', excludeIds);
 
-        // Define recruitable character data
-        const recruitables = [
-            {
-                id: 'warrior',
-                name: 'Warrior',
-                color: 0x808080, // Gray body like player
-                indicatorColor: 0x0000ff, // Blue indicator
-                x: 500,
-                y: 400,
-                abilities: ['powerStrike', 'defend'],
-                stats: {
-                    health: 120,
-                    maxHealth: 120, // Maximum HP
-                    attack: 15,
-                    defense: 10,
-                    level: 1
-                },
-                dialogue: {
-                    initial: "Greetings traveler! I'm a warrior seeking adventure. Will you let me join your party?",
-                    accept: "Excellent! I'll fight by your side!",
-                    reject: "Very well, perhaps another time."
-                }
-            },
-            {
-                id: 'mage',
-                name: 'Mage',
-                color: 0x808080,
-                indicatorColor: 0xffff00, // Yellow indicator
-                x: 700,
-                y: 500,
-                abilities: ['fireball', 'heal'],
-                stats: {
-                    health: 80,
-                    maxHealth: 80, // Maximum HP
-                    attack: 20,
-                    defense: 5,
-                    level: 1
-                },
-                dialogue: {
-                    initial: "I sense great potential in you. May I join your journey?",
-                    accept: "Together, our magic will be unstoppable!",
-                    reject: "I understand. Safe travels."
-                }
-            },
-            {
-                id: 'ranger',
-                name: 'Ranger',
-                color: 0x808080,
-                indicatorColor: 0x00ff00, // Green indicator
-                x: 400,
-                y: 600,
-                abilities: ['quickShot', 'dodge'],
-                stats: {
-                    health: 100,
-                    maxHealth: 100, // Maximum HP
-                    attack: 12,
-                    defense: 8,
-                    level: 1
-                },
-                dialogue: {
-                    initial: "You look like you could use a skilled ranger. Want some company?",
-                    accept: "Great! My bow is at your service!",
-                    reject: "No problem, good luck out there."
-                }
+        // Recruitable characters are defined in the NPC JSON (recruitable: true)
+        const recruitables = npcDefinitionManager.getRecruitables().map(definition => this.toRecruitableData(definition));
+
+        // Members recruited on another map still need their data here (WorldScene creates their sprites)
+        excludeIds.forEach(npcId => {
+            if (recruitables.some(data => data.id === npcId)) return;
+            const definition = npcDefinitionManager.getDefinition(npcId);
+            if (definition?.recruitable) {
+                recruitables.push(this.toRecruitableData(definition));
             }
-        ];
+        });
 
         // Create each recruitable NPC (skip already-recruited ones)
         recruitables.forEach(data => {
@@ -108,6 +60,26 @@ export default class PartyManager {
         });
     }
 
+    /**
+     * Convert a recruitable NPC definition into PartyManager's data format
+     * (x/y are undefined for characters that are not placed on the current map)
+     */
+    toRecruitableData(definition) {
+        return {
+            id: definition.id,
+            type: definition.type,
+            name: definition.name,
+            color: definition.color,
+            indicatorColor: definition.indicatorColor,
+            x: definition.position?.x,
+            y: definition.position?.y,
+            abilities: [...definition.abilities],
+            stats: { ...definition.stats },
+            dialogueKey: definition.dialogueKey,
+            dialogue: definition.dialogue
+        };
+    }
+
     createRecruitableNPC(data) {
         // Create NPC body (gray rectangle like player)
         const npc = this.scene.add.rectangle(data.x, data.y, 32, 64, data.color);
@@ -137,7 +109,7 @@ export default class PartyManager {
         // Store NPC data in standard format for NPC manager compatibility
         npc.npcData = {
             id: data.id,
-            type: data.name.toUpperCase(),
+            type: data.type,
             name: data.name,
             health: data.stats.health,
             maxHealth: data.stats.health,
@@ -146,6 +118,7 @@ export default class PartyManager {
             indicatorColor: data.indicatorColor,
             abilities: data.abilities,
             stats: data.stats,
+            dialogueKey: data.dialogueKey,
             dialogue: data.dialogue,
             isRecruitableCharacter: true,
             isRecruited: false,
@@ -0,0 +1,370 @@
+/**
+ * QuestManager - Quest progress tracking
+ * Singleton that follows active quests through their steps and pays out rewards.
+ * Scenes report game events (battle wins, dialogue, zones) and show the returned
+ * messages however they like - the manager itself never touches the UI.
+ */
+
+import { questDatabase } from '../data/QuestDatabase.js';
+import { moneyManager } from './MoneyManager.js';
+import { itemsManager } from './ItemsManager.js';
+import { statsManager } from './StatsManager.js';
+
+class QuestManager {
+    constructor() {
+        if (QuestManager.instance) {
+            return QuestManager.instance;
+        }
+
+        // questId -> { id, stepIndex, progress: [count per objective of the current step] }
+        this.activeQuests = new Map();
+        this.completedQuestIds = new Set();
+
+        QuestManager.instance = this;
+    }
+
+    /**
+     * Start a quest
+     * @param {string} questId - Quest id from QuestDatabase
+     * @returns {string[]} Messages to show the player (empty if nothing started)
+     *   Refused with a message while the start items don't fit in the inventory
+     */
+    startQuest(questId) {
+        const quest = questDatabase.getQuest(questId);
+        if (!quest) {
+            console.warn(`[QuestManager] Unknown quest: ${questId}`);
+            return [];
+        }
+        if (!this.canStartQuest(questId)) {
+            return [];
+        }
+        if (!this.canCarryStartItems(quest)) {
+            console.log(`[QuestManager] 🎒 No room for the start items of ${quest.name}`);
+            return [`🎒 Make room in your inventory first to take on: ${quest.name}`];
+        }
+
+        this.activeQuests.set(questId, {
+            id: questId,
+            stepIndex: 0,
+            progress: quest.steps[0].objectives.map(() => 0)
+        });
+
+        quest.startItems.forEach(({ itemId, quantity }) => itemsManager.addItem(itemId, quantity));
+
+        console.log(`[QuestManager] 📜 Quest started: ${quest.name}`);
+        return [`📜 New quest: ${quest.name}`];
+    }
+
+    /**
+     * A quest can start if it isn't active or done and its requirements are completed
+     */
+    canStartQuest(questId) {
+        const quest = questDatabase.getQuest(questId);
+        if (!quest || this.activeQuests.has(questId) || this.completedQuestIds.has(questId)) {
+            return false;
+        }
+        return quest.requires.every(requiredId => this.completedQuestIds.has(requiredId));
+    }
+
+    /**
+     * Whether all of a quest's start items fit in the inventory at once
+     */
+    canCarryStartItems(quest) {
+        const total = quest.startItems.reduce((sum, { quantity }) => sum + quantity, 0);
+        return total <= itemsManager.getFreeSpace() &&
+            quest.startItems.every(({ itemId, quantity }) => !itemsManager.getAddError(itemId, quantity));
+    }
+
+    isQuestActive(questId) {
+        return this.activeQuests.has(questId);
+    }
+
+    isQuestCompleted(questId) {
+        return this.completedQuestIds.has(questId);
+    }
+
+    /**
+     * Called after a battle is won against an NPC
+     * @param {Object} npc - { id, type }
+     * @returns {string[]} Messages to show the player
+     */
+    onNpcDefeated(npc) {
+        if (!npc) return [];
+        return this.advanceObjectives(objective =>
+            objective.type === 'defeat' && this.matchesNpc(objective, npc) ? 1 : 0
+        );
+    }
+
+    /**
+     * Called when the player picks a battle dialogue choice
+     * Progresses talk/deliver objectives for this NPC, then offers any quest tied to the choice
+     * @param {Object} npc - { id, type }
+     * @param {string} choiceId - Dialogue choice id
+     * @returns {string[]} Messages to show the player
+     */
+    onDialogueChoice(npc, choiceId) {
+        if (!npc) return [];
+
+        const messages = this.advanceObjectives((objective, current) => {
+            if (!this.matchesNpc(objective, npc)) return 0;
+
+            if (objective.type === 'talk') {
+                return 1;
+            }
+            if (objective.type === 'deliver') {
+                const needed = this.getRequiredCount(objective) - current;
+                if (itemsManager.hasItem(objective.itemId, needed) && itemsManager.removeItem(objective.itemId, needed)) {
+                    return needed;
+                }
+            }
+            return 0;
+        });
+
+        questDatabase.getQuestsForChoice(npc.type, choiceId).forEach(quest => {
+            messages.push(...this.startQuest(quest.id));
+        });
+
+        return messages;
+    }
+
+    /**
+     * Called when the player walks into a map zone
+     * @param {string} areaId - Zone areaId from the Tiled Zones layer
+     * @returns {string[]} Messages to show the player
+     */
+    onAreaEntered(areaId) {
+        if (!areaId) return [];
+        return this.advanceObjectives(objective =>
+            objective.type === 'reach' && objective.areaId === areaId ? 1 : 0
+        );
+    }
+
+    /**
+     * Does an objective target this NPC? (no npcType/npcId = any NPC)
+     */
+    matchesNpc(objective, npc) {
+        if (objective.npcId) return objective.npcId === npc.id;
+        if (objective.npcType) return objective.npcType === npc.type;
+        return true;
+    }
+
+    getRequiredCount(objective) {
+        return objective.count || objective.quantity || 1;
+    }
+
+    /**
+     * Is an item still to be delivered for an active quest? (this or a later step)
+     */
+    isItemNeeded(itemId) {
+        return Array.from(this.activeQuests.values()).some(state =>
+            questDatabase.getQuest(state.id).steps.slice(state.stepIndex).some(step =>
+                step.objectives.some(objective => objective.type === 'deliver' && objective.itemId === itemId)
+            )
+        );
+    }
+
+    /**
+     * Add progress to the current step of every active quest
+     * @param {Function} getAmount - (objective, currentProgress) => amount to add
+     * @returns {string[]} Messages for finished objectives, steps and quests
+     */
+    advanceObjectives(getAmount) {
+        const messages = [];
+
+        // Copy - completing a quest removes it from the map
+        Array.from(this.activeQuests.values()).forEach(state => {
+            const quest = questDatabase.getQuest(state.id);
+            const step = quest.steps[state.stepIndex];
+            let changed = false;
+
+            step.objectives.forEach((objective, index) => {
+                const required = this.getRequiredCount(objective);
+                const current = state.progress[index];
+                if (current >= required) return;
+
+                const amount = getAmount(objective, current);
+                if (amount <= 0) return;
+
+                state.progress[index] = Math.min(required, current + amount);
+                changed = true;
+                console.log(`[QuestManager] ${quest.name}: ${objective.description} (${state.progress[index]}/${required})`);
+
+                if (state.progress[index] >= required && step.objectives.length > 1) {
+                    messages.push(`✓ ${objective.description}`);
+                }
+            });
+
+            if (changed && this.isStepComplete(state, step)) {
+                messages.push(...this.advanceStep(state, quest));
+            }
+        });
+
+        return messages;
+    }
+
+    isStepComplete(state, step) {
+        return step.objectives.every((objective, index) => state.progress[index] >= this.getRequiredCount(objective));
+    }
+
+    /**
+     * Move a quest to its next step, completing it after the last one
+     */
+    advanceStep(state, quest) {
+        state.stepIndex += 1;
+
+        if (state.stepIndex >= quest.steps.length) {
+            return this.completeQuest(quest.id);
+        }
+
+        const nextStep = quest.steps[state.stepIndex];
+        state.progress = nextStep.objectives.map(() => 0);
+        console.log(`[QuestManager] ${quest.name}: step ${state.stepIndex + 1}/${quest.steps.length} - ${nextStep.description}`);
+        return [`📜 ${quest.name}: ${nextStep.description}`];
+    }
+
+    /**
+     * Finish a quest and hand out its rewards
+     * @returns {string[]} Messages to show the player
+     */
+    completeQuest(questId) {
+        const quest = questDatabase.getQuest(questId);
+        if (!quest || !this.activeQuests.has(questId)) {
+            return [];
+        }
+
+        this.activeQuests.delete(questId);
+        this.completedQuestIds.add(questId);
+
+        const { money, xp, items = [] } = quest.rewards;
+        const rewardParts = [];
+
+        if (money) {
+            moneyManager.addMoney(money, `Quest: ${quest.name}`);
+            rewardParts.push(`+${money} gold`);
+        }
+
+        let levelUpMessage = null;
+        if (xp) {
+            const xpResult = statsManager.addPlayerExperience(xp);
+            rewardParts.push(`+${xp} XP`);
+            if (xpResult.leveledUp) {
+                levelUpMessage = `⬆ Level up! Now level ${xpResult.newLevel}`;
+            }
+        }
+
+        items.forEach(({ itemId, quantity }) => {
+            if (itemsManager.addItem(itemId, quantity)) {
+                rewardParts.push(`${itemsManager.getItemInfo(itemId).name} x${quantity}`);
+            }
+        });
+
+        console.log(`[QuestManager] 🏆 Quest complete: ${quest.name}`, quest.rewards);
+
+        const messages = [`🏆 Quest complete: ${quest.name}${rewardParts.length > 0 ? ` (${rewardParts.join(', ')})` : ''}`];
+        if (levelUpMessage) {
+            messages.push(levelUpMessage);
+        }
+        return messages;
+    }
+
+    /**
+     * Journal view of active and completed quests (for MenuScene)
+     * @returns {Object} { active: [...], completed: [...] }
+     */
+    getJournal() {
+        const active = Array.from(this.activeQuests.values()).map(state => {
+            const quest = questDatabase.getQuest(state.id);
+            const step = quest.steps[state.stepIndex];
+            return {
+                id: quest.id,
+                name: quest.name,
+                description: quest.description,
+                stepNumber: state.stepIndex + 1,
+                stepCount: quest.steps.length,
+                stepDescription: step.description,
+                objectives: step.objectives.map((objective, index) => {
+                    const required = this.getRequiredCount(objective);
+                    return {
+                        description: objective.description,
+                        current: state.progress[index],
+                        required,
+                        done: state.progress[index] >= required,
+                        // Items carried so far for an unfinished delivery
+                        carried: objective.type === 'deliver' ? itemsManager.getItemCount(objective.itemId) : null
+                    };
+                }),
+                rewards: quest.rewards
+            };
+        });
+
+        const completed = Array.from(this.completedQuestIds)
+            .map(questId => questDatabase.getQuest(questId))
+            .filter(Boolean)
+            .map(quest => ({ id: quest.id, name: quest.name }));
+
+        return { active, completed };
+    }
+
+    /**
+     * Reset quest progress (new game)
+     */
+    reset() {
+        this.activeQuests.clear();
+        this.completedQuestIds.clear();
+        console.log('[QuestManager] Quest progress reset');
+    }
+
+    /**
+     * Get save data
+     */
+    getSaveData() {
+        return {
+            active: Array.from(this.activeQuests.values()).map(state => ({
+                id: state.id,
+                stepIndex: state.stepIndex,
+                progress: [...state.progress]
+            })),
+            completed: Array.from(this.completedQuestIds)
+        };
+    }
+
+    /**
+     * Load save data
+     * Quests that no longer exist are dropped, and progress is clamped to the current definitions
+     */
+    loadSaveData(data) {
+        this.reset();
+        if (!data) return;
+
+        (data.completed || []).forEach(questId => {
+            if (questDatabase.getQuest(questId)) {
+                this.completedQuestIds.add(questId);
+            } else {
+                console.warn(`[QuestManager] Saved completed quest ${questId} no longer exists - ignored`);
+            }
+        });
+
+        (data.active || []).forEach(saved => {
+            const quest = questDatabase.getQuest(saved.id);
+            if (!quest || this.completedQuestIds.has(saved.id)) {
+                console.warn(`[QuestManager] Saved active quest ${saved.id} ignored`);
+                return;
+            }
+
+            const stepIndex = Math.min(Math.max(0, saved.stepIndex || 0), quest.steps.length - 1);
+            const objectives = quest.steps[stepIndex].objectives;
+            this.activeQuests.set(quest.id, {
+                id: quest.id,
+                stepIndex,
+                progress: objectives.map((objective, index) =>
+                    Math.min(this.getRequiredCount(objective), Math.max(0, Number(saved.progress?.[index]) || 0))
+                )
+            });
+        });
+
+        console.log(`[QuestManager] Loaded ${this.activeQuests.size} active and ${this.completedQuestIds.size} completed quests`);
+    }
+}
+
+// Export singleton instance
+export const questManager = new QuestManager();
@@ -0,0 +1,346 @@
+/**
+ * SaveMigrations - Save format versioning
+ * Upgrades old save payloads step by step and checks their structure
+ * before GameStateManager applies them
+ */
+
+import { npcAI, DEFAULT_DIFFICULTY } from '../ai/NpcAI.js';
+
+export const CURRENT_SAVE_VERSION = 6;
+
+const PLAYER_STAT_FIELDS = ['level', 'experience', 'experienceToNextLevel', 'health', 'maxHealth', 'mp', 'maxMp', 'attack', 'defense', 'speed'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Rebuild the slot metadata block from the payload itself
+ * (used for saves that predate it or carry a broken one)
+ */
+const buildMetadata = (data) => {
+    const party = Array.isArray(data.party?.party) ? data.party.party : [];
+    return {
+        playTime: isNumber(data.playTime) ? data.playTime : 0,
+        leaderName: party[0]?.name || 'Player',
+        leaderLevel: isNumber(data.playerStats?.level) ? data.playerStats.level : 1,
+        partyRoster: party.map(member => member?.name || 'Unknown'),
+        difficulty: typeof data.difficulty === 'string' ? data.difficulty : DEFAULT_DIFFICULTY,
+        location: data.playerPosition || null,
+        savedAt: typeof data.savedAt === 'string' ? data.savedAt : null
+    };
+};
+
+const isValidMetadata = (meta) => isObject(meta) &&
+    typeof meta.leaderName === 'string' &&
+    isNumber(meta.leaderLevel) &&
+    isNumber(meta.playTime) &&
+    Array.isArray(meta.partyRoster) &&
+    (typeof meta.savedAt === 'string' || meta.savedAt === null);
+
+export default class SaveMigrations {
+    constructor() {
+        // Initialize as singleton
+        if (SaveMigrations.instance) {
+            return SaveMigrations.instance;
+        }
+        SaveMigrations.instance = this;
+
+        // Migration steps keyed by the version they upgrade FROM
+        this.migrations = new Map();
+
+        this.registerDefaultMigrations();
+
+        console.log('[SaveMigrations] Initialized');
+    }
+
+    /**
+     * Register a migration step
+     * @param {number} fromVersion - Version the step upgrades from (result is fromVersion + 1)
+     * @param {string} description - Short summary for logs
+     * @param {Function} migrate - (data) => upgraded data
+     */
+    register(fromVersion, description, migrate) {
+        this.migrations.set(fromVersion, { description, migrate });
+    }
+
+    registerDefaultMigrations() {
+        // v0 = saves written before the version field existed
+        this.register(0, 'Add slot metadata block', (data) => {
+            if (!isObject(data.meta)) {
+                data.meta = buildMetadata(data);
+            }
+            return data;
+        });
+
+        // v1 saves predate DialogueSystem persistence - an empty section loads as a fresh story
+        this.register(1, 'Add dialogue progress section', (data) => {
+            if (!isObject(data.dialogue)) {
+                data.dialogue = { storyFlags: {}, completedEvents: [], unlockedAreas: [], npcStates: {} };
+            }
+            return data;
+        });
+
+        // v2 saves predate multiple maps - everything happened in the town
+        this.register(2, 'Move defeated NPCs into per-map state', (data) => {
+            if (!isObject(data.mapStates)) {
+                const party = Array.isArray(data.party?.party) ? data.party.party : [];
+                data.mapStates = {
+                    town: {
+                        defeatedNpcIds: Array.isArray(data.defeatedNpcIds) ? data.defeatedNpcIds : [],
+                        recruitedNpcIds: party.filter(member => member?.type === 'npc').map(member => member.id)
+                    }
+                };
+            }
+            if (typeof data.currentMap !== 'string') {
+                data.currentMap = 'town';
+            }
+            delete data.defeatedNpcIds;
+            return data;
+        });
+
+        // v3 saves predate QuestManager - no quests started yet
+        this.register(3, 'Add quest progress section', (data) => {
+            if (!isObject(data.quests)) {
+                data.quests = { active: [], completed: [] };
+            }
+            return data;
+        });
+
+        // v4 saves predate skill trees - levels already gained are worth one skill point each
+        this.register(4, 'Grant skill points for earlier levels', (data) => {
+            if (isObject(data.skills) && !isObject(data.skills.skillProgress)) {
+                const skillProgress = {};
+                const grant = (memberId, level) => {
+                    if (isNumber(level) && level > 1) {
+                        skillProgress[memberId] = { points: level - 1, learned: [] };
+                    }
+                };
+                grant('player', data.playerStats?.level);
+                const party = Array.isArray(data.party?.party) ? data.party.party : [];
+                party.filter(member => member?.type === 'npc').forEach(member => grant(member.id, member.stats?.level));
+                data.skills.skillProgress = skillProgress;
+            }
+            return data;
+        });
+
+        // v5 saves predate difficulty selection - they were played on normal
+        this.register(5, 'Add difficulty setting', (data) => {
+            if (typeof data.difficulty !== 'string') {
+                data.difficulty = DEFAULT_DIFFICULTY;
+            }
+            if (isObject(data.meta) && typeof data.meta.difficulty !== 'string') {
+                data.meta.difficulty = data.difficulty;
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Get the version of a payload (unversioned saves are version 0)
+     */
+    getVersion(data) {
+        return isNumber(data?.version) ? data.version : 0;
+    }
+
+    /**
+     * Upgrade a payload to CURRENT_SAVE_VERSION
+     * @returns {Object} - { success, data, applied: [descriptions], error }
+     */
+    migrate(data) {
+        if (!isObject(data)) {
+            return { success: false, data: null, applied: [], error: 'Save data is not an object' };
+        }
+
+        let version = this.getVersion(data);
+        const applied = [];
+
+        if (version > CURRENT_SAVE_VERSION) {
+            return {
+                success: false,
+                data: null,
+                applied,
+                error: `Save was made by a newer version of the game (v${version}, this build supports v${CURRENT_SAVE_VERSION})`
+            };
+        }
+
+        let upgraded = structuredClone(data);
+        while (version < CURRENT_SAVE_VERSION) {
+            const step = this.migrations.get(version);
+            if (!step) {
+                return { success: false, data: null, applied, error: `No migration registered for save v${version}` };
+            }
+
+            try {
+                upgraded = step.migrate(upgraded);
+            } catch (e) {
+                return { success: false, data: null, applied, error: `Migration from v${version} failed: ${e.message}` };
+            }
+
+            version += 1;
+            upgraded.version = version;
+            applied.push(`v${version - 1} → v${version}: ${step.description}`);
+            console.log(`[SaveMigrations] Applied v${version - 1} → v${version}: ${step.description}`);
+        }
+
+        return { success: true, data: upgraded, applied, error: null };
+    }
+
+    /**
+     * Check the structure of an up-to-date payload
+     * Recoverable problems are repaired in place and reported as warnings,
+     * anything that would leave the game in a broken state is an error
+     * @returns {Object} - { valid, data, errors, warnings }
+     */
+    validate(data) {
+        const errors = [];
+        const warnings = [];
+
+        if (!isObject(data)) {
+            return { valid: false, data: null, errors: ['Save data is not an object'], warnings };
+        }
+
+        if (!isObject(data.playerStats)) {
+            errors.push('Missing player stats');
+        } else {
+            PLAYER_STAT_FIELDS.forEach(field => {
+                if (field in data.playerStats && !isNumber(data.playerStats[field])) {
+                    warnings.push(`playerStats.${field} was not a number - reset to default`);
+                    delete data.playerStats[field];
+                }
+            });
+        }
+
+        if (!isNumber(data.playTime) || data.playTime < 0) {
+            warnings.push('playTime was invalid - reset to 0');
+            data.playTime = 0;
+        }
+
+        if (!npcAI.isValidDifficulty(data.difficulty)) {
+            warnings.push(`difficulty "${data.difficulty}" is unknown - using ${DEFAULT_DIFFICULTY}`);
+            data.difficulty = DEFAULT_DIFFICULTY;
+        }
+
+        if (!isObject(data.npcStats)) {
+            if (data.npcStats !== undefined) warnings.push('npcStats was invalid - cleared');
+            data.npcStats = {};
+        }
+
+        if (typeof data.currentMap !== 'string' || !data.currentMap) {
+            warnings.push('currentMap was invalid - using the starting map');
+            data.currentMap = 'town';
+        }
+
+        if (!isObject(data.mapStates)) {
+            if (data.mapStates !== undefined) warnings.push('mapStates was invalid - cleared');
+            data.mapStates = {};
+        }
+        Object.entries(data.mapStates).forEach(([mapKey, state]) => {
+            if (!isObject(state)) {
+                warnings.push(`mapStates.${mapKey} was invalid - cleared`);
+                data.mapStates[mapKey] = { defeatedNpcIds: [], recruitedNpcIds: [] };
+                return;
+            }
+            ['defeatedNpcIds', 'recruitedNpcIds'].forEach(field => {
+                if (!Array.isArray(state[field])) {
+                    if (state[field] !== undefined) warnings.push(`mapStates.${mapKey}.${field} was invalid - cleared`);
+                    state[field] = [];
+                }
+            });
+        });
+
+        ['battleHistory', 'negotiationHistory'].forEach(field => {
+            if (!Array.isArray(data[field])) {
+                if (data[field] !== undefined) warnings.push(`${field} was invalid - cleared`);
+                data[field] = [];
+            }
+        });
+
+        if (data.playerPosition !== null && data.playerPosition !== undefined &&
+            !(isNumber(data.playerPosition.x) && isNumber(data.playerPosition.y))) {
+            warnings.push('playerPosition was invalid - using default spawn');
+            data.playerPosition = null;
+        }
+
+        // The slot browsers read meta directly - a broken one would make them unusable
+        if (!isValidMetadata(data.meta)) {
+            warnings.push(data.meta === undefined ? 'Slot metadata was missing - rebuilt' : 'Slot metadata was invalid - rebuilt');
+            data.meta = buildMetadata(data);
+        } else if (typeof data.meta.difficulty !== 'string') {
+            data.meta.difficulty = data.difficulty;
+        }
+
+        if (data.money !== undefined && !(isObject(data.money) && isNumber(data.money.money))) {
+            warnings.push('money data was invalid - using starting gold');
+            delete data.money;
+        }
+
+        if (data.items !== undefined) {
+            if (!isObject(data.items) || !Array.isArray(data.items.inventory)) {
+                warnings.push('items data was invalid - using starting inventory');
+                delete data.items;
+            } else {
+                const before = data.items.inventory.length;
+                data.items.inventory = data.items.inventory.filter(entry =>
+                    isObject(entry) && typeof entry.id === 'string' && isNumber(entry.quantity) && entry.quantity > 0
+                );
+                if (data.items.inventory.length !== before) {
+                    warnings.push(`Dropped ${before - data.items.inventory.length} malformed inventory entries`);
+                }
+            }
+        }
+
+        if (data.skills !== undefined &&
+            !(isObject(data.skills) && isObject(data.skills.playerSkills) && Array.isArray(data.skills.playerSkills.unlocked))) {
+            warnings.push('skills data was invalid - using starting skills');
+            delete data.skills;
+        }
+
+        if (data.dialogue !== undefined &&
+            !(isObject(data.dialogue) && isObject(data.dialogue.storyFlags ?? {}) &&
+              Array.isArray(data.dialogue.completedEvents ?? []) && Array.isArray(data.dialogue.unlockedAreas ?? []))) {
+            warnings.push('dialogue data was invalid - story progress reset');
+            delete data.dialogue;
+        }
+
+        if (data.quests !== undefined &&
+            !(isObject(data.quests) && Array.isArray(data.quests.active ?? []) && Array.isArray(data.quests.completed ?? []))) {
+            warnings.push('quest data was invalid - quest progress reset');
+            delete data.quests;
+        }
+
+        if (data.party !== undefined) {
+            if (!isObject(data.party) || !Array.isArray(data.party.party)) {
+                errors.push('Party data is corrupted');
+            } else if (data.party.party.some(member => !isObject(member) || !member.id || !member.name)) {
+                errors.push('Party contains a member without an id or name');
+            }
+        }
+
+        warnings.forEach(warning => console.warn('[SaveMigrations] ⚠️ Repaired:', warning));
+        errors.forEach(error => console.error('[SaveMigrations] ❌ Invalid:', error));
+
+        return { valid: errors.length === 0, data, errors, warnings };
+    }
+
+    /**
+     * Migrate then validate a payload
+     * @returns {Object} - { success, data, error, warnings }
+     */
+    prepare(data) {
+        const migration = this.migrate(data);
+        if (!migration.success) {
+            return { success: false, data: null, error: migration.error, warnings: [] };
+        }
+
+        const validation = this.validate(migration.data);
+        if (!validation.valid) {
+            return { success: false, data: null, error: validation.errors.join('; '), warnings: validation.warnings };
+        }
+
+        return { success: true, data: validation.data, error: null, warnings: validation.warnings };
+    }
+}
+
+// Export singleton instance
+const saveMigrations = new SaveMigrations();
+export { saveMigrations };
@@ -0,0 +1,132 @@
+/**
+ * ShopManager - Merchant stock, prices and buy/sell transactions
+ * Singleton pattern; ShopScene is the UI on top of it.
+ * Prices come from the ItemsManager item database value:
+ *   buy  = value, minus 10% once the merchant_discount story flag is set
+ *   sell = half the value (quest items and worthless items can't be sold)
+ */
+
+import { moneyManager } from './MoneyManager.js';
+import { itemsManager } from './ItemsManager.js';
+import { dialogueSystem } from './DialogueSystem.js';
+import { npcDefinitionManager } from './NpcDefinitionManager.js';
+
+// Stock for merchants whose NPC definition has no "stock" list
+const DEFAULT_STOCK = ['health_potion', 'mana_potion'];
+
+class ShopManager {
+    constructor() {
+        if (ShopManager.instance) {
+            return ShopManager.instance;
+        }
+
+        this.discountRate = 0.1;     // merchant_discount story flag
+        this.sellRate = 0.5;         // Merchants buy at half value
+        this.maxQuantity = 10;       // Per transaction
+
+        ShopManager.instance = this;
+    }
+
+    /**
+     * Items a merchant sells (stock list from its NPC definition)
+     * @param {string} merchantId - NPC id
+     * @returns {Array} Item database entries with a buyPrice
+     */
+    getStock(merchantId) {
+        const definition = npcDefinitionManager.getDefinition(merchantId);
+        const stock = definition?.stock || DEFAULT_STOCK;
+
+        return stock
+            .map(itemId => {
+                const item = itemsManager.getItemInfo(itemId);
+                if (!item) {
+                    console.warn(`[ShopManager] ${merchantId} stocks unknown item: ${itemId}`);
+                    return null;
+                }
+                return { ...item, buyPrice: this.getBuyPrice(itemId) };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Items from the inventory a merchant will buy
+     * @returns {Array} Inventory entries with a sellPrice
+     */
+    getSellableItems() {
+        return itemsManager.getInventory()
+            .filter(item => this.canSell(item.id))
+            .map(item => ({ ...item, sellPrice: this.getSellPrice(item.id) }));
+    }
+
+    hasDiscount() {
+        return dialogueSystem.getStoryFlag('merchant_discount') === true;
+    }
+
+    getBuyPrice(itemId) {
+        const item = itemsManager.getItemInfo(itemId);
+        if (!item) return 0;
+        const rate = this.hasDiscount() ? 1 - this.discountRate : 1;
+        return Math.max(1, Math.ceil(item.value * rate));
+    }
+
+    getSellPrice(itemId) {
+        const item = itemsManager.getItemInfo(itemId);
+        return item ? Math.floor(item.value * this.sellRate) : 0;
+    }
+
+    canSell(itemId) {
+        const item = itemsManager.getItemInfo(itemId);
+        return !!item && item.type !== 'quest' && this.getSellPrice(itemId) > 0;
+    }
+
+    /**
+     * Buy items from a merchant
+     * @param {string} merchantName - For the transaction log
+     * @returns {Object} { success, message }
+     */
+    buy(itemId, quantity, merchantName = 'Merchant') {
+        const item = itemsManager.getItemInfo(itemId);
+        if (!item || quantity <= 0) {
+            return { success: false, message: 'Nothing to buy' };
+        }
+
+        const total = this.getBuyPrice(itemId) * quantity;
+        if (!moneyManager.canAfford(total)) {
+            return { success: false, message: `Not enough gold (need ${total})` };
+        }
+
+        // Add first - a full inventory must not cost anything
+        const addError = itemsManager.getAddError(itemId, quantity);
+        if (addError || !itemsManager.addItem(itemId, quantity)) {
+            return { success: false, message: addError || 'Inventory full!' };
+        }
+        moneyManager.removeMoney(total, `Bought ${quantity}x ${item.name} from ${merchantName}`);
+
+        console.log(`[ShopManager] 🛒 Bought ${quantity}x ${item.name} for ${total} gold`);
+        return { success: true, message: `Bought ${quantity}x ${item.name} for ${total} gold` };
+    }
+
+    /**
+     * Sell items to a merchant
+     * @param {string} merchantName - For the transaction log
+     * @returns {Object} { success, message }
+     */
+    sell(itemId, quantity, merchantName = 'Merchant') {
+        const item = itemsManager.getItemInfo(itemId);
+        if (!item || quantity <= 0 || !this.canSell(itemId)) {
+            return { success: false, message: "The merchant won't buy that" };
+        }
+        if (!itemsManager.removeItem(itemId, quantity)) {
+            return { success: false, message: `You don't have ${quantity}x ${item.name}` };
+        }
+
+        const total = this.getSellPrice(itemId) * quantity;
+        moneyManager.addMoney(total, `Sold ${quantity}x ${item.name} to ${merchantName}`);
+
+        console.log(`[ShopManager] 💰 Sold ${quantity}x ${item.name} for ${total} gold`);
+        return { success: true, message: `Sold ${quantity}x ${item.name} for ${total} gold` };
+    }
+}
+
+// Export singleton instance
+export const shopManager = new ShopManager();
@@ -2,8 +2,22 @@
  * Skills Manager
  * Manages player and NPC skills/abilities across all game states
  * Singleton pattern for universal access
+ *
+ * Skills cost energy (cost); magic skills cost the caster's MP (mpCost) instead.
+ * MP lives with each character's stats, so callers pass in what the caster has
+ * and spend it themselves after a successful useSkill().
+ *
+ * Skills are learned from per-character skill trees with the skill points
+ * each character earns on level up. The player's learned skills go to
+ * playerSkills.unlocked (equippable), a recruit's join their party abilities.
  */
 
+import { moneyManager } from './MoneyManager.js';
+import { partyLeadershipManager } from './PartyLeadershipManager.js';
+
+export const SKILL_POINTS_PER_LEVEL = 1;
+export const RESPEC_COST_PER_POINT = 30; // Gold per refunded skill point
+
 class SkillsManager {
     constructor() {
         if (SkillsManager.instance) {
@@ -22,18 +36,17 @@ class SkillsManager {
                 damage: 20,
                 cooldown: 1000,
                 cost: 5, // Stamina/Energy cost
-                unlockLevel: 1,
                 icon: '⚡'
             },
             'power_attack': {
                 id: 'power_attack',
                 name: 'Power Attack',
                 type: 'combat',
-                description: 'A heavy attack that deals high damage',
+                description: 'A heavy attack that deals high damage and briefly stuns',
                 damage: 40,
+                statusEffects: [{ type: 'stun', duration: 1000, on: 'enemy' }],
                 cooldown: 3000,
                 cost: 15,
-                unlockLevel: 3,
                 icon: '💥'
             },
             'dash_strike': {
@@ -44,7 +57,6 @@ class SkillsManager {
                 damage: 25,
                 cooldown: 2000,
                 cost: 10,
-                unlockLevel: 5,
                 icon: '🗡️'
             },
 
@@ -58,7 +70,6 @@ class SkillsManager {
                 duration: 2000,
                 cooldown: 5000,
                 cost: 8,
-                unlockLevel: 2,
                 icon: '🛡️'
             },
             'dodge_roll': {
@@ -69,7 +80,6 @@ class SkillsManager {
                 duration: 500,
                 cooldown: 3000,
                 cost: 7,
-                unlockLevel: 4,
                 icon: '🌀'
             },
 
@@ -77,12 +87,12 @@ class SkillsManager {
             'heal': {
                 id: 'heal',
                 name: 'Heal',
-                type: 'utility',
+                type: 'magic',
                 description: 'Restore 50 HP',
                 healing: 50,
                 cooldown: 10000,
-                cost: 20,
-                unlockLevel: 6,
+                cost: 0,
+                mpCost: 12,
                 icon: '💚'
             },
             'energy_burst': {
@@ -93,7 +103,6 @@ class SkillsManager {
                 energyRestore: 30,
                 cooldown: 8000,
                 cost: 0,
-                unlockLevel: 7,
                 icon: '⚡'
             },
 
@@ -105,8 +114,8 @@ class SkillsManager {
                 description: 'Launch a fireball projectile',
                 damage: 35,
                 cooldown: 4000,
-                cost: 25,
-                unlockLevel: 8,
+                cost: 0,
+                mpCost: 15,
                 icon: '🔥'
             },
             'ice_blast': {
@@ -118,12 +127,51 @@ class SkillsManager {
                 slow: 0.5, // 50% slow
                 duration: 3000,
                 cooldown: 5000,
-                cost: 25,
-                unlockLevel: 10,
+                cost: 0,
+                mpCost: 18,
                 icon: '❄️'
             }
         };
 
+        /**
+         * Skill trees per character ('player' or recruit npcId)
+         * Node: { skillId, requires: [skillIds learned first], cost: skill points }
+         * Skills a character starts with count as learned
+         */
+        this.skillTrees = {
+            player: [
+                { skillId: 'quick_strike', requires: [], cost: 0 },
+                { skillId: 'power_attack', requires: ['quick_strike'], cost: 1 },
+                { skillId: 'dash_strike', requires: ['power_attack'], cost: 2 },
+                { skillId: 'block', requires: ['quick_strike'], cost: 1 },
+                { skillId: 'dodge_roll', requires: ['block'], cost: 1 },
+                { skillId: 'heal', requires: ['block'], cost: 2 },
+                { skillId: 'energy_burst', requires: ['heal'], cost: 2 },
+                { skillId: 'fireball', requires: ['quick_strike'], cost: 2 },
+                { skillId: 'ice_blast', requires: ['fireball'], cost: 3 }
+            ],
+            warrior: [
+                { skillId: 'quick_strike', requires: [], cost: 1 },
+                { skillId: 'dash_strike', requires: ['quick_strike'], cost: 1 },
+                { skillId: 'power_attack', requires: ['dash_strike'], cost: 2 },
+                { skillId: 'heal', requires: ['quick_strike'], cost: 2 }
+            ],
+            mage: [
+                { skillId: 'fireball', requires: [], cost: 1 },
+                { skillId: 'heal', requires: [], cost: 1 },
+                { skillId: 'ice_blast', requires: ['fireball'], cost: 2 },
+                { skillId: 'quick_strike', requires: [], cost: 1 }
+            ],
+            ranger: [
+                { skillId: 'quick_strike', requires: [], cost: 1 },
+                { skillId: 'dash_strike', requires: ['quick_strike'], cost: 1 },
+                { skillId: 'ice_blast', requires: ['quick_strike'], cost: 2 }
+            ]
+        };
+
+        // Unspent skill points and tree skills bought with them (for respec), per character
+        this.skillProgress = {};
+
         // Player's unlocked and equipped skills
         this.playerSkills = {
             unlocked: ['quick_strike'], // Start with basic attack
@@ -232,10 +280,19 @@ class SkillsManager {
         return { success: true, message: `Unequipped ${skill.name}` };
     }
 
+    /**
+     * MP a skill costs (0 for non-magic skills)
+     */
+    getMpCost(skillId) {
+        return this.skillDatabase[skillId]?.mpCost || 0;
+    }
+
     /**
      * Check if player can use skill
+     * @param {string} skillId
+     * @param {number} availableMp - Caster's current MP (only checked for magic skills)
      */
-    canUseSkill(skillId) {
+    canUseSkill(skillId, availableMp = Infinity) {
         const skill = this.skillDatabase[skillId];
         if (!skill) return false;
 
@@ -244,10 +301,13 @@ class SkillsManager {
             return false;
         }
 
-        // Check energy cost
+        // Check energy and MP cost
         if (this.playerEnergy.current < skill.cost) {
             return false;
         }
+        if (availableMp < this.getMpCost(skillId)) {
+            return false;
+        }
 
         // Check cooldown
         if (this.isOnCooldown(skillId)) {
@@ -258,18 +318,23 @@ class SkillsManager {
     }
 
     /**
-     * Use a skill (deduct energy, start cooldown)
+     * Use a skill (deduct energy, start cooldown - the caller spends the MP)
+     * @param {string} skillId
+     * @param {number} availableMp - Caster's current MP
      */
-    useSkill(skillId) {
+    useSkill(skillId, availableMp = Infinity) {
         const skill = this.skillDatabase[skillId];
         if (!skill) {
             return { success: false, message: 'Skill not found' };
         }
 
-        if (!this.canUseSkill(skillId)) {
+        if (!this.canUseSkill(skillId, availableMp)) {
             if (this.playerEnergy.current < skill.cost) {
                 return { success: false, message: 'Not enough energy' };
             }
+            if (availableMp < this.getMpCost(skillId)) {
+                return { success: false, message: 'Not enough MP' };
+            }
             if (this.isOnCooldown(skillId)) {
                 const remaining = this.getCooldownRemaining(skillId);
                 return { success: false, message: `On cooldown (${(remaining / 1000).toFixed(1)}s)` };
@@ -351,20 +416,142 @@ class SkillsManager {
     }
 
     /**
-     * Auto-unlock skills based on player level
+     * Skill tree of a character (empty for characters without one)
+     * @param {string} memberId - 'player' or npcId
+     */
+    getSkillTree(memberId) {
+        return this.skillTrees[memberId] || [];
+    }
+
+    /**
+     * Skill points and bought skills of a character
+     * @returns {Object} { points, learned: [skillIds] }
+     */
+    getSkillProgress(memberId) {
+        if (!this.skillProgress[memberId]) {
+            this.skillProgress[memberId] = { points: 0, learned: [] };
+        }
+        return this.skillProgress[memberId];
+    }
+
+    getSkillPoints(memberId) {
+        return this.getSkillProgress(memberId).points;
+    }
+
+    /**
+     * Award skill points (StatsManager calls this on level up)
+     */
+    addSkillPoints(memberId, amount) {
+        const progress = this.getSkillProgress(memberId);
+        progress.points += amount;
+        console.log(`[SkillsManager] ${memberId} gained ${amount} skill point(s) (${progress.points} unspent)`);
+    }
+
+    /**
+     * Whether a character knows a skill (player: unlocked skills, recruits: party abilities)
+     */
+    knowsSkill(memberId, skillId) {
+        if (memberId === 'player') {
+            return this.playerSkills.unlocked.includes(skillId);
+        }
+        const member = partyLeadershipManager.getParty().find(m => m.id === memberId);
+        return !!member && member.abilities.includes(skillId);
+    }
+
+    /**
+     * State of a tree node for the menu
+     * @returns {string} 'learned' | 'available' | 'locked'
+     */
+    getNodeState(memberId, node) {
+        if (this.knowsSkill(memberId, node.skillId)) return 'learned';
+        return node.requires.every(skillId => this.knowsSkill(memberId, skillId)) ? 'available' : 'locked';
+    }
+
+    /**
+     * Spend skill points on a tree skill
+     * @returns {Object} { success, message }
+     */
+    learnTreeSkill(memberId, skillId) {
+        const node = this.getSkillTree(memberId).find(n => n.skillId === skillId);
+        const skill = this.skillDatabase[skillId];
+        if (!node || !skill) {
+            return { success: false, message: 'Not in this skill tree' };
+        }
+
+        const state = this.getNodeState(memberId, node);
+        if (state === 'learned') {
+            return { success: false, message: `${skill.name} is already learned` };
+        }
+        if (state === 'locked') {
+            const missing = node.requires
+                .filter(id => !this.knowsSkill(memberId, id))
+                .map(id => this.skillDatabase[id]?.name || id);
+            return { success: false, message: `Learn ${missing.join(', ')} first` };
+        }
+
+        const progress = this.getSkillProgress(memberId);
+        if (progress.points < node.cost) {
+            return { success: false, message: `Needs ${node.cost} skill point${node.cost === 1 ? '' : 's'}` };
+        }
+
+        progress.points -= node.cost;
+        progress.learned.push(skillId);
+        if (memberId === 'player') {
+            this.unlockSkill(skillId);
+            this.equipSkill(skillId); // Goes on the hotbar if a slot is free
+        } else {
+            partyLeadershipManager.addMemberAbility(memberId, skillId);
+        }
+
+        console.log(`[SkillsManager] 🌳 ${memberId} learned ${skill.name} (${node.cost} SP)`);
+        return { success: true, message: `Learned ${skill.name}!` };
+    }
+
+    /**
+     * Skill points spent on a character's tree (what a respec refunds)
      */
-    checkLevelUnlocks(playerLevel) {
-        const newUnlocks = [];
-
-        Object.values(this.skillDatabase).forEach(skill => {
-            if (skill.unlockLevel <= playerLevel && !this.playerSkills.unlocked.includes(skill.id)) {
-                if (this.unlockSkill(skill.id)) {
-                    newUnlocks.push(skill);
-                }
+    getSpentPoints(memberId) {
+        const tree = this.getSkillTree(memberId);
+        return this.getSkillProgress(memberId).learned
+            .reduce((total, skillId) => total + (tree.find(n => n.skillId === skillId)?.cost || 0), 0);
+    }
+
+    /**
+     * Gold a respec costs
+     */
+    getRespecCost(memberId) {
+        return this.getSpentPoints(memberId) * RESPEC_COST_PER_POINT;
+    }
+
+    /**
+     * Forget every bought tree skill and refund its points, paid with gold
+     * @returns {Object} { success, message }
+     */
+    respec(memberId) {
+        const progress = this.getSkillProgress(memberId);
+        const refund = this.getSpentPoints(memberId);
+        if (progress.learned.length === 0) {
+            return { success: false, message: 'No skills to reset' };
+        }
+
+        const cost = this.getRespecCost(memberId);
+        if (!moneyManager.removeMoney(cost, `Skill respec (${memberId})`)) {
+            return { success: false, message: `Respec costs ${cost} gold` };
+        }
+
+        progress.learned.forEach(skillId => {
+            if (memberId === 'player') {
+                this.playerSkills.unlocked = this.playerSkills.unlocked.filter(id => id !== skillId);
+                this.playerSkills.equipped = this.playerSkills.equipped.filter(id => id !== skillId);
+            } else {
+                partyLeadershipManager.removeMemberAbility(memberId, skillId);
             }
         });
+        progress.learned = [];
+        progress.points += refund;
 
-        return newUnlocks;
+        console.log(`[SkillsManager] 🔄 ${memberId} respec: ${refund} SP refunded for ${cost} gold`);
+        return { success: true, message: `Skills reset - ${refund} point${refund === 1 ? '' : 's'} refunded` };
     }
 
     /**
@@ -373,7 +560,8 @@ class SkillsManager {
     getSaveData() {
         return {
             playerSkills: this.playerSkills,
-            playerEnergy: this.playerEnergy
+            playerEnergy: this.playerEnergy,
+            skillProgress: this.skillProgress
         };
     }
 
@@ -387,6 +575,13 @@ class SkillsManager {
         if (data.playerEnergy) {
             this.playerEnergy = { ...this.playerEnergy, ...data.playerEnergy };
         }
+        this.skillProgress = {};
+        Object.entries(data.skillProgress || {}).forEach(([memberId, progress]) => {
+            this.skillProgress[memberId] = {
+                points: Number.isFinite(progress?.points) ? progress.points : 0,
+                learned: Array.isArray(progress?.learned) ? progress.learned.filter(id => this.skillDatabase[id]) : []
+            };
+        });
         console.log('[SkillsManager] Loaded save data');
     }
 
@@ -405,6 +600,7 @@ class SkillsManager {
             max: 100,
             regenRate: 2
         };
+        this.skillProgress = {};
         console.log('[SkillsManager] Reset to starting state');
     }
 }
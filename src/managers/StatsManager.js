@@ -3,6 +3,10 @@
  * Handles XP calculation, level-ups, stat scaling
  */
 import { gameStateManager } from './GameStateManager.js';
+import { partyLeadershipManager } from './PartyLeadershipManager.js';
+import { npcDefinitionManager } from './NpcDefinitionManager.js';
+import { skillsManager, SKILL_POINTS_PER_LEVEL } from './SkillsManager.js';
+import { npcAI } from '../ai/NpcAI.js';
 
 export default class StatsManager {
     constructor() {
@@ -13,11 +17,20 @@ export default class StatsManager {
         // Stat growth rates per level
         this.playerStatGrowth = {
             maxHealth: 10,      // +10 HP per level
+            maxMp: 5,           // +5 MP per level
             attack: 2,          // +2 attack per level
             defense: 1,         // +1 defense per level
             speed: 5            // +5 speed per level
         };
         
+        // Recruited party members whose NPC definition has no growth table
+        this.memberStatGrowth = {
+            maxHealth: 8,
+            maxMp: 3,
+            attack: 2,
+            defense: 1
+        };
+        
         this.npcStatGrowth = {
             maxHealth: 8,
             attack: 1.5,
@@ -48,6 +61,21 @@ export default class StatsManager {
         return Math.floor(100 * Math.pow(currentLevel, multiplier));
     }
 
+    /**
+     * Difficulty multiplier for XP and gold rewards (NpcAI difficulty)
+     */
+    getRewardMultiplier() {
+        return npcAI.getDifficulty().rewards;
+    }
+
+    /**
+     * Scale a gold reward by difficulty (battle loot)
+     * @param {number} gold
+     */
+    scaleGoldReward(gold) {
+        return Math.round(gold * this.getRewardMultiplier());
+    }
+
     /**
      * Calculate XP reward from battle
      * @param {number} defeatedLevel - Level of defeated entity
@@ -59,11 +87,14 @@ export default class StatsManager {
         const levelMultiplier = 1 + (levelDiff * this.levelDifferenceMultiplier);
         const typeMultiplier = this.npcTypeXpMultipliers[defeatedType] || 1.0;
         
+        const rewardMultiplier = this.getRewardMultiplier();
+        
         const xp = Math.floor(
             this.battleXpBase * 
             defeatedLevel * 
             Math.max(0.5, levelMultiplier) * 
-            typeMultiplier
+            typeMultiplier *
+            rewardMultiplier
         );
         
         console.log(`[StatsManager] XP Calculation:`, {
@@ -72,6 +103,7 @@ export default class StatsManager {
             defeatedType,
             levelMultiplier: Math.max(0.5, levelMultiplier),
             typeMultiplier,
+            rewardMultiplier,
             finalXP: Math.max(10, xp)
         });
         
@@ -88,13 +120,13 @@ export default class StatsManager {
         const baseXp = outcome === 'success' ? this.negotiationXpBase : this.negotiationXpBase * 0.5;
         const levelDiff = npcLevel - playerLevel;
         const multiplier = 1 + (levelDiff * this.levelDifferenceMultiplier);
-        return Math.floor(baseXp * Math.max(0.5, multiplier));
+        return Math.floor(baseXp * Math.max(0.5, multiplier) * this.getRewardMultiplier());
     }
 
     /**
      * Add experience to player and check for level up
      * @param {number} xpGained 
-     * @returns {object} { leveledUp: boolean, newLevel: number, statsGained: object }
+     * @returns {object} { leveledUp: boolean, newLevel: number, statsGained: object, skillPointsGained: number }
      */
     addPlayerExperience(xpGained) {
         const playerStats = gameStateManager.playerStats;
@@ -107,6 +139,7 @@ export default class StatsManager {
             leveledUp: false,
             newLevel: playerStats.level,
             statsGained: {},
+            skillPointsGained: 0,
             xpGained: xpGained
         };
 
@@ -119,18 +152,24 @@ export default class StatsManager {
             // Apply stat increases
             const oldMaxHealth = playerStats.maxHealth;
             playerStats.maxHealth += this.playerStatGrowth.maxHealth;
+            playerStats.maxMp += this.playerStatGrowth.maxMp;
             playerStats.attack += this.playerStatGrowth.attack;
             playerStats.defense += this.playerStatGrowth.defense;
             playerStats.speed += this.playerStatGrowth.speed;
             
-            // Heal to new max health
+            // Heal to new max health and MP
             playerStats.health = playerStats.maxHealth;
+            playerStats.mp = playerStats.maxMp;
 
             // Calculate next level XP requirement
             playerStats.experienceToNextLevel = this.calculateXpForNextLevel(playerStats.level, true);
 
+            skillsManager.addSkillPoints('player', SKILL_POINTS_PER_LEVEL);
+            result.skillPointsGained += SKILL_POINTS_PER_LEVEL;
+
             result.statsGained = {
                 maxHealth: playerStats.maxHealth - oldMaxHealth,
+                maxMp: this.playerStatGrowth.maxMp,
                 attack: this.playerStatGrowth.attack,
                 defense: this.playerStatGrowth.defense,
                 speed: this.playerStatGrowth.speed
@@ -142,6 +181,103 @@ export default class StatsManager {
         return result;
     }
 
+    /**
+     * Stat growth per level for a party member
+     * Recruits use the growth table from their NPC definition
+     * @param {string} memberId - 'player' or npcId
+     */
+    getMemberStatGrowth(memberId) {
+        if (memberId === 'player') {
+            return this.playerStatGrowth;
+        }
+        return npcDefinitionManager.getDefinition(memberId)?.growth || this.memberStatGrowth;
+    }
+
+    /**
+     * Add experience to a party member and check for level up
+     * The player's progress lives in GameStateManager, recruits keep theirs in their party stats
+     * @param {string} memberId - 'player' or npcId
+     * @param {number} xpGained
+     * @returns {object} { leveledUp: boolean, newLevel: number, statsGained: object, skillPointsGained: number }
+     */
+    addMemberExperience(memberId, xpGained) {
+        if (memberId === 'player') {
+            return this.addPlayerExperience(xpGained);
+        }
+
+        const member = partyLeadershipManager.getParty().find(m => m.id === memberId);
+        if (!member) {
+            console.warn(`[StatsManager] ${memberId} is not in the party`);
+            return { leveledUp: false };
+        }
+
+        const stats = { ...member.stats };
+        stats.level = stats.level || 1;
+        stats.experience = (stats.experience || 0) + xpGained;
+        stats.experienceToNextLevel = this.calculateXpForNextLevel(stats.level, true);
+
+        console.log(`[StatsManager] ${member.name} gained ${xpGained} XP (${stats.experience}/${stats.experienceToNextLevel})`);
+
+        const result = {
+            leveledUp: false,
+            newLevel: stats.level,
+            statsGained: {},
+            skillPointsGained: 0,
+            xpGained: xpGained
+        };
+
+        const growth = this.getMemberStatGrowth(memberId);
+        while (stats.experience >= stats.experienceToNextLevel) {
+            result.leveledUp = true;
+            stats.experience -= stats.experienceToNextLevel;
+            stats.level += 1;
+            result.newLevel = stats.level;
+
+            // Apply stat increases from the member's own growth table
+            Object.entries(growth).forEach(([stat, amount]) => {
+                stats[stat] = (stats[stat] || 0) + amount;
+                result.statsGained[stat] = (result.statsGained[stat] || 0) + amount;
+            });
+
+            // Heal to new max health and MP
+            stats.health = stats.maxHealth;
+            stats.mp = stats.maxMp;
+
+            stats.experienceToNextLevel = this.calculateXpForNextLevel(stats.level, true);
+
+            skillsManager.addSkillPoints(memberId, SKILL_POINTS_PER_LEVEL);
+            result.skillPointsGained += SKILL_POINTS_PER_LEVEL;
+
+            console.log(`[StatsManager] 🎉 ${member.name} LEVEL UP! Level ${result.newLevel}`, result.statsGained);
+        }
+
+        partyLeadershipManager.updateMemberStats(memberId, stats);
+        return result;
+    }
+
+    /**
+     * Split XP evenly across party members
+     * The first members get 1 XP more when it doesn't divide evenly, so the total is exactly totalXp
+     * @param {number} totalXp
+     * @param {Array<string>} memberIds - Members who share the XP (default: the whole party)
+     * @returns {object} { share, remainder, results: [{ memberId, name, leveledUp, newLevel, statsGained, xpGained }] }
+     */
+    distributePartyExperience(totalXp, memberIds = partyLeadershipManager.getParty().map(member => member.id)) {
+        const ids = memberIds.length > 0 ? memberIds : ['player'];
+        const share = Math.floor(totalXp / ids.length);
+        const remainder = totalXp - share * ids.length;
+
+        console.log(`[StatsManager] Splitting ${totalXp} XP across ${ids.length} member(s): ${share} each (+1 for the first ${remainder})`);
+
+        const results = ids.map((memberId, index) => ({
+            memberId,
+            name: partyLeadershipManager.getParty().find(member => member.id === memberId)?.name || 'Player',
+            ...this.addMemberExperience(memberId, share + (index < remainder ? 1 : 0))
+        }));
+
+        return { share, remainder, results };
+    }
+
     /**
      * Add experience to NPC and check for level up
      * @param {string} npcId 
@@ -256,52 +392,67 @@ export default class StatsManager {
      * @param {number} attackerLevel 
      * @param {number} defenderDefense 
      * @param {number} defenderLevel 
+     * @param {Object} modifiers - Status effects (StatusEffectManager.getDamageModifiers)
+     *                             { attackBonus, defenseBonus, damageReduction }
      */
-    calculateDamage(baseAttack, attackerLevel, defenderDefense, defenderLevel) {
+    calculateDamage(baseAttack, attackerLevel, defenderDefense, defenderLevel, modifiers = {}) {
+        const { attackBonus = 0, defenseBonus = 0, damageReduction = 0 } = modifiers;
+        
         // Base damage with level scaling
         const levelScaling = 1 + (attackerLevel * 0.05); // +5% per level
-        const scaledAttack = baseAttack * levelScaling;
+        const scaledAttack = (baseAttack + attackBonus) * levelScaling;
         
         // Defense reduction
-        const defenseReduction = defenderDefense * (1 + (defenderLevel * 0.03)); // +3% per level
+        const defenseReduction = (defenderDefense + defenseBonus) * (1 + (defenderLevel * 0.03)); // +3% per level
         
-        // Final damage (minimum 1)
-        const damage = Math.max(1, Math.floor(scaledAttack - defenseReduction));
+        // Final damage (minimum 1, unless fully guarded)
+        if (damageReduction >= 1) {
+            console.log('[StatsManager] Damage calc: attack fully guarded');
+            return 0;
+        }
+        const damage = Math.max(1, Math.floor((scaledAttack - defenseReduction) * (1 - damageReduction)));
         
-        console.log(`[StatsManager] Damage calc: ${baseAttack} ATK (Lvl ${attackerLevel}) vs ${defenderDefense} DEF (Lvl ${defenderLevel}) = ${damage} damage`);
+        console.log(`[StatsManager] Damage calc: ${baseAttack}+${attackBonus} ATK (Lvl ${attackerLevel}) vs ${defenderDefense}+${defenseBonus} DEF (Lvl ${defenderLevel}), -${damageReduction * 100}% = ${damage} damage`);
         
         return damage;
     }
 
     /**
-     * Get player's current stats with level bonuses
+     * Get player's current stats with level and equipment bonuses
+     * @returns {Object} Stats plus equipment: { attack, defense, speed } (the bonus part)
      */
     getPlayerCombatStats() {
         const stats = gameStateManager.getPlayerStats();
-        return {
-            health: stats.health,
-            maxHealth: stats.maxHealth,
-            attack: stats.attack,
-            defense: stats.defense,
-            speed: stats.speed,
-            level: stats.level
-        };
+        return this.applyEquipment(stats, 'player');
     }
 
     /**
-     * Get NPC's current stats with level bonuses
+     * Get NPC's current stats with level and equipment bonuses
+     * Recruited members without tracked NPC stats use their party stats
      */
     getNpcCombatStats(npcId) {
-        const stats = gameStateManager.getNpcStats(npcId);
+        const stats = gameStateManager.getNpcStats(npcId) ||
+            partyLeadershipManager.getParty().find(member => member.id === npcId)?.stats;
         if (!stats) return null;
         
+        return this.applyEquipment(stats, npcId);
+    }
+
+    /**
+     * Add a party member's equipment bonuses to their stats (no equipment = unchanged)
+     */
+    applyEquipment(stats, memberId) {
+        const equipment = partyLeadershipManager.getEquipmentBonuses(memberId);
         return {
             health: stats.health,
             maxHealth: stats.maxHealth,
-            attack: stats.attack,
-            defense: stats.defense,
-            speed: stats.speed,
-            level: stats.level
+            mp: stats.mp || 0,
+            maxMp: stats.maxMp || 0,
+            attack: (stats.attack || 0) + equipment.attack,
+            defense: (stats.defense || 0) + equipment.defense,
+            speed: (stats.speed || 0) + equipment.speed,
+            level: stats.level,
+            equipment
         };
     }
 }
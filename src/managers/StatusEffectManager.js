@@ -0,0 +1,219 @@
+/**
+ * StatusEffectManager - Temporary buffs and debuffs in battle
+ * Singleton that attaches status effects to battle characters (player, party member
+ * and enemy sprites). Effects last for a time (ms), a number of turns, or both.
+ * BattleScene ticks it every frame and applies the returned poison/regen ticks -
+ * the manager itself never touches HP or the UI.
+ *
+ * Turns: attack_up is spent per attack the character makes, defense_up and guard
+ * per hit the character takes (effects with only a duration ignore turns).
+ */
+
+export const STATUS_EFFECTS = {
+    attack_up: { name: 'Attack Up', icon: '⚔️', debuff: false },   // amount: bonus attack
+    defense_up: { name: 'Defense Up', icon: '🛡️', debuff: false }, // amount: bonus defense
+    guard: { name: 'Guard', icon: '🔰', debuff: false },            // amount: fraction of damage blocked (1 = evade)
+    regen: { name: 'Regen', icon: '💚', debuff: false },            // amount: HP per tick
+    slow: { name: 'Slow', icon: '❄️', debuff: true },               // amount: fraction of speed removed
+    stun: { name: 'Stun', icon: '💫', debuff: true },               // can't act
+    poison: { name: 'Poison', icon: '☠️', debuff: true }            // amount: HP lost per tick
+};
+
+class StatusEffectManager {
+    constructor() {
+        if (StatusEffectManager.instance) {
+            return StatusEffectManager.instance;
+        }
+
+        // target -> Map(type -> { type, amount, remaining (ms|null), turns (number|null), tickTimer, source })
+        this.effects = new Map();
+        this.tickInterval = 1000; // Poison/regen tick every second
+
+        StatusEffectManager.instance = this;
+    }
+
+    /**
+     * Attach an effect to a target; an effect of the same type is replaced (refreshed)
+     * @param {Object} target - Battle sprite
+     * @param {string} type - Key of STATUS_EFFECTS
+     * @param {Object} options - { amount, duration (ms), turns, source }
+     * @returns {boolean} True if applied
+     */
+    apply(target, type, { amount = 0, duration = null, turns = null, source = null } = {}) {
+        if (!target || !STATUS_EFFECTS[type]) {
+            console.warn(`[StatusEffectManager] Cannot apply unknown effect: ${type}`);
+            return false;
+        }
+        if (duration === null && turns === null) {
+            console.warn(`[StatusEffectManager] ${type} needs a duration or turns`);
+            return false;
+        }
+
+        if (!this.effects.has(target)) {
+            this.effects.set(target, new Map());
+        }
+        this.effects.get(target).set(type, {
+            type,
+            amount,
+            remaining: duration,
+            turns,
+            tickTimer: 0,
+            source
+        });
+
+        console.log(`[StatusEffectManager] ${STATUS_EFFECTS[type].icon} ${STATUS_EFFECTS[type].name} applied`, {
+            amount,
+            duration,
+            turns,
+            source
+        });
+        return true;
+    }
+
+    remove(target, type) {
+        const targetEffects = this.effects.get(target);
+        if (!targetEffects) return;
+
+        targetEffects.delete(type);
+        if (targetEffects.size === 0) {
+            this.effects.delete(target);
+        }
+    }
+
+    /**
+     * Remove every effect from a target (defeated enemy, etc.)
+     */
+    clear(target) {
+        this.effects.delete(target);
+    }
+
+    /**
+     * Remove all effects (battle end)
+     */
+    clearAll() {
+        this.effects.clear();
+    }
+
+    get(target, type) {
+        return this.effects.get(target)?.get(type) || null;
+    }
+
+    has(target, type) {
+        return !!this.get(target, type);
+    }
+
+    /**
+     * Active effects on a target with their display info
+     * @returns {Array} [{ type, name, icon, debuff, amount, remaining, turns }]
+     */
+    getEffects(target) {
+        const targetEffects = this.effects.get(target);
+        if (!targetEffects) return [];
+
+        return Array.from(targetEffects.values()).map(effect => ({
+            ...STATUS_EFFECTS[effect.type],
+            type: effect.type,
+            amount: effect.amount,
+            remaining: effect.remaining,
+            turns: effect.turns
+        }));
+    }
+
+    /**
+     * Icon string for a target ('' if none)
+     */
+    getIcons(target) {
+        return this.getEffects(target).map(effect => effect.icon).join('');
+    }
+
+    /**
+     * Advance timed effects
+     * @param {number} delta - ms since last frame
+     * @returns {Object} { ticks: [{ target, type, amount }], expired: [{ target, type }] }
+     */
+    update(delta) {
+        const ticks = [];
+        const expired = [];
+
+        this.effects.forEach((targetEffects, target) => {
+            targetEffects.forEach(effect => {
+                if (effect.type === 'poison' || effect.type === 'regen') {
+                    effect.tickTimer += delta;
+                    while (effect.tickTimer >= this.tickInterval) {
+                        effect.tickTimer -= this.tickInterval;
+                        ticks.push({ target, type: effect.type, amount: effect.amount });
+                    }
+                }
+
+                if (effect.remaining !== null) {
+                    effect.remaining -= delta;
+                    if (effect.remaining <= 0) {
+                        expired.push({ target, type: effect.type });
+                    }
+                }
+            });
+        });
+
+        expired.forEach(({ target, type }) => {
+            this.remove(target, type);
+            console.log(`[StatusEffectManager] ${STATUS_EFFECTS[type].name} wore off`);
+        });
+
+        return { ticks, expired };
+    }
+
+    /**
+     * Spend one turn of a turn-limited effect
+     * @returns {boolean} True if the effect ran out
+     */
+    useTurn(target, type) {
+        const effect = this.get(target, type);
+        if (!effect || effect.turns === null) return false;
+
+        effect.turns -= 1;
+        if (effect.turns <= 0) {
+            this.remove(target, type);
+            console.log(`[StatusEffectManager] ${STATUS_EFFECTS[type].name} wore off`);
+            return true;
+        }
+        return false;
+    }
+
+    isStunned(target) {
+        return this.has(target, 'stun');
+    }
+
+    /**
+     * Speed multiplier from Slow (1 = normal)
+     */
+    getSpeedMultiplier(target) {
+        const slow = this.get(target, 'slow');
+        return slow ? Math.max(0, 1 - slow.amount) : 1;
+    }
+
+    /**
+     * Modifiers for StatsManager.calculateDamage() for one hit
+     * Spends a turn of the attacker's attack_up and the defender's defense_up/guard
+     * @returns {Object} { attackBonus, defenseBonus, damageReduction }
+     */
+    getDamageModifiers(attacker, defender) {
+        const attackUp = this.get(attacker, 'attack_up');
+        const defenseUp = this.get(defender, 'defense_up');
+        const guard = this.get(defender, 'guard');
+
+        const modifiers = {
+            attackBonus: attackUp ? attackUp.amount : 0,
+            defenseBonus: defenseUp ? defenseUp.amount : 0,
+            damageReduction: guard ? Math.min(1, guard.amount) : 0
+        };
+
+        this.useTurn(attacker, 'attack_up');
+        this.useTurn(defender, 'defense_up');
+        this.useTurn(defender, 'guard');
+
+        return modifiers;
+    }
+}
+
+// Export singleton instance
+export const statusEffectManager = new StatusEffectManager();
@@ -2,6 +2,7 @@ import Phaser from "phaser";
 import { gameStateManager } from "../managers/GameStateManager.js";
 import { dialogueManager } from "../managers/DialogueManager.js";
 import { skillsManager } from "../managers/SkillsManager.js";
+import { itemsManager } from "../managers/ItemsManager.js";
 import { soundManager } from "../managers/SoundManager.js";
 import { mobileManager } from "../managers/MobileManager.js";
 import MobileControls from "../managers/MobileControls.js";
@@ -13,6 +14,10 @@ export default class BattleMenuScene extends Phaser.Scene {
         this.icons = [];
         this.timerInterval = null;
         
+        // Items panel (null while closed)
+        this.itemsPanel = null;
+        this.itemsPanelState = null;
+        
         // Gamepad support
         this.gamepad = null;
         this.gamepadButtonStates = {};
@@ -58,11 +63,17 @@ export default class BattleMenuScene extends Phaser.Scene {
         const slashKey = this.input.keyboard.addKey(191); // Forward slash keyCode
         slashKey.on('down', () => {
             console.log('[BattleMenuScene] Closing menu with /');
+            this.closeItemsPanel();
             this.closeMenu();
         });
         
         const escKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
         escKey.on('down', () => {
+            // Items panel: ESC steps back (target -> item list -> menu)
+            if (this.itemsPanel) {
+                this.itemsPanelBack();
+                return;
+            }
             console.log('[BattleMenuScene] Closing menu with ESC');
             this.closeMenu();
         });
@@ -75,6 +86,12 @@ export default class BattleMenuScene extends Phaser.Scene {
         // Update gamepad
         this.updateGamepad();
         
+        // Items panel takes over navigation while open
+        if (this.itemsPanel) {
+            this.updateItemsPanel();
+            return;
+        }
+        
         // Check for Select button (button 8) or B button (button 1) to close menu
         if (this.isGamepadButtonJustPressed(8) || this.isGamepadButtonJustPressed(1)) {
             console.log('[BattleMenuScene] Closing menu with gamepad (Select or B button)');
@@ -370,7 +387,7 @@ export default class BattleMenuScene extends Phaser.Scene {
                 this.openTalkDialog();
                 break;
             case 'items':
-                this.showItemsNotImplemented();
+                this.showItemsContent();
                 break;
             case 'skills':
                 this.showSkillsContent();
@@ -572,8 +589,211 @@ export default class BattleMenuScene extends Phaser.Scene {
         document.body.appendChild(dialogueOverlay);
     }
 
-    showItemsNotImplemented() {
-        alert('Items menu coming soon!');
+    /**
+     * Items panel - pick a consumable, then the party member to use it on
+     * BattleScene applies the item when it resumes ({ useItem: { itemId, targetIndex } })
+     */
+    showItemsContent() {
+        console.log('[BattleMenuScene] Showing items content');
+        
+        this.itemsPanel = document.createElement('div');
+        this.itemsPanel.id = 'battle-items-overlay';
+        this.itemsPanel.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100vw;
+            height: 100vh;
+            background: rgba(0, 0, 0, 0.95);
+            z-index: 10000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            pointer-events: auto;
+        `;
+        this.itemsPanelState = { step: 'item', itemIndex: 0, targetIndex: 0, message: '' };
+        
+        // Click a row to select it, click the back button to step back
+        this.itemsPanel.addEventListener('click', (event) => {
+            const row = event.target.closest('[data-index]');
+            if (row) {
+                const index = Number(row.dataset.index);
+                if (this.itemsPanelState.step === 'item') {
+                    this.itemsPanelState.itemIndex = index;
+                } else {
+                    this.itemsPanelState.targetIndex = index;
+                }
+                this.confirmItemsSelection();
+            } else if (event.target.closest('[data-action="back"]')) {
+                this.itemsPanelBack();
+            }
+        });
+        
+        document.body.appendChild(this.itemsPanel);
+        this.renderItemsPanel();
+    }
+    
+    getBattleItems() {
+        return itemsManager.getInventory().filter(item => item.type === 'consumable');
+    }
+    
+    /**
+     * Item targets in BattleScene party order (0 = player, 1+ = party members)
+     */
+    getItemTargets() {
+        const playerStats = gameStateManager.getPlayerStats();
+        return [
+            {
+                name: this.battleScene?.playerData?.name || 'Player',
+                currentHP: playerStats.health,
+                maxHP: playerStats.maxHealth,
+                currentMP: playerStats.mp,
+                maxMP: playerStats.maxMp,
+                isDowned: !!this.battleScene?.isPlayerDowned
+            },
+            ...this.partyMembers
+        ];
+    }
+    
+    /**
+     * MP of the character skills are used by (BattleScene's active character)
+     * @returns {Object} { name, current, max }
+     */
+    getActiveCharacterMP() {
+        const index = this.battleScene?.activeCharacterIndex || 0;
+        const character = this.getItemTargets()[index] || this.getItemTargets()[0];
+        return { name: character.name, current: character.currentMP || 0, max: character.maxMP || 0 };
+    }
+    
+    renderItemsPanel() {
+        if (!this.itemsPanel) return;
+        
+        const { step, itemIndex, targetIndex, message } = this.itemsPanelState;
+        const items = this.getBattleItems();
+        const apCost = this.battleScene?.itemAPCost || 0;
+        const currentAP = Math.floor(this.battleScene?.currentAP || 0);
+        
+        let rowsHTML = '';
+        if (step === 'item') {
+            if (items.length === 0) {
+                rowsHTML = `<p style="text-align: center; color: #666; font-style: italic;">No usable items</p>`;
+            }
+            items.forEach((item, index) => {
+                const isSelected = index === itemIndex;
+                rowsHTML += `
+                    <div data-index="${index}" style="margin-bottom: 8px; padding: 10px 12px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(255, 255, 255, 0.05)'}; border: 2px solid ${isSelected ? '#FFD700' : '#444'}; border-radius: 8px; cursor: pointer;">
+                        <div style="display: flex; justify-content: space-between;">
+                            <span style="font-weight: bold; color: ${isSelected ? '#FFD700' : '#FFF'};">${item.name}</span>
+                            <span style="color: #AAA;">x${item.quantity}</span>
+                        </div>
+                        <div style="font-size: 12px; color: #AAA; margin-top: 4px;">${item.description}</div>
+                    </div>
+                `;
+            });
+        } else {
+            const item = items[itemIndex];
+            rowsHTML += `<p style="color: #AAA; margin: 0 0 10px 0;">Use <span style="color: #FFD700; font-weight: bold;">${item.name}</span> on:</p>`;
+            this.getItemTargets().forEach((target, index) => {
+                const isSelected = index === targetIndex;
+                rowsHTML += `
+                    <div data-index="${index}" style="margin-bottom: 8px; padding: 10px 12px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(255, 255, 255, 0.05)'}; border: 2px solid ${isSelected ? '#FFD700' : '#444'}; border-radius: 8px; cursor: pointer; opacity: ${target.isDowned ? 0.5 : 1};">
+                        <div style="display: flex; justify-content: space-between;">
+                            <span style="font-weight: bold; color: ${isSelected ? '#FFD700' : '#FFF'};">${target.name}</span>
+                            <span style="color: ${target.isDowned ? '#FF4757' : '#AAA'};">${target.isDowned ? 'DOWNED' : item.effect?.type === 'mana' ? `MP ${Math.floor(target.currentMP)}/${target.maxMP}` : `HP ${target.currentHP}/${target.maxHP}`}</span>
+                        </div>
+                    </div>
+                `;
+            });
+        }
+        
+        this.itemsPanel.innerHTML = `
+            <div style="width: 420px; padding: 30px; background: linear-gradient(135deg, #1a1a2e, #16213e); border: 3px solid #FFD700; border-radius: 15px; color: white; font-family: Arial, sans-serif; max-height: 80vh; overflow-y: auto;">
+                <h2 style="color: #FFD700; margin: 0 0 10px 0; text-align: center;">🎒 ITEMS</h2>
+                <div style="text-align: center; font-size: 13px; color: ${currentAP >= apCost ? '#AAA' : '#FF4757'}; margin-bottom: 15px;">Cost: ${apCost} AP (you have ${currentAP})</div>
+                ${rowsHTML}
+                ${message ? `<p style="text-align: center; color: #FF4757; margin: 10px 0 0 0;">${message}</p>` : ''}
+                <div style="text-align: center; margin-top: 20px;">
+                    <p style="color: #FFD700; font-size: 13px; margin: 0 0 10px 0;">W/S - Choose | U - ${step === 'item' ? 'Select' : 'Use'} | ESC - Back</p>
+                    <button data-action="back" style="background: #4A90E2; border: none; padding: 10px 30px; border-radius: 8px; color: white; font-size: 16px; font-weight: bold; cursor: pointer;">Back</button>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Keyboard/gamepad navigation for the items panel (ESC is handled by the ESC key listener)
+     */
+    updateItemsPanel() {
+        const moveUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const moveDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        
+        if (moveUp || moveDown) {
+            const state = this.itemsPanelState;
+            const key = state.step === 'item' ? 'itemIndex' : 'targetIndex';
+            const count = state.step === 'item' ? this.getBattleItems().length : this.getItemTargets().length;
+            if (count > 0) {
+                state[key] = (state[key] + (moveUp ? -1 : 1) + count) % count;
+                state.message = '';
+                soundManager.playMenuSelect();
+                this.renderItemsPanel();
+            }
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+            this.confirmItemsSelection();
+        } else if (this.isGamepadButtonJustPressed(1)) {
+            this.itemsPanelBack();
+        }
+    }
+    
+    confirmItemsSelection() {
+        const state = this.itemsPanelState;
+        const items = this.getBattleItems();
+        const item = items[state.itemIndex];
+        if (!item) return;
+        
+        if (state.step === 'item') {
+            soundManager.playMenuConfirm();
+            state.step = 'target';
+            state.targetIndex = 0;
+            state.message = '';
+            this.renderItemsPanel();
+            return;
+        }
+        
+        const target = this.getItemTargets()[state.targetIndex];
+        if (target.isDowned) {
+            state.message = `${target.name} is downed`;
+        } else if ((this.battleScene?.currentAP || 0) < (this.battleScene?.itemAPCost || 0)) {
+            state.message = 'Not enough AP';
+        } else {
+            soundManager.playMenuConfirm();
+            console.log(`[BattleMenuScene] Using ${item.id} on ${target.name}`);
+            const targetIndex = state.targetIndex;
+            this.closeItemsPanel();
+            this.closeMenu({ useItem: { itemId: item.id, targetIndex } });
+            return;
+        }
+        this.renderItemsPanel();
+    }
+    
+    itemsPanelBack() {
+        if (this.itemsPanelState.step === 'target') {
+            this.itemsPanelState.step = 'item';
+            this.itemsPanelState.message = '';
+            this.renderItemsPanel();
+        } else {
+            this.closeItemsPanel();
+        }
+    }
+    
+    closeItemsPanel() {
+        if (this.itemsPanel) {
+            console.log('[BattleMenuScene] Closing items panel');
+            this.itemsPanel.remove();
+            this.itemsPanel = null;
+            this.itemsPanelState = null;
+        }
     }
 
     showSkillsContent() {
@@ -602,6 +822,7 @@ export default class BattleMenuScene extends Phaser.Scene {
         const unlockedSkills = skillsManager.getUnlockedSkills();
         const equippedSkills = skillsManager.getEquippedSkills();
         const energy = skillsManager.getEnergy();
+        const mp = this.getActiveCharacterMP();
         
         let skillsHTML = `
             <div style="max-width: 600px; padding: 30px; background: linear-gradient(135deg, #1a1a2e, #16213e); border: 3px solid #FFD700; border-radius: 15px; color: white; font-family: Arial, sans-serif; max-height: 80vh; overflow-y: auto;">
@@ -615,6 +836,13 @@ export default class BattleMenuScene extends Phaser.Scene {
                     <div style="background: #333; height: 10px; border-radius: 5px; overflow: hidden;">
                         <div style="background: linear-gradient(90deg, #FFD700, #FFA502); height: 100%; width: ${energy.percent * 100}%;"></div>
                     </div>
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin: 10px 0 8px 0;">
+                        <span style="color: #AAA; font-size: 14px;">MP (${mp.name})</span>
+                        <span style="color: #74B9FF; font-weight: bold;">${Math.floor(mp.current)} / ${mp.max}</span>
+                    </div>
+                    <div style="background: #333; height: 10px; border-radius: 5px; overflow: hidden;">
+                        <div style="background: linear-gradient(90deg, #74B9FF, #0984E3); height: 100%; width: ${mp.max > 0 ? (mp.current / mp.max) * 100 : 0}%;"></div>
+                    </div>
                 </div>
                 
                 <div style="margin-bottom: 15px;">
@@ -624,15 +852,16 @@ export default class BattleMenuScene extends Phaser.Scene {
         if (equippedSkills.length === 0) {
             skillsHTML += `<p style="text-align: center; color: #666; font-style: italic;">No skills equipped</p>`;
         } else {
-            equippedSkills.forEach(skill => {
+            equippedSkills.forEach((skill, slot) => {
                 const isOnCooldown = skillsManager.isOnCooldown(skill.id);
-                const canUse = skillsManager.canUseSkill(skill.id);
+                const canUse = skillsManager.canUseSkill(skill.id, mp.current);
                 const cooldownProgress = skillsManager.getCooldownProgress(skill.id);
                 
                 skillsHTML += `
-                    <div style="margin-bottom: 10px; padding: 12px; background: ${canUse ? 'rgba(74, 144, 226, 0.2)' : 'rgba(128, 128, 128, 0.1)'}; border: 2px solid ${canUse ? '#4A90E2' : '#666'}; border-radius: 8px;">
+                    <div data-skill-id="${skill.id}" style="margin-bottom: 10px; padding: 12px; background: ${canUse ? 'rgba(74, 144, 226, 0.2)' : 'rgba(128, 128, 128, 0.1)'}; border: 2px solid ${canUse ? '#4A90E2' : '#666'}; border-radius: 8px; cursor: ${canUse ? 'pointer' : 'default'};">
                         <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
                             <div>
+                                <span style="color: #FFD700; font-weight: bold; margin-right: 8px;">${slot + 1}</span>
                                 <span style="font-size: 24px; margin-right: 8px;">${skill.icon}</span>
                                 <span style="color: ${canUse ? '#FFF' : '#888'}; font-weight: bold;">${skill.name}</span>
                             </div>
@@ -643,7 +872,9 @@ export default class BattleMenuScene extends Phaser.Scene {
                         <div style="font-size: 12px; color: #AAA; margin-bottom: 5px;">${skill.description}</div>
                         <div style="display: flex; justify-content: space-between; font-size: 12px;">
                             <span style="color: #FFA502;">⚔️ ${skill.damage || 0} DMG</span>
-                            <span style="color: #FFD700;">⚡ ${skill.cost} Energy</span>
+                            ${skill.mpCost
+                                ? `<span style="color: #74B9FF;">💧 ${skill.mpCost} MP</span>`
+                                : `<span style="color: #FFD700;">⚡ ${skill.cost} Energy</span>`}
                         </div>
                         ${isOnCooldown ? `
                             <div style="background: #333; height: 4px; border-radius: 2px; overflow: hidden; margin-top: 5px;">
@@ -659,6 +890,7 @@ export default class BattleMenuScene extends Phaser.Scene {
                 </div>
                 
                 <div style="text-align: center; padding: 15px; background: rgba(255, 255, 255, 0.05); border-radius: 8px; margin-top: 20px;">
+                    <p style="color: #FFF; font-size: 14px; margin: 0 0 10px 0;">Press <span style="color: #FFD700;">1-4</span> or click a ready skill to use it</p>
                     <p style="color: #AAA; font-size: 14px; margin: 0 0 10px 0;">Open the <span style="color: #FFD700;">Menu (/)</span> to manage all skills</p>
                     <p style="color: #FFD700; font-size: 14px; margin: 0 0 10px 0; font-weight: bold;">Press ESC or / to close</p>
                     <button id="close-skills-btn" style="background: #4A90E2; border: none; padding: 10px 30px; border-radius: 8px; color: white; font-size: 16px; font-weight: bold; cursor: pointer;">Close</button>
@@ -672,15 +904,25 @@ export default class BattleMenuScene extends Phaser.Scene {
         // Set flag that skills overlay is open
         this.skillsOverlayOpen = true;
         
-        // Create close function
-        const closeSkillsOverlay = () => {
+        // Create close function (skillId = skill for BattleScene to use on resume)
+        const closeSkillsOverlay = (skillId = null) => {
             console.log('[BattleMenuScene] Closing skills overlay');
             skillsOverlay.remove();
             this.skillsOverlayOpen = false;
             // Remove the DOM listener
             document.removeEventListener('keydown', keydownHandler);
             // Close this menu scene
-            this.closeMenu();
+            this.closeMenu(skillId ? { useSkill: skillId } : undefined);
+        };
+        
+        // Only ready skills can be picked - BattleScene spends the energy and starts the cooldown
+        const selectSkill = (skillId) => {
+            if (!skillId || !skillsManager.canUseSkill(skillId, mp.current)) {
+                console.log(`[BattleMenuScene] Skill not ready: ${skillId}`);
+                return;
+            }
+            console.log(`[BattleMenuScene] Skill selected: ${skillId}`);
+            closeSkillsOverlay(skillId);
         };
         
         // Add DOM-level keyboard listener (works even when Phaser input is paused)
@@ -689,14 +931,22 @@ export default class BattleMenuScene extends Phaser.Scene {
             if (event.key === 'Escape' || event.key === '/') {
                 event.preventDefault();
                 closeSkillsOverlay();
+            } else if (['1', '2', '3', '4'].includes(event.key)) {
+                event.preventDefault();
+                selectSkill(skillsManager.playerSkills.equipped[Number(event.key) - 1]);
             }
         };
         document.addEventListener('keydown', keydownHandler);
         
+        // Click a skill card to use it
+        skillsOverlay.querySelectorAll('[data-skill-id]').forEach(card => {
+            card.addEventListener('click', () => selectSkill(card.dataset.skillId));
+        });
+        
         // Add close button listener
         const closeBtn = document.getElementById('close-skills-btn');
         if (closeBtn) {
-            closeBtn.addEventListener('click', closeSkillsOverlay);
+            closeBtn.addEventListener('click', () => closeSkillsOverlay());
         }
     }
 
@@ -713,7 +963,11 @@ export default class BattleMenuScene extends Phaser.Scene {
         this.timerInterval = setInterval(updateTimer, 100);
     }
 
-    closeMenu() {
+    /**
+     * Close the menu and resume BattleScene
+     * @param {Object} resumeData - Passed to BattleScene's resume event (e.g. { useSkill })
+     */
+    closeMenu(resumeData) {
         console.log('[BattleMenuScene] Closing battle menu');
         
         // Stop timer update
@@ -729,7 +983,7 @@ export default class BattleMenuScene extends Phaser.Scene {
         }
         
         // Resume battle scene
-        this.scene.resume('BattleScene');
+        this.scene.resume('BattleScene', resumeData);
         
         // Stop this scene
         this.scene.stop();
@@ -819,6 +1073,8 @@ export default class BattleMenuScene extends Phaser.Scene {
     shutdown() {
         console.log('[BattleMenuScene] Shutting down');
         
+        this.closeItemsPanel();
+        
         // Clean up timer
         if (this.timerInterval) {
             clearInterval(this.timerInterval);
@@ -3,10 +3,16 @@ import HUDManager from "../ui/HUDManager";
 import DialogueCard from "../ui/DialogueCard.js";
 import { gameStateManager } from "../managers/GameStateManager.js";
 import { statsManager } from "../managers/StatsManager.js";
+import { partyLeadershipManager } from "../managers/PartyLeadershipManager.js";
 import { dialogueManager } from "../managers/DialogueManager.js";
 import { dialogueDatabase } from "../data/DialogueDatabase.js";
 import { moneyManager } from "../managers/MoneyManager.js";
 import { itemsManager } from "../managers/ItemsManager.js";
+import { questManager } from "../managers/QuestManager.js";
+import { skillsManager } from "../managers/SkillsManager.js";
+import { lootManager } from "../managers/LootManager.js";
+import { statusEffectManager } from "../managers/StatusEffectManager.js";
+import { npcDefinitionManager } from "../managers/NpcDefinitionManager.js";
 import { soundManager } from "../managers/SoundManager.js";
 import { BattleSceneSFX } from "../audio/sfx/BattleSceneSFX.js";
 import { BattleSceneSong } from "../audio/songs/BattleSceneSong.js";
@@ -69,6 +75,20 @@ export default class BattleScene extends Phaser.Scene {
         this.maxHP = 100;
         this.currentHP = 100;
         
+        // Player MP (party members keep theirs in memberData.currentMP/maxMP)
+        this.maxMP = 30;
+        this.currentMP = 30;
+        
+        // Skills (SkillsManager equipped skills on keys 1-4)
+        this.skillKeys = [];
+        this.skillBarText = null;
+        
+        // Battle items (BattleMenuScene items panel)
+        this.itemAPCost = 3;
+        
+        // Status effect icons over characters and enemies (sprite -> text)
+        this.statusIconTexts = new Map();
+        
         // Display elements
         this.enemyHealthTexts = [];
         this.enemyLevelTexts = [];
@@ -101,6 +121,10 @@ export default class BattleScene extends Phaser.Scene {
         this.escapeHoldDuration = 3000; // 3 seconds to escape
         this.escapeProgressBar = null;
         this.escapeProgressBarBackground = null;
+        this.escapeKeyBlocked = false; // Set after a blocked flee until ESC is released
+        
+        // Boss encounter (set in setupBattle when an enemy type has a "boss" block)
+        this.bossEnemy = null;
     }
 
     init(data) {
@@ -247,7 +271,7 @@ export default class BattleScene extends Phaser.Scene {
             
             // Create and play battle scene song
             this.battleSceneSong = new BattleSceneSong();
-            await this.battleSceneSong.play();
+            await this.playBattleMusic();
             
             this.soundInitialized = true;
             console.log('[BattleScene] ✅ Music started');
@@ -356,7 +380,6 @@ export default class BattleScene extends Phaser.Scene {
         this.enemies = [];
 
         this.npcDataArray.forEach((npcData, index) => {
-            const enemyColor = npcData.color;
             // Position enemies based on their trigger radius
             const triggerRadius = npcData.triggerRadius || 100; // Default to 100 if not specified
             const enemyX = startX + (index * spacing) + triggerRadius; // Add trigger radius to initial position
@@ -367,49 +390,18 @@ export default class BattleScene extends Phaser.Scene {
                 position: enemyX
             });
 
-            // Create enemy rectangle
-            const enemy = this.add.rectangle(
-                enemyX,
-                groundY - 150,
-                96,
-                192,
-                enemyColor
-            );
-
-            // Add physics to enemy
-            this.physics.add.existing(enemy);
-            enemy.body.setBounce(0.2);
-            enemy.body.setCollideWorldBounds(true);
-            enemy.body.setSize(96, 192);
-
-            // Store enemy data
-            enemy.enemyData = {
-                ...npcData,
-                health: npcData.health || 100,
-                maxHealth: npcData.health || 100
-            };
-
-            // Add collision between enemy and ground
-            this.physics.add.collider(enemy, this.ground);
-
-            // Add to enemies array
-            this.enemies.push(enemy);
-            
-            // Initialize enemy with BattleAI using profile from NpcAI
-            const profile = npcAI.getAIProfile(npcData.type);
-            console.log(`[BattleScene] Initializing AI for ${npcData.type}:`, {
-                profile,
-                attackFrequency: profile.attackFrequency,
-                combatStyle: profile.combatStyle
-            });
-            this.battleAI.initEnemy(enemy, profile);
-            
-            // Legacy: Keep npcMovementData for backward compatibility (will be removed)
+            this.createEnemy(npcData, enemyX, groundY);
             console.log(`[BattleScene] Created enemy ${index + 1}: ${npcData.name || npcData.type}`);
 
             // NPC stats are now only shown in DOM (HUD), not in Phaser layer
         });
 
+        // Boss encounter if one of the enemies is a boss type (types.json "boss")
+        this.bossEnemy = this.enemies.find(enemy => this.battleAI.getBossState(enemy)) || null;
+        if (this.bossEnemy) {
+            console.log(`[BattleScene] 👑 Boss encounter: ${this.bossEnemy.enemyData.name || this.bossEnemy.enemyData.type}`);
+        }
+
         // No collisions needed in target-focused system - combat is abstract
 
         // Create charge bar (initially hidden)
@@ -428,7 +420,9 @@ export default class BattleScene extends Phaser.Scene {
         const playerStats = gameStateManager.getPlayerStats();
         this.currentHP = playerStats.health;
         this.maxHP = playerStats.maxHealth;
-        console.log(`[BattleScene] Initialized player health: ${this.currentHP}/${this.maxHP}`);
+        this.currentMP = playerStats.mp;
+        this.maxMP = playerStats.maxMp;
+        console.log(`[BattleScene] Initialized player health: ${this.currentHP}/${this.maxHP}, MP: ${this.currentMP}/${this.maxMP}`);
 
         // Set up camera
         this.cameras.main.startFollow(this.player);
@@ -472,8 +466,12 @@ export default class BattleScene extends Phaser.Scene {
         this.selectedTargetIndex = 0;
         console.log('[BattleScene] Battle initialized in TARGET SELECTION MODE - use A/D to move arrow, U to confirm selection');
 
+        // Skills picked in the BattleMenuScene skills panel arrive with the resume data
+        this.events.on('resume', this.handleMenuResume, this);
+
         // Set up scene event listeners for HUD management
         this.events.on('shutdown', () => {
+            this.events.off('resume', this.handleMenuResume, this);
             console.log('[BattleScene] Scene shutting down, destroying HUD');
             if (this.hudManager) {
                 this.hudManager.destroy();
@@ -596,6 +594,91 @@ export default class BattleScene extends Phaser.Scene {
         this.enterTargetModePositioning();
     }
     
+    /**
+     * Create an enemy sprite with its BattleAI state
+     * @param {Object} npcData - NPC data from the world (or a summon built by spawnSummonedEnemy)
+     * @returns {Phaser.GameObjects.Rectangle}
+     */
+    createEnemy(npcData, enemyX, groundY) {
+        const enemyColor = npcData.color;
+
+        // Create enemy rectangle
+        const enemy = this.add.rectangle(
+            enemyX,
+            groundY - 150,
+            96,
+            192,
+            enemyColor
+        );
+
+        // Add physics to enemy
+        this.physics.add.existing(enemy);
+        enemy.body.setBounce(0.2);
+        enemy.body.setCollideWorldBounds(true);
+        enemy.body.setSize(96, 192);
+
+        // Store enemy data - difficulty scales HP here; the world keeps unscaled values (see escape)
+        const healthScale = npcAI.getDifficulty().enemyHealth;
+        const baseHealth = npcData.health || 100;
+        enemy.enemyData = {
+            ...npcData,
+            health: Math.round(baseHealth * healthScale),
+            maxHealth: Math.round((npcData.maxHealth || baseHealth) * healthScale),
+            healthScale
+        };
+
+        // Add collision between enemy and ground
+        this.physics.add.collider(enemy, this.ground);
+
+        // Add to enemies array
+        this.enemies.push(enemy);
+        
+        // Initialize enemy with BattleAI using profile from NpcAI
+        const profile = npcAI.getAIProfile(npcData.type);
+        console.log(`[BattleScene] Initializing AI for ${npcData.type}:`, {
+            profile,
+            attackFrequency: profile.attackFrequency,
+            combatStyle: profile.combatStyle
+        });
+        this.battleAI.initEnemy(enemy, profile);
+
+        return enemy;
+    }
+
+    /**
+     * Bring in an enemy summoned by a battle script action
+     * Summons have no NPC id - they don't exist in the world, give no XP/loot and aren't kept on escape
+     * @param {string} npcType - Type from types.json
+     * @param {Object} summoner - Enemy sprite doing the summoning
+     */
+    spawnSummonedEnemy(npcType, summoner) {
+        const typeConfig = npcDefinitionManager.getNpcTypes()[npcType];
+        if (!typeConfig) {
+            console.warn(`[BattleScene] Cannot summon unknown NPC type: ${npcType}`);
+            return null;
+        }
+
+        const width = this.cameras.main.width;
+        const offset = (this.enemies.length % 2 === 0 ? 1 : -1) * 120;
+        const enemyX = Phaser.Math.Clamp(summoner.x + offset, 60, width - 60);
+        const enemy = this.createEnemy({
+            ...typeConfig,
+            type: npcType,
+            id: null,
+            level: summoner.enemyData.level || 1,
+            loot: [],
+            summoned: true
+        }, enemyX, this.cameras.main.height * 0.8);
+
+        // Fade in
+        enemy.setAlpha(0);
+        this.tweens.add({ targets: enemy, alpha: 1, duration: 300 });
+
+        console.log(`[BattleScene] 📯 ${summoner.enemyData.type} summoned a ${npcType}`);
+        this.updateEnemyHUD();
+        return enemy;
+    }
+
     /**
      * Position player and target enemy for juggle combat
      * Hide other characters
@@ -754,6 +837,10 @@ export default class BattleScene extends Phaser.Scene {
             return;
         }
         
+        if (this.isCharacterStunned(this.activeCharacterIndex)) {
+            return;
+        }
+        
         // Consume AP
         this.consumeAP(this.juggleAPCost);
         
@@ -762,9 +849,13 @@ export default class BattleScene extends Phaser.Scene {
         this.lastJuggleTime = this.time.now;
         this.canJuggle = false;
         
-        // Calculate damage (increases with combo)
+        // Calculate damage (increases with combo, status effects applied)
         const baseDamage = 10;
-        const comboDamage = baseDamage + (this.juggleComboCount * 2);
+        const comboDamage = this.calculateBattleDamage(
+            this.getCharacterByIndex(this.activeCharacterIndex),
+            this.currentTarget,
+            baseDamage + (this.juggleComboCount * 2)
+        );
         
         console.log(`[BattleScene] Juggle attack ${this.juggleComboCount}! Damage: ${comboDamage}`);
         
@@ -1036,7 +1127,9 @@ export default class BattleScene extends Phaser.Scene {
                 indicator: indicator,
                 abilities: memberData.abilities || [],
                 currentHP: memberData.stats.health, // Current HP (can be damaged from previous battles)
-                maxHP: memberData.stats.maxHealth || memberData.stats.health // Maximum HP
+                maxHP: memberData.stats.maxHealth || memberData.stats.health, // Maximum HP
+                currentMP: memberData.stats.mp || 0,
+                maxMP: memberData.stats.maxMp || 0
             };
             
             this.partyCharacters.push(character);
@@ -1202,6 +1295,9 @@ export default class BattleScene extends Phaser.Scene {
         this.battleMenuKey = this.input.keyboard.addKey(191); // Forward slash key code
         this.battleMenuKeyAlt = this.input.keyboard.addKey('M'); // Alternative: M for Menu
         
+        // Skill hotkeys (1-4 use the equipped skill in that slot)
+        this.skillKeys = ['ONE', 'TWO', 'THREE', 'FOUR'].map(key => this.input.keyboard.addKey(key));
+        
         // Initialize gamepad reference
         this.gamepad = null;
         this.gamepadButtonStates = {};
@@ -1224,7 +1320,7 @@ export default class BattleScene extends Phaser.Scene {
         this.input.keyboard.enabled = true;
         this.input.mouse.enabled = true;
         
-        console.log('[BattleScene] Input initialized: A/D for target selection, U for attack/confirm, ESC to exit');
+        console.log('[BattleScene] Input initialized: A/D for target selection, U for attack/confirm, 1-4 for skills, ESC to exit');
     }
 
     cleanupInput() {
@@ -1298,7 +1394,10 @@ export default class BattleScene extends Phaser.Scene {
             level: character.memberData.stats.level,
             currentHP: character.memberData.currentHP,
             maxHP: character.memberData.maxHP,
-            indicatorColor: character.memberData.indicatorColor
+            currentMP: character.memberData.currentMP,
+            maxMP: character.memberData.maxMP,
+            indicatorColor: character.memberData.indicatorColor,
+            isDowned: character.memberData.isDowned || false
         }));
         
         console.log('[BattleScene] Opening menu with party:', partyData);
@@ -1663,6 +1762,7 @@ export default class BattleScene extends Phaser.Scene {
             indicatorColor: enemy.enemyData.indicatorColor,
             abilities: enemy.enemyData.abilities,
             stats: enemy.enemyData.stats,
+            dialogueKey: enemy.enemyData.dialogueKey,
             dialogue: enemy.enemyData.dialogue
         };
         
@@ -1701,7 +1801,7 @@ export default class BattleScene extends Phaser.Scene {
         if (isRecruitableNPC) {
             // Ensure name is defined
             const characterName = npcData.name || npcData.type || 'Adventurer';
-            const characterType = npcData.type || 'WARRIOR';
+            const characterType = npcData.dialogueKey || npcData.type || 'WARRIOR';
             
             console.log('[BattleScene] Building recruitment dialogue for:', characterName, 'Type:', characterType);
             
@@ -1758,7 +1858,7 @@ export default class BattleScene extends Phaser.Scene {
             };
         } else {
             // Regular NPC dialogue
-            dialogueData = dialogueDatabase.getDialogue(npcData.type, 'initial');
+            dialogueData = dialogueDatabase.getDialogue(npcData.dialogueKey || npcData.type, 'initial');
         }
         
         console.log('[BattleScene] Final dialogue data:', {
@@ -1850,6 +1950,9 @@ export default class BattleScene extends Phaser.Scene {
         
         console.log('[BattleScene] Dialogue state reset - isDialogueActive now:', this.isDialogueActive);
         
+        // Talking can progress quest objectives or offer a new quest
+        this.showQuestMessages(questManager.onDialogueChoice(npcData, choiceId));
+        
         // Handle the choice
         switch (choiceId) {
             case 'recruit':
@@ -1872,9 +1975,40 @@ export default class BattleScene extends Phaser.Scene {
             case 'flee':
                 this.handleFleeAttempt(npcData);
                 break;
+                
+            case 'browse_goods':
+            case 'sell_items':
+                if (npcData?.type === 'MERCHANT') {
+                    this.openShop(npcData, choiceId === 'sell_items' ? 'sell' : 'buy');
+                }
+                break;
         }
     }
     
+    /**
+     * Open the merchant's shop on top of the battle
+     * @param {Object} npcData - Merchant NPC
+     * @param {string} mode - 'buy' or 'sell'
+     */
+    openShop(npcData, mode) {
+        console.log(`[BattleScene] Opening ${mode} shop for:`, npcData.id);
+        
+        // Refresh the money display once the shop closes
+        this.events.once('resume', () => {
+            if (this.hudManager) {
+                this.hudManager.updatePlayerMoney(moneyManager.getMoney());
+            }
+        });
+        
+        this.scene.pause();
+        this.scene.launch('ShopScene', {
+            merchantId: npcData.id,
+            merchantName: npcData.name,
+            mode,
+            returnScene: 'BattleScene'
+        });
+    }
+    
     handleRecruitment(npcData) {
         console.log('[BattleScene] Handling recruitment for:', npcData.id);
         
@@ -1947,6 +2081,15 @@ export default class BattleScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Float quest updates one after another
+     */
+    showQuestMessages(messages) {
+        messages.forEach((message, index) => {
+            this.time.delayedCall(index * 1200, () => this.showRecruitmentMessage(message, '#FFD700'));
+        });
+    }
+    
     showRecruitmentMessage(message, color) {
         const centerX = this.cameras.main.width / 2;
         const centerY = this.cameras.main.height / 2;
@@ -2133,7 +2276,7 @@ export default class BattleScene extends Phaser.Scene {
     }
     
     handleMoneyNegotiation(cost, npcData) {
-        const result = dialogueManager.negotiateWithMoney(npcData, cost);
+        const result = dialogueManager.negotiateWithMoney(npcData, cost, this.getStandingMemberIds());
         console.log('[BattleScene] Money negotiation result:', result);
         
         this.showNegotiationResult(result, npcData);
@@ -2235,7 +2378,7 @@ export default class BattleScene extends Phaser.Scene {
     }
     
     handleItemNegotiation(itemId, npcData) {
-        const result = dialogueManager.negotiateWithItem(npcData, itemId);
+        const result = dialogueManager.negotiateWithItem(npcData, itemId, this.getStandingMemberIds());
         console.log('[BattleScene] Item negotiation result:', result);
         
         // Remove item dialog
@@ -2248,7 +2391,9 @@ export default class BattleScene extends Phaser.Scene {
     }
     
     handleFleeAttempt(npcData) {
-        const result = dialogueManager.attemptFlee(npcData);
+        const result = this.canFlee()
+            ? dialogueManager.attemptFlee(npcData)
+            : { success: false, message: `There's no escaping ${this.getBossName()}!` };
         console.log('[BattleScene] Flee attempt result:', result);
         
         this.showFleeResult(result, () => {
@@ -2261,6 +2406,9 @@ export default class BattleScene extends Phaser.Scene {
     }
     
     showNegotiationResult(result, npcData) {
+        // Negotiation XP may have leveled members; keep their heal when HP states go back to the world
+        (result.levelUps || []).forEach(levelUp => this.syncLevelUpToBattle(levelUp.memberId));
+        
         const resultOverlay = document.createElement('div');
         resultOverlay.id = 'negotiation-result';
         resultOverlay.style.cssText = `
@@ -2296,6 +2444,7 @@ export default class BattleScene extends Phaser.Scene {
                 ${result.message}
             </p>
             ${result.xpGained ? `<p style="color: cyan; font-size: 14px;">+${result.xpGained} XP</p>` : ''}
+            ${(result.levelUps || []).map(levelUp => `<p style="color: #FFD700; font-size: 14px; margin: 4px 0;">⬆ ${levelUp.name} reached level ${levelUp.newLevel}!</p>`).join('')}
             <button id="result-continue" style="
                 background: white;
                 color: #2c3e50;
@@ -2386,8 +2535,8 @@ export default class BattleScene extends Phaser.Scene {
         if (enemyIndex !== -1) {
             const enemy = this.enemies[enemyIndex];
             
-            // Track as defeated
-            if (!this.defeatedEnemyIds.includes(npcData.id)) {
+            // Track as defeated (summons aren't world NPCs)
+            if (!enemy.enemyData.summoned && !this.defeatedEnemyIds.includes(npcData.id)) {
                 this.defeatedEnemyIds.push(npcData.id);
                 this.defeatedEnemiesData.push({
                     level: npcData.level,
@@ -2430,10 +2579,10 @@ export default class BattleScene extends Phaser.Scene {
         console.log(`[BattleScene] Saved player health on escape: ${this.currentHP}/${this.maxHP}`);
         
         // Collect current NPC health data before cleanup
-        const updatedNpcHealth = this.enemies.map(enemy => ({
+        const updatedNpcHealth = this.enemies.filter(enemy => !enemy.enemyData.summoned).map(enemy => ({
             id: enemy.enemyData.id,
-            health: enemy.enemyData.health,
-            maxHealth: enemy.enemyData.maxHealth
+            health: Math.max(1, Math.round(enemy.enemyData.health / enemy.enemyData.healthScale)),
+            maxHealth: Math.round(enemy.enemyData.maxHealth / enemy.enemyData.healthScale)
         }));
         
         console.log('[BattleScene] NPC health on escape:', updatedNpcHealth);
@@ -2516,10 +2665,23 @@ export default class BattleScene extends Phaser.Scene {
 
         // Update AP system
         this.updateAP(delta);
+        
+        // Skill energy regenerates during battle
+        skillsManager.updateEnergy(delta);
+        this.updateSkillBar();
+        
+        // Buffs/debuffs run down, poison and regen tick
+        this.updateStatusEffects(delta);
 
         // ESC key - multi-function: deselect target (quick tap) or hold to flee (3 seconds)
         if (this.escapeKey) {
-            const isEscPressed = this.escapeKey.isDown || this.isGamepadButtonPressed(6);
+            let isEscPressed = this.escapeKey.isDown || this.isGamepadButtonPressed(6);
+            
+            // After a blocked flee, ESC has to be released before it counts again
+            if (this.escapeKeyBlocked) {
+                this.escapeKeyBlocked = isEscPressed;
+                isEscPressed = false;
+            }
             
             if (isEscPressed && !this.isHoldingEscape) {
                 // ESC just pressed - start hold timer for escape
@@ -2550,11 +2712,20 @@ export default class BattleScene extends Phaser.Scene {
                 this.escapeProgressBar.width = (300 - 4) * progress; // Max width minus padding
                 
                 if (holdTime >= this.escapeHoldDuration) {
-                    // Held for 3 seconds - flee battle!
-                    console.log('[BattleScene] ESC held for 3 seconds - fleeing battle!');
                     this.isHoldingEscape = false;
                     this.escapeProgressBarBackground.setVisible(false);
                     this.escapeProgressBar.setVisible(false);
+                    
+                    // Boss battles can't be fled
+                    if (!this.canFlee()) {
+                        console.log('[BattleScene] ESC held for 3 seconds - no fleeing from a boss!');
+                        this.hudManager?.showMapBanner(`🚫 There's no escaping ${this.getBossName()}!`);
+                        this.escapeKeyBlocked = true;
+                        return;
+                    }
+                    
+                    // Held for 3 seconds - flee battle!
+                    console.log('[BattleScene] ESC held for 3 seconds - fleeing battle!');
                     this.returnToWorld();
                     return;
                 }
@@ -2601,6 +2772,13 @@ export default class BattleScene extends Phaser.Scene {
             return;
         }
         
+        // 1-4 keys - use equipped skill in that slot
+        this.skillKeys.forEach((key, slot) => {
+            if (Phaser.Input.Keyboard.JustDown(key)) {
+                this.useEquippedSkill(slot);
+            }
+        });
+        
         // ===== TARGET SELECTION MODE =====
         // Use A/D to move the arrow between enemies, U to confirm
         if (this.isTargetSelectionMode) {
@@ -3467,6 +3645,10 @@ export default class BattleScene extends Phaser.Scene {
         const memberData = character.memberData;
         const abilityAPCost = 5; // AP cost for party member abilities
         
+        if (this.isCharacterStunned(memberIndex + 1)) {
+            return;
+        }
+        
         // Check if enough AP
         if (this.currentAP < abilityAPCost) {
             console.log(`[BattleScene] Not enough AP for ${memberData.name}'s ability`);
@@ -3481,13 +3663,34 @@ export default class BattleScene extends Phaser.Scene {
             return;
         }
         
+        // Magic abilities are cast as spells and cost MP on top of the AP
+        const cast = this.chooseMemberSpell(memberIndex + 1);
+        
         // Consume AP
         this.consumeAP(abilityAPCost);
         
+        if (cast) {
+            this.spendMP(memberIndex + 1, cast.spell.mpCost);
+            console.log(`[BattleScene] ${memberData.name} casts ${cast.spell.name} (${cast.spell.mpCost} MP)`);
+            this.showSkillMessage(`${cast.spell.icon} ${memberData.name}: ${cast.spell.name}`, '#74B9FF');
+            
+            if (cast.healIndex !== -1) {
+                this.healCharacter(cast.healIndex, cast.spell.healing);
+                return;
+            }
+        }
+        
         console.log(`[BattleScene] ${memberData.name} using ability!`);
         
-        // Perform ability based on character
-        const damage = memberData.stats.attack || 15;
+        // Combat skills from the member's skill tree hit harder than a plain attack
+        const technique = cast ? null : this.chooseMemberTechnique(memberIndex + 1);
+        if (technique) {
+            this.showSkillMessage(`${technique.icon} ${memberData.name}: ${technique.name}`, '#FFA502');
+        }
+        
+        // Perform ability based on character (spells and techniques hit with their own power)
+        const power = cast ? cast.spell.damage : technique ? technique.damage : (memberData.stats.attack || 15);
+        const damage = this.calculateBattleDamage(character, closestEnemy, power);
         
         // Create projectile from party member to enemy
         const projectile = this.add.rectangle(
@@ -3587,6 +3790,70 @@ export default class BattleScene extends Phaser.Scene {
         });
     }
     
+    /**
+     * Pick the spell a party member casts with their ability button
+     * Spells are the member's abilities that are MP-costing SkillsManager skills:
+     * a heal spell goes to the most wounded ally under half HP, otherwise the first damage spell
+     * @param {number} index - Party index (1+)
+     * @returns {Object|null} { spell, healIndex } or null for a plain attack
+     */
+    chooseMemberSpell(index) {
+        const memberData = this.partyCharacters[index - 1].memberData;
+        const spells = (memberData.abilities || [])
+            .map(abilityId => skillsManager.getSkill(abilityId))
+            .filter(skill => skill && skill.mpCost);
+        if (spells.length === 0) return null;
+        
+        const affordable = spells.filter(skill => skill.mpCost <= this.getCharacterMP(index).current);
+        if (affordable.length === 0) {
+            this.showSkillMessage(`${memberData.name}: not enough MP`, '#74B9FF');
+            return null;
+        }
+        
+        const healSpell = affordable.find(skill => skill.healing);
+        const healIndex = healSpell ? this.findMostWoundedIndex(0.5) : -1;
+        if (healIndex !== -1) {
+            return { spell: healSpell, healIndex };
+        }
+        
+        const damageSpell = affordable.find(skill => skill.damage);
+        return damageSpell ? { spell: damageSpell, healIndex: -1 } : null;
+    }
+    
+    /**
+     * Strongest non-magic damage skill a party member knows, if it beats their plain attack
+     * @returns {Object|null} Skill from SkillsManager
+     */
+    chooseMemberTechnique(index) {
+        const memberData = this.partyCharacters[index - 1].memberData;
+        const attack = memberData.stats.attack || 15;
+        return (memberData.abilities || [])
+            .map(abilityId => skillsManager.getSkill(abilityId))
+            .filter(skill => skill && skill.damage > attack && !skill.mpCost)
+            .sort((a, b) => b.damage - a.damage)[0] || null;
+    }
+    
+    /**
+     * Party index of the standing character with the lowest HP ratio below threshold (-1 if none)
+     */
+    findMostWoundedIndex(threshold) {
+        let woundedIndex = -1;
+        let lowestRatio = threshold;
+        this.getPartySprites().forEach(character => {
+            const index = this.getCharacterIndex(character);
+            if (this.isCharacterDowned(index)) return;
+            
+            const ratio = index === 0
+                ? this.currentHP / this.maxHP
+                : character.memberData.currentHP / character.memberData.maxHP;
+            if (ratio < lowestRatio) {
+                lowestRatio = ratio;
+                woundedIndex = index;
+            }
+        });
+        return woundedIndex;
+    }
+    
     executeCharacterAbility(characterIndex, abilityType) {
         // Check if character exists
         if (characterIndex >= this.partyMembers.length) {
@@ -3738,8 +4005,572 @@ export default class BattleScene extends Phaser.Scene {
     
     performItemUse(character, ability) {
         console.log(`[BattleScene] ${character.name} uses item`);
-        // Item usage logic would go here
-        // No automatic AP gain from item usage
+        
+        // AP was already paid for the ability - drink the first healing item on the active character
+        // (applyBattleItem keeps the potion when HP is already full)
+        const potion = itemsManager.getInventory().find(item => item.type === 'consumable' && item.effect?.type === 'heal');
+        if (!potion) {
+            console.log('[BattleScene] No healing items left');
+            this.showSkillMessage('No healing items!', '#FF4444');
+            return;
+        }
+        this.applyBattleItem(potion.id, this.activeCharacterIndex);
+    }
+    
+    /**
+     * Resume handler - BattleMenuScene passes { useSkill } or { useItem: { itemId, targetIndex } }
+     * when a skill or item is picked in its panels
+     */
+    handleMenuResume(sys, data) {
+        if (data && data.useSkill) {
+            console.log(`[BattleScene] Skill selected from battle menu: ${data.useSkill}`);
+            this.useBattleSkill(data.useSkill);
+        }
+        if (data && data.useItem) {
+            console.log(`[BattleScene] Item selected from battle menu: ${data.useItem.itemId} -> ${data.useItem.targetIndex}`);
+            this.useBattleItem(data.useItem.itemId, data.useItem.targetIndex);
+        }
+    }
+    
+    /**
+     * Use the equipped skill in a hotbar slot (keys 1-4)
+     */
+    useEquippedSkill(slot) {
+        const skillId = skillsManager.playerSkills.equipped[slot];
+        if (!skillId) {
+            console.log(`[BattleScene] No skill equipped in slot ${slot + 1}`);
+            return;
+        }
+        this.useBattleSkill(skillId);
+    }
+    
+    /**
+     * Use a SkillsManager skill in battle
+     * SkillsManager handles energy and cooldowns, magic skills spend the active character's MP;
+     * the effects are applied here:
+     *   damage          - hits the current target (or closest enemy)
+     *   slow            - Slow on that enemy for the skill duration
+     *   healing         - heals the active character
+     *   damageReduction - Guard on the party for the skill duration
+     *   defense skill without damageReduction (Dodge Roll) - full Guard (evade) for the duration
+     *   energyRestore   - refills skill energy
+     *   statusEffects   - [{ type, amount, duration, turns, on: 'enemy' | 'self' | 'party' }]
+     * @param {string} skillId - Skill id from SkillsManager
+     * @returns {boolean} True if the skill was used
+     */
+    useBattleSkill(skillId) {
+        const skill = skillsManager.getSkill(skillId);
+        if (!skill) {
+            console.warn(`[BattleScene] Unknown skill: ${skillId}`);
+            return false;
+        }
+        
+        // Check targets before spending energy
+        const target = skill.damage ? this.getSkillTarget() : null;
+        if (skill.damage && !target) {
+            console.log(`[BattleScene] ${skill.name}: no enemies to target`);
+            return false;
+        }
+        if (skill.healing && this.isCharacterDowned(this.activeCharacterIndex)) {
+            this.showSkillMessage('Cannot heal a downed character', '#FF4444');
+            return false;
+        }
+        if (this.isCharacterStunned(this.activeCharacterIndex)) {
+            return false;
+        }
+        
+        const result = skillsManager.useSkill(skillId, this.getCharacterMP(this.activeCharacterIndex).current);
+        if (!result.success) {
+            console.log(`[BattleScene] ${skill.name} failed: ${result.message}`);
+            this.showSkillMessage(result.message, '#FF4444');
+            return false;
+        }
+        this.spendMP(this.activeCharacterIndex, skillsManager.getMpCost(skillId));
+        
+        console.log(`[BattleScene] ⚡ Using skill: ${skill.name}`);
+        this.showSkillMessage(`${skill.icon} ${skill.name}`, '#FFD700');
+        
+        if (this.battleSceneSFX && typeof this.battleSceneSFX.playAttack === 'function') {
+            this.battleSceneSFX.playAttack();
+        }
+        
+        const user = this.getCharacterByIndex(this.activeCharacterIndex);
+        
+        if (skill.healing) {
+            this.healCharacter(this.activeCharacterIndex, skill.healing);
+        }
+        
+        if (skill.damageReduction) {
+            this.getPartySprites().forEach(character => {
+                statusEffectManager.apply(character, 'guard', { amount: skill.damageReduction, duration: skill.duration, source: skill.id });
+            });
+        } else if (skill.type === 'defense' && skill.duration) {
+            this.getPartySprites().forEach(character => {
+                statusEffectManager.apply(character, 'guard', { amount: 1, duration: skill.duration, source: skill.id });
+            });
+            this.tweens.add({
+                targets: [this.player, ...this.partyCharacters],
+                alpha: 0.4,
+                duration: skill.duration / 2,
+                yoyo: true
+            });
+        }
+        
+        if (skill.energyRestore) {
+            skillsManager.restoreEnergy(skill.energyRestore);
+        }
+        
+        (skill.statusEffects || []).forEach(({ type, on, ...options }) => {
+            const recipients = on === 'party' ? this.getPartySprites() : [on === 'self' ? user : target];
+            recipients.filter(Boolean).forEach(recipient => {
+                statusEffectManager.apply(recipient, type, { ...options, source: skill.id });
+            });
+        });
+        
+        if (skill.damage) {
+            if (skill.slow) {
+                statusEffectManager.apply(target, 'slow', { amount: skill.slow, duration: skill.duration, source: skill.id });
+            }
+            const damage = this.calculateBattleDamage(user, target, skill.damage);
+            this.showDamageText(target, `-${damage}`, '#FFA502');
+            // Last - the hit may defeat the enemy
+            this.applyDamageToEnemy(target, damage);
+        }
+        
+        this.refreshStatusHUD();
+        this.updateSkillBar();
+        return true;
+    }
+    
+    /**
+     * Skill target: the locked-on enemy in target mode, otherwise the closest enemy
+     */
+    getSkillTarget() {
+        if (this.isInTargetMode && this.currentTarget && this.currentTarget.active && this.currentTarget.enemyData.health > 0) {
+            return this.currentTarget;
+        }
+        return this.findClosestEnemy();
+    }
+    
+    /**
+     * Get a character by party index (0 = player, 1+ = party members)
+     */
+    getCharacterByIndex(index) {
+        return index === 0 ? this.player : this.partyCharacters[index - 1] || null;
+    }
+    
+    /**
+     * Party index of a character sprite (-1 if it isn't in the party)
+     */
+    getCharacterIndex(character) {
+        if (character === this.player) return 0;
+        const partyIndex = this.partyCharacters.indexOf(character);
+        return partyIndex === -1 ? -1 : partyIndex + 1;
+    }
+    
+    isCharacterDowned(index) {
+        if (index === 0) return !!this.isPlayerDowned;
+        const memberData = this.partyCharacters[index - 1]?.memberData;
+        return !memberData || !!memberData.isDowned;
+    }
+    
+    /**
+     * Stunned characters can't act (shows feedback when true)
+     */
+    isCharacterStunned(index) {
+        const character = this.getCharacterByIndex(index);
+        if (!character || !statusEffectManager.isStunned(character)) {
+            return false;
+        }
+        console.log(`[BattleScene] Character ${index} is stunned`);
+        this.showSkillMessage('STUNNED!', '#F1C40F');
+        return true;
+    }
+    
+    /**
+     * Player and party member sprites still in the fight
+     */
+    getPartySprites() {
+        return [this.player, ...this.partyCharacters].filter(character => character && character.active);
+    }
+    
+    /**
+     * Battle level of a player, party member or enemy sprite
+     */
+    getCombatLevel(character) {
+        if (character === this.player) return gameStateManager.getPlayerStats().level || 1;
+        if (character?.memberData) return character.memberData.stats?.level || 1;
+        if (character?.enemyData) return character.enemyData.level || 1;
+        return 1;
+    }
+    
+    /**
+     * Equipment-adjusted combat stats of a player or party member sprite (null for enemies)
+     * The battle "player" is whoever leads the party, so it's looked up by the leader's id
+     */
+    getCombatStats(character) {
+        let memberId = null;
+        if (character === this.player) memberId = this.playerData?.id || 'player';
+        else if (character?.memberData) memberId = character.memberData.id;
+        if (!memberId) return null;
+        
+        return memberId === 'player'
+            ? statsManager.getPlayerCombatStats()
+            : statsManager.getNpcCombatStats(memberId);
+    }
+    
+    /**
+     * Damage for one hit, with equipment and status effects fed into StatsManager.calculateDamage()
+     * Battle moves have a fixed power, so only gear and buffs add attack/defense on top of it
+     * @param {Object} attacker - Sprite dealing the hit
+     * @param {Object} defender - Sprite taking the hit
+     * @param {number} power - Base damage of the move
+     */
+    calculateBattleDamage(attacker, defender, power) {
+        const modifiers = statusEffectManager.getDamageModifiers(attacker, defender);
+        const attackerEquipment = this.getCombatStats(attacker)?.equipment;
+        const defenderEquipment = this.getCombatStats(defender)?.equipment;
+        
+        return statsManager.calculateDamage(
+            power,
+            this.getCombatLevel(attacker),
+            defenderEquipment ? defenderEquipment.defense : 0,
+            this.getCombatLevel(defender),
+            { ...modifiers, attackBonus: modifiers.attackBonus + (attackerEquipment ? attackerEquipment.attack : 0) }
+        );
+    }
+    
+    /**
+     * HP of a character by party index (0 = player, 1+ = party members)
+     * @returns {Object} { current, max }
+     */
+    getCharacterHP(index) {
+        if (index === 0) return { current: this.currentHP, max: this.maxHP };
+        const memberData = this.partyCharacters[index - 1]?.memberData;
+        return memberData ? { current: memberData.currentHP, max: memberData.maxHP } : { current: 0, max: 0 };
+    }
+    
+    /**
+     * MP of a character by party index (0 = player, 1+ = party members)
+     * @returns {Object} { current, max }
+     */
+    getCharacterMP(index) {
+        if (index === 0) return { current: this.currentMP, max: this.maxMP };
+        const memberData = this.partyCharacters[index - 1]?.memberData;
+        return memberData ? { current: memberData.currentMP, max: memberData.maxMP } : { current: 0, max: 0 };
+    }
+    
+    /**
+     * Spend MP (spells, magic skills)
+     * @returns {boolean} False if the character doesn't have enough
+     */
+    spendMP(index, amount) {
+        if (amount <= 0) return true;
+        if (this.getCharacterMP(index).current < amount) return false;
+        
+        if (index === 0) {
+            this.currentMP -= amount;
+            gameStateManager.updatePlayerMP(this.currentMP);
+        } else {
+            this.partyCharacters[index - 1].memberData.currentMP -= amount;
+        }
+        if (this.hudManager) {
+            this.hudManager.updateBattlePartyStats();
+        }
+        return true;
+    }
+    
+    /**
+     * Restore MP (mana_potion); downed characters can't be restored
+     * @returns {boolean} True if restored
+     */
+    restoreMP(index, amount) {
+        if (this.isCharacterDowned(index)) {
+            return false;
+        }
+        
+        const mp = this.getCharacterMP(index);
+        const restored = Math.min(amount, mp.max - mp.current);
+        if (index === 0) {
+            this.currentMP += restored;
+            gameStateManager.updatePlayerMP(this.currentMP);
+        } else {
+            this.partyCharacters[index - 1].memberData.currentMP += restored;
+        }
+        console.log(`[BattleScene] 💧 Character ${index} restored ${restored} MP: ${mp.current + restored}/${mp.max}`);
+        this.showDamageText(this.getCharacterByIndex(index), `+${restored} MP`, '#74B9FF');
+        if (this.hudManager) {
+            this.hudManager.updateBattlePartyStats();
+        }
+        return true;
+    }
+    
+    /**
+     * Damage a party character outside of an attack (poison)
+     */
+    damageCharacter(index, amount) {
+        if (this.isCharacterDowned(index)) return;
+        
+        const character = this.getCharacterByIndex(index);
+        if (index === 0) {
+            this.currentHP = Math.max(0, this.currentHP - amount);
+            gameStateManager.updatePlayerHealth(this.currentHP);
+            if (this.currentHP <= 0) {
+                this.handleCharacterDowned(this.player, true);
+            }
+        } else {
+            const memberData = character.memberData;
+            memberData.currentHP = Math.max(0, memberData.currentHP - amount);
+            if (memberData.currentHP <= 0) {
+                this.handleCharacterDowned(character, false);
+            }
+        }
+        this.showDamageText(character, `-${amount}`, '#9B59B6');
+    }
+    
+    /**
+     * Heal a character by party index; downed characters can't be healed
+     * @returns {boolean} True if healed
+     */
+    healCharacter(index, amount) {
+        if (this.isCharacterDowned(index)) {
+            return false;
+        }
+        
+        if (index > 0) {
+            const character = this.partyCharacters[index - 1];
+            const memberData = character.memberData;
+            const healed = Math.min(amount, memberData.maxHP - memberData.currentHP);
+            memberData.currentHP += healed;
+            console.log(`[BattleScene] 💚 ${memberData.name} healed ${healed} HP: ${memberData.currentHP}/${memberData.maxHP}`);
+            this.showDamageText(character, `+${healed}`, '#2ECC71');
+        } else {
+            const healed = Math.min(amount, this.maxHP - this.currentHP);
+            this.currentHP += healed;
+            gameStateManager.updatePlayerHealth(this.currentHP);
+            console.log(`[BattleScene] 💚 Player healed ${healed} HP: ${this.currentHP}/${this.maxHP}`);
+            this.showDamageText(this.player, `+${healed}`, '#2ECC71');
+        }
+        
+        if (this.hudManager) {
+            this.hudManager.updateBattlePartyStats();
+        }
+        return true;
+    }
+    
+    /**
+     * Use a consumable from the battle menu items panel
+     * Costs itemAPCost AP; the item is only used up if it can be applied
+     * @param {string} itemId - Item id from ItemsManager
+     * @param {number} targetIndex - 0 = player, 1+ = party members
+     * @returns {boolean} True if the item was used
+     */
+    useBattleItem(itemId, targetIndex) {
+        const item = itemsManager.getItemInfo(itemId);
+        if (!item || item.type !== 'consumable' || !itemsManager.hasItem(itemId)) {
+            console.warn(`[BattleScene] Cannot use item in battle: ${itemId}`);
+            return false;
+        }
+        
+        if (this.currentAP < this.itemAPCost) {
+            console.log(`[BattleScene] Not enough AP to use ${item.name}`);
+            this.showNoAPMessage();
+            return false;
+        }
+        
+        if (!this.applyBattleItem(itemId, targetIndex)) {
+            return false;
+        }
+        
+        this.consumeAP(this.itemAPCost);
+        return true;
+    }
+    
+    /**
+     * Use up one item and apply its effect to a party character
+     *   heal    - restores HP
+     *   mana    - restores MP
+     *   attack  - Attack Up for the character's next effect.duration attacks
+     *   defense - Defense Up for the character's next effect.duration hits taken
+     * @returns {boolean} True if the item was used
+     */
+    applyBattleItem(itemId, targetIndex) {
+        const item = itemsManager.getItemInfo(itemId);
+        const target = this.getCharacterByIndex(targetIndex);
+        const targetName = targetIndex === 0 ? 'Player' : target?.memberData?.name;
+        
+        if (!target || this.isCharacterDowned(targetIndex)) {
+            this.showSkillMessage(`Cannot use ${item.name} on a downed character`, '#FF4444');
+            return false;
+        }
+        
+        // Heal/mana items on a full bar would be wasted
+        const effectType = item.effect?.type;
+        const bar = effectType === 'heal' ? this.getCharacterHP(targetIndex)
+            : effectType === 'mana' ? this.getCharacterMP(targetIndex)
+            : null;
+        if (bar && bar.current >= bar.max) {
+            this.showSkillMessage(`${targetName}'s ${effectType === 'heal' ? 'HP' : 'MP'} is already full`, '#FF4444');
+            return false;
+        }
+        
+        const effect = itemsManager.useItem(itemId);
+        if (!effect) {
+            return false;
+        }
+        
+        console.log(`[BattleScene] 🎒 ${item.name} used on ${targetName}`, effect);
+        this.showSkillMessage(`🎒 ${item.name} → ${targetName}`, '#2ECC71');
+        
+        switch (effect.type) {
+            case 'heal':
+                this.healCharacter(targetIndex, effect.amount);
+                break;
+            case 'mana':
+                this.restoreMP(targetIndex, effect.amount);
+                break;
+            case 'attack':
+            case 'defense':
+                statusEffectManager.apply(target, `${effect.type}_up`, { amount: effect.amount, turns: effect.duration, source: itemId });
+                this.showDamageText(target, `${effect.type.toUpperCase()} +${effect.amount}`, '#FFD700');
+                break;
+        }
+        
+        this.refreshStatusHUD();
+        return true;
+    }
+    
+    /**
+     * Tick status effects - applies poison/regen and refreshes the HUD when effects change
+     */
+    updateStatusEffects(delta) {
+        const { ticks, expired } = statusEffectManager.update(delta);
+        
+        ticks.forEach(({ target, type, amount }) => {
+            if (!target.active) return;
+            
+            if (target.enemyData) {
+                if (target.enemyData.health <= 0) return;
+                if (type === 'poison') {
+                    this.showDamageText(target, `-${amount}`, '#9B59B6');
+                    this.applyDamageToEnemy(target, amount);
+                } else {
+                    target.enemyData.health = Math.min(target.enemyData.maxHealth, target.enemyData.health + amount);
+                }
+                return;
+            }
+            
+            const index = this.getCharacterIndex(target);
+            if (index === -1) return;
+            if (type === 'poison') {
+                this.damageCharacter(index, amount);
+            } else {
+                this.healCharacter(index, amount);
+            }
+        });
+        
+        if (ticks.length > 0 || expired.length > 0) {
+            this.refreshStatusHUD();
+        }
+        this.updateStatusIcons();
+    }
+    
+    /**
+     * Status icons floating over every character and enemy
+     */
+    updateStatusIcons() {
+        const targets = [...this.getPartySprites(), ...this.enemies.filter(enemy => enemy && enemy.active)];
+        
+        // Drop icons of sprites that left the fight
+        this.statusIconTexts.forEach((text, target) => {
+            if (!targets.includes(target)) {
+                text.destroy();
+                this.statusIconTexts.delete(target);
+            }
+        });
+        
+        targets.forEach(target => {
+            const icons = statusEffectManager.getIcons(target);
+            let text = this.statusIconTexts.get(target);
+            if (!icons && !text) return;
+            
+            if (!text) {
+                text = this.add.text(0, 0, '', { fontSize: '20px', fontFamily: 'Arial' }).setOrigin(0.5);
+                text.setDepth(1000);
+                this.statusIconTexts.set(target, text);
+            }
+            text.setText(icons);
+            text.setPosition(target.x, target.y - 70);
+        });
+    }
+    
+    refreshStatusHUD() {
+        if (this.hudManager) {
+            this.hudManager.updateBattlePartyStats();
+        }
+        this.updateEnemyHUD();
+    }
+    
+    /**
+     * Floating text above a character or enemy
+     */
+    showDamageText(target, text, color) {
+        const floatingText = this.add.text(
+            target.x,
+            target.y - 60,
+            text,
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial',
+                color: color,
+                stroke: '#000000',
+                strokeThickness: 3,
+                fontStyle: 'bold'
+            }
+        ).setOrigin(0.5);
+        floatingText.setDepth(1000);
+        
+        this.tweens.add({
+            targets: floatingText,
+            y: target.y - 100,
+            alpha: 0,
+            duration: 800,
+            ease: 'Power2',
+            onComplete: () => {
+                floatingText.destroy();
+            }
+        });
+    }
+    
+    showSkillMessage(message, color) {
+        const centerX = this.cameras.main.width / 2;
+        const centerY = this.cameras.main.height / 2;
+        
+        const skillText = this.add.text(
+            centerX,
+            centerY - 100,
+            message,
+            {
+                fontSize: '28px',
+                fontFamily: 'Arial',
+                color: color,
+                stroke: '#000000',
+                strokeThickness: 3
+            }
+        );
+        skillText.setOrigin(0.5);
+        skillText.setDepth(1000);
+        
+        this.tweens.add({
+            targets: skillText,
+            alpha: 0,
+            y: centerY - 150,
+            duration: 1000,
+            ease: 'Power2.Out',
+            onComplete: () => {
+                skillText.destroy();
+            }
+        });
     }
     
     applyDamageToEnemy(enemy, damage) {
@@ -3795,9 +4626,11 @@ export default class BattleScene extends Phaser.Scene {
         // Queue enemy actions
         this.enemies.forEach(enemy => {
             if (enemy && enemy.active && enemy.enemyData.health > 0) {
+                const action = this.getEnemyAction(enemy);
+                if (!action) return; // Everything on cooldown or conditions not met
                 this.enemyActionQueue.push({
                     enemy: enemy,
-                    action: this.getEnemyAction(enemy),
+                    action: action,
                     delay: Math.random() * 500 + 500 // 500-1000ms delay
                 });
             }
@@ -3815,19 +4648,12 @@ export default class BattleScene extends Phaser.Scene {
         this.executeEnemyActions();
     }
     
+    /**
+     * Pick the enemy's turn action from its battle script (types.json)
+     * @returns {Object|null} Script action
+     */
     getEnemyAction(enemy) {
-        const npcType = enemy.enemyData.type;
-        
-        switch (npcType) {
-            case 'GUARD':
-                return Math.random() > 0.5 ? 'melee' : 'projectile';
-            case 'MERCHANT':
-                return 'projectile'; // Merchants only use projectiles
-            case 'VILLAGER':
-                return 'melee'; // Villagers only use melee
-            default:
-                return 'melee';
-        }
+        return this.battleAI.chooseAction(enemy, 'turn');
     }
     
     executeEnemyActions() {
@@ -3864,26 +4690,31 @@ export default class BattleScene extends Phaser.Scene {
         });
     }
     
-    performEnemyAction(enemy, actionType) {
-        console.log(`[BattleScene] ${enemy.enemyData.type} performs ${actionType} action`);
-        
-        const damage = this.getEnemyDamage(enemy.enemyData.type, actionType);
+    performEnemyAction(enemy, action) {
+        console.log(`[BattleScene] ${enemy.enemyData.type} performs ${action.id} (${action.type}) action`);
         
-        if (actionType === 'melee') {
-            this.performEnemyMeleeAttack(enemy, damage);
-        } else if (actionType === 'projectile') {
-            this.performEnemyProjectileAttack(enemy, damage);
+        if (action.type === 'melee') {
+            this.performEnemyMeleeAttack(enemy, this.getEnemyDamage(enemy, action));
+        } else if (action.type === 'projectile') {
+            this.performEnemyProjectileAttack(enemy, this.getEnemyDamage(enemy, action));
+        } else {
+            this.battleAI.performSpecialAction(enemy, action);
         }
     }
     
-    getEnemyDamage(npcType, actionType) {
-        const baseDamage = {
-            'GUARD': 25,
-            'MERCHANT': 15,
-            'VILLAGER': 10
-        };
-        
-        return baseDamage[npcType] || 10;
+    /**
+     * Damage of a script attack action (damage formula + difficulty)
+     */
+    getEnemyDamage(enemy, action) {
+        return this.scaleEnemyDamage(this.battleAI.calculateActionDamage(enemy, action));
+    }
+    
+    /**
+     * Apply the difficulty's enemy damage multiplier (every enemy hit goes through here)
+     * A fully blocked hit (e.g. Dodge Roll's guard) stays at 0
+     */
+    scaleEnemyDamage(damage) {
+        return damage <= 0 ? 0 : Math.max(1, Math.round(damage * npcAI.getDifficulty().enemyDamage));
     }
     
     performEnemyMeleeAttack(enemy, damage) {
@@ -4564,6 +5395,48 @@ export default class BattleScene extends Phaser.Scene {
         
         // Create escape progress bar (above AP gauge, initially hidden)
         this.createEscapeProgressBar();
+        
+        // Equipped skills and energy (above AP gauge, right side)
+        this.createSkillBar();
+    }
+    
+    createSkillBar() {
+        this.skillBarText = this.add.text(
+            this.cameras.main.width - 20,
+            this.cameras.main.height - 50,
+            '',
+            {
+                fontSize: '14px',
+                fontFamily: 'Arial',
+                color: '#FFFFFF',
+                stroke: '#000000',
+                strokeThickness: 2,
+                align: 'right'
+            }
+        );
+        this.skillBarText.setOrigin(1, 0.5);
+        this.skillBarText.setDepth(1002);
+        this.updateSkillBar();
+    }
+    
+    updateSkillBar() {
+        if (!this.skillBarText) return;
+        
+        const energy = skillsManager.getEnergy();
+        const mp = this.getCharacterMP(this.activeCharacterIndex);
+        const slots = skillsManager.getEquippedSkills().map((skill, slot) => {
+            let status = 'ready';
+            if (skillsManager.isOnCooldown(skill.id)) {
+                status = `${(skillsManager.getCooldownRemaining(skill.id) / 1000).toFixed(1)}s`;
+            } else if (skill.cost > energy.current) {
+                status = 'no energy';
+            } else if (skillsManager.getMpCost(skill.id) > mp.current) {
+                status = 'no MP';
+            }
+            return `[${slot + 1}] ${skill.icon} ${skill.name} (${status})`;
+        });
+        
+        this.skillBarText.setText(`${slots.join('   ')}   ⚡ ${energy.current}/${energy.max}   💧 ${Math.floor(mp.current)}/${mp.max}`);
     }
     
     createEscapeProgressBar() {
@@ -4945,10 +5818,107 @@ export default class BattleScene extends Phaser.Scene {
                 type: enemy.enemyData.type || 'Enemy',
                 health: enemy.enemyData.health,
                 maxHealth: enemy.enemyData.maxHealth,
-                level: enemy.enemyData.level || 1
+                level: enemy.enemyData.level || 1,
+                statusIcons: statusEffectManager.getIcons(enemy)
             }));
         
         this.hudManager.updateEnemyList(enemyData);
+        this.updateBossHUD();
+    }
+
+    // ========================================
+    // BOSS ENCOUNTERS
+    // ========================================
+
+    /**
+     * Whether the party may run from this battle (bosses with noFlee can't be fled)
+     */
+    canFlee() {
+        return !this.bossEnemy || !this.battleAI.getBossState(this.bossEnemy)?.noFlee;
+    }
+
+    getBossName() {
+        return this.bossEnemy?.enemyData.name || this.bossEnemy?.enemyData.type || 'the boss';
+    }
+
+    /**
+     * Regular battle theme, or the boss variation at the boss's current phase
+     */
+    async playBattleMusic() {
+        if (!this.battleSceneSong) return;
+        const bossState = this.bossEnemy && this.battleAI?.getBossState(this.bossEnemy);
+        if (bossState) {
+            await this.battleSceneSong.playBoss(bossState.phaseIndex);
+        } else {
+            await this.battleSceneSong.play();
+        }
+    }
+
+    /**
+     * Boss HP bar (top center, shown even when the HUD is toggled off)
+     */
+    updateBossHUD() {
+        if (!this.hudManager) return;
+        const bossState = this.bossEnemy && this.battleAI.getBossState(this.bossEnemy);
+        if (!bossState) {
+            this.hudManager.hideBossBar();
+            return;
+        }
+        
+        this.hudManager.updateBossBar({
+            name: this.getBossName(),
+            title: bossState.title,
+            health: this.bossEnemy.enemyData.health,
+            maxHealth: this.bossEnemy.enemyData.maxHealth,
+            phase: bossState.phaseIndex + 1,
+            phaseCount: bossState.phaseCount,
+            phaseName: bossState.phaseName,
+            enraged: bossState.enraged
+        });
+    }
+
+    /**
+     * Called by BattleAI when a boss reaches a new HP phase
+     */
+    onBossPhaseChanged(enemy, phaseIndex, phase) {
+        this.cameras.main.shake(400, 0.015);
+        this.hudManager?.showMapBanner(`👑 ${this.getBossName()} - ${phase.name}`);
+        if (this.battleSceneSong?.isPlaying) {
+            this.battleSceneSong.playBoss(phaseIndex);
+        }
+        this.updateBossHUD();
+    }
+
+    /**
+     * Called by BattleAI when a boss's enrage timer runs out
+     */
+    onBossEnraged(enemy) {
+        enemy.setStrokeStyle(6, 0xff0000);
+        this.cameras.main.flash(300, 255, 0, 0);
+        this.hudManager?.showMapBanner(`😡 ${this.getBossName()} is enraged!`);
+        this.updateBossHUD();
+    }
+
+    /**
+     * A fallen boss takes its summoned adds with it
+     */
+    dismissSummonedEnemies() {
+        const summoned = this.enemies.filter(enemy => enemy.enemyData.summoned);
+        this.enemies = this.enemies.filter(enemy => !enemy.enemyData.summoned);
+        summoned.forEach(enemy => {
+            statusEffectManager.clear(enemy);
+            this.battleAI.removeEnemy(enemy);
+            if (this.currentTarget === enemy) {
+                this.isInTargetMode = false;
+                this.currentTarget = null;
+                this.juggleComboCount = 0;
+                document.getElementById('target-mode-ui')?.remove();
+            }
+            enemy.destroy();
+        });
+        if (summoned.length > 0) {
+            console.log(`[BattleScene] ${summoned.length} summoned enemies retreat with their master`);
+        }
     }
 
     getUpdatedPartyHPStates() {
@@ -4958,6 +5928,8 @@ export default class BattleScene extends Phaser.Scene {
             playerHP: this.currentHP,
             playerMaxHP: this.maxHP,
             playerDowned: this.isPlayerDowned,
+            playerMP: this.currentMP,
+            playerMaxMP: this.maxMP,
             partyMembers: []
         };
         
@@ -4970,6 +5942,8 @@ export default class BattleScene extends Phaser.Scene {
                         name: character.memberData.name,
                         currentHP: character.memberData.currentHP || character.memberData.maxHP,
                         maxHP: character.memberData.maxHP,
+                        currentMP: character.memberData.currentMP,
+                        maxMP: character.memberData.maxMP,
                         isDowned: character.memberData.isDowned || false
                     });
                     console.log(`[BattleScene]   ${character.memberData.name}: ${hpStates.partyMembers[index].currentHP}/${hpStates.partyMembers[index].maxHP} (Downed: ${hpStates.partyMembers[index].isDowned})`);
@@ -5046,6 +6020,17 @@ export default class BattleScene extends Phaser.Scene {
         if (this.apGaugeText) this.apGaugeText.setVisible(false);
         if (this.apValueText) this.apValueText.setVisible(false);
         
+        // Clean up skill bar and skill buffs
+        if (this.skillBarText) {
+            this.skillBarText.destroy();
+            this.skillBarText = null;
+        }
+        
+        // Clean up status effects and their icons
+        statusEffectManager.clearAll();
+        this.statusIconTexts.forEach(text => text.destroy());
+        this.statusIconTexts.clear();
+        
         // Clean up escape progress bar
         if (this.escapeProgressBar) {
             this.escapeProgressBar.destroy();
@@ -5139,12 +6124,12 @@ export default class BattleScene extends Phaser.Scene {
             
             // Resume background music when resuming
             if (this.battleSceneSong && !this.battleSceneSong.isPlaying) {
-                this.battleSceneSong.play();
+                this.playBattleMusic();
                 console.log('[BattleScene] Music resumed (scene resumed)');
             } else if (!this.battleSceneSong && this.soundInitialized) {
                 // Recreate song if it was disposed
                 this.battleSceneSong = new BattleSceneSong();
-                this.battleSceneSong.play();
+                this.playBattleMusic();
                 console.log('[BattleScene] Music recreated and started (scene resumed)');
             }
         }
@@ -5558,7 +6543,7 @@ export default class BattleScene extends Phaser.Scene {
     
     handleItemNegotiation(itemId) {
         const leadNpc = this.npcDataArray[0];
-        const result = dialogueManager.negotiateWithItem(leadNpc, itemId);
+        const result = dialogueManager.negotiateWithItem(leadNpc, itemId, this.getStandingMemberIds());
         
         console.log('[BattleScene] Item negotiation result:', result);
         
@@ -5636,43 +6621,113 @@ export default class BattleScene extends Phaser.Scene {
                 currentXp = Math.min(currentXp + incrementSpeed, totalXp);
                 xpText.setText(`EXP: ${currentXp}`);
                 
-                // When finished, apply XP to player
+                // When finished, split the XP across the party
                 if (currentXp >= totalXp) {
-                    console.log(`[BattleScene] XP animation complete, applying ${totalXp} XP to player`);
-                    
-                    // Apply XP to player and check for level up
-                    const result = statsManager.addPlayerExperience(totalXp);
+                    console.log(`[BattleScene] XP animation complete, applying ${totalXp} XP to the party`);
                     
-                    if (result.leveledUp) {
-                        console.log(`[BattleScene] 🎉 PLAYER LEVELED UP to ${result.newLevel}!`);
-                        console.log(`[BattleScene] Stats gained:`, result.statsGained);
-                        
-                        // Show level up notification
-                        this.showLevelUpNotification(result.newLevel, result.statsGained);
+                    const { share, remainder, memberCount } = this.awardBattleXp(totalXp);
+                    if (memberCount > 1) {
+                        xpText.setText(`EXP: ${totalXp} (${remainder > 0 ? `${share}-${share + 1}` : share} each)`);
                     }
                 }
             }
         });
     }
 
-    showLevelUpNotification(newLevel, statsGained) {
+    /**
+     * Party id of the character at a party index ('player' or npcId)
+     */
+    getCharacterId(index) {
+        if (index === 0) return this.playerData?.id || 'player';
+        return this.partyCharacters[index - 1]?.memberData?.id || null;
+    }
+
+    /**
+     * Ids of the party characters still standing - they share battle and negotiation XP
+     */
+    getStandingMemberIds() {
+        const memberIds = [];
+        for (let index = 0; index <= this.partyCharacters.length; index++) {
+            const memberId = this.getCharacterId(index);
+            if (memberId && !this.isCharacterDowned(index)) {
+                memberIds.push(memberId);
+            }
+        }
+        return memberIds;
+    }
+
+    /**
+     * Split victory XP across the characters still standing (downed members get none)
+     * and show a level up notification for each member that leveled
+     * @returns {Object} { share, remainder, memberCount } - the first `remainder` members got share + 1
+     */
+    awardBattleXp(totalXp) {
+        const { share, remainder, results } = statsManager.distributePartyExperience(totalXp, this.getStandingMemberIds());
+        
+        results.filter(result => result.leveledUp).forEach((result, slot) => {
+            console.log(`[BattleScene] 🎉 ${result.name} LEVELED UP to ${result.newLevel}!`, result.statsGained);
+            this.syncLevelUpToBattle(result.memberId);
+            this.showLevelUpNotification(result.name, result.newLevel, result.statsGained, slot);
+        });
+        
+        return { share, remainder, memberCount: results.length };
+    }
+
+    /**
+     * Copy a leveled member's new max HP/MP (and the level up heal) into the battle state,
+     * so the HP states sent back to WorldScene don't undo it
+     */
+    syncLevelUpToBattle(memberId) {
+        const stats = memberId === 'player'
+            ? gameStateManager.playerStats
+            : partyLeadershipManager.getParty().find(member => member.id === memberId)?.stats;
+        if (!stats) return;
+        
+        if (memberId === 'player' && this.getCharacterId(0) === 'player') {
+            this.maxHP = stats.maxHealth;
+            this.currentHP = stats.health;
+            this.maxMP = stats.maxMp;
+            this.currentMP = stats.mp;
+        } else {
+            // The leader's battle HP always maps to the player's stats, so a recruit leading keeps theirs
+            const character = this.partyCharacters.find(c => c.memberData?.id === memberId);
+            if (!character) return;
+            Object.assign(character.memberData, {
+                currentHP: stats.health,
+                maxHP: stats.maxHealth,
+                currentMP: stats.mp,
+                maxMP: stats.maxMp
+            });
+        }
+        
+        if (this.hudManager) {
+            this.hudManager.updateBattlePartyStats();
+        }
+    }
+
+    /**
+     * Level up text for one member; slot stacks several notifications
+     */
+    showLevelUpNotification(name, newLevel, statsGained, slot = 0) {
         const centerX = this.cameras.main.width / 2;
         const centerY = this.cameras.main.height / 2;
         
         // Play level up sound
-        if (this.battleSceneSFX) {
-            this.battleSceneSFX.playLevelUp();
-        } else {
-            soundManager.playLevelUp(); // Fallback
+        if (slot === 0) {
+            if (this.battleSceneSFX) {
+                this.battleSceneSFX.playLevelUp();
+            } else {
+                soundManager.playLevelUp(); // Fallback
+            }
         }
         
         // Create level up text
         const levelUpText = this.add.text(
             centerX,
-            centerY + 120,
-            `LEVEL UP!\nLevel ${newLevel}`,
+            centerY + 120 + slot * 50,
+            `${name} LEVEL UP! Lv ${newLevel}`,
             {
-                fontSize: '40px',
+                fontSize: '32px',
                 fontFamily: 'Arial',
                 fontStyle: 'bold',
                 color: '#FFD700',
@@ -5703,12 +6758,14 @@ export default class BattleScene extends Phaser.Scene {
             repeat: -1
         });
         
-        console.log('[BattleScene] Level up notification displayed');
+        console.log(`[BattleScene] Level up notification displayed for ${name}`);
     }
 
     handleEnemyDefeat(enemy) {
         console.log('[BattleScene] Handling enemy defeat:', enemy.enemyData.id);
         
+        statusEffectManager.clear(enemy);
+        
         // Check if this is the currently targeted enemy
         if (this.isInTargetMode && this.currentTarget === enemy) {
             console.log('[BattleScene] Targeted enemy defeated - exiting target mode');
@@ -5728,11 +6785,12 @@ export default class BattleScene extends Phaser.Scene {
         if (enemy.enemyData && enemy.enemyData.id) {
             this.defeatedEnemyIds.push(enemy.enemyData.id);
             
-            // Store enemy data for XP calculation
+            // Store enemy data for XP calculation, and roll its loot (only defeated enemies drop loot)
             this.defeatedEnemiesData.push({
                 id: enemy.enemyData.id,
                 type: enemy.enemyData.type,
-                level: enemy.enemyData.level
+                level: enemy.enemyData.level,
+                loot: lootManager.rollLoot(enemy.enemyData)
             });
             
             console.log('[BattleScene] Stored defeated enemy ID:', enemy.enemyData.id);
@@ -5748,6 +6806,13 @@ export default class BattleScene extends Phaser.Scene {
         // Remove enemy (no Phaser text displays to clean up - using DOM only)
         enemy.destroy();
         this.enemies = this.enemies.filter(e => e !== enemy);
+        
+        if (enemy === this.bossEnemy) {
+            console.log('[BattleScene] 👑 Boss defeated!');
+            this.bossEnemy = null;
+            this.dismissSummonedEnemies();
+            this.updateBossHUD();
+        }
 
         // Log remaining enemies
         console.log('[BattleScene] Remaining enemies:', this.enemies.length);
@@ -5767,6 +6832,28 @@ export default class BattleScene extends Phaser.Scene {
         }
     }
 
+    /**
+     * Victory screen lines for the loot handed out by lootManager.grantLoot
+     * @returns {string[]}
+     */
+    getLootSummaryLines(loot) {
+        const lines = [];
+        if (loot.gold > 0) {
+            lines.push(`💰 +${loot.gold} Gold`);
+        }
+        if (loot.items.length > 0) {
+            lines.push(`🎁 ${loot.items.map(item => `${item.name} x${item.quantity}`).join(', ')}`);
+        }
+        if (loot.sold.length > 0) {
+            const soldGold = loot.sold.reduce((sum, item) => sum + item.gold, 0);
+            lines.push(`🎒 Inventory full! Sold ${loot.sold.map(item => `${item.name} x${item.quantity}`).join(', ')} for ${soldGold} Gold`);
+        }
+        if (loot.lost.length > 0) {
+            lines.push(`🎒 Inventory full! Left behind ${loot.lost.map(item => `${item.name} x${item.quantity}`).join(', ')}`);
+        }
+        return lines;
+    }
+
     showVictorySequence() {
         console.log('[BattleScene] Starting victory sequence');
         
@@ -5801,6 +6888,11 @@ export default class BattleScene extends Phaser.Scene {
         
         console.log(`[BattleScene] Total XP earned: ${this.totalXpEarned}`);
         
+        // Hand out the loot rolled when each enemy fell
+        const loot = lootManager.grantLoot(
+            this.defeatedEnemiesData.filter(enemy => enemy.loot).map(enemy => enemy.loot)
+        );
+        
         // Center camera on screen center
         const centerX = this.cameras.main.width / 2;
         const centerY = this.cameras.main.height / 2;
@@ -5844,6 +6936,26 @@ export default class BattleScene extends Phaser.Scene {
         ).setOrigin(0.5).setAlpha(0);
         this.textDisplays.push(xpText);
         
+        // Loot summary under the XP counter
+        const lootLines = this.getLootSummaryLines(loot);
+        const lootText = lootLines.length > 0 ? this.add.text(
+            centerX,
+            centerY + 100,
+            lootLines.join('\n'),
+            {
+                fontSize: '24px',
+                fontFamily: 'Arial',
+                fontStyle: 'bold',
+                color: '#FFD700',
+                stroke: '#000000',
+                strokeThickness: 3,
+                align: 'center'
+            }
+        ).setOrigin(0.5, 0).setAlpha(0) : null;
+        if (lootText) {
+            this.textDisplays.push(lootText);
+        }
+        
         // Dramatic entrance animation with glowing effect
         this.tweens.add({
             targets: victoryText,
@@ -5877,6 +6989,16 @@ export default class BattleScene extends Phaser.Scene {
             }
         });
         
+        // Fade in loot once the XP is counting
+        if (lootText) {
+            this.tweens.add({
+                targets: lootText,
+                alpha: 1,
+                duration: 500,
+                delay: 1300
+            });
+        }
+        
         // Fade out and exit animation
         this.time.delayedCall(3500, () => {
             this.tweens.add({
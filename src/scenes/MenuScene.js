@@ -1,9 +1,14 @@
 import Phaser from "phaser";
 import { gameStateManager } from "../managers/GameStateManager.js";
 import { moneyManager } from "../managers/MoneyManager.js";
-import { itemsManager } from "../managers/ItemsManager.js";
+import { itemsManager, EQUIPMENT_SLOTS, ITEM_CATEGORIES, SORT_MODES } from "../managers/ItemsManager.js";
+import { shopManager } from "../managers/ShopManager.js";
+import { craftingManager } from "../managers/CraftingManager.js";
+import { questManager } from "../managers/QuestManager.js";
 import { skillsManager } from "../managers/SkillsManager.js";
 import { partyLeadershipManager } from "../managers/PartyLeadershipManager.js";
+import { statsManager } from "../managers/StatsManager.js";
+import { npcAI } from "../ai/NpcAI.js";
 import { soundManager } from "../managers/SoundManager.js";
 import { MenuSceneSFX } from "../audio/sfx/MenuSceneSFX.js";
 import { mobileManager } from "../managers/MobileManager.js";
@@ -28,6 +33,20 @@ export default class MenuScene extends Phaser.Scene {
         // Pause state
         this.isPaused = false;
         
+        // Equip mode on a character tab: { slotIndex, step: 'slot'|'item', optionIndex, message } or null
+        this.equipState = null;
+        
+        // Skills view on a character tab: { tier, column, message, confirmRespec } or null
+        this.skillsState = null;
+        
+        // Items tab: category and sort shown, and browsing state
+        // { itemIndex, step: 'list'|'target'|'discard', targetIndex, discardQuantity, message } or null
+        this.itemsView = { categoryIndex: 0, sortIndex: 0 };
+        this.itemsState = null;
+        
+        // Crafting tab (save points only): { recipeIndex, message } or null while not crafting
+        this.craftingState = null;
+        
         // Sound effects
         this.menuSceneSFX = null;
     }
@@ -39,13 +58,24 @@ export default class MenuScene extends Phaser.Scene {
         this.worldScene = this.scene.get('WorldScene');
         console.log('[MenuScene] Player on save point:', this.isOnSavePoint);
         
+        // Save slot selection (defaults to the slot this session came from)
+        this.saveSlots = gameStateManager.getSaveSlots();
+        const currentSlotIndex = this.saveSlots.findIndex(slot => slot.slot === gameStateManager.currentSlot);
+        this.selectedSaveSlotIndex = Math.max(0, currentSlotIndex);
+        this.pendingOverwriteSlot = null;
+        this.exportCompressed = false;
+        
         // Get party members from PartyLeadershipManager (in leadership order)
         const party = partyLeadershipManager.getParty();
         console.log('[MenuScene] Party members:', party.map(p => p.name).join(', '));
         
-        // Create tabs for each party member (leader first)
+        // Create tabs for each party member (leader first), followed by the items, crafting (save points) and the quest journal
         this.partyMembers = party;
         this.selectedMemberIndex = 0; // Start with leader selected
+        this.equipState = null;
+        this.skillsState = null;
+        this.itemsState = null;
+        this.craftingState = null;
     }
 
     create() {
@@ -75,6 +105,19 @@ export default class MenuScene extends Phaser.Scene {
         this.actionKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.U);
         console.log('[MenuScene] Action key set up (U):', this.actionKey);
         
+        // Save export keys (E = export, C = toggle compression)
+        this.exportKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.E);
+        this.compressKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.C);
+        
+        // Q opens the Equip mode of the selected character
+        this.equipKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.Q);
+        
+        // R opens the skill tree of the selected character
+        this.skillsKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.R);
+        
+        // V cycles the difficulty
+        this.difficultyKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.V);
+        
         // Add general keydown listener for debugging
         this.input.keyboard.on('keydown', (event) => {
             console.log('[MenuScene] Key pressed - code:', event.keyCode, 'key:', event.key);
@@ -84,11 +127,32 @@ export default class MenuScene extends Phaser.Scene {
         const slashKey = this.input.keyboard.addKey(191); // Forward slash keyCode
         slashKey.on('down', () => {
             console.log('[MenuScene] Closing menu with /');
+            this.equipState = null;
+            this.skillsState = null;
+            this.itemsState = null;
+            this.craftingState = null;
             this.closeMenu();
         });
         
         const escKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
         escKey.on('down', () => {
+            // Equip mode: ESC steps back (item list -> slots -> stats)
+            if (this.equipState) {
+                this.equipBack();
+                return;
+            }
+            if (this.skillsState) {
+                this.closeSkillsMode();
+                return;
+            }
+            if (this.itemsState) {
+                this.itemsBack();
+                return;
+            }
+            if (this.craftingState) {
+                this.closeCraftingMode();
+                return;
+            }
             console.log('[MenuScene] Closing menu with ESC');
             this.closeMenu();
         });
@@ -139,6 +203,28 @@ export default class MenuScene extends Phaser.Scene {
             return;
         }
         
+        // Equip mode takes over navigation while open
+        if (this.equipState) {
+            this.updateEquipMode();
+            return;
+        }
+        
+        // So does the skill tree
+        if (this.skillsState) {
+            this.updateSkillsMode();
+            return;
+        }
+        
+        // And browsing the Items tab or crafting
+        if (this.itemsState) {
+            this.updateItemsMode();
+            return;
+        }
+        if (this.craftingState) {
+            this.updateCraftingMode();
+            return;
+        }
+        
         // Check for menu close with Select button (button 8) or B button (button 1)
         if (this.isGamepadButtonJustPressed(8) || this.isGamepadButtonJustPressed(1)) {
             console.log('[MenuScene] Select/B button pressed, closing menu');
@@ -146,16 +232,23 @@ export default class MenuScene extends Phaser.Scene {
             return;
         }
         
+        // V or LT button cycles the difficulty (applies from the next battle, saved with the game)
+        if (Phaser.Input.Keyboard.JustDown(this.difficultyKey) || this.isGamepadButtonJustPressed(6)) {
+            this.cycleDifficulty();
+        }
+        
         // Handle character tab navigation with A/D (left/right) or left stick
         const navLeft = Phaser.Input.Keyboard.JustDown(this.wasdKeys.left) || 
                         this.isGamepadStickLeft();
         const navRight = Phaser.Input.Keyboard.JustDown(this.wasdKeys.right) || 
                          this.isGamepadStickRight();
         
+        const tabCount = this.partyMembers.length + this.getExtraTabs().length;
+        
         if (navLeft) {
-            console.log('[MenuScene] Navigating to previous character');
-            this.selectedMemberIndex = (this.selectedMemberIndex - 1 + this.partyMembers.length) % this.partyMembers.length;
-            console.log('[MenuScene] Selected member index:', this.selectedMemberIndex, '-', this.partyMembers[this.selectedMemberIndex].name);
+            console.log('[MenuScene] Navigating to previous tab');
+            this.selectedMemberIndex = (this.selectedMemberIndex - 1 + tabCount) % tabCount;
+            console.log('[MenuScene] Selected tab index:', this.selectedMemberIndex, '-', this.getSelectedTabName());
             if (this.menuSceneSFX) {
                 this.menuSceneSFX.playTabSwitch();
             }
@@ -163,23 +256,71 @@ export default class MenuScene extends Phaser.Scene {
         }
         
         if (navRight) {
-            console.log('[MenuScene] Navigating to next character');
-            this.selectedMemberIndex = (this.selectedMemberIndex + 1) % this.partyMembers.length;
-            console.log('[MenuScene] Selected member index:', this.selectedMemberIndex, '-', this.partyMembers[this.selectedMemberIndex].name);
+            console.log('[MenuScene] Navigating to next tab');
+            this.selectedMemberIndex = (this.selectedMemberIndex + 1) % tabCount;
+            console.log('[MenuScene] Selected tab index:', this.selectedMemberIndex, '-', this.getSelectedTabName());
             if (this.menuSceneSFX) {
                 this.menuSceneSFX.playTabSwitch();
             }
             this.updateCharacterSelection();
         }
         
+        // Q or LB button opens Equip mode for the selected character
+        if ((Phaser.Input.Keyboard.JustDown(this.equipKey) || this.isGamepadButtonJustPressed(4)) && this.isCharacterTabSelected()) {
+            this.openEquipMode();
+            return;
+        }
+        
+        // R or RB button opens the skill tree for the selected character
+        if ((Phaser.Input.Keyboard.JustDown(this.skillsKey) || this.isGamepadButtonJustPressed(5)) && this.isCharacterTabSelected()) {
+            this.openSkillsMode();
+            return;
+        }
+        
+        // U or A button starts browsing on the Items tab or crafting on the Crafting tab (instead of saving)
+        if (this.isItemsTabSelected() || this.isCraftingTabSelected()) {
+            if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+                if (this.isItemsTabSelected()) {
+                    this.openItemsMode();
+                } else {
+                    this.openCraftingMode();
+                }
+            }
+            return;
+        }
+        
         // Handle save game with U key or A button (button 0) when on save point
         if (this.isOnSavePoint) {
+            // W/S or stick up/down pick the save slot
+            const navUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp();
+            const navDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown();
+            if (navUp || navDown) {
+                const count = this.saveSlots.length;
+                this.selectedSaveSlotIndex = (this.selectedSaveSlotIndex + (navUp ? -1 : 1) + count) % count;
+                this.pendingOverwriteSlot = null;
+                if (this.menuSceneSFX) {
+                    this.menuSceneSFX.playMenuSelect();
+                }
+                this.updateSaveSlotList();
+            }
+            
             if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
                 console.log('[MenuScene] Save triggered (U key or A button)');
+                this.handleSaveGame();
+            }
+            
+            // C or X button toggles compression, E or Y button exports
+            if (Phaser.Input.Keyboard.JustDown(this.compressKey) || this.isGamepadButtonJustPressed(2)) {
+                this.exportCompressed = !this.exportCompressed;
                 if (this.menuSceneSFX) {
-                    this.menuSceneSFX.playSaveGame();
+                    this.menuSceneSFX.playMenuSelect();
                 }
-                this.handleSaveGame();
+                this.updateExportOption();
+            }
+            
+            if (Phaser.Input.Keyboard.JustDown(this.exportKey) || this.isGamepadButtonJustPressed(3)) {
+                console.log('[MenuScene] Export triggered (E key or Y button)');
+                this.handleExportSave();
             }
         }
     }
@@ -285,8 +426,11 @@ export default class MenuScene extends Phaser.Scene {
         this.timerElement.innerHTML = `
             <div style="font-size: 14px; color: #FFF; margin-bottom: 5px;">PLAY TIME</div>
             <div id="timer-value">00:00:00</div>
+            <div style="font-size: 12px; color: #FFF; margin-top: 8px;">DIFFICULTY</div>
+            <div id="difficulty-value" style="font-size: 16px;"></div>
         `;
         this.menuContainer.appendChild(this.timerElement);
+        this.updateDifficultyDisplay();
 
         // Create character tabs container (horizontal at top)
         this.tabContainer = document.createElement('div');
@@ -347,8 +491,9 @@ export default class MenuScene extends Phaser.Scene {
             </div>
             <div style="margin-bottom: 15px; color: #FFF; line-height: 1.5; font-size: 14px;">
                 You are standing on a <span style="color: #00FFFF; font-weight: bold;">Save Point</span>.<br>
-                Your progress will be saved.
+                Choose a slot for your progress.
             </div>
+            <div id="save-slot-list" style="margin-bottom: 15px;"></div>
             <div style="padding: 12px; background: rgba(0, 0, 0, 0.5); border: 1px solid #00FFFF; border-radius: 8px; margin-bottom: 15px;">
                 <div style="font-size: 12px; font-weight: bold; color: #00FFFF; margin-bottom: 6px;">Location:</div>
                 <div style="font-size: 11px; color: #AAA;">
@@ -359,9 +504,15 @@ export default class MenuScene extends Phaser.Scene {
             <div style="text-align: center; color: #FFD700; font-size: 16px; font-weight: bold; margin-bottom: 8px;">
                 Press <span style="font-size: 20px; color: #00FFFF;">U</span> or <span style="font-size: 20px; color: #00FFFF;">A Button</span> to Save
             </div>
+            <div style="padding: 10px; background: rgba(0, 0, 0, 0.5); border: 1px solid #00FFFF; border-radius: 8px; margin-top: 12px; font-size: 12px; color: #FFF; text-align: center;">
+                <span style="color: #00FFFF;">E</span> / <span style="color: #00FFFF;">Y Button</span> Export save file<br>
+                <span style="color: #00FFFF;">C</span> / <span style="color: #00FFFF;">X Button</span> Compression: <span id="export-compression" style="font-weight: bold;"></span>
+            </div>
             <div id="save-status" style="text-align: center; margin-top: 10px; font-size: 12px; color: #00ffff; min-height: 18px; font-weight: bold;"></div>
         `;
         this.menuContainer.appendChild(this.saveGamePanel);
+        this.updateExportOption();
+        this.updateSaveSlotList();
 
         // Create control hints at bottom
         this.controlsHint = document.createElement('div');
@@ -378,8 +529,11 @@ export default class MenuScene extends Phaser.Scene {
             text-align: center;
         `;
         this.controlsHint.innerHTML = `
-            <span style="color: #FFD700;">A/D</span> or <span style="color: #FFD700;">←/→</span> Switch Character • 
-            <span style="color: #FFD700;">/</span> or <span style="color: #FFD700;">ESC</span> Close${this.isOnSavePoint ? ' • <span style="color: #00FFFF;">U/A Button</span> Save' : ''}
+            <span style="color: #FFD700;">A/D</span> or <span style="color: #FFD700;">←/→</span> Switch Character / Items${this.isOnSavePoint ? ' / Crafting' : ''} / Quests • 
+            <span style="color: #FFD700;">Q</span> Equip • 
+            <span style="color: #FFD700;">R</span> Skills • 
+            <span style="color: #FFD700;">V</span> Difficulty • 
+            <span style="color: #FFD700;">/</span> or <span style="color: #FFD700;">ESC</span> Close${this.isOnSavePoint ? ' • <span style="color: #00FFFF;">W/S</span> Slot • <span style="color: #00FFFF;">U/A Button</span> Save • <span style="color: #00FFFF;">E/Y Button</span> Export' : ''}
         `;
         this.menuContainer.appendChild(this.controlsHint);
 
@@ -425,6 +579,151 @@ export default class MenuScene extends Phaser.Scene {
             
             this.tabContainer.appendChild(tabButton);
         });
+        
+        // Items tab (after the party)
+        const itemsTab = document.createElement('div');
+        itemsTab.id = 'items-tab';
+        itemsTab.className = 'character-tab-button';
+        itemsTab.style.cssText = `
+            color: #00D9FF;
+            padding: 15px 20px;
+            border-radius: 10px;
+            font-size: 16px;
+            font-weight: bold;
+            cursor: pointer;
+            pointer-events: auto;
+            transition: all 0.3s;
+            min-width: 150px;
+            text-align: center;
+        `;
+        this.tabContainer.appendChild(itemsTab);
+        this.updateItemsTab();
+        
+        // Crafting tab (only while resting at a save point)
+        if (this.isOnSavePoint) {
+            const craftingTab = document.createElement('div');
+            craftingTab.id = 'crafting-tab';
+            craftingTab.className = 'character-tab-button';
+            craftingTab.style.cssText = `
+                color: #FFA502;
+                padding: 15px 20px;
+                border-radius: 10px;
+                font-size: 16px;
+                font-weight: bold;
+                cursor: pointer;
+                pointer-events: auto;
+                transition: all 0.3s;
+                min-width: 150px;
+                text-align: center;
+            `;
+            this.tabContainer.appendChild(craftingTab);
+            this.updateCraftingTab();
+        }
+        
+        // Quest journal tab (last)
+        const questTab = document.createElement('div');
+        questTab.id = 'quest-tab';
+        questTab.className = 'character-tab-button';
+        questTab.style.cssText = `
+            color: #FFD700;
+            padding: 15px 20px;
+            border-radius: 10px;
+            font-size: 16px;
+            font-weight: bold;
+            cursor: pointer;
+            pointer-events: auto;
+            transition: all 0.3s;
+            min-width: 150px;
+            text-align: center;
+        `;
+        this.tabContainer.appendChild(questTab);
+        this.updateQuestTab();
+    }
+    
+    isCharacterTabSelected() {
+        return this.selectedMemberIndex < this.partyMembers.length;
+    }
+    
+    /**
+     * Tabs after the party: Items, Crafting (save points only) and Quests
+     */
+    getExtraTabs() {
+        return this.isOnSavePoint ? ['Items', 'Crafting', 'Quests'] : ['Items', 'Quests'];
+    }
+    
+    isItemsTabSelected() {
+        return this.getSelectedTabName() === 'Items';
+    }
+    
+    isCraftingTabSelected() {
+        return this.getSelectedTabName() === 'Crafting';
+    }
+    
+    isQuestTabSelected() {
+        return this.getSelectedTabName() === 'Quests';
+    }
+    
+    getSelectedTabName() {
+        if (this.isCharacterTabSelected()) {
+            return this.partyMembers[this.selectedMemberIndex]?.name;
+        }
+        return this.getExtraTabs()[this.selectedMemberIndex - this.partyMembers.length];
+    }
+    
+    updateCraftingTab() {
+        const craftingTab = document.getElementById('crafting-tab');
+        if (!craftingTab) return;
+        
+        const isSelected = this.isCraftingTabSelected();
+        const readyCount = craftingManager.getRecipes().filter(check => check.canCraft).length;
+        
+        craftingTab.style.background = `rgba(255, 165, 2, ${isSelected ? 0.3 : 0.1})`;
+        craftingTab.style.border = `3px solid ${isSelected ? '#FFD700' : '#CC7A00'}`;
+        craftingTab.style.boxShadow = isSelected ? '0 0 20px rgba(255, 215, 0, 0.8)' : '0 0 10px #CC7A0040';
+        craftingTab.innerHTML = `
+            <div style="display: flex; flex-direction: column; align-items: center; gap: 5px;">
+                <div style="font-size: 12px;">⚒️</div>
+                <div>CRAFTING${readyCount > 0 ? ` (${readyCount})` : ''}</div>
+                ${isSelected ? '<div style="font-size: 12px; color: #FFD700;">▼ SELECTED ▼</div>' : ''}
+            </div>
+        `;
+    }
+    
+    updateItemsTab() {
+        const itemsTab = document.getElementById('items-tab');
+        if (!itemsTab) return;
+        
+        const isSelected = this.isItemsTabSelected();
+        
+        itemsTab.style.background = `rgba(0, 217, 255, ${isSelected ? 0.3 : 0.1})`;
+        itemsTab.style.border = `3px solid ${isSelected ? '#FFD700' : '#0066CC'}`;
+        itemsTab.style.boxShadow = isSelected ? '0 0 20px rgba(255, 215, 0, 0.8)' : '0 0 10px #0066CC40';
+        itemsTab.innerHTML = `
+            <div style="display: flex; flex-direction: column; align-items: center; gap: 5px;">
+                <div style="font-size: 12px;">🎒</div>
+                <div>ITEMS</div>
+                ${isSelected ? '<div style="font-size: 12px; color: #FFD700;">▼ SELECTED ▼</div>' : ''}
+            </div>
+        `;
+    }
+    
+    updateQuestTab() {
+        const questTab = document.getElementById('quest-tab');
+        if (!questTab) return;
+        
+        const isSelected = this.isQuestTabSelected();
+        const activeCount = questManager.getJournal().active.length;
+        
+        questTab.style.background = `rgba(255, 215, 0, ${isSelected ? 0.3 : 0.1})`;
+        questTab.style.border = `3px solid ${isSelected ? '#FFD700' : '#B8860B'}`;
+        questTab.style.boxShadow = isSelected ? '0 0 20px rgba(255, 215, 0, 0.8)' : '0 0 10px #B8860B40';
+        questTab.innerHTML = `
+            <div style="display: flex; flex-direction: column; align-items: center; gap: 5px;">
+                <div style="font-size: 12px;">📜</div>
+                <div>QUESTS${activeCount > 0 ? ` (${activeCount})` : ''}</div>
+                ${isSelected ? '<div style="font-size: 12px; color: #FFD700;">▼ SELECTED ▼</div>' : ''}
+            </div>
+        `;
     }
 
     updateCharacterSelection() {
@@ -449,15 +748,38 @@ export default class MenuScene extends Phaser.Scene {
                 `;
             }
         });
+        this.updateItemsTab();
+        this.updateCraftingTab();
+        this.updateQuestTab();
         
         // Update content panel based on selected character
         this.updateCharacterContent();
     }
     
     updateCharacterContent() {
+        if (this.isItemsTabSelected()) {
+            this.showItemsContent();
+            return;
+        }
+        
+        if (this.isCraftingTabSelected()) {
+            this.showCraftingContent();
+            return;
+        }
+        
+        if (this.isQuestTabSelected()) {
+            this.showQuestsContent();
+            return;
+        }
+        
         const selectedMember = this.partyMembers[this.selectedMemberIndex];
         if (!selectedMember) return;
         
+        if (this.skillsState) {
+            this.showSkillsContent(selectedMember);
+            return;
+        }
+        
         this.showCharacterStats(selectedMember, this.selectedMemberIndex);
     }
     
@@ -483,8 +805,19 @@ export default class MenuScene extends Phaser.Scene {
             maxHP = stats.maxHealth || stats.health;
         }
         
+        const equipmentBonus = partyLeadershipManager.getEquipmentBonuses(member.id);
         const hpPercent = (currentHP / maxHP) * 100;
-        const xpPercent = (stats.experience / stats.experienceToNextLevel) * 100;
+        
+        // Player MP lives in GameStateManager, recruits keep theirs in their party stats
+        const mpStats = member.id === 'player' ? gameStateManager.getPlayerStats() : stats;
+        const currentMP = Math.floor(mpStats.mp || 0);
+        const maxMP = mpStats.maxMp || 0;
+        const mpPercent = maxMP > 0 ? (currentMP / maxMP) * 100 : 0;
+        // Recruits only track experience once they've earned some
+        const experience = stats.experience || 0;
+        const experienceToNextLevel = stats.experienceToNextLevel || statsManager.calculateXpForNextLevel(stats.level, true);
+        const xpPercent = (experience / experienceToNextLevel) * 100;
+        const skillPoints = skillsManager.getSkillPoints(member.id);
         
         let contentHTML = `
             <div style="font-size: 22px; font-weight: bold; margin-bottom: 15px; color: ${colorHex}; border-bottom: 2px solid ${colorHex}; padding-bottom: 10px;">
@@ -506,7 +839,8 @@ export default class MenuScene extends Phaser.Scene {
                         Level ${stats.level}
                     </div>
                     <div style="font-size: 12px; color: #AAA; margin-bottom: 3px;">
-                        XP: ${stats.experience} / ${stats.experienceToNextLevel}
+                        XP: ${experience} / ${experienceToNextLevel}
+                        ${skillPoints > 0 ? `<span style="color: #FFD700; margin-left: 10px;">⭐ ${skillPoints} skill point${skillPoints === 1 ? '' : 's'} (R / RB Button)</span>` : ''}
                     </div>
                     <div style="background: #333; height: 10px; border-radius: 5px; overflow: hidden;">
                         <div style="background: linear-gradient(90deg, ${colorHex}, #00D9FF); height: 100%; width: ${xpPercent}%; transition: width 0.3s;"></div>
@@ -523,19 +857,29 @@ export default class MenuScene extends Phaser.Scene {
                     </div>
                 </div>
 
+                <div style="margin-bottom: 10px;">
+                    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;">
+                        <span style="color: #AAA; font-weight: bold;">MP:</span>
+                        <span style="color: #74B9FF; font-weight: bold; font-size: 16px;">${currentMP} / ${maxMP}</span>
+                    </div>
+                    <div style="background: #333; height: 10px; border-radius: 5px; overflow: hidden;">
+                        <div style="background: linear-gradient(90deg, #74B9FF, #0984E3); height: 100%; width: ${mpPercent}%; transition: width 0.3s;"></div>
+                    </div>
+                </div>
+
                 <div style="margin-bottom: 10px; display: flex; justify-content: space-between; align-items: center;">
                     <span style="color: #AAA; font-weight: bold;">Attack:</span>
-                    <span style="color: #FFA502; font-weight: bold; font-size: 16px;">${stats.attack}</span>
+                    <span style="color: #FFA502; font-weight: bold; font-size: 16px;">${(stats.attack || 0) + equipmentBonus.attack}${this.formatBonus(equipmentBonus.attack)}</span>
                 </div>
 
                 <div style="margin-bottom: 10px; display: flex; justify-content: space-between; align-items: center;">
                     <span style="color: #AAA; font-weight: bold;">Defense:</span>
-                    <span style="color: #57E389; font-weight: bold; font-size: 16px;">${stats.defense}</span>
+                    <span style="color: #57E389; font-weight: bold; font-size: 16px;">${(stats.defense || 0) + equipmentBonus.defense}${this.formatBonus(equipmentBonus.defense)}</span>
                 </div>
 
                 <div style="display: flex; justify-content: space-between; align-items: center;">
                     <span style="color: #AAA; font-weight: bold;">Speed:</span>
-                    <span style="color: #00D9FF; font-weight: bold; font-size: 16px;">${stats.speed}</span>
+                    <span style="color: #00D9FF; font-weight: bold; font-size: 16px;">${(stats.speed || 0) + equipmentBonus.speed}${this.formatBonus(equipmentBonus.speed)}</span>
                 </div>
             </div>
             
@@ -551,11 +895,182 @@ export default class MenuScene extends Phaser.Scene {
                 `).join('')}
             </div>
             ` : ''}
+            
+            ${this.renderEquipmentSection(member, colorHex)}
         `;
         
         this.contentPanel.innerHTML = contentHTML;
     }
     
+    /**
+     * Small "(+3)" note for an equipment stat bonus ('' when there is none)
+     */
+    formatBonus(amount) {
+        if (!amount) return '';
+        const color = amount > 0 ? '#57E389' : '#FF4757';
+        return ` <span style="font-size: 12px; color: ${color};">(${amount > 0 ? '+' : ''}${amount})</span>`;
+    }
+    
+    /**
+     * "+3 ATK, -2 SPD" for an equipment item's stats
+     */
+    formatItemStats(stats = {}) {
+        const labels = { attack: 'ATK', defense: 'DEF', speed: 'SPD' };
+        return Object.entries(labels)
+            .filter(([stat]) => stats[stat])
+            .map(([stat, label]) => `${stats[stat] > 0 ? '+' : ''}${stats[stat]} ${label}`)
+            .join(', ');
+    }
+    
+    /**
+     * Equipment slots of a character, plus the item list while choosing gear for a slot
+     */
+    renderEquipmentSection(member, colorHex) {
+        const equipment = partyLeadershipManager.getEquipment(member.id);
+        const state = this.equipState;
+        const slotIcons = { weapon: '⚔️', armor: '🛡️', accessory: '💍' };
+        
+        const slotsHTML = EQUIPMENT_SLOTS.map((slot, index) => {
+            const item = equipment[slot] ? itemsManager.getItemInfo(equipment[slot]) : null;
+            const isSelected = state && state.slotIndex === index;
+            return `
+                <div style="padding: 8px; margin-bottom: 5px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(74, 144, 226, 0.1)'}; border: ${isSelected ? '2px solid #FFD700' : '1px solid #4A90E2'}; border-radius: 5px; display: flex; justify-content: space-between;">
+                    <span style="color: #AAA;">${slotIcons[slot]} ${slot.charAt(0).toUpperCase() + slot.slice(1)}</span>
+                    <span style="color: ${item ? '#FFF' : '#666'}; font-weight: bold;">
+                        ${item ? `${item.name} <span style="font-size: 12px; color: #57E389;">${this.formatItemStats(item.stats)}</span>` : '— empty —'}
+                    </span>
+                </div>
+            `;
+        }).join('');
+        
+        let optionsHTML = '';
+        if (state && state.step === 'item') {
+            const options = this.getEquipOptions();
+            optionsHTML = `<div style="margin-top: 10px; color: #AAA; font-size: 13px;">Choose ${EQUIPMENT_SLOTS[state.slotIndex]}:</div>`;
+            options.forEach((option, index) => {
+                const isSelected = index === state.optionIndex;
+                const label = option.unequip
+                    ? '✖ Unequip'
+                    : `${option.name} x${option.quantity} <span style="font-size: 12px; color: #57E389;">${this.formatItemStats(option.stats)}</span>`;
+                optionsHTML += `
+                    <div style="padding: 6px 10px; margin-top: 5px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(255, 255, 255, 0.05)'}; border: 2px solid ${isSelected ? '#FFD700' : '#444'}; border-radius: 5px; color: ${isSelected ? '#FFD700' : '#FFF'};">
+                        ${label}
+                    </div>
+                `;
+            });
+        }
+        
+        return `
+            <div style="margin-top: 20px;">
+                <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px; color: ${colorHex};">
+                    🎽 Equipment
+                </div>
+                ${slotsHTML}
+                ${optionsHTML}
+                ${state?.message ? `<div style="margin-top: 8px; text-align: center; color: #FFD700; font-size: 13px;">${state.message}</div>` : ''}
+                <div style="margin-top: 8px; text-align: center; color: #888; font-size: 12px;">
+                    ${state ? 'W/S Choose • U/A Button Select • ESC/B Button Back' : 'Q / LB Button to change equipment'}
+                </div>
+            </div>
+        `;
+    }
+    
+    openEquipMode() {
+        this.equipState = { slotIndex: 0, step: 'slot', optionIndex: 0, message: '' };
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Choices for the selected slot: Unequip (if something is equipped) then fitting inventory items
+     */
+    getEquipOptions() {
+        const member = this.partyMembers[this.selectedMemberIndex];
+        const slot = EQUIPMENT_SLOTS[this.equipState.slotIndex];
+        const options = itemsManager.getEquipmentForSlot(slot);
+        if (partyLeadershipManager.getEquipment(member.id)[slot]) {
+            options.unshift({ unequip: true });
+        }
+        return options;
+    }
+    
+    /**
+     * Keyboard/gamepad navigation for Equip mode (ESC is handled by the ESC key listener)
+     */
+    updateEquipMode() {
+        const state = this.equipState;
+        const moveUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const moveDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        
+        if (moveUp || moveDown) {
+            const key = state.step === 'slot' ? 'slotIndex' : 'optionIndex';
+            const count = state.step === 'slot' ? EQUIPMENT_SLOTS.length : this.getEquipOptions().length;
+            if (count > 0) {
+                state[key] = (state[key] + (moveUp ? -1 : 1) + count) % count;
+                state.message = '';
+                if (this.menuSceneSFX) {
+                    this.menuSceneSFX.playMenuSelect();
+                }
+                this.updateCharacterContent();
+            }
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+            this.confirmEquipSelection();
+        } else if (this.isGamepadButtonJustPressed(1) || Phaser.Input.Keyboard.JustDown(this.equipKey)) {
+            this.equipBack();
+        }
+    }
+    
+    confirmEquipSelection() {
+        const state = this.equipState;
+        
+        if (state.step === 'slot') {
+            if (this.getEquipOptions().length === 0) {
+                state.message = `No ${EQUIPMENT_SLOTS[state.slotIndex]} in your inventory`;
+            } else {
+                state.step = 'item';
+                state.optionIndex = 0;
+                state.message = '';
+                if (this.menuSceneSFX) {
+                    this.menuSceneSFX.playMenuConfirm();
+                }
+            }
+            this.updateCharacterContent();
+            return;
+        }
+        
+        const member = this.partyMembers[this.selectedMemberIndex];
+        const option = this.getEquipOptions()[state.optionIndex];
+        if (!option) return;
+        
+        const result = option.unequip
+            ? partyLeadershipManager.unequipItem(member.id, EQUIPMENT_SLOTS[state.slotIndex])
+            : partyLeadershipManager.equipItem(member.id, option.id);
+        
+        if (result.success && this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        state.step = 'slot';
+        state.message = result.message;
+        this.updateCharacterContent();
+    }
+    
+    equipBack() {
+        if (this.equipState.step === 'item') {
+            this.equipState.step = 'slot';
+            this.equipState.message = '';
+        } else {
+            this.equipState = null;
+        }
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuCancel();
+        }
+        this.updateCharacterContent();
+    }
+    
     showPlayerStatsContent() {
         const playerStats = gameStateManager.getPlayerStats();
         const xpPercent = (playerStats.experience / playerStats.experienceToNextLevel) * 100;
@@ -680,179 +1195,716 @@ export default class MenuScene extends Phaser.Scene {
         this.contentPanel.innerHTML = contentHTML;
     }
     
-    showSkillsContent() {
-        const unlockedSkills = skillsManager.getUnlockedSkills();
-        const equippedSkills = skillsManager.getEquippedSkills();
-        const playerStats = gameStateManager.getPlayerStats();
-        const energy = skillsManager.getEnergy();
+    /**
+     * Skill tree rows: roots first, then each skill one row below its deepest prerequisite
+     */
+    getSkillTreeTiers(memberId) {
+        const tree = skillsManager.getSkillTree(memberId);
+        const depths = {};
+        const depthOf = (node) => {
+            if (depths[node.skillId] === undefined) {
+                const parents = tree.filter(n => node.requires.includes(n.skillId));
+                depths[node.skillId] = parents.length ? 1 + Math.max(...parents.map(depthOf)) : 0;
+            }
+            return depths[node.skillId];
+        };
+        
+        const tiers = [];
+        tree.forEach(node => {
+            const depth = depthOf(node);
+            (tiers[depth] = tiers[depth] || []).push(node);
+        });
+        return tiers.filter(Boolean);
+    }
+    
+    /**
+     * Skills view of a character: skill points, the tree and the respec option
+     */
+    showSkillsContent(member) {
+        const colorHex = '#' + member.indicatorColor.toString(16).padStart(6, '0');
+        const state = this.skillsState;
+        const tiers = this.getSkillTreeTiers(member.id);
+        const points = skillsManager.getSkillPoints(member.id);
+        const respecCost = skillsManager.getRespecCost(member.id);
+        const stateStyles = {
+            learned: { border: '#57E389', background: 'rgba(87, 227, 137, 0.15)', color: '#FFF' },
+            available: { border: '#00D9FF', background: 'rgba(0, 217, 255, 0.1)', color: '#FFF' },
+            locked: { border: '#444', background: 'rgba(255, 255, 255, 0.03)', color: '#666' }
+        };
         
         let skillsHTML = `
-            <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #FFD700; border-bottom: 2px solid #FFD700; padding-bottom: 10px;">
-                SKILLS
+            <div style="font-size: 22px; font-weight: bold; margin-bottom: 15px; color: ${colorHex}; border-bottom: 2px solid ${colorHex}; padding-bottom: 10px;">
+                🌳 ${member.name.toUpperCase()}'S SKILLS
             </div>
             
-            <div style="margin-bottom: 15px; padding: 12px; background: rgba(255, 215, 0, 0.1); border: 2px solid #FFD700; border-radius: 8px;">
-                <div style="color: #AAA; font-size: 12px; margin-bottom: 5px;">Energy</div>
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 5px;">
-                    <span style="color: #FFD700; font-weight: bold; font-size: 20px;">⚡ ${energy.current} / ${energy.max}</span>
-                    <span style="color: #AAA; font-size: 12px;">${Math.floor(energy.percent * 100)}%</span>
+            <div style="margin-bottom: 15px; padding: 12px; background: rgba(255, 215, 0, 0.1); border: 2px solid #FFD700; border-radius: 8px; display: flex; justify-content: space-between;">
+                <div>
+                    <div style="color: #AAA; font-size: 12px; margin-bottom: 3px;">Skill Points</div>
+                    <div style="color: #FFD700; font-weight: bold; font-size: 20px;">⭐ ${points}</div>
                 </div>
-                <div style="background: #333; height: 8px; border-radius: 4px; overflow: hidden;">
-                    <div style="background: linear-gradient(90deg, #FFD700, #FFA502); height: 100%; width: ${energy.percent * 100}%; transition: width 0.3s;"></div>
+                <div style="text-align: right;">
+                    <div style="color: #AAA; font-size: 12px; margin-bottom: 3px;">Respec (💰 ${moneyManager.getMoney()})</div>
+                    <div style="color: ${respecCost > 0 ? '#FFA502' : '#666'}; font-weight: bold; font-size: 16px;">${respecCost > 0 ? `${respecCost} gold` : '—'}</div>
                 </div>
             </div>
-            
-            <div style="font-size: 16px; font-weight: bold; margin-bottom: 10px; color: #4A90E2;">
-                Equipped Skills (${equippedSkills.length}/${skillsManager.playerSkills.maxEquipped})
-            </div>
         `;
         
-        if (equippedSkills.length === 0) {
+        if (tiers.length === 0) {
             skillsHTML += `
-                <div style="text-align: center; padding: 20px; color: #666; font-style: italic; margin-bottom: 20px;">
-                    No skills equipped
+                <div style="text-align: center; padding: 20px; color: #666; font-style: italic;">
+                    ${member.name} has no skill tree
                 </div>
             `;
-        } else {
-            equippedSkills.forEach(skill => {
-                const isOnCooldown = skillsManager.isOnCooldown(skill.id);
-                const cooldownProgress = skillsManager.getCooldownProgress(skill.id);
-                const canUse = skillsManager.canUseSkill(skill.id);
-                
+        }
+        
+        tiers.forEach((tier, tierIndex) => {
+            if (tierIndex > 0) {
+                skillsHTML += `<div style="text-align: center; color: #555; font-size: 14px; margin: 2px 0;">▼</div>`;
+            }
+            skillsHTML += `<div style="display: flex; justify-content: center; gap: 8px; flex-wrap: wrap;">`;
+            tier.forEach((node, column) => {
+                const skill = skillsManager.getSkill(node.skillId);
+                const nodeState = skillsManager.getNodeState(member.id, node);
+                const style = stateStyles[nodeState];
+                const isSelected = state.tier === tierIndex && state.column === column;
+                const onHotbar = member.id === 'player' && skillsManager.playerSkills.equipped.includes(node.skillId);
                 skillsHTML += `
-                    <div style="margin-bottom: 10px; padding: 12px; background: ${canUse ? 'rgba(74, 144, 226, 0.2)' : 'rgba(128, 128, 128, 0.1)'}; border: 2px solid ${canUse ? '#4A90E2' : '#666'}; border-radius: 8px;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 5px;">
-                            <div>
-                                <span style="font-size: 24px; margin-right: 8px;">${skill.icon}</span>
-                                <span style="color: ${canUse ? '#FFF' : '#888'}; font-weight: bold;">${skill.name}</span>
-                            </div>
-                            <div style="font-size: 12px; color: ${isOnCooldown ? '#FF4757' : '#00FF00'};">
-                                ${isOnCooldown ? `CD: ${(skillsManager.getCooldownRemaining(skill.id) / 1000).toFixed(1)}s` : 'Ready'}
-                            </div>
-                        </div>
-                        <div style="font-size: 12px; color: #AAA; margin-bottom: 5px;">${skill.description}</div>
-                        <div style="display: flex; justify-content: space-between; font-size: 12px;">
-                            <span style="color: #FFA502;">Damage: ${skill.damage || 'N/A'}</span>
-                            <span style="color: #FFD700;">Cost: ${skill.cost} energy</span>
+                    <div style="min-width: 110px; padding: 8px; text-align: center; background: ${style.background}; border: ${isSelected ? '3px solid #FFD700' : `2px solid ${style.border}`}; border-radius: 8px; color: ${style.color};">
+                        <div style="font-size: 20px;">${nodeState === 'locked' ? '🔒' : skill.icon}</div>
+                        <div style="font-size: 13px; font-weight: bold;">${skill.name}</div>
+                        <div style="font-size: 11px; color: ${nodeState === 'learned' ? '#57E389' : '#AAA'};">
+                            ${nodeState === 'learned' ? `✓ Learned${onHotbar ? ' • Equipped' : ''}` : `${node.cost} SP`}
                         </div>
-                        ${isOnCooldown ? `
-                            <div style="background: #333; height: 4px; border-radius: 2px; overflow: hidden; margin-top: 5px;">
-                                <div style="background: #4A90E2; height: 100%; width: ${cooldownProgress * 100}%; transition: width 0.1s;"></div>
-                            </div>
-                        ` : ''}
                     </div>
                 `;
             });
-        }
-        
-        skillsHTML += `
-            <div style="font-size: 16px; font-weight: bold; margin: 20px 0 10px 0; color: #00D9FF;">
-                Available Skills (${unlockedSkills.length})
-            </div>
-        `;
-        
-        const availableSkills = unlockedSkills.filter(s => !equippedSkills.find(e => e.id === s.id));
+            skillsHTML += `</div>`;
+        });
         
-        if (availableSkills.length === 0) {
+        const selected = tiers[state.tier]?.[state.column];
+        if (selected) {
+            const skill = skillsManager.getSkill(selected.skillId);
+            const requires = selected.requires.map(skillId => skillsManager.getSkill(skillId)?.name || skillId);
             skillsHTML += `
-                <div style="text-align: center; padding: 20px; color: #666; font-style: italic;">
-                    All unlocked skills are equipped
+                <div style="margin-top: 15px; padding: 12px; background: rgba(74, 144, 226, 0.1); border: 1px solid #4A90E2; border-radius: 8px;">
+                    <div style="color: #FFF; font-weight: bold; margin-bottom: 5px;">${skill.icon} ${skill.name}</div>
+                    <div style="font-size: 12px; color: #AAA; margin-bottom: 5px;">${skill.description}</div>
+                    <div style="display: flex; justify-content: space-between; font-size: 12px;">
+                        <span style="color: #FFA502;">Damage: ${skill.damage || 'N/A'}</span>
+                        <span style="color: ${skill.mpCost ? '#74B9FF' : '#FFD700'};">Cost: ${skill.mpCost ? `${skill.mpCost} MP` : `${skill.cost} energy`}</span>
+                    </div>
+                    ${requires.length > 0 ? `<div style="font-size: 12px; color: #888; margin-top: 5px;">Requires: ${requires.join(', ')}</div>` : ''}
                 </div>
             `;
-        } else {
-            skillsHTML += `<div style="max-height: 200px; overflow-y: auto;">`;
-            availableSkills.forEach(skill => {
-                skillsHTML += `
-                    <div style="margin-bottom: 8px; padding: 10px; background: rgba(0, 217, 255, 0.05); border: 1px solid #00D9FF; border-radius: 8px;">
-                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 3px;">
-                            <div>
-                                <span style="font-size: 20px; margin-right: 8px;">${skill.icon}</span>
-                                <span style="color: #FFF; font-weight: bold;">${skill.name}</span>
-                            </div>
-                            <div style="font-size: 10px; color: #AAA;">Lvl ${skill.unlockLevel}</div>
-                        </div>
-                        <div style="font-size: 11px; color: #AAA;">${skill.description}</div>
-                    </div>
-                `;
-            });
-            skillsHTML += `</div>`;
         }
         
         skillsHTML += `
-            <div style="margin-top: 20px; padding: 12px; background: rgba(255, 255, 255, 0.05); border-radius: 8px; font-size: 12px; color: #AAA;">
-                <div style="color: #FFD700; font-weight: bold; margin-bottom: 5px;">💡 Tip:</div>
-                New skills unlock as you level up!
+            ${state.message ? `<div style="margin-top: 10px; text-align: center; color: #FFD700; font-size: 13px;">${state.message}</div>` : ''}
+            <div style="margin-top: 10px; text-align: center; color: #888; font-size: 12px;">
+                W/A/S/D Move • U/A Button Learn • C/X Button Respec • ESC/B Button Back
             </div>
         `;
         
         this.contentPanel.innerHTML = skillsHTML;
     }
     
+    openSkillsMode() {
+        this.skillsState = { tier: 0, column: 0, message: '', confirmRespec: false };
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        this.updateCharacterContent();
+    }
+    
+    closeSkillsMode() {
+        this.skillsState = null;
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuCancel();
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Keyboard/gamepad navigation for the skill tree (ESC is handled by the ESC key listener)
+     * W/S move between rows, A/D within a row
+     */
+    updateSkillsMode() {
+        const state = this.skillsState;
+        const member = this.partyMembers[this.selectedMemberIndex];
+        const tiers = this.getSkillTreeTiers(member.id);
+        
+        const moveUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const moveDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        const moveLeft = Phaser.Input.Keyboard.JustDown(this.wasdKeys.left) || this.isGamepadStickLeft() || this.isGamepadButtonJustPressed(14);
+        const moveRight = Phaser.Input.Keyboard.JustDown(this.wasdKeys.right) || this.isGamepadStickRight() || this.isGamepadButtonJustPressed(15);
+        
+        if (tiers.length > 0 && (moveUp || moveDown || moveLeft || moveRight)) {
+            if (moveUp || moveDown) {
+                state.tier = (state.tier + (moveUp ? -1 : 1) + tiers.length) % tiers.length;
+                state.column = Math.min(state.column, tiers[state.tier].length - 1);
+            } else {
+                const count = tiers[state.tier].length;
+                state.column = (state.column + (moveLeft ? -1 : 1) + count) % count;
+            }
+            state.message = '';
+            state.confirmRespec = false;
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuSelect();
+            }
+            this.updateCharacterContent();
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+            const node = tiers[state.tier]?.[state.column];
+            if (node) {
+                const result = skillsManager.learnTreeSkill(member.id, node.skillId);
+                if (result.success && this.menuSceneSFX) {
+                    this.menuSceneSFX.playMenuConfirm();
+                }
+                state.message = result.message;
+                state.confirmRespec = false;
+                this.updateCharacterContent();
+            }
+        } else if (Phaser.Input.Keyboard.JustDown(this.compressKey) || this.isGamepadButtonJustPressed(2)) {
+            this.confirmRespec(member);
+        } else if (this.isGamepadButtonJustPressed(1) || Phaser.Input.Keyboard.JustDown(this.skillsKey)) {
+            this.closeSkillsMode();
+        }
+    }
+    
+    /**
+     * Respec needs a second press to confirm the gold cost
+     */
+    confirmRespec(member) {
+        const state = this.skillsState;
+        const cost = skillsManager.getRespecCost(member.id);
+        
+        if (cost > 0 && !state.confirmRespec) {
+            state.confirmRespec = true;
+            state.message = `Reset ${member.name}'s skills for ${cost} gold? Press C / X Button again`;
+        } else {
+            const result = skillsManager.respec(member.id);
+            if (result.success && this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuConfirm();
+            }
+            state.confirmRespec = false;
+            state.message = result.message;
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Items tab: category tabs, the sorted item list and details of the selected item
+     * While browsing, the target picker (use) or discard confirmation replaces the details
+     */
     showItemsContent() {
-        const inventory = itemsManager.getInventory();
-        const money = moneyManager.getMoney();
-        const totalValue = itemsManager.getInventoryValue();
+        const state = this.itemsState;
+        const category = ITEM_CATEGORIES[this.itemsView.categoryIndex];
+        const sortBy = SORT_MODES[this.itemsView.sortIndex];
+        const items = itemsManager.getSortedInventory(category.id, sortBy);
+        const used = itemsManager.maxInventorySize - itemsManager.getFreeSpace();
         
         let inventoryHTML = `
             <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #00D9FF; border-bottom: 2px solid #00D9FF; padding-bottom: 10px;">
-                ITEMS
+                🎒 ITEMS
             </div>
             
             <div style="margin-bottom: 15px; padding: 12px; background: rgba(255, 215, 0, 0.1); border: 2px solid #FFD700; border-radius: 8px; display: flex; justify-content: space-between;">
                 <div>
                     <div style="color: #AAA; font-size: 12px; margin-bottom: 3px;">Gold</div>
-                    <div style="color: #FFD700; font-weight: bold; font-size: 20px;">💰 ${money}</div>
+                    <div style="color: #FFD700; font-weight: bold; font-size: 20px;">💰 ${moneyManager.getMoney()}</div>
                 </div>
                 <div>
                     <div style="color: #AAA; font-size: 12px; margin-bottom: 3px;">Total Value</div>
-                    <div style="color: #00D9FF; font-weight: bold; font-size: 20px;">${totalValue}</div>
+                    <div style="color: #00D9FF; font-weight: bold; font-size: 20px;">${itemsManager.getInventoryValue()}</div>
                 </div>
+                <div style="text-align: right;">
+                    <div style="color: #AAA; font-size: 12px; margin-bottom: 3px;">Bag</div>
+                    <div style="color: ${used >= itemsManager.maxInventorySize ? '#FF4757' : '#FFF'}; font-weight: bold; font-size: 20px;">${used} / ${itemsManager.maxInventorySize}</div>
+                </div>
+            </div>
+            
+            <div style="display: flex; gap: 6px; margin-bottom: 8px;">
+                ${ITEM_CATEGORIES.map((tab, index) => {
+                    const isSelected = index === this.itemsView.categoryIndex;
+                    const count = itemsManager.getSortedInventory(tab.id).length;
+                    return `
+                        <div style="flex: 1; padding: 6px 4px; text-align: center; font-size: 12px; font-weight: bold; border-radius: 5px; background: ${isSelected ? 'rgba(0, 217, 255, 0.2)' : 'rgba(255, 255, 255, 0.05)'}; border: 2px solid ${isSelected ? '#00D9FF' : '#444'}; color: ${isSelected ? '#FFF' : '#888'};">
+                            ${tab.icon} ${tab.label} (${count})
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+            <div style="margin-bottom: 10px; text-align: right; font-size: 12px; color: #888;">
+                Sort: <span style="color: #00D9FF; font-weight: bold;">${sortBy.charAt(0).toUpperCase() + sortBy.slice(1)}</span>
             </div>
         `;
         
-        if (inventory.length === 0) {
+        if (items.length === 0) {
             inventoryHTML += `
                 <div style="text-align: center; padding: 30px; color: #666; font-style: italic;">
                     <div style="font-size: 48px; margin-bottom: 10px;">📦</div>
-                    <div>Your inventory is empty</div>
+                    <div>No ${category.label.toLowerCase()}</div>
                 </div>
             `;
         } else {
-            inventoryHTML += `<div style="max-height: 300px; overflow-y: auto;">`;
-            
-            inventory.forEach(item => {
-                const iconMap = {
-                    'consumable': '🧪',
-                    'quest': '📜',
-                    'valuable': '💎',
-                    'equipment': '⚔️'
-                };
-                const icon = iconMap[item.type] || '📦';
-                
+            inventoryHTML += `<div style="max-height: 220px; overflow-y: auto;">`;
+            items.forEach((item, index) => {
+                const isSelected = state && index === state.itemIndex;
                 inventoryHTML += `
-                    <div style="margin-bottom: 10px; padding: 12px; background: rgba(0, 217, 255, 0.05); border: 1px solid #00D9FF; border-radius: 8px;">
-                        <div style="display: flex; justify-content: space-between; align-items: start; margin-bottom: 5px;">
-                            <div>
-                                <span style="font-size: 20px; margin-right: 8px;">${icon}</span>
-                                <span style="color: #FFF; font-weight: bold;">${item.name}</span>
-                            </div>
-                            <div style="color: #00D9FF; font-weight: bold;">x${item.quantity}</div>
+                    <div style="margin-bottom: 5px; padding: 8px 12px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(0, 217, 255, 0.05)'}; border: ${isSelected ? '2px solid #FFD700' : '1px solid #00D9FF'}; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
+                        <div>
+                            <span style="font-size: 18px; margin-right: 8px;">${category.icon}</span>
+                            <span style="color: #FFF; font-weight: bold;">${item.name}</span>
                         </div>
-                        <div style="font-size: 12px; color: #AAA; margin-bottom: 5px;">${item.description}</div>
-                        <div style="display: flex; justify-content: space-between; font-size: 12px;">
-                            <span style="color: #888;">Type: ${item.type}</span>
-                            <span style="color: #FFD700;">Value: ${item.value} each</span>
+                        <div>
+                            <span style="color: #00D9FF; font-weight: bold;">x${item.quantity}</span>
+                            <span style="color: #666; font-size: 11px;">/ ${itemsManager.getStackLimit(item.id)}</span>
                         </div>
                     </div>
                 `;
             });
-            
             inventoryHTML += `</div>`;
         }
         
+        const selected = items[state ? state.itemIndex : 0];
+        if (selected) {
+            inventoryHTML += this.renderItemDetails(selected);
+        }
+        
+        inventoryHTML += `
+            ${state?.message ? `<div style="margin-top: 10px; text-align: center; color: #FFD700; font-size: 13px;">${state.message}</div>` : ''}
+            <div style="margin-top: 10px; text-align: center; color: #888; font-size: 12px;">
+                ${!state ? 'U / A Button to browse items' :
+                  state.step === 'list' ? 'A/D Category • W/S Choose • U/A Button Use • C/X Button Sort • E/Y Button Discard • ESC/B Button Back' :
+                  state.step === 'target' ? 'W/S Choose character • U/A Button Use • ESC/B Button Back' :
+                  'A/D Amount • U/A Button Discard • ESC/B Button Cancel'}
+            </div>
+        `;
+        
         this.contentPanel.innerHTML = inventoryHTML;
     }
     
+    /**
+     * Description and effect preview of an item; the target picker or discard prompt while those are open
+     */
+    renderItemDetails(item) {
+        const state = this.itemsState;
+        const effect = item.effect;
+        let previewHTML = '';
+        
+        if (item.type === 'consumable' && (effect?.type === 'heal' || effect?.type === 'mana')) {
+            // How each party member's HP/MP would change
+            const stat = effect.type === 'heal' ? 'health' : 'mp';
+            const label = effect.type === 'heal' ? 'HP' : 'MP';
+            previewHTML = this.partyMembers.map((member, index) => {
+                const isSelected = state?.step === 'target' && index === state.targetIndex;
+                const preview = gameStateManager.previewFieldItem(item.id, member.id);
+                const vitals = preview.before || gameStateManager.getMemberVitals(member.id);
+                const max = stat === 'health' ? vitals.maxHealth : vitals.maxMp;
+                return `
+                    <div style="padding: 5px 8px; margin-top: 4px; display: flex; justify-content: space-between; font-size: 12px; border-radius: 5px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'transparent'}; border: ${isSelected ? '2px solid #FFD700' : '2px solid transparent'};">
+                        <span style="color: #FFF;">${member.name}</span>
+                        ${preview.error
+                            ? `<span style="color: #666;">${label} ${Math.floor(vitals[stat])}/${max}</span>`
+                            : `<span style="color: #AAA;">${label} ${Math.floor(preview.before[stat])}/${max} → <span style="color: #57E389; font-weight: bold;">${Math.floor(preview.after[stat])}/${max}</span></span>`}
+                    </div>
+                `;
+            }).join('');
+        } else if (item.type === 'consumable' && effect) {
+            const boostLabels = { attack: 'ATK', defense: 'DEF' };
+            const lasts = effect.type === 'attack' ? 'attacks' : 'hits taken';
+            previewHTML = `<div style="font-size: 12px; color: #FFA502; margin-top: 4px;">+${effect.amount} ${boostLabels[effect.type] || effect.type} for the next ${effect.duration} ${lasts} • battle only</div>`;
+        } else if (item.type === 'equipment') {
+            const wornBy = this.partyMembers.filter(member => Object.values(partyLeadershipManager.getEquipment(member.id)).includes(item.id));
+            previewHTML = `
+                <div style="font-size: 12px; margin-top: 4px;">
+                    <span style="color: #AAA;">${item.slot.charAt(0).toUpperCase() + item.slot.slice(1)}</span>
+                    <span style="color: #57E389; margin-left: 8px;">${this.formatItemStats(item.stats)}</span>
+                    ${wornBy.length > 0 ? `<span style="color: #888; margin-left: 8px;">Worn by ${wornBy.map(member => member.name).join(', ')}</span>` : ''}
+                </div>
+            `;
+        } else if (item.type === 'quest') {
+            previewHTML = `<div style="font-size: 12px; color: #888; margin-top: 4px;">🔒 Key item - can't be discarded</div>`;
+        } else if (shopManager.canSell(item.id)) {
+            previewHTML = `<div style="font-size: 12px; color: #FFD700; margin-top: 4px;">Merchants pay ${shopManager.getSellPrice(item.id)} gold each</div>`;
+        }
+        
+        if (state?.step === 'discard') {
+            previewHTML += `
+                <div style="margin-top: 8px; padding: 8px; text-align: center; background: rgba(255, 71, 87, 0.15); border: 2px solid #FF4757; border-radius: 5px; color: #FFF; font-size: 13px;">
+                    🗑️ Discard <span style="color: #FFD700; font-weight: bold;">◀ ${state.discardQuantity} ▶</span> ${item.name}? This can't be undone.
+                </div>
+            `;
+        }
+        
+        return `
+            <div style="margin-top: 10px; padding: 12px; background: rgba(74, 144, 226, 0.1); border: 1px solid #4A90E2; border-radius: 8px;">
+                <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+                    <span style="color: #FFF; font-weight: bold;">${item.name}</span>
+                    <span style="color: #FFD700; font-size: 12px;">Value: ${item.value} each</span>
+                </div>
+                <div style="font-size: 12px; color: #AAA;">${item.description}</div>
+                ${state?.step === 'target' ? '<div style="margin-top: 6px; color: #AAA; font-size: 13px;">Use on:</div>' : ''}
+                ${previewHTML}
+            </div>
+        `;
+    }
+    
+    openItemsMode() {
+        this.itemsState = { itemIndex: 0, step: 'list', targetIndex: 0, discardQuantity: 1, message: '' };
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Items in the current category and sort order, and the one under the cursor
+     */
+    getBrowsedItems() {
+        const items = itemsManager.getSortedInventory(
+            ITEM_CATEGORIES[this.itemsView.categoryIndex].id,
+            SORT_MODES[this.itemsView.sortIndex]
+        );
+        return { items, selected: items[this.itemsState?.itemIndex ?? 0] || null };
+    }
+    
+    /**
+     * Keyboard/gamepad navigation for the Items tab (ESC is handled by the ESC key listener)
+     * list: A/D category, W/S item, U/A use, C/X sort, E/Y discard
+     * target: W/S party member, U/A use
+     * discard: A/D amount, U/A confirm
+     */
+    updateItemsMode() {
+        const state = this.itemsState;
+        const { items, selected } = this.getBrowsedItems();
+        
+        const moveUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const moveDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        const moveLeft = Phaser.Input.Keyboard.JustDown(this.wasdKeys.left) || this.isGamepadStickLeft() || this.isGamepadButtonJustPressed(14);
+        const moveRight = Phaser.Input.Keyboard.JustDown(this.wasdKeys.right) || this.isGamepadStickRight() || this.isGamepadButtonJustPressed(15);
+        const confirm = Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0);
+        
+        if (this.isGamepadButtonJustPressed(1)) {
+            this.itemsBack();
+            return;
+        }
+        
+        let changed = false;
+        if (state.step === 'list') {
+            if (moveLeft || moveRight) {
+                const count = ITEM_CATEGORIES.length;
+                this.itemsView.categoryIndex = (this.itemsView.categoryIndex + (moveLeft ? -1 : 1) + count) % count;
+                state.itemIndex = 0;
+                changed = true;
+            } else if ((moveUp || moveDown) && items.length > 0) {
+                state.itemIndex = (state.itemIndex + (moveUp ? -1 : 1) + items.length) % items.length;
+                changed = true;
+            } else if (Phaser.Input.Keyboard.JustDown(this.compressKey) || this.isGamepadButtonJustPressed(2)) {
+                this.itemsView.sortIndex = (this.itemsView.sortIndex + 1) % SORT_MODES.length;
+                state.itemIndex = 0;
+                changed = true;
+            } else if (confirm && selected) {
+                this.startItemUse(selected);
+                return;
+            } else if ((Phaser.Input.Keyboard.JustDown(this.exportKey) || this.isGamepadButtonJustPressed(3)) && selected) {
+                this.startItemDiscard(selected);
+                return;
+            }
+        } else if (state.step === 'target') {
+            if (moveUp || moveDown) {
+                const count = this.partyMembers.length;
+                state.targetIndex = (state.targetIndex + (moveUp ? -1 : 1) + count) % count;
+                changed = true;
+            } else if (confirm) {
+                this.confirmItemUse(selected);
+                return;
+            }
+        } else if (state.step === 'discard') {
+            if (moveLeft || moveRight || moveUp || moveDown) {
+                const step = moveLeft || moveDown ? -1 : 1;
+                state.discardQuantity = Phaser.Math.Clamp(state.discardQuantity + step, 1, selected.quantity);
+                changed = true;
+            } else if (confirm) {
+                this.confirmItemDiscard(selected);
+                return;
+            }
+        }
+        
+        if (changed) {
+            state.message = '';
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuSelect();
+            }
+            this.updateCharacterContent();
+        }
+    }
+    
+    /**
+     * Healing and MP items open the party picker; everything else explains why it can't be used here
+     */
+    startItemUse(item) {
+        const state = this.itemsState;
+        const effect = item.effect;
+        if (item.type === 'consumable' && (effect?.type === 'heal' || effect?.type === 'mana')) {
+            state.step = 'target';
+            state.targetIndex = 0;
+            state.message = '';
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuConfirm();
+            }
+        } else if (item.type === 'consumable') {
+            state.message = `${item.name} only works in battle`;
+        } else if (item.type === 'equipment') {
+            state.message = 'Equip it from a character tab (Q / LB Button)';
+        } else {
+            state.message = `${item.name} can't be used`;
+        }
+        this.updateCharacterContent();
+    }
+    
+    confirmItemUse(item) {
+        const state = this.itemsState;
+        const member = this.partyMembers[state.targetIndex];
+        const result = gameStateManager.useFieldItem(item.id, member.id);
+        
+        if (result.success) {
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuConfirm();
+            }
+            if (this.worldScene?.hudManager) {
+                this.worldScene.hudManager.updateWorldPartyStats();
+            }
+            // Keep picking targets while any of the item is left
+            if (!itemsManager.hasItem(item.id)) {
+                state.step = 'list';
+                this.clampItemIndex();
+            }
+        }
+        state.message = result.message;
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Discard asks for an amount and a confirmation; quest items are refused straight away
+     */
+    startItemDiscard(item) {
+        const state = this.itemsState;
+        if (!itemsManager.canDiscard(item.id)) {
+            state.message = `${item.name} is needed for a quest`;
+        } else {
+            state.step = 'discard';
+            state.discardQuantity = 1;
+            state.message = '';
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuSelect();
+            }
+        }
+        this.updateCharacterContent();
+    }
+    
+    confirmItemDiscard(item) {
+        const state = this.itemsState;
+        const result = itemsManager.discardItem(item.id, state.discardQuantity);
+        if (result.success && this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        state.step = 'list';
+        state.message = result.message;
+        this.clampItemIndex();
+        this.updateCharacterContent();
+    }
+    
+    clampItemIndex() {
+        const { items } = this.getBrowsedItems();
+        this.itemsState.itemIndex = Math.max(0, Math.min(this.itemsState.itemIndex, items.length - 1));
+    }
+    
+    itemsBack() {
+        if (this.itemsState.step === 'list') {
+            this.itemsState = null;
+        } else {
+            this.itemsState.step = 'list';
+            this.itemsState.message = '';
+        }
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuCancel();
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Crafting tab (save points only): every recipe with the ingredients carried and whether it can be made
+     */
+    showCraftingContent() {
+        const state = this.craftingState;
+        const recipes = craftingManager.getRecipes();
+        
+        let craftingHTML = `
+            <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #FFA502; border-bottom: 2px solid #FFA502; padding-bottom: 10px;">
+                ⚒️ CRAFTING
+            </div>
+            <div style="margin-bottom: 12px; font-size: 12px; color: #AAA;">
+                Combine items while resting at the save point. Bag: ${itemsManager.maxInventorySize - itemsManager.getFreeSpace()} / ${itemsManager.maxInventorySize}
+            </div>
+        `;
+        
+        recipes.forEach((check, index) => {
+            const isSelected = state && index === state.recipeIndex;
+            const ingredientsHTML = check.ingredients.map(ingredient => `
+                <span style="color: ${ingredient.owned >= ingredient.quantity ? '#57E389' : '#FF4757'};">
+                    ${ingredient.name} ${ingredient.owned}/${ingredient.quantity}
+                </span>
+            `).join(' + ');
+            
+            craftingHTML += `
+                <div style="margin-bottom: 6px; padding: 10px 12px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(255, 165, 2, 0.05)'}; border: ${isSelected ? '2px solid #FFD700' : `1px solid ${check.canCraft ? '#FFA502' : '#444'}`}; border-radius: 8px;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 4px;">
+                        <span style="color: ${check.canCraft ? '#FFF' : '#888'}; font-weight: bold;">${check.result.name}${check.result.quantity > 1 ? ` x${check.result.quantity}` : ''}</span>
+                        <span style="font-size: 12px; color: ${check.canCraft ? '#57E389' : '#666'};">${check.canCraft ? '✓ Ready' : check.reason}</span>
+                    </div>
+                    <div style="font-size: 12px;">${ingredientsHTML}</div>
+                </div>
+            `;
+        });
+        
+        const selected = recipes[state ? state.recipeIndex : 0];
+        const resultItem = selected ? itemsManager.getItemInfo(selected.result.itemId) : null;
+        if (resultItem) {
+            craftingHTML += `
+                <div style="margin-top: 10px; padding: 12px; background: rgba(74, 144, 226, 0.1); border: 1px solid #4A90E2; border-radius: 8px;">
+                    <div style="display: flex; justify-content: space-between; margin-bottom: 5px;">
+                        <span style="color: #FFF; font-weight: bold;">${resultItem.name}</span>
+                        <span style="color: #FFD700; font-size: 12px;">Value: ${resultItem.value} • Have ${itemsManager.getItemCount(resultItem.id)}</span>
+                    </div>
+                    <div style="font-size: 12px; color: #AAA;">${resultItem.description}</div>
+                </div>
+            `;
+        }
+        
+        craftingHTML += `
+            ${state?.message ? `<div style="margin-top: 10px; text-align: center; color: #FFD700; font-size: 13px;">${state.message}</div>` : ''}
+            <div style="margin-top: 10px; text-align: center; color: #888; font-size: 12px;">
+                ${state ? 'W/S Choose • U/A Button Craft • ESC/B Button Back' : 'U / A Button to craft'}
+            </div>
+        `;
+        
+        this.contentPanel.innerHTML = craftingHTML;
+    }
+    
+    openCraftingMode() {
+        this.craftingState = { recipeIndex: 0, message: '' };
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuConfirm();
+        }
+        this.updateCharacterContent();
+    }
+    
+    closeCraftingMode() {
+        this.craftingState = null;
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuCancel();
+        }
+        this.updateCharacterContent();
+    }
+    
+    /**
+     * Keyboard/gamepad navigation for the Crafting tab (ESC is handled by the ESC key listener)
+     */
+    updateCraftingMode() {
+        const state = this.craftingState;
+        const recipes = craftingManager.getRecipes();
+        const moveUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const moveDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        
+        if ((moveUp || moveDown) && recipes.length > 0) {
+            state.recipeIndex = (state.recipeIndex + (moveUp ? -1 : 1) + recipes.length) % recipes.length;
+            state.message = '';
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuSelect();
+            }
+            this.updateCharacterContent();
+        }
+        
+        if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+            const check = recipes[state.recipeIndex];
+            if (check) {
+                const result = craftingManager.craft(check.recipe.id);
+                if (result.success && this.menuSceneSFX) {
+                    this.menuSceneSFX.playMenuConfirm();
+                }
+                state.message = result.message;
+                this.updateCraftingTab();
+                this.updateCharacterContent();
+            }
+        } else if (this.isGamepadButtonJustPressed(1)) {
+            this.closeCraftingMode();
+        }
+    }
+    
+    showQuestsContent() {
+        const journal = questManager.getJournal();
+        
+        let questsHTML = `
+            <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #FFD700; border-bottom: 2px solid #FFD700; padding-bottom: 10px;">
+                📜 QUEST JOURNAL
+            </div>
+        `;
+        
+        if (journal.active.length === 0) {
+            questsHTML += `
+                <div style="text-align: center; padding: 20px; color: #666; font-style: italic;">
+                    No active quests. Talk to villagers, guards and merchants to find work!
+                </div>
+            `;
+        } else {
+            questsHTML += `<div style="max-height: 360px; overflow-y: auto;">`;
+            
+            journal.active.forEach(quest => {
+                const { money, xp, items = [] } = quest.rewards;
+                const rewardText = [
+                    money ? `💰 ${money}` : null,
+                    xp ? `⭐ ${xp} XP` : null,
+                    ...items.map(item => `📦 ${itemsManager.getItemInfo(item.itemId)?.name || item.itemId} x${item.quantity}`)
+                ].filter(Boolean).join(' • ');
+                
+                questsHTML += `
+                    <div style="margin-bottom: 12px; padding: 12px; background: rgba(255, 215, 0, 0.08); border: 1px solid #FFD700; border-radius: 8px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 5px;">
+                            <span style="color: #FFD700; font-weight: bold; font-size: 16px;">${quest.name}</span>
+                            <span style="font-size: 11px; color: #AAA;">Step ${quest.stepNumber}/${quest.stepCount}</span>
+                        </div>
+                        <div style="font-size: 12px; color: #AAA; margin-bottom: 8px;">${quest.description}</div>
+                        <div style="font-size: 13px; color: #FFF; font-weight: bold; margin-bottom: 5px;">▶ ${quest.stepDescription}</div>
+                        ${quest.objectives.map(objective => `
+                            <div style="display: flex; justify-content: space-between; font-size: 12px; padding: 2px 0 2px 12px; color: ${objective.done ? '#57E389' : '#DDD'};">
+                                <span>${objective.done ? '✓' : '○'} ${objective.description}</span>
+                                <span>${objective.required > 1 ? `${objective.current}/${objective.required}` : ''}${objective.carried !== null && !objective.done ? ` (carrying ${objective.carried})` : ''}</span>
+                            </div>
+                        `).join('')}
+                        ${rewardText ? `<div style="margin-top: 8px; font-size: 11px; color: #FFA502;">Rewards: ${rewardText}</div>` : ''}
+                    </div>
+                `;
+            });
+            
+            questsHTML += `</div>`;
+        }
+        
+        if (journal.completed.length > 0) {
+            questsHTML += `
+                <div style="font-size: 14px; font-weight: bold; margin: 15px 0 8px 0; color: #57E389;">
+                    🏆 Completed (${journal.completed.length})
+                </div>
+                <div style="font-size: 12px; color: #888;">
+                    ${journal.completed.map(quest => quest.name).join(' • ')}
+                </div>
+            `;
+        }
+        
+        this.contentPanel.innerHTML = questsHTML;
+    }
+    
     showSaveGameContent() {
         this.contentPanel.innerHTML = `
             <div style="font-size: 20px; font-weight: bold; margin-bottom: 15px; color: #00FFFF; border-bottom: 2px solid #00FFFF; padding-bottom: 10px;">
@@ -887,34 +1939,118 @@ export default class MenuScene extends Phaser.Scene {
         // Player Stats tab has no action
     }
 
+    /**
+     * Render the save slot list inside the save point panel
+     */
+    updateSaveSlotList() {
+        const listElement = document.getElementById('save-slot-list');
+        if (!listElement) return;
+        
+        listElement.innerHTML = this.saveSlots.map((slot, index) => {
+            const isSelected = index === this.selectedSaveSlotIndex;
+            const meta = slot.meta;
+            const details = slot.isEmpty
+                ? '<span style="color: #666; font-style: italic;">Empty</span>'
+                : slot.isCorrupt
+                ? `<span style="color: #FF4757;">⚠ Unreadable save (${slot.error})</span>`
+                : `${meta.leaderName} Lv ${meta.leaderLevel} • ${npcAI.difficulty[meta.difficulty]?.label || 'Normal'} • ${gameStateManager.formatPlayTime(meta.playTime)}<br>
+                   <span style="color: #888;">${meta.partyRoster.join(', ')}${meta.savedAt ? ' • ' + new Date(meta.savedAt).toLocaleString() : ''}</span>`;
+            
+            return `
+                <div style="padding: 8px 10px; margin-bottom: 6px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(0, 0, 0, 0.5)'}; border: ${isSelected ? '2px solid #FFD700' : '1px solid #00FFFF'}; border-radius: 8px; font-size: 12px; color: #FFF;">
+                    <div style="font-weight: bold; color: ${isSelected ? '#FFD700' : '#00FFFF'}; margin-bottom: 3px;">
+                        ${isSelected ? '▶ ' : ''}Slot ${slot.slot}${slot.slot === gameStateManager.currentSlot ? ' (current)' : ''}
+                    </div>
+                    <div style="font-size: 11px; line-height: 1.4;">${details}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    updateExportOption() {
+        const compressionElement = document.getElementById('export-compression');
+        if (compressionElement) {
+            compressionElement.textContent = this.exportCompressed ? 'ON (.json.gz)' : 'OFF (.json)';
+            compressionElement.style.color = this.exportCompressed ? '#00ff00' : '#AAA';
+        }
+    }
+
+    /**
+     * Download the current game state as a save file
+     */
+    async handleExportSave() {
+        const statusElement = document.getElementById('save-status');
+        
+        try {
+            const { blob, fileName } = await gameStateManager.exportSave(this.playerPosition, this.exportCompressed);
+            
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+            
+            console.log('[MenuScene] ✅ Save exported as', fileName);
+            if (this.menuSceneSFX) {
+                this.menuSceneSFX.playMenuConfirm();
+            }
+            if (statusElement) {
+                statusElement.textContent = `✓ Exported ${fileName}`;
+                statusElement.style.color = '#00ff00';
+            }
+        } catch (e) {
+            console.error('[MenuScene] ❌ Failed to export save:', e);
+            if (statusElement) {
+                statusElement.textContent = '✗ Export Failed';
+                statusElement.style.color = '#ff0000';
+            }
+        }
+    }
+
     handleSaveGame() {
         console.log('[MenuScene] ========== SAVING GAME ==========');
         console.log('[MenuScene] Player position:', this.playerPosition);
         console.log('[MenuScene] Is on save point:', this.isOnSavePoint);
         
         const statusElement = document.getElementById('save-status');
+        const targetSlot = this.saveSlots[this.selectedSaveSlotIndex];
         
-        // Save game with current player position
-        const saved = gameStateManager.saveGame(this.playerPosition);
-        
-        console.log('[MenuScene] Save result:', saved);
+        // Overwriting an existing slot needs a second press to confirm
+        if (!targetSlot.isEmpty && this.pendingOverwriteSlot !== targetSlot.slot) {
+            this.pendingOverwriteSlot = targetSlot.slot;
+            console.log(`[MenuScene] ⚠️ Slot ${targetSlot.slot} is occupied - waiting for overwrite confirmation`);
+            if (statusElement) {
+                statusElement.textContent = `⚠ Overwrite Slot ${targetSlot.slot}? Press U/A again`;
+                statusElement.style.color = '#FFD700';
+            }
+            console.log('[MenuScene] =====================================');
+            return;
+        }
+        this.pendingOverwriteSlot = null;
         
-        // Check localStorage to verify save
-        const savedData = localStorage.getItem('gameState');
-        console.log('[MenuScene] LocalStorage data:', savedData);
-        if (savedData) {
-            console.log('[MenuScene] Parsed save data:', JSON.parse(savedData));
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playSaveGame();
         }
         
+        // Save game with current player position
+        const saved = gameStateManager.saveGame(this.playerPosition, targetSlot.slot);
+        
+        console.log('[MenuScene] Save result:', saved, '- slot', targetSlot.slot);
+        
         if (saved) {
             console.log('[MenuScene] ✅ Game saved successfully to localStorage');
+            this.saveSlots = gameStateManager.getSaveSlots();
+            this.updateSaveSlotList();
             if (statusElement) {
-                statusElement.textContent = '✓ Game Saved!';
+                statusElement.textContent = `✓ Game Saved to Slot ${targetSlot.slot}!`;
                 statusElement.style.color = '#00ff00';
                 
-                // Clear status after 3 seconds
+                // Clear status after 3 seconds (unless an overwrite prompt replaced it)
                 setTimeout(() => {
-                    if (statusElement) {
+                    if (statusElement && statusElement.textContent.startsWith('✓')) {
                         statusElement.textContent = '';
                     }
                 }, 3000);
@@ -929,6 +2065,29 @@ export default class MenuScene extends Phaser.Scene {
         console.log('[MenuScene] =====================================');
     }
 
+    /**
+     * Switch to the next difficulty level
+     */
+    cycleDifficulty() {
+        const keys = npcAI.getDifficultyKeys();
+        const next = keys[(keys.indexOf(npcAI.getDifficultyKey()) + 1) % keys.length];
+        npcAI.setDifficulty(next);
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuSelect();
+        }
+        this.updateDifficultyDisplay();
+        console.log(`[MenuScene] Difficulty changed to ${next}`);
+    }
+
+    updateDifficultyDisplay() {
+        const difficultyValue = this.timerElement?.querySelector('#difficulty-value');
+        if (difficultyValue) {
+            const difficulty = npcAI.getDifficulty();
+            difficultyValue.textContent = difficulty.label;
+            difficultyValue.title = difficulty.description;
+        }
+    }
+
     startTimerUpdate() {
         // Update timer display every second
         this.timerInterval = setInterval(() => {
@@ -862,7 +862,8 @@ export default class ShooterScene extends Phaser.Scene {
         // Return to WorldScene
         this.scene.stop();
         this.scene.resume('WorldScene', {
-            returnPosition: this.returnPosition
+            returnPosition: this.returnPosition,
+            transitionType: 'shooterExit'
         });
     }
     
@@ -0,0 +1,417 @@
+import Phaser from "phaser";
+import { shopManager } from "../managers/ShopManager.js";
+import { moneyManager } from "../managers/MoneyManager.js";
+import { soundManager } from "../managers/SoundManager.js";
+import { MenuSceneSFX } from "../audio/sfx/MenuSceneSFX.js";
+
+/**
+ * ShopScene - Buy/sell overlay for MERCHANT NPCs
+ * Launched on top of a paused scene (BattleScene after "What do you have for sale?" /
+ * "I have some items to sell.") and resumes it when closed.
+ * Controls: W/S pick item • A/D quantity • U buy/sell • E switch Buy/Sell • ESC close
+ * Gamepad: stick/D-pad • A confirm • Y switch • B close. Everything is clickable/tappable too.
+ */
+export default class ShopScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'ShopScene' });
+        this.shopContainer = null;
+
+        // Gamepad support
+        this.gamepad = null;
+        this.gamepadButtonStates = {};
+        this.lastStickLeft = false;
+        this.lastStickRight = false;
+        this.lastStickUp = false;
+        this.lastStickDown = false;
+
+        // Sound effects
+        this.menuSceneSFX = null;
+    }
+
+    init(data) {
+        console.log('[ShopScene] Initializing with data:', data);
+        this.merchantId = data?.merchantId || null;
+        this.merchantName = data?.merchantName || 'Merchant';
+        this.mode = data?.mode === 'sell' ? 'sell' : 'buy';
+        this.returnScene = data?.returnScene || 'BattleScene';
+
+        this.selectedIndex = 0;
+        this.quantity = 1;
+        this.statusMessage = '';
+        this.statusColor = '#FFF';
+        this.gamepadButtonStates = {};
+    }
+
+    create() {
+        console.log(`[ShopScene] Opening ${this.mode} shop for ${this.merchantName} (${this.merchantId})`);
+
+        // Dark overlay over the paused scene
+        const overlay = this.add.graphics();
+        overlay.fillStyle(0x000000, 0.7);
+        overlay.fillRect(0, 0, this.cameras.main.width, this.cameras.main.height);
+        overlay.setScrollFactor(0);
+
+        this.createShopUI();
+
+        // Keyboard controls
+        this.wasdKeys = this.input.keyboard.addKeys({
+            up: Phaser.Input.Keyboard.KeyCodes.W,
+            down: Phaser.Input.Keyboard.KeyCodes.S,
+            left: Phaser.Input.Keyboard.KeyCodes.A,
+            right: Phaser.Input.Keyboard.KeyCodes.D
+        });
+        this.actionKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.U);
+        this.switchKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.E);
+
+        const escKey = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.ESC);
+        escKey.on('down', () => this.closeShop());
+        const slashKey = this.input.keyboard.addKey(191); // Forward slash keyCode
+        slashKey.on('down', () => this.closeShop());
+
+        // Mobile ESC button
+        this.mobileEscHandler = () => this.closeShop();
+        window.addEventListener('mobileesc', this.mobileEscHandler);
+
+        // Ignore buttons still held from the dialogue choice that opened the shop
+        this.updateGamepad();
+        if (this.gamepad && this.gamepad.buttons) {
+            this.gamepad.buttons.forEach((button, index) => {
+                this.gamepadButtonStates[`button_${index}`] = button && (button.pressed || button.value > 0.5);
+            });
+        }
+
+        this.initializeSFX();
+    }
+
+    /**
+     * Initialize shop sound effects (shared with the menu)
+     */
+    async initializeSFX() {
+        try {
+            await soundManager.init();
+            this.menuSceneSFX = new MenuSceneSFX();
+            await this.menuSceneSFX.init();
+            console.log('[ShopScene] ✅ SFX initialized');
+        } catch (error) {
+            console.error('[ShopScene] Failed to initialize SFX:', error);
+        }
+    }
+
+    update() {
+        this.updateGamepad();
+
+        if (this.isGamepadButtonJustPressed(1) || this.isGamepadButtonJustPressed(8)) {
+            this.closeShop();
+            return;
+        }
+
+        const navUp = Phaser.Input.Keyboard.JustDown(this.wasdKeys.up) || this.isGamepadStickUp() || this.isGamepadButtonJustPressed(12);
+        const navDown = Phaser.Input.Keyboard.JustDown(this.wasdKeys.down) || this.isGamepadStickDown() || this.isGamepadButtonJustPressed(13);
+        const navLeft = Phaser.Input.Keyboard.JustDown(this.wasdKeys.left) || this.isGamepadStickLeft() || this.isGamepadButtonJustPressed(14);
+        const navRight = Phaser.Input.Keyboard.JustDown(this.wasdKeys.right) || this.isGamepadStickRight() || this.isGamepadButtonJustPressed(15);
+
+        if (navUp) this.moveSelection(-1);
+        if (navDown) this.moveSelection(1);
+        if (navLeft) this.changeQuantity(-1);
+        if (navRight) this.changeQuantity(1);
+
+        if (Phaser.Input.Keyboard.JustDown(this.switchKey) || this.isGamepadButtonJustPressed(3)) {
+            this.setMode(this.mode === 'buy' ? 'sell' : 'buy');
+        }
+
+        if (Phaser.Input.Keyboard.JustDown(this.actionKey) || this.isGamepadButtonJustPressed(0)) {
+            this.confirmTransaction();
+        }
+    }
+
+    /**
+     * Items shown for the current mode (merchant stock or sellable inventory)
+     */
+    getEntries() {
+        return this.mode === 'buy'
+            ? shopManager.getStock(this.merchantId)
+            : shopManager.getSellableItems();
+    }
+
+    getMaxQuantity(entry) {
+        if (!entry) return 1;
+        if (this.mode === 'sell') {
+            return Math.min(entry.quantity, shopManager.maxQuantity);
+        }
+        const affordable = Math.floor(moneyManager.getMoney() / entry.buyPrice);
+        return Math.max(1, Math.min(affordable, shopManager.maxQuantity));
+    }
+
+    moveSelection(direction) {
+        const count = this.getEntries().length;
+        if (count === 0) return;
+        this.selectedIndex = (this.selectedIndex + direction + count) % count;
+        this.quantity = 1;
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuSelect();
+        }
+        this.renderShop();
+    }
+
+    changeQuantity(direction) {
+        const entry = this.getEntries()[this.selectedIndex];
+        const max = this.getMaxQuantity(entry);
+        const quantity = Phaser.Math.Clamp(this.quantity + direction, 1, max);
+        if (quantity === this.quantity) return;
+        this.quantity = quantity;
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuSelect();
+        }
+        this.renderShop();
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+        this.mode = mode;
+        this.selectedIndex = 0;
+        this.quantity = 1;
+        this.statusMessage = '';
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playTabSwitch();
+        }
+        this.renderShop();
+    }
+
+    confirmTransaction() {
+        const entry = this.getEntries()[this.selectedIndex];
+        if (!entry) return;
+
+        const result = this.mode === 'buy'
+            ? shopManager.buy(entry.id, this.quantity, this.merchantName)
+            : shopManager.sell(entry.id, this.quantity, this.merchantName);
+
+        console.log('[ShopScene] Transaction result:', result);
+        this.statusMessage = `${result.success ? '✓' : '✗'} ${result.message}`;
+        this.statusColor = result.success ? '#00ff00' : '#FF4757';
+
+        if (this.menuSceneSFX) {
+            if (result.success) {
+                this.menuSceneSFX.playMenuConfirm();
+            } else {
+                this.menuSceneSFX.playMenuCancel();
+            }
+        }
+
+        // Keep the selection valid when a sold-out stack disappears
+        const count = this.getEntries().length;
+        this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, count - 1));
+        this.quantity = 1;
+        this.renderShop();
+    }
+
+    createShopUI() {
+        this.shopContainer = document.createElement('div');
+        this.shopContainer.id = 'shop-overlay';
+        this.shopContainer.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            background: rgba(0, 0, 0, 0.9);
+            color: #FFF;
+            padding: 25px;
+            border: 2px solid #57E389;
+            border-radius: 10px;
+            min-width: 460px;
+            max-width: 560px;
+            box-shadow: 0 0 20px rgba(87, 227, 137, 0.5);
+            font-family: Arial, sans-serif;
+            z-index: 2000;
+        `;
+        document.body.appendChild(this.shopContainer);
+
+        // One delegated handler for mouse and touch
+        this.shopContainer.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-action]');
+            if (!target) return;
+
+            const { action, index } = target.dataset;
+            if (action === 'select') {
+                this.selectedIndex = Number(index);
+                this.quantity = 1;
+                this.renderShop();
+            } else if (action === 'less') {
+                this.changeQuantity(-1);
+            } else if (action === 'more') {
+                this.changeQuantity(1);
+            } else if (action === 'confirm') {
+                this.confirmTransaction();
+            } else if (action === 'buy' || action === 'sell') {
+                this.setMode(action);
+            } else if (action === 'close') {
+                this.closeShop();
+            }
+        });
+
+        this.renderShop();
+    }
+
+    renderShop() {
+        if (!this.shopContainer) return;
+
+        const entries = this.getEntries();
+        const selected = entries[this.selectedIndex];
+        const priceKey = this.mode === 'buy' ? 'buyPrice' : 'sellPrice';
+        const total = selected ? selected[priceKey] * this.quantity : 0;
+        const tabStyle = (isActive) => `
+            flex: 1; padding: 8px; text-align: center; cursor: pointer; border-radius: 8px; font-weight: bold;
+            background: ${isActive ? 'rgba(87, 227, 137, 0.3)' : 'rgba(255, 255, 255, 0.05)'};
+            border: 2px solid ${isActive ? '#FFD700' : '#57E389'};
+            color: ${isActive ? '#FFD700' : '#57E389'};
+        `;
+
+        let shopHTML = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 15px; border-bottom: 2px solid #57E389; padding-bottom: 10px;">
+                <span style="font-size: 20px; font-weight: bold; color: #57E389;">🛒 ${this.merchantName.toUpperCase()}'S SHOP</span>
+                <span data-action="close" style="cursor: pointer; color: #AAA; font-size: 20px;">✕</span>
+            </div>
+
+            <div style="display: flex; gap: 10px; margin-bottom: 15px;">
+                <div data-action="buy" style="${tabStyle(this.mode === 'buy')}">BUY</div>
+                <div data-action="sell" style="${tabStyle(this.mode === 'sell')}">SELL</div>
+            </div>
+
+            <div style="margin-bottom: 15px; padding: 10px; background: rgba(255, 215, 0, 0.1); border: 2px solid #FFD700; border-radius: 8px; display: flex; justify-content: space-between; align-items: center;">
+                <span style="color: #FFD700; font-weight: bold; font-size: 18px;">💰 ${moneyManager.getMoney()} Gold</span>
+                ${this.mode === 'buy' && shopManager.hasDiscount() ? '<span style="color: #57E389; font-size: 12px; font-weight: bold;">10% REGULAR DISCOUNT</span>' : ''}
+            </div>
+        `;
+
+        if (entries.length === 0) {
+            shopHTML += `
+                <div style="text-align: center; padding: 25px; color: #666; font-style: italic;">
+                    ${this.mode === 'buy' ? 'Sold out!' : 'You have nothing the merchant wants to buy.'}
+                </div>
+            `;
+        } else {
+            shopHTML += `<div style="max-height: 260px; overflow-y: auto; margin-bottom: 15px;">`;
+            entries.forEach((entry, index) => {
+                const isSelected = index === this.selectedIndex;
+                shopHTML += `
+                    <div data-action="select" data-index="${index}" style="cursor: pointer; margin-bottom: 8px; padding: 10px; background: ${isSelected ? 'rgba(255, 215, 0, 0.15)' : 'rgba(87, 227, 137, 0.05)'}; border: ${isSelected ? '2px solid #FFD700' : '1px solid #57E389'}; border-radius: 8px;">
+                        <div style="display: flex; justify-content: space-between; align-items: center;">
+                            <span style="font-weight: bold; color: ${isSelected ? '#FFD700' : '#FFF'};">${isSelected ? '▶ ' : ''}${entry.name}</span>
+                            <span style="color: #FFD700; font-weight: bold;">${entry[priceKey]} G</span>
+                        </div>
+                        <div style="display: flex; justify-content: space-between; font-size: 12px; color: #AAA; margin-top: 3px;">
+                            <span>${entry.description}</span>
+                            ${this.mode === 'sell' ? `<span>Owned: ${entry.quantity}</span>` : ''}
+                        </div>
+                    </div>
+                `;
+            });
+            shopHTML += `</div>`;
+
+            shopHTML += `
+                <div style="display: flex; justify-content: space-between; align-items: center; padding: 10px; background: rgba(255, 255, 255, 0.05); border-radius: 8px;">
+                    <div style="display: flex; align-items: center; gap: 10px;">
+                        <span data-action="less" style="cursor: pointer; padding: 4px 12px; border: 1px solid #57E389; border-radius: 5px; font-weight: bold;">−</span>
+                        <span style="font-size: 18px; font-weight: bold; min-width: 30px; text-align: center;">x${this.quantity}</span>
+                        <span data-action="more" style="cursor: pointer; padding: 4px 12px; border: 1px solid #57E389; border-radius: 5px; font-weight: bold;">+</span>
+                    </div>
+                    <span data-action="confirm" style="cursor: pointer; padding: 8px 16px; background: rgba(87, 227, 137, 0.3); border: 2px solid #57E389; border-radius: 8px; font-weight: bold; color: #FFF;">
+                        ${this.mode === 'buy' ? 'Buy' : 'Sell'} for ${total} G
+                    </span>
+                </div>
+            `;
+        }
+
+        shopHTML += `
+            <div style="text-align: center; margin-top: 10px; font-size: 13px; min-height: 18px; font-weight: bold; color: ${this.statusColor};">${this.statusMessage}</div>
+            <div style="text-align: center; margin-top: 10px; font-size: 12px; color: #AAA;">
+                <span style="color: #FFD700;">W/S</span> Item •
+                <span style="color: #FFD700;">A/D</span> Quantity •
+                <span style="color: #FFD700;">U/A Button</span> ${this.mode === 'buy' ? 'Buy' : 'Sell'} •
+                <span style="color: #FFD700;">E/Y Button</span> Buy/Sell •
+                <span style="color: #FFD700;">ESC/B Button</span> Leave
+            </div>
+        `;
+
+        this.shopContainer.innerHTML = shopHTML;
+    }
+
+    closeShop() {
+        console.log('[ShopScene] Closing shop');
+
+        if (this.menuSceneSFX) {
+            this.menuSceneSFX.playMenuCancel();
+            this.menuSceneSFX.dispose();
+            this.menuSceneSFX = null;
+        }
+
+        if (this.mobileEscHandler) {
+            window.removeEventListener('mobileesc', this.mobileEscHandler);
+            this.mobileEscHandler = null;
+        }
+
+        if (this.shopContainer) {
+            this.shopContainer.remove();
+            this.shopContainer = null;
+        }
+
+        this.scene.resume(this.returnScene, { fromShop: true });
+        this.scene.stop();
+    }
+
+    /**
+     * Gamepad helper methods
+     */
+    updateGamepad() {
+        if (window.getGlobalGamepad) {
+            const pad = window.getGlobalGamepad();
+            if (pad && pad.connected) {
+                this.gamepad = pad;
+            } else if (this.gamepad && !this.gamepad.connected) {
+                this.gamepad = null;
+            }
+        }
+    }
+
+    isGamepadButtonJustPressed(buttonIndex) {
+        if (!this.gamepad || !this.gamepad.buttons) return false;
+
+        const button = this.gamepad.buttons[buttonIndex];
+        const isPressed = button && (button.pressed || button.value > 0.5);
+        const key = `button_${buttonIndex}`;
+        const wasPressed = this.gamepadButtonStates[key] || false;
+        this.gamepadButtonStates[key] = isPressed;
+        return isPressed && !wasPressed;
+    }
+
+    isGamepadStickLeft() {
+        if (!this.gamepad || !this.gamepad.axes) return false;
+        const isLeft = (this.gamepad.axes[0] || 0) < -0.5;
+        const justPressed = isLeft && !this.lastStickLeft;
+        this.lastStickLeft = isLeft;
+        return justPressed;
+    }
+
+    isGamepadStickRight() {
+        if (!this.gamepad || !this.gamepad.axes) return false;
+        const isRight = (this.gamepad.axes[0] || 0) > 0.5;
+        const justPressed = isRight && !this.lastStickRight;
+        this.lastStickRight = isRight;
+        return justPressed;
+    }
+
+    isGamepadStickUp() {
+        if (!this.gamepad || !this.gamepad.axes) return false;
+        const isUp = (this.gamepad.axes[1] || 0) < -0.5;
+        const justPressed = isUp && !this.lastStickUp;
+        this.lastStickUp = isUp;
+        return justPressed;
+    }
+
+    isGamepadStickDown() {
+        if (!this.gamepad || !this.gamepad.axes) return false;
+        const isDown = (this.gamepad.axes[1] || 0) > 0.5;
+        const justPressed = isDown && !this.lastStickDown;
+        this.lastStickDown = isDown;
+        return justPressed;
+    }
+}
@@ -1,6 +1,7 @@
 import Phaser from "phaser";
 import SaveState from "../SaveState";
 import { gameStateManager } from "../managers/GameStateManager.js";
+import { npcAI, DEFAULT_DIFFICULTY } from "../ai/NpcAI.js";
 import { soundManager } from "../managers/SoundManager.js";
 import { mobileManager } from "../managers/MobileManager.js";
 import MobileControls from "../managers/MobileControls.js";
@@ -11,6 +12,12 @@ export default class StartScene extends Phaser.Scene {
         this.selectedIndex = 0;
         this.menuItems = [];
         
+        // Save slot browser (null while closed)
+        this.slotBrowser = null;
+        
+        // New game difficulty picker (null while closed)
+        this.difficultyPicker = null;
+        
         // Gamepad support
         this.gamepad = null;
         this.gamepadButtonStates = {};
@@ -34,9 +41,10 @@ export default class StartScene extends Phaser.Scene {
         // Initialize text objects before calling resizeGame
         this.titleText = this.add.text(this.scale.width / 2, this.scale.height / 4, 'NAGEEX', { fontSize: '262px', fill: '#fff' }).setOrigin(0.5, 0.5);
         
-        // Check if save exists
-        const hasSave = localStorage.getItem('gameState') !== null;
-        console.log('[StartScene] Save exists:', hasSave);
+        // Check if any save slot is filled
+        const hasSave = gameStateManager.hasSaveData();
+        const hasAutosave = !gameStateManager.getAutosaveInfo().isEmpty;
+        console.log('[StartScene] Save exists:', hasSave, '- autosave exists:', hasAutosave);
         
         // Create menu items with bullet points
         const menuY = this.scale.height / 2;
@@ -45,11 +53,21 @@ export default class StartScene extends Phaser.Scene {
             this.add.text(this.scale.width / 2, menuY + 50, '• Continue', { 
                 fontSize: '24px', 
                 fill: hasSave ? '#fff' : '#666'  // Gray out if no save
-            }).setOrigin(0.5, 0.5)
+            }).setOrigin(0.5, 0.5),
+            this.add.text(this.scale.width / 2, menuY + 100, '• Continue from Autosave', { 
+                fontSize: '24px', 
+                fill: hasAutosave ? '#fff' : '#666'
+            }).setOrigin(0.5, 0.5),
+            this.add.text(this.scale.width / 2, menuY + 150, '• Load Game', { 
+                fontSize: '24px', 
+                fill: hasSave ? '#fff' : '#666'
+            }).setOrigin(0.5, 0.5),
+            this.add.text(this.scale.width / 2, menuY + 200, '• Import Save', { fontSize: '24px', fill: '#fff' }).setOrigin(0.5, 0.5)
         ];
         
-        // Store whether continue is enabled
+        // Store whether continue / load / autosave are enabled (Start and Import always are)
         this.continueEnabled = hasSave;
+        this.autosaveEnabled = hasAutosave;
 
         // Set up keyboard controls
         this.wasdKeys = this.input.keyboard.addKeys({
@@ -57,12 +75,19 @@ export default class StartScene extends Phaser.Scene {
             down: Phaser.Input.Keyboard.KeyCodes.S,
             enter: Phaser.Input.Keyboard.KeyCodes.ENTER
         });
+        
+        // Slot browser keys: X/Delete erase a slot, ESC/Backspace go back
+        this.slotKeys = this.input.keyboard.addKeys({
+            delete: Phaser.Input.Keyboard.KeyCodes.X,
+            deleteAlt: Phaser.Input.Keyboard.KeyCodes.DELETE,
+            back: Phaser.Input.Keyboard.KeyCodes.ESC,
+            backAlt: Phaser.Input.Keyboard.KeyCodes.BACKSPACE
+        });
 
-        // Set up click handlers
-        this.menuItems[0].setInteractive().on('pointerdown', () => this.selectMenuItem(0));
-        if (hasSave) {
-            this.menuItems[1].setInteractive().on('pointerdown', () => this.selectMenuItem(1));
-        }
+        // Set up click handlers (disabled items ignore clicks in selectMenuItem)
+        this.menuItems.forEach((item, index) => {
+            item.setInteractive().on('pointerdown', () => this.selectMenuItem(index));
+        });
 
         // Highlight initial selection
         this.updateSelection();
@@ -139,6 +164,18 @@ export default class StartScene extends Phaser.Scene {
         if (navDown) {
             this.moveSelection(1);
         }
+        
+        // Slot browser has its own confirm/delete/back handling
+        if (this.slotBrowser) {
+            this.updateSlotBrowserInput();
+            return;
+        }
+        
+        // So does the difficulty picker
+        if (this.difficultyPicker) {
+            this.updateDifficultyPickerInput();
+            return;
+        }
 
         // Handle selection with Enter key or Start button (button 9) - mobile handled via event listener
         if (Phaser.Input.Keyboard.JustDown(this.wasdKeys.enter) || this.isGamepadButtonJustPressed(9)) {
@@ -150,7 +187,7 @@ export default class StartScene extends Phaser.Scene {
         // Update all menu items
         this.menuItems.forEach((item, index) => {
             const text = item.text;
-            const isDisabled = index === 1 && !this.continueEnabled;
+            const isDisabled = this.isMenuItemDisabled(index);
             
             if (index === this.selectedIndex) {
                 item.setStyle({ fill: isDisabled ? '#666' : '#ffff00' }); // Highlight selected item (or gray if disabled)
@@ -162,61 +199,416 @@ export default class StartScene extends Phaser.Scene {
         });
     }
 
+    isMenuItemDisabled(index) {
+        if (index === 2) return !this.autosaveEnabled;
+        return (index === 1 || index === 3) && !this.continueEnabled;
+    }
+
     selectMenuItem(index) {
+        if (this.slotBrowser || this.difficultyPicker) return;
+        this.hideMenuMessage();
+        
         if (index === 0) {
-            // Start new game
+            // Start new game - pick a difficulty first
             soundManager.playMenuConfirm(); // Sound effect
-            soundManager.stopStartMenuSong(); // Stop the menu song
-            SaveState.clear(); // Clear any existing save state
-            gameStateManager.resetGame(); // Reset game state
-            gameStateManager.startTimer(); // Start gameplay timer
-            console.log('[StartScene] Starting new game, timer initialized');
-            this.scene.start('WorldScene');
+            this.openDifficultyPicker();
         } else if (index === 1 && this.continueEnabled) {
-            // Continue game
+            // Continue from the most recently saved slot
+            this.loadSlot(gameStateManager.getMostRecentSlot());
+        } else if (index === 2 && this.autosaveEnabled) {
+            // Continue from the rolling autosave slot
+            this.loadSlot(SaveState.AUTOSAVE_SLOT);
+        } else if (index === 3 && this.continueEnabled) {
+            soundManager.playMenuConfirm();
+            this.openSlotBrowser('load');
+        } else if (index === 4) {
+            // Import a save file into a slot picked in the browser
+            soundManager.playMenuConfirm();
+            this.openSlotBrowser('import');
+        } else if (this.isMenuItemDisabled(index)) {
+            // Continue/Autosave/Load are disabled - no save found
+            console.log('[StartScene] ⚠️ Menu item disabled - no save file found');
+        }
+    }
+    
+    /**
+     * Open the difficulty picker for a new game (replaces the main menu items)
+     */
+    openDifficultyPicker() {
+        console.log('[StartScene] Opening difficulty picker');
+        this.menuItems.forEach(item => item.setVisible(false));
+        
+        const keys = npcAI.getDifficultyKeys();
+        this.difficultyPicker = {
+            keys: keys,
+            selectedIndex: Math.max(0, keys.indexOf(DEFAULT_DIFFICULTY)),
+            title: this.add.text(0, 0, 'SELECT DIFFICULTY', { fontSize: '28px', fill: '#00FFFF', fontStyle: 'bold' }).setOrigin(0.5, 0.5),
+            rows: keys.map((key, index) => {
+                const row = this.add.text(0, 0, '', { fontSize: '20px', fill: '#fff', align: 'center' }).setOrigin(0.5, 0.5);
+                row.setInteractive().on('pointerdown', () => {
+                    this.difficultyPicker.selectedIndex = index;
+                    this.confirmDifficulty();
+                });
+                return row;
+            }),
+            hint: this.add.text(0, 0, 'W/S Select • Enter/A Start • ESC/B Back\nDifficulty can be changed later in the menu', { fontSize: '16px', fill: '#AAA', align: 'center' }).setOrigin(0.5, 0.5)
+        };
+        
+        this.renderDifficultyPicker();
+        this.resizeGame();
+    }
+    
+    closeDifficultyPicker() {
+        if (!this.difficultyPicker) return;
+        
+        this.difficultyPicker.title.destroy();
+        this.difficultyPicker.rows.forEach(row => row.destroy());
+        this.difficultyPicker.hint.destroy();
+        this.difficultyPicker = null;
+        
+        this.menuItems.forEach(item => item.setVisible(true));
+        this.updateSelection();
+    }
+    
+    renderDifficultyPicker() {
+        const picker = this.difficultyPicker;
+        if (!picker) return;
+        
+        picker.keys.forEach((key, index) => {
+            const difficulty = npcAI.difficulty[key];
+            const isSelected = index === picker.selectedIndex;
+            picker.rows[index].setText(`${isSelected ? '> ' : '• '}${difficulty.label}\n${difficulty.description}`);
+            picker.rows[index].setStyle({ fill: isSelected ? '#ffff00' : '#fff' });
+        });
+    }
+    
+    moveDifficultySelection(delta) {
+        const picker = this.difficultyPicker;
+        const count = picker.keys.length;
+        picker.selectedIndex = (picker.selectedIndex + delta + count) % count;
+        soundManager.playMenuSelect();
+        this.renderDifficultyPicker();
+    }
+    
+    /**
+     * Start a new game on the selected difficulty (existing save slots are kept)
+     */
+    confirmDifficulty() {
+        const difficulty = this.difficultyPicker.keys[this.difficultyPicker.selectedIndex];
+        soundManager.playMenuConfirm();
+        soundManager.stopStartMenuSong(); // Stop the menu song
+        gameStateManager.resetGame(); // Reset game state
+        npcAI.setDifficulty(difficulty);
+        gameStateManager.startTimer(); // Start gameplay timer
+        console.log(`[StartScene] Starting new game on ${difficulty}, timer initialized`);
+        this.closeDifficultyPicker();
+        this.scene.start('WorldScene');
+    }
+    
+    updateDifficultyPickerInput() {
+        if (Phaser.Input.Keyboard.JustDown(this.wasdKeys.enter) ||
+            this.isGamepadButtonJustPressed(0) || this.isGamepadButtonJustPressed(9)) {
+            this.confirmDifficulty();
+        } else if (Phaser.Input.Keyboard.JustDown(this.slotKeys.back) ||
+                   Phaser.Input.Keyboard.JustDown(this.slotKeys.backAlt) ||
+                   this.isGamepadButtonJustPressed(1)) {
+            soundManager.playMenuCancel();
+            this.closeDifficultyPicker();
+        }
+    }
+    
+    /**
+     * Load a save slot and enter the world
+     * @param {number} slot
+     */
+    loadSlot(slot) {
+        console.log('[StartScene] ========== CONTINUE GAME ==========');
+        console.log('[StartScene] Loading slot:', slot);
+        
+        const loadResult = gameStateManager.loadGame(slot); // Load saved game state
+        console.log('[StartScene] Load result:', loadResult);
+        
+        if (loadResult.success) {
             soundManager.playMenuConfirm(); // Sound effect
             soundManager.stopStartMenuSong(); // Stop the menu song
-            console.log('[StartScene] ========== CONTINUE GAME ==========');
+            gameStateManager.startTimer(); // Resume timer
+            console.log('[StartScene] ✅ Continuing game, timer resumed');
+            console.log('[StartScene] Loaded map:', loadResult.mapKey);
+            console.log('[StartScene] Loaded player position:', loadResult.playerPosition);
+            console.log('[StartScene] Defeated NPCs:', loadResult.defeatedNpcIds);
+            if (loadResult.warnings.length > 0) {
+                console.warn('[StartScene] ⚠️ Save was repaired while loading:', loadResult.warnings);
+            }
             
-            // Check localStorage first
-            const savedData = localStorage.getItem('gameState');
-            console.log('[StartScene] LocalStorage data exists:', !!savedData);
-            if (savedData) {
-                console.log('[StartScene] Raw localStorage data:', savedData);
-                try {
-                    const parsed = JSON.parse(savedData);
-                    console.log('[StartScene] Parsed save data:', parsed);
-                } catch (e) {
-                    console.error('[StartScene] Failed to parse save data:', e);
-                }
+            // Start WorldScene with loaded data
+            this.scene.start('WorldScene', {
+                loadedGame: true,
+                mapKey: loadResult.mapKey,
+                playerPosition: loadResult.playerPosition,
+                defeatedNpcIds: loadResult.defeatedNpcIds
+            });
+        } else {
+            // Stay on the menu and tell the player why instead of silently starting over
+            console.error('[StartScene] ❌ Could not load save:', loadResult.error);
+            soundManager.playMenuCancel();
+            const slotLabel = slot === SaveState.AUTOSAVE_SLOT ? 'Autosave' : `Slot ${slot ?? '?'}`;
+            this.showMenuMessage(`${slotLabel} could not be loaded: ${loadResult.error}`);
+        }
+        console.log('[StartScene] =====================================');
+    }
+    
+    /**
+     * Show a load/import result under the menu
+     * @param {string} message
+     * @param {boolean} isError
+     */
+    showMenuMessage(message, isError = true) {
+        if (!this.messageText) {
+            this.messageText = this.add.text(0, 0, '', {
+                fontSize: '18px',
+                fill: '#FF4757',
+                align: 'center',
+                wordWrap: { width: 600 }
+            }).setOrigin(0.5, 0);
+        }
+        this.messageText.setText(isError ? `⚠ ${message}` : `✓ ${message}`);
+        this.messageText.setStyle({ fill: isError ? '#FF4757' : '#00ff00' });
+        this.messageText.setVisible(true);
+        this.resizeGame();
+    }
+    
+    hideMenuMessage() {
+        if (this.messageText) {
+            this.messageText.setVisible(false);
+        }
+    }
+    
+    /**
+     * Open the save slot browser (replaces the main menu items)
+     * @param {string} mode - 'load' picks a save to play, 'import' picks the slot an imported file goes into
+     */
+    openSlotBrowser(mode = 'load') {
+        console.log(`[StartScene] Opening save slot browser (${mode})`);
+        this.menuItems.forEach(item => item.setVisible(false));
+        
+        const slots = gameStateManager.getSaveSlots();
+        const preferred = mode === 'import'
+            ? slots.findIndex(slot => slot.isEmpty)
+            : slots.findIndex(slot => !slot.isEmpty);
+        
+        this.slotBrowser = {
+            mode: mode,
+            slots: slots,
+            selectedIndex: Math.max(0, preferred),
+            pendingDeleteSlot: null,
+            pendingOverwriteSlot: null,
+            importInProgress: false,
+            title: this.add.text(0, 0, mode === 'import' ? 'IMPORT SAVE' : 'LOAD GAME', { fontSize: '28px', fill: '#00FFFF', fontStyle: 'bold' }).setOrigin(0.5, 0.5),
+            rows: slots.map((slot, index) => {
+                const row = this.add.text(0, 0, '', { fontSize: '20px', fill: '#fff', align: 'center' }).setOrigin(0.5, 0.5);
+                row.setInteractive().on('pointerdown', () => {
+                    this.slotBrowser.selectedIndex = index;
+                    this.confirmSlotSelection();
+                });
+                return row;
+            }),
+            hint: this.add.text(0, 0, '', { fontSize: '16px', fill: '#AAA', align: 'center' }).setOrigin(0.5, 0.5)
+        };
+        
+        this.renderSlotBrowser();
+        this.resizeGame();
+    }
+    
+    closeSlotBrowser() {
+        if (!this.slotBrowser) return;
+        console.log('[StartScene] Closing save slot browser');
+        
+        this.slotBrowser.title.destroy();
+        this.slotBrowser.rows.forEach(row => row.destroy());
+        this.slotBrowser.hint.destroy();
+        this.slotBrowser = null;
+        
+        // Deleting the last save disables Continue / Load Game
+        this.continueEnabled = gameStateManager.hasSaveData();
+        this.autosaveEnabled = !gameStateManager.getAutosaveInfo().isEmpty;
+        if (this.isMenuItemDisabled(this.selectedIndex)) {
+            this.selectedIndex = 0;
+        }
+        
+        this.menuItems.forEach(item => item.setVisible(true));
+        this.updateSelection();
+    }
+    
+    renderSlotBrowser() {
+        const browser = this.slotBrowser;
+        if (!browser) return;
+        
+        browser.slots.forEach((slot, index) => {
+            const row = browser.rows[index];
+            const isSelected = index === browser.selectedIndex;
+            const prefix = isSelected ? '> ' : '• ';
+            
+            if (slot.isEmpty) {
+                row.setText(`${prefix}Slot ${slot.slot} — Empty`);
+                row.setStyle({ fill: isSelected ? '#999' : '#666' });
+                return;
             }
             
-            const loadResult = gameStateManager.loadGame(); // Load saved game state
-            console.log('[StartScene] Load result:', loadResult);
+            if (slot.isCorrupt) {
+                row.setText(`${prefix}Slot ${slot.slot} — ⚠ Unreadable save\n${slot.error}`);
+                row.setStyle({ fill: isSelected ? '#FF6B81' : '#FF4757' });
+                return;
+            }
             
-            if (loadResult.success) {
-                gameStateManager.startTimer(); // Resume timer
-                console.log('[StartScene] ✅ Continuing game, timer resumed');
-                console.log('[StartScene] Loaded player position:', loadResult.playerPosition);
-                console.log('[StartScene] Defeated NPCs:', loadResult.defeatedNpcIds);
-                
-                // Start WorldScene with loaded data
-                this.scene.start('WorldScene', {
-                    loadedGame: true,
-                    playerPosition: loadResult.playerPosition,
-                    defeatedNpcIds: loadResult.defeatedNpcIds
-                });
+            const meta = slot.meta;
+            const savedAt = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : 'Unknown date';
+            const coordinates = meta.location ? `(${meta.location.x}, ${meta.location.y})` : 'Unknown location';
+            const location = meta.location?.mapName ? `${meta.location.mapName} ${coordinates}` : coordinates;
+            const difficulty = npcAI.difficulty[meta.difficulty]?.label || 'Normal';
+            row.setText(
+                `${prefix}Slot ${slot.slot} — ${meta.leaderName} Lv ${meta.leaderLevel} • ${difficulty} • ${gameStateManager.formatPlayTime(meta.playTime)}\n` +
+                `Party: ${meta.partyRoster.join(', ') || 'None'} • ${location} • ${savedAt}`
+            );
+            row.setStyle({ fill: isSelected ? '#ffff00' : '#fff' });
+        });
+        
+        if (browser.pendingDeleteSlot !== null) {
+            browser.hint.setText(`Press X / Delete again to erase Slot ${browser.pendingDeleteSlot}`);
+            browser.hint.setStyle({ fill: '#FF4757' });
+        } else if (browser.pendingOverwriteSlot !== null) {
+            browser.hint.setText(`Press Enter / A again to overwrite Slot ${browser.pendingOverwriteSlot} with a file`);
+            browser.hint.setStyle({ fill: '#FFD700' });
+        } else if (browser.mode === 'import') {
+            browser.hint.setText('W/S Select • Enter/A Import file into slot • X/Delete Erase • ESC/B Back');
+            browser.hint.setStyle({ fill: '#AAA' });
+        } else {
+            browser.hint.setText('W/S Select • Enter/A Load • X/Delete Erase • ESC/B Back');
+            browser.hint.setStyle({ fill: '#AAA' });
+        }
+    }
+    
+    moveSlotSelection(delta) {
+        const browser = this.slotBrowser;
+        const count = browser.slots.length;
+        browser.selectedIndex = (browser.selectedIndex + delta + count) % count;
+        browser.pendingDeleteSlot = null;
+        browser.pendingOverwriteSlot = null;
+        soundManager.playMenuSelect();
+        this.renderSlotBrowser();
+    }
+    
+    confirmSlotSelection() {
+        const slot = this.slotBrowser.slots[this.slotBrowser.selectedIndex];
+        if (this.slotBrowser.mode === 'import') {
+            this.importIntoSlot(slot);
+            return;
+        }
+        
+        if (slot.isEmpty) {
+            soundManager.playMenuCancel();
+            return;
+        }
+        
+        if (slot.isCorrupt) {
+            soundManager.playMenuCancel();
+            this.showMenuMessage(`Slot ${slot.slot} could not be loaded: ${slot.error}`);
+            return;
+        }
+        
+        const slotId = slot.slot;
+        this.closeSlotBrowser();
+        this.loadSlot(slotId);
+    }
+    
+    /**
+     * Pick a save file and import it into a slot - occupied slots need a second press first
+     * @param {Object} slot - Entry from gameStateManager.getSaveSlots()
+     */
+    importIntoSlot(slot) {
+        const browser = this.slotBrowser;
+        if (browser.importInProgress) return;
+        
+        if (!slot.isEmpty && browser.pendingOverwriteSlot !== slot.slot) {
+            browser.pendingOverwriteSlot = slot.slot;
+            soundManager.playMenuSelect();
+            this.renderSlotBrowser();
+            return;
+        }
+        browser.pendingOverwriteSlot = null;
+        this.renderSlotBrowser();
+        
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,.gz,application/json,application/gzip';
+        input.style.display = 'none';
+        
+        input.addEventListener('change', async () => {
+            const file = input.files && input.files[0];
+            input.remove();
+            if (!file) return;
+            
+            browser.importInProgress = true;
+            console.log(`[StartScene] Importing ${file.name} into slot ${slot.slot}`);
+            const result = await gameStateManager.importSave(file, slot.slot);
+            browser.importInProgress = false;
+            
+            // Browser may have been closed while the file was being read
+            if (this.slotBrowser === browser) {
+                browser.slots = gameStateManager.getSaveSlots();
+                this.renderSlotBrowser();
+            }
+            this.continueEnabled = gameStateManager.hasSaveData();
+            
+            if (result.success) {
+                soundManager.playMenuConfirm();
+                this.showMenuMessage(`Imported ${file.name} into Slot ${slot.slot}`, false);
+                if (result.warnings.length > 0) {
+                    console.warn('[StartScene] ⚠️ Imported save was repaired:', result.warnings);
+                }
             } else {
-                // No save found, start new game
-                console.warn('[StartScene] ⚠️ No save found, starting new game');
-                gameStateManager.resetGame();
-                gameStateManager.startTimer();
-                this.scene.start('WorldScene');
+                soundManager.playMenuCancel();
+                this.showMenuMessage(`${file.name} was not imported: ${result.error}`);
             }
-            console.log('[StartScene] =====================================');
-        } else if (index === 1 && !this.continueEnabled) {
-            // Continue is disabled - no save found
-            console.log('[StartScene] ⚠️ Continue is disabled - no save file found');
+        });
+        
+        document.body.appendChild(input);
+        input.click();
+    }
+    
+    /**
+     * Erase the selected slot - first press arms, second press confirms
+     */
+    deleteSelectedSlot() {
+        const browser = this.slotBrowser;
+        const slot = browser.slots[browser.selectedIndex];
+        if (slot.isEmpty) return;
+        
+        if (browser.pendingDeleteSlot !== slot.slot) {
+            browser.pendingDeleteSlot = slot.slot;
+            browser.pendingOverwriteSlot = null;
+            soundManager.playMenuSelect();
+        } else {
+            gameStateManager.deleteSave(slot.slot);
+            browser.slots = gameStateManager.getSaveSlots();
+            browser.pendingDeleteSlot = null;
+            soundManager.playMenuCancel();
+        }
+        this.renderSlotBrowser();
+    }
+    
+    updateSlotBrowserInput() {
+        if (Phaser.Input.Keyboard.JustDown(this.wasdKeys.enter) ||
+            this.isGamepadButtonJustPressed(0) || this.isGamepadButtonJustPressed(9)) {
+            this.confirmSlotSelection();
+        } else if (Phaser.Input.Keyboard.JustDown(this.slotKeys.delete) ||
+                   Phaser.Input.Keyboard.JustDown(this.slotKeys.deleteAlt) ||
+                   this.isGamepadButtonJustPressed(2)) {
+            this.deleteSelectedSlot();
+        } else if (Phaser.Input.Keyboard.JustDown(this.slotKeys.back) ||
+                   Phaser.Input.Keyboard.JustDown(this.slotKeys.backAlt) ||
+                   this.isGamepadButtonJustPressed(1)) {
+            soundManager.playMenuCancel();
+            this.closeSlotBrowser();
         }
     }
 
@@ -238,8 +630,32 @@ export default class StartScene extends Phaser.Scene {
 
         // Center the text elements
         this.titleText.setPosition(width / 2, height / 4);
-        this.menuItems[0].setPosition(width / 2, height / 2);
-        this.menuItems[1].setPosition(width / 2, height / 2 + 50);
+        this.menuItems.forEach((item, index) => {
+            item.setPosition(width / 2, height / 2 + index * 50);
+        });
+        
+        if (this.slotBrowser) {
+            this.slotBrowser.title.setPosition(width / 2, height / 2 - 40);
+            this.slotBrowser.rows.forEach((row, index) => {
+                row.setPosition(width / 2, height / 2 + 20 + index * 70);
+            });
+            this.slotBrowser.hint.setPosition(width / 2, height / 2 + 20 + this.slotBrowser.rows.length * 70);
+        }
+        
+        if (this.difficultyPicker) {
+            this.difficultyPicker.title.setPosition(width / 2, height / 2 - 40);
+            this.difficultyPicker.rows.forEach((row, index) => {
+                row.setPosition(width / 2, height / 2 + 20 + index * 70);
+            });
+            this.difficultyPicker.hint.setPosition(width / 2, height / 2 + 20 + this.difficultyPicker.rows.length * 70);
+        }
+        
+        if (this.messageText) {
+            const bottom = this.slotBrowser
+                ? height / 2 + 50 + this.slotBrowser.rows.length * 70
+                : height / 2 + this.menuItems.length * 50;
+            this.messageText.setPosition(width / 2, bottom);
+        }
         
         // Resize mobile controls if they exist
         if (this.mobileControls && mobileManager.isMobile) {
@@ -253,7 +669,24 @@ export default class StartScene extends Phaser.Scene {
     setupMobileListeners() {
         // Listen for mobile button presses
         window.addEventListener('mobilebutton', (e) => {
-            if (e.detail.button === 'a' && e.detail.pressed) {
+            if (!e.detail.pressed) return;
+            
+            if (this.slotBrowser) {
+                // A = load, X = erase, B = back
+                if (e.detail.button === 'a') this.confirmSlotSelection();
+                else if (e.detail.button === 'x') this.deleteSelectedSlot();
+                else if (e.detail.button === 'b') this.closeSlotBrowser();
+                return;
+            }
+            
+            if (this.difficultyPicker) {
+                // A = start, B = back
+                if (e.detail.button === 'a') this.confirmDifficulty();
+                else if (e.detail.button === 'b') this.closeDifficultyPicker();
+                return;
+            }
+            
+            if (e.detail.button === 'a') {
                 // A button = confirm selection
                 this.selectMenuItem(this.selectedIndex);
             }
@@ -273,6 +706,18 @@ export default class StartScene extends Phaser.Scene {
      * Move menu selection
      */
     moveSelection(delta) {
+        this.hideMenuMessage();
+        
+        if (this.slotBrowser) {
+            this.moveSlotSelection(delta);
+            return;
+        }
+        
+        if (this.difficultyPicker) {
+            this.moveDifficultySelection(delta);
+            return;
+        }
+        
         const oldIndex = this.selectedIndex;
         this.selectedIndex += delta;
         
@@ -285,7 +730,7 @@ export default class StartScene extends Phaser.Scene {
         
         // Play sound if selection changed
         if (oldIndex !== this.selectedIndex) {
-            soundManager.playMenuMove();
+            soundManager.playMenuSelect();
         }
         
         this.updateSelection();
@@ -3,12 +3,20 @@ import Phaser from "phaser";
 import SaveState from "../SaveState";
 import PlayerManager from "../managers/PlayerManager";
 import NpcManager from "../managers/NpcManager";
+import { WorldAI } from "../ai/WorldAI.js";
+import { Pathfinder } from "../ai/Pathfinder.js";
 import PartyManager from "../managers/PartyManager"; // Legacy - for recruitable NPCs only
 import PartyFollowingManager from "../managers/PartyFollowingManager";
 import { partyLeadershipManager } from "../managers/PartyLeadershipManager";
 import HUDManager from "../ui/HUDManager";
 import MapScene from "./MapScene";
 import { gameStateManager } from "../managers/GameStateManager.js";
+import { autosaveManager } from "../managers/AutosaveManager.js";
+import { npcDefinitionManager } from "../managers/NpcDefinitionManager.js";
+import MapObjectManager from "../managers/MapObjectManager.js";
+import { mapRegistry, TILESET_TEXTURES } from "../data/MapRegistry.js";
+import { dialogueSystem } from "../managers/DialogueSystem.js";
+import { questManager } from "../managers/QuestManager.js";
 import { soundManager } from "../managers/SoundManager.js";
 import { WorldSceneSong } from "../audio/songs/WorldSceneSong.js";
 import { WorldSceneSFX } from "../audio/sfx/WorldSceneSFX.js";
@@ -42,13 +50,18 @@ export default class WorldScene extends Phaser.Scene {
     init(data) {
         console.log('[WorldScene] Initializing with data:', data);
         
-        // Initialize or update defeated NPCs
-        if (data && data.defeatedNpcIds) {
-            this.defeatedNpcIds = [...new Set(data.defeatedNpcIds)];
-            console.log('[WorldScene] Initialized with defeated NPCs:', this.defeatedNpcIds);
-        } else {
-            this.defeatedNpcIds = [];
-        }
+        // Map to load (warps and loaded saves pass it in, otherwise stay on the current map)
+        this.mapKey = mapRegistry.has(data?.mapKey) ? data.mapKey : gameStateManager.currentMap;
+        gameStateManager.setCurrentMap(this.mapKey);
+        this.arrivalPoint = data?.arrivalPoint || null;
+        this.isWarping = false;
+        
+        // Defeated NPCs on this map (GameStateManager keeps them per map)
+        this.defeatedNpcIds = [...new Set([
+            ...(data?.defeatedNpcIds || []),
+            ...gameStateManager.getDefeatedNpcIds(this.mapKey)
+        ])];
+        console.log('[WorldScene] Initialized with defeated NPCs:', this.defeatedNpcIds);
         
         // Store return position if provided
         this.returnPosition = data?.returnPosition || null;
@@ -60,6 +73,8 @@ export default class WorldScene extends Phaser.Scene {
         this.loadedPlayerPosition = data?.playerPosition || null;
         
         console.log('[WorldScene] Initial state:', {
+            mapKey: this.mapKey,
+            arrivalPoint: this.arrivalPoint,
             returnPosition: this.returnPosition,
             battleVictory: this.battleVictory,
             transitionType: this.transitionType,
@@ -70,15 +85,11 @@ export default class WorldScene extends Phaser.Scene {
     }
 
     preload() {
-        console.log('Loading tilemap...');
-        this.load.image('tilesGrass', '/assets/tilesets/TX Tileset Grass.png');
-        this.load.image('tilesStoneGround', '/assets/tilesets/TX Tileset Stone Ground.png');
-        this.load.image('tilesWall', '/assets/tilesets/TX Tileset Wall.png');
-        this.load.image('tilesStruct', '/assets/tilesets/TX Struct.png');
-        this.load.image('tilesProps', '/assets/tilesets/TX Props.png');
-        this.load.image('tilesPlants', '/assets/tilesets/TX Plants.png');
-        this.load.image('tilesSea', '/assets/tilesets/TX Sea.png');
-        this.load.tilemapTiledJSON('map', '/assets/tilemaps/TownScene.tmj');
+        const mapConfig = mapRegistry.get(this.mapKey);
+        console.log(`Loading tilemap ${mapConfig.key}...`);
+        Object.values(TILESET_TEXTURES).forEach(({ key, path }) => this.load.image(key, path));
+        this.load.tilemapTiledJSON(mapConfig.tilemapKey, mapConfig.tilemapPath);
+        npcDefinitionManager.preload(this.load);
     }
 
     create() {
@@ -89,28 +100,27 @@ export default class WorldScene extends Phaser.Scene {
         soundManager.stopStartMenuSong();
         console.log('[WorldScene] Stopped StartMenuSong (if playing)');
         
-        // Create the tilemap
-        this.map = this.make.tilemap({ key: 'map' });
+        // Create the tilemap for the current map
+        const mapConfig = mapRegistry.get(this.mapKey);
+        this.map = this.make.tilemap({ key: mapConfig.tilemapKey });
+        console.log(`[WorldScene] 🗺️ Map: ${mapConfig.name} (${mapConfig.key})`);
 
-        // Load tilesets
-        const tilesets = {
-            sea: this.map.addTilesetImage('TX Sea', 'tilesSea'),
-            grass: this.map.addTilesetImage('TX Tileset Grass', 'tilesGrass'),
-            stoneGround: this.map.addTilesetImage('TX Tileset Stone Ground', 'tilesStoneGround'),
-            wall: this.map.addTilesetImage('TX Tileset Wall', 'tilesWall'),
-            struct: this.map.addTilesetImage('TX Struct', 'tilesStruct'),
-            props: this.map.addTilesetImage('TX Props', 'tilesProps'),
-            plants: this.map.addTilesetImage('TX Plants', 'tilesPlants')
-        };
+        // Load the tilesets this map uses
+        const tilesets = this.map.tilesets.reduce((added, tileset) => {
+            const texture = TILESET_TEXTURES[tileset.name];
+            if (!texture) {
+                console.warn(`[WorldScene] ⚠️ No texture registered for tileset "${tileset.name}"`);
+                return added;
+            }
+            added.push(this.map.addTilesetImage(tileset.name, texture.key));
+            return added;
+        }, []);
 
-        // Create layers
-        const layers = {
-            sea: this.map.createLayer('Sea', [tilesets.sea]),
-            ground: this.map.createLayer('Ground', Object.values(tilesets)),
-            walls: this.map.createLayer('Walls', Object.values(tilesets)),
-            plants: this.map.createLayer('Plants', Object.values(tilesets)),
-            props: this.map.createLayer('Props', Object.values(tilesets))
-        };
+        // Create every tile layer in map order (keyed by Tiled layer name)
+        const layers = {};
+        this.map.layers.forEach(layerData => {
+            layers[layerData.name] = this.map.createLayer(layerData.name, tilesets);
+        });
 
         // Calculate exact tilemap dimensions
         const mapWidth = this.map.width * this.map.tileWidth;
@@ -118,8 +128,8 @@ export default class WorldScene extends Phaser.Scene {
         
         console.log('Exact map dimensions:', { width: mapWidth, height: mapHeight });
 
-        // Make world bounds larger than the map
-        const worldPadding = 2800;
+        // Make world bounds larger than the map (interiors use no padding)
+        const worldPadding = mapConfig.worldPadding;
         const worldWidth = mapWidth + (worldPadding * 2);
         const worldHeight = mapHeight + (worldPadding * 2);
 
@@ -166,46 +176,19 @@ export default class WorldScene extends Phaser.Scene {
         // Create party following manager
         this.partyFollowingManager = new PartyFollowingManager(this);
 
-        // Define NPC types
-        this.npcTypes = {
-            GUARD: {
-                name: 'Guard',
-                health: 100,
-                level: 1,
-                color: 0xff0000,
-                size: { width: 32, height: 64 },
-                behavior: 'patrol',
-                patrolRadius: 100,
-                triggerRadius: 80,
-                spawnWeight: 2
-            },
-            MERCHANT: {
-                name: 'Merchant',
-                health: 80,
-                level: 1,
-                color: 0x00ff00,
-                size: { width: 32, height: 64 },
-                behavior: 'stationary',
-                triggerRadius: 40,
-                spawnWeight: 1
-            },
-            VILLAGER: {
-                name: 'Villager',
-                health: 60,
-                level: 1,
-                color: 0x0000ff,
-                size: { width: 32, height: 64 },
-                behavior: 'wander',
-                wanderRadius: 50,
-                triggerRadius: 40,
-                spawnWeight: 3
-            }
-        };
+        // Read placement data (NPC spawns, save points, vehicles, triggers, zones) from the map
+        this.mapObjectManager = new MapObjectManager(this, this.map);
+        this.mapObjectManager.parse();
+
+        // Load NPC definitions (types, recruitables) from the JSON cache, positioned by the map
+        npcDefinitionManager.loadFromCache(this.cache.json);
+        npcDefinitionManager.setPlacements(this.mapObjectManager.npcPlacements, this.mapKey);
 
         // Create NPC manager with proper configuration
         this.npcManager = new NpcManager(this);
         this.npcManager.init({
-            npcTypes: this.npcTypes,
+            npcTypes: npcDefinitionManager.getNpcTypes(),
+            npcSpawns: npcDefinitionManager.getWorldNpcs(),
             spawnConfig: {
                 totalNPCs: 5,
                 minDistanceBetweenNPCs: 50,
@@ -219,7 +202,7 @@ export default class WorldScene extends Phaser.Scene {
 
         // Create party manager (must be after NPC manager)
         this.partyManager = new PartyManager(this);
-        this.partyManager.init();
+        this.partyManager.init(gameStateManager.getRecruitedNpcIds(this.mapKey));
         
         // Add recruitable NPCs to NPC Manager for battle triggering
         // Only add NPCs that have valid gameObjects (not already-recruited)
@@ -258,7 +241,7 @@ export default class WorldScene extends Phaser.Scene {
         
         // Update NPC count based on current defeated NPCs
         const defeatedCount = this.defeatedNpcIds ? this.defeatedNpcIds.length : 0;
-        const remainingCount = 15 - defeatedCount;
+        const remainingCount = this.npcManager.getTotalNpcCount() - defeatedCount;
         console.log('[WorldScene] Updating HUD NPC count:', { 
             defeatedNpcIds: this.defeatedNpcIds,
             defeatedCount, 
@@ -273,8 +256,19 @@ export default class WorldScene extends Phaser.Scene {
         }
 
         // Set up collisions
-        layers.walls.setCollisionByProperty({ collision: true });
-        this.physics.add.collider(this.playerManager.player, layers.walls);
+        if (layers.Walls) {
+            layers.Walls.setCollisionByProperty({ collision: true });
+            this.physics.add.collider(this.playerManager.player, layers.Walls);
+        }
+
+        // Paths around the walls for NPCs and followers (needs the wall collision above)
+        this.pathfinder = new Pathfinder(this, this.map, layers.Walls);
+        this.partyFollowingManager.setPathfinder(this.pathfinder);
+
+        // WorldAI drives the fixed NPCs (patrol, wander, vision cones, chase)
+        this.worldAI = new WorldAI(this);
+        this.worldAI.setPathfinder(this.pathfinder);
+        this.npcManager.attachWorldAI(this.worldAI);
 
         // Enable world bounds collision for player
         if (this.playerManager.player) {
@@ -292,6 +286,12 @@ export default class WorldScene extends Phaser.Scene {
             }
         });
 
+        // Arrival point from a warp (named point on the Spawns layer)
+        const arrival = this.arrivalPoint ? this.mapObjectManager.getArrival(this.arrivalPoint) : null;
+        if (this.arrivalPoint && !arrival) {
+            console.warn(`[WorldScene] ⚠️ ${mapConfig.key} has no arrival point "${this.arrivalPoint}" - using the default spawn`);
+        }
+
         // Position player and camera
         if (this.loadedGame && this.loadedPlayerPosition && this.playerManager.player) {
             // Position player at loaded save point
@@ -302,20 +302,53 @@ export default class WorldScene extends Phaser.Scene {
             console.log('Setting player position to returnPosition:', this.returnPosition);
             this.playerManager.player.setPosition(this.returnPosition.x, this.returnPosition.y);
             this.cameras.main.centerOn(this.returnPosition.x, this.returnPosition.y);
+        } else if (arrival && this.playerManager.player) {
+            console.log(`Setting player position to arrival point "${this.arrivalPoint}":`, arrival);
+            this.playerManager.player.setPosition(arrival.x, arrival.y);
+            this.cameras.main.centerOn(arrival.x, arrival.y);
+        } else if (this.mapObjectManager.playerSpawn && this.playerManager.player) {
+            const spawn = this.mapObjectManager.playerSpawn;
+            console.log('Setting player position to map spawn point:', spawn);
+            this.playerManager.player.setPosition(spawn.x, spawn.y);
+            this.cameras.main.centerOn(spawn.x, spawn.y);
         } else {
             console.log('Centering camera on map center');
             this.cameras.main.centerOn(mapWidth / 2, mapHeight / 2);
         }
+        
+        // The player sprite is new every time the scene starts - hand control back to the
+        // current leader and gather the party around them
+        this.restorePartyFormation();
+        
+        // Warps fade out before restarting the scene
+        if (this.arrivalPoint) {
+            this.cameras.main.fadeIn(400, 0, 0, 0);
+        }
 
         // Create charge gauge bar for Shift button
         this.createChargeGauge();
 
-        // Create save point with glowing effect
-        this.createSavePoint(300, 300); // Position at (300, 300) - adjust as needed
+        // Create save points (with glowing effect) from the map's SavePoints layer
+        this.savePoints = [];
+        this.mapObjectManager.savePoints.forEach(({ x, y }) => this.createSavePoint(x, y));
         this.isOnSavePoint = false;
+        this.wasOnSavePoint = null; // Unknown until the first update (spawning on it isn't "resting")
+        
+        // Timer autosave counts world time from here
+        autosaveManager.resetTimer();
         
-        // Create flying vehicle (far right of map + 1500px) - only accessible with full party (4 members)
-        this.createFlyingVehicle(mapWidth + 1300, mapHeight / 2);
+        // Create flying vehicle from the map's Vehicles layer - only accessible with a full party
+        const [vehicle, ...extraVehicles] = this.mapObjectManager.vehicles;
+        if (extraVehicles.length > 0) {
+            console.warn(`[WorldScene] ⚠️ Map has ${this.mapObjectManager.vehicles.length} vehicles - only the first is used`);
+        }
+        if (vehicle) {
+            this.vehicleRequiredPartySize = vehicle.requiredPartySize;
+            this.vehicleTargetScene = vehicle.scene;
+            this.createFlyingVehicle(vehicle.x, vehicle.y);
+        } else {
+            this.vehicleTriggerZone = null;
+        }
         this.isNearVehicle = false;
 
         function adjustCameraForDevice() {
@@ -334,7 +367,8 @@ export default class WorldScene extends Phaser.Scene {
             }
         }
 
-        window.addEventListener('resize', adjustCameraForDevice.bind(this));
+        this.resizeHandler = adjustCameraForDevice.bind(this);
+        window.addEventListener('resize', this.resizeHandler);
         adjustCameraForDevice.call(this);
     
         // Set up M key to open the map
@@ -399,6 +433,12 @@ export default class WorldScene extends Phaser.Scene {
             this.toggleGamePause();
         });
         
+        // DEBUG: F2 key toggles the pathfinding overlay
+        const f2Key = this.input.keyboard.addKey(Phaser.Input.Keyboard.KeyCodes.F2);
+        f2Key.on('down', () => {
+            this.pathfinder?.toggleDebug();
+        });
+
         // Add H key for toggling HUD visibility
         this.hudToggleKey = this.input.keyboard.addKey('H');
         this.hudToggleKey.on('down', () => {
@@ -423,15 +463,16 @@ export default class WorldScene extends Phaser.Scene {
             });
         });
 
-        // Set up scene event listeners
-        this.events.on('pause', () => {
+        // Set up scene event listeners (kept so shutdown can remove them - scene events survive a restart)
+        this.sceneEventHandlers = {};
+        this.sceneEventHandlers.pause = () => {
             console.log('[WorldScene] EVENT: Scene paused, hiding HUD');
             if (this.hudManager) {
                 this.hudManager.setVisible(false);
             }
-        });
+        };
 
-        this.events.on('resume', (scene, data) => {
+        this.sceneEventHandlers.resume = (scene, data) => {
             console.log('[WorldScene] EVENT: Scene resumed event fired');
             console.log('[WorldScene] EVENT: Resume event data:', data);
             
@@ -445,16 +486,18 @@ export default class WorldScene extends Phaser.Scene {
                 console.log('[WorldScene] EVENT: Processing resume event data', data);
                 this.handleResumeData(data);
             }
-        });
+        };
 
         // Listen for menu closed event to update HUD immediately
-        this.events.on('menu-closed', () => {
+        this.sceneEventHandlers['menu-closed'] = () => {
             console.log('[WorldScene] EVENT: Menu closed, updating HUD stats');
             if (this.hudManager) {
                 this.hudManager.updatePlayerStats();
             }
-        });
+        };
 
+        Object.entries(this.sceneEventHandlers).forEach(([event, handler]) => this.events.on(event, handler));
+        this.events.once('shutdown', this.shutdown, this);
         console.log('[WorldScene] Scene event listeners registered');
         
         // Initialize background music and SFX
@@ -500,6 +543,7 @@ export default class WorldScene extends Phaser.Scene {
         // Process recruitment
         if (data.transitionType === 'recruitment' && data.recruitedNpcId) {
             console.log('[WorldScene] Processing recruitment:', data.recruitedNpcId);
+            gameStateManager.markNpcRecruited(data.recruitedNpcId, this.mapKey);
             
             // Get recruitable NPC data from PartyManager
             const npcData = this.partyManager?.getRecruitableNPC(data.recruitedNpcId);
@@ -573,6 +617,8 @@ export default class WorldScene extends Phaser.Scene {
                 this.hudManager.updateWorldPartyStats();
             }
             
+            this.requestAutosave('recruitment');
+            
             return; // Early return for recruitment
         }
         
@@ -604,17 +650,22 @@ export default class WorldScene extends Phaser.Scene {
             if (this.npcManager && data.defeatedNpcIds && data.defeatedNpcIds.length > 0) {
                 console.log('[WorldScene] Removing newly defeated NPCs:', data.defeatedNpcIds);
                 this.npcManager.updateDefeatedNpcs(data.defeatedNpcIds);
+                data.defeatedNpcIds.forEach(npcId => gameStateManager.markNpcDefeated(npcId, this.mapKey));
+                this.showQuestMessages(data.defeatedNpcIds.flatMap(npcId =>
+                    questManager.onNpcDefeated(npcDefinitionManager.getDefinition(npcId))
+                ));
                 
                 // Add to our cumulative defeated list
                 this.defeatedNpcIds = [...new Set([...this.defeatedNpcIds, ...data.defeatedNpcIds])];
                 console.log('[WorldScene] Total defeated NPCs:', this.defeatedNpcIds);
-                console.log('[WorldScene] Updating HUD - Defeated:', this.defeatedNpcIds.length, 'Remaining:', 15 - this.defeatedNpcIds.length);
+                const remainingCount = this.npcManager.getTotalNpcCount() - this.defeatedNpcIds.length;
+                console.log('[WorldScene] Updating HUD - Defeated:', this.defeatedNpcIds.length, 'Remaining:', remainingCount);
                 
                 // Update HUD immediately
                 if (this.hudManager) {
                     this.hudManager.updateNPCCount(
                         this.defeatedNpcIds.length,
-                        15 - this.defeatedNpcIds.length
+                        remainingCount
                     );
                 }
             }
@@ -633,6 +684,11 @@ export default class WorldScene extends Phaser.Scene {
             if (this.hudManager) {
                 this.hudManager.updateWorldPartyStats();
             }
+            
+            this.requestAutosave('victory');
+        } else if (data.transitionType === 'shooterExit') {
+            console.log('[WorldScene] Processing return from ShooterScene');
+            this.requestAutosave('shooterExit');
         } else if (data.transitionType === 'escape') {
             console.log('[WorldScene] Processing escape from battle');
             
@@ -674,6 +730,19 @@ export default class WorldScene extends Phaser.Scene {
         }
     }
     
+    /**
+     * Write the rolling autosave slot (if the trigger is enabled) and flash the HUD indicator
+     * @param {string} reason - Trigger name from AutosaveManager config
+     */
+    requestAutosave(reason) {
+        const player = this.playerManager?.player;
+        const position = player ? { x: player.x, y: player.y } : null;
+        
+        if (autosaveManager.autosave(reason, position) && this.hudManager) {
+            this.hudManager.showAutosaveIndicator();
+        }
+    }
+    
     applyPartyHPStates(hpStates) {
         console.log('[WorldScene] ========== APPLYING PARTY HP STATES ==========');
         console.log('[WorldScene] HP States received:', hpStates);
@@ -690,6 +759,15 @@ export default class WorldScene extends Phaser.Scene {
             console.log(`[WorldScene] Updated player HP everywhere: ${hpStates.playerHP}/${hpStates.playerMaxHP}`);
         }
         
+        // Apply player MP the same way
+        if (hpStates.playerMP !== undefined) {
+            gameStateManager.updatePlayerMP(hpStates.playerMP);
+            partyLeadershipManager.updateMemberStats('player', {
+                mp: hpStates.playerMP,
+                maxMp: hpStates.playerMaxMP
+            });
+        }
+        
         // Apply party member HP states
         if (hpStates.partyMembers && hpStates.partyMembers.length > 0) {
             hpStates.partyMembers.forEach(memberHP => {
@@ -715,7 +793,9 @@ export default class WorldScene extends Phaser.Scene {
                 // CRITICAL: Update PartyLeadershipManager (for MenuScene and other scenes)
                 partyLeadershipManager.updateMemberStats(memberHP.id, {
                     health: memberHP.currentHP,
-                    maxHealth: memberHP.maxHP
+                    maxHealth: memberHP.maxHP,
+                    mp: memberHP.currentMP,
+                    maxMp: memberHP.maxMP
                 });
                 console.log(`[WorldScene]   ✅ Updated ${memberHP.name} in PartyLeadershipManager`);
             });
@@ -787,27 +867,24 @@ export default class WorldScene extends Phaser.Scene {
         const ellipseHeight = 40;
         
         // Create graphics for the save point
-        this.savePointGlow = this.add.graphics();
-        this.savePointGlow.setDepth(0); // Below player
-        
-        // Store position
-        this.savePointPosition = { x, y };
+        const glow = this.add.graphics();
+        glow.setDepth(0); // Below player
         
         // Draw base ellipse (lighter inner glow)
-        this.savePointGlow.fillStyle(0x00ffff, 0.3);
-        this.savePointGlow.fillEllipse(x, y, ellipseWidth, ellipseHeight);
+        glow.fillStyle(0x00ffff, 0.3);
+        glow.fillEllipse(x, y, ellipseWidth, ellipseHeight);
         
         // Draw middle glow
-        this.savePointGlow.fillStyle(0x00ffff, 0.2);
-        this.savePointGlow.fillEllipse(x, y, ellipseWidth + 20, ellipseHeight + 10);
+        glow.fillStyle(0x00ffff, 0.2);
+        glow.fillEllipse(x, y, ellipseWidth + 20, ellipseHeight + 10);
         
         // Draw outer glow
-        this.savePointGlow.fillStyle(0x00ffff, 0.1);
-        this.savePointGlow.fillEllipse(x, y, ellipseWidth + 40, ellipseHeight + 20);
+        glow.fillStyle(0x00ffff, 0.1);
+        glow.fillEllipse(x, y, ellipseWidth + 40, ellipseHeight + 20);
         
         // Add pulsing animation
         this.tweens.add({
-            targets: this.savePointGlow,
+            targets: glow,
             alpha: 0.5,
             duration: 1500,
             yoyo: true,
@@ -816,14 +893,128 @@ export default class WorldScene extends Phaser.Scene {
         });
         
         // Create a physics zone for collision detection
-        this.savePointZone = this.add.zone(x, y, ellipseWidth, ellipseHeight);
-        this.physics.add.existing(this.savePointZone);
-        this.savePointZone.body.setAllowGravity(false);
-        this.savePointZone.body.moves = false;
+        const zone = this.add.zone(x, y, ellipseWidth, ellipseHeight);
+        this.physics.add.existing(zone);
+        zone.body.setAllowGravity(false);
+        zone.body.moves = false;
         
+        this.savePoints.push({ x, y, glow, zone });
         console.log('[WorldScene] Save point created at:', { x, y });
     }
     
+    /**
+     * Called by MapObjectManager when the player walks into a different zone
+     * @param {Object|null} zone - { name, areaId, properties, bounds } or null outside all zones
+     */
+    onMapZoneChanged(zone, previousZone) {
+        console.log(`[WorldScene] Zone changed: ${previousZone?.name || 'none'} → ${zone?.name || 'none'}`);
+        this.currentZone = zone;
+        
+        if (zone && this.hudManager) {
+            this.hudManager.showMapBanner(`📍 ${zone.name}`);
+        }
+        
+        // Zone banner first, quest updates after it
+        const questMessages = zone ? questManager.onAreaEntered(zone.areaId) : [];
+        if (questMessages.length > 0) {
+            this.time.delayedCall(2500, () => this.showQuestMessages(questMessages));
+        }
+    }
+    
+    /**
+     * Show quest updates in the map banner, one after another
+     * @param {string[]} messages - From QuestManager event methods
+     */
+    showQuestMessages(messages) {
+        messages.forEach((message, index) => {
+            this.time.delayedCall(index * 3000, () => this.hudManager?.showMapBanner(message, 2800));
+        });
+    }
+    
+    /**
+     * Called by MapObjectManager when the player enters a trigger rectangle
+     * Properties: message (banner text), storyFlag (set on DialogueSystem), once (skip if storyFlag is already set)
+     */
+    onMapTrigger(trigger) {
+        const { message, storyFlag, once } = trigger.properties;
+        
+        if (once && storyFlag && dialogueSystem.getStoryFlag(storyFlag)) {
+            return;
+        }
+        
+        console.log(`[WorldScene] Map trigger: ${trigger.name || trigger.id}`, trigger.properties);
+        
+        if (storyFlag) {
+            dialogueSystem.setStoryFlag(storyFlag, true);
+        }
+        if (message && this.hudManager) {
+            this.hudManager.showMapBanner(message, 4000);
+        }
+    }
+    
+    /**
+     * Called by MapObjectManager when the player walks into a warp rectangle
+     * Properties: targetMap (MapRegistry key), targetSpawn (arrival point name on the target map)
+     */
+    onMapWarp(warp) {
+        if (!mapRegistry.has(warp.targetMap)) {
+            console.error(`[WorldScene] ❌ Warp ${warp.name || warp.id} leads to unknown map: ${warp.targetMap}`);
+            return;
+        }
+        
+        this.warpToMap(warp.targetMap, warp.targetSpawn);
+    }
+    
+    /**
+     * Fade out and restart the scene on another map
+     * @param {string} mapKey - MapRegistry key
+     * @param {string|null} arrivalPoint - Arrival point name (null = the map's default spawn)
+     */
+    warpToMap(mapKey, arrivalPoint = null) {
+        if (this.isWarping) return;
+        this.isWarping = true;
+        
+        console.log(`[WorldScene] ========== WARPING TO ${mapKey} (${arrivalPoint || 'default spawn'}) ==========`);
+        
+        // Freeze the party while the screen fades (update() is skipped while warping)
+        partyLeadershipManager.getParty().forEach(member => {
+            if (member.sprite && member.sprite.body) {
+                member.sprite.body.setVelocity(0, 0);
+            }
+        });
+        if (this.worldSceneSFX) {
+            this.worldSceneSFX.stopWalking();
+            this.worldSceneSFX.stopSprintCharge();
+        }
+        if (this.vehiclePrompt) {
+            this.vehiclePrompt.style.display = 'none';
+        }
+        
+        this.cameras.main.fadeOut(400, 0, 0, 0);
+        this.cameras.main.once(Phaser.Cameras.Scene2D.Events.FADE_OUT_COMPLETE, () => {
+            gameStateManager.setCurrentMap(mapKey);
+            this.scene.restart({ mapKey, arrivalPoint });
+        });
+    }
+    
+    /**
+     * Give control to the party leader and line the followers up behind them
+     * Called on scene start, when the player sprite has just been created at the spawn position
+     */
+    restorePartyFormation() {
+        const party = partyLeadershipManager.getParty();
+        const leader = party[0];
+        const player = this.playerManager.player;
+        
+        if (leader && leader.id !== 'player' && leader.sprite && player) {
+            this.switchControlToLeader(leader, { x: player.x, y: player.y });
+        }
+        
+        if (this.partyFollowingManager) {
+            this.partyFollowingManager.arrangeFormation(party);
+        }
+    }
+    
     /**
      * Create sprites for already-recruited party members (from loaded save)
      * Called after PartyManager init to create visual representations
@@ -939,10 +1130,13 @@ export default class WorldScene extends Phaser.Scene {
         this.vehicleTriggerZone.body.setAllowGravity(false);
         this.vehicleTriggerZone.body.moves = false;
         
+        // Followers and chasing NPCs path around the parked vehicle (box covers its floating range)
+        this.pathfinder?.setObstacle('vehicle', { x, y: y - 8, width: 80, height: 136 });
+        
         // Create DOM prompt element (hidden by default)
         this.createVehiclePrompt();
         
-        console.log('[WorldScene] Flying vehicle created at far right of map');
+        console.log('[WorldScene] Flying vehicle created');
     }
     
     updateVehicleGlow() {
@@ -993,8 +1187,10 @@ export default class WorldScene extends Phaser.Scene {
         
         const partySize = partyLeadershipManager.getPartySize();
         
+        const requiredSize = this.vehicleRequiredPartySize;
+        
         if (this.isNearVehicle) {
-            if (partySize >= 4) {
+            if (partySize >= requiredSize) {
                 // Full party - can enter
                 this.vehiclePrompt.innerHTML = `
                     <div style="color: #00FF00; font-size: 28px; font-weight: bold; margin-bottom: 10px;">
@@ -1015,10 +1211,10 @@ export default class WorldScene extends Phaser.Scene {
                         🚀 FLYING VEHICLE
                     </div>
                     <div style="color: #FFD700; margin-bottom: 10px;">
-                        Requires full party (4 members)
+                        Requires full party (${requiredSize} members)
                     </div>
                     <div style="color: #FF8888; font-size: 18px;">
-                        Current party: ${partySize}/4
+                        Current party: ${partySize}/${requiredSize}
                     </div>
                     <div style="color: #AAA; font-size: 16px; margin-top: 10px;">
                         Recruit more members to unlock
@@ -1031,7 +1227,7 @@ export default class WorldScene extends Phaser.Scene {
         }
     }
 
-    update() {
+    update(time, delta) {
         // Try to initialize music on user interaction (defer to avoid blocking)
         if (!this.soundInitialized) {
             const mobileInteracted = mobileManager.isMobile && this.input.activePointer.isDown;
@@ -1049,6 +1245,9 @@ export default class WorldScene extends Phaser.Scene {
             }
         }
         
+        // Nothing moves while the screen fades out for a warp
+        if (this.isWarping) return;
+        
         // Update gamepad
         this.updateGamepad();
         
@@ -1145,8 +1344,17 @@ export default class WorldScene extends Phaser.Scene {
 
         // Check for NPC interactions
         if (this.playerManager && this.playerManager.player) {
+            // NPC AI: a chaser that reaches the player triggers the battle through checkInteraction,
+            // and nobody gives chase while NpcManager's battle cooldown is running
+            this.worldAI?.update(
+                this.npcManager.npcs,
+                this.playerManager.player,
+                this.game.loop.delta,
+                npc => this.npcManager.canBattle(npc)
+            );
             this.npcManager.checkInteraction(this.playerManager.player);
         }
+        this.pathfinder?.drawDebug();
         
         // Update charge gauge
         this.updateChargeGauge();
@@ -1189,17 +1397,24 @@ export default class WorldScene extends Phaser.Scene {
             });
         }
         
-        // Check if player is on save point
-        if (this.playerManager && this.playerManager.player && this.savePointZone) {
-            const distance = Phaser.Math.Distance.Between(
-                this.playerManager.player.x,
-                this.playerManager.player.y,
-                this.savePointPosition.x,
-                this.savePointPosition.y
+        // Check if player is on a save point
+        if (this.playerManager && this.playerManager.player && this.savePoints.length > 0) {
+            const player = this.playerManager.player;
+            
+            // Player is on a save point if within 50 pixels of it
+            this.isOnSavePoint = this.savePoints.some(savePoint =>
+                Phaser.Math.Distance.Between(player.x, player.y, savePoint.x, savePoint.y) < 50
             );
             
-            // Player is on save point if within 50 pixels
-            this.isOnSavePoint = distance < 50;
+            // Stepping onto the save point counts as resting there (MP refills)
+            if (this.isOnSavePoint && this.wasOnSavePoint === false) {
+                gameStateManager.restorePartyMP();
+                if (this.hudManager) {
+                    this.hudManager.updateWorldPartyStats();
+                }
+                this.requestAutosave('savePoint');
+            }
+            this.wasOnSavePoint = this.isOnSavePoint;
         }
         
         // Check if player is near flying vehicle
@@ -1221,7 +1436,7 @@ export default class WorldScene extends Phaser.Scene {
             }
             
             // Check for U key or A button (button 0) to board vehicle (only if full party)
-            if (this.isNearVehicle && partyLeadershipManager.getPartySize() >= 4) {
+            if (this.isNearVehicle && partyLeadershipManager.getPartySize() >= this.vehicleRequiredPartySize) {
                 const uKey = this.input.keyboard.addKey('U');
                 if (Phaser.Input.Keyboard.JustDown(uKey) || this.isGamepadButtonJustPressed(0)) {
                     this.boardFlyingVehicle();
@@ -1233,6 +1448,11 @@ export default class WorldScene extends Phaser.Scene {
             this.updateVehiclePrompt();
         }
         
+        // Check map zones and triggers for the controlled character
+        if (this.mapObjectManager && this.playerManager) {
+            this.mapObjectManager.update(this.playerManager.player);
+        }
+        
         // Update HUD stats periodically (every second)
         if (!this.lastStatsUpdate) {
             this.lastStatsUpdate = 0;
@@ -1242,6 +1462,12 @@ export default class WorldScene extends Phaser.Scene {
             this.hudManager.updatePlayerStats();
             this.lastStatsUpdate = this.time.now;
         }
+        
+        // Periodic autosave (the timer only runs while the world scene is updating)
+        autosaveManager.advanceTimer(delta);
+        if (autosaveManager.isTimerDue()) {
+            this.requestAutosave('timer');
+        }
     }
 
     toggleGamePause() {
@@ -1568,6 +1794,7 @@ export default class WorldScene extends Phaser.Scene {
                         if (npc.triggerZone) {
                             npc.triggerZone.destroy();
                         }
+                        this.worldAI?.removeNPC(npc);
                         npc.destroy();
                         
                         // Remove from npcs array
@@ -1600,23 +1827,67 @@ export default class WorldScene extends Phaser.Scene {
         // Optional: Clean up any resources that shouldn't persist while sleeping
     }
 
+    /**
+     * Runs on the scene's 'shutdown' event (warps restart the scene, game over stops it)
+     */
     shutdown() {
         console.log('WorldScene shutdown');
+        
+        // Scene events and window listeners outlive the scene - remove ours so a restart doesn't double them
+        if (this.sceneEventHandlers) {
+            Object.entries(this.sceneEventHandlers).forEach(([event, handler]) => this.events.off(event, handler));
+            this.sceneEventHandlers = null;
+        }
+        if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+            this.resizeHandler = null;
+        }
+        if (this.mobileListeners) {
+            Object.entries(this.mobileListeners).forEach(([event, handler]) => window.removeEventListener(event, handler));
+            this.mobileListeners = null;
+        }
+        
+        // Keys keep their 'down' listeners across restarts (also cleans up the H key)
+        this.input.keyboard.removeAllKeys(true);
+        this.hudToggleKey = null;
+        
+        // DOM elements
+        if (this.hudManager) {
+            this.hudManager.destroy();
+            this.hudManager = null;
+        }
+        if (this.vehiclePrompt) {
+            this.vehiclePrompt.remove();
+            this.vehiclePrompt = null;
+        }
+        if (this.mobileControls) {
+            this.mobileControls.destroy();
+            this.mobileControls = null;
+        }
+        this.removePauseOverlay();
+        
         // Clean up any resources that shouldn't persist after shutdown
+        if (this.partyManager) {
+            this.partyManager.cleanup();
+            this.partyManager = null;
+        }
         if (this.playerManager) {
             // Clean up player manager resources
             this.playerManager = null;
         }
+        if (this.worldAI) {
+            this.worldAI.cleanup();
+            this.worldAI = null;
+        }
+        if (this.pathfinder) {
+            this.pathfinder.destroy();
+            this.pathfinder = null;
+        }
         if (this.npcManager) {
             // Clean up NPC manager resources
             this.npcManager = null;
         }
-        
-        // Clean up H key listener
-        if (this.hudToggleKey) {
-            this.hudToggleKey.destroy();
-            this.hudToggleKey = null;
-        }
+        this.mapObjectManager = null;
         
         // Clean up charge gauge graphics
         if (this.chargeGaugeBackground) {
@@ -1641,9 +1912,7 @@ export default class WorldScene extends Phaser.Scene {
             this.worldSceneSFX = null;
             console.log('[WorldScene] SFX disposed (scene shutdown)');
         }
-        
-        // Call parent shutdown
-        super.shutdown();
+        this.soundInitialized = false;
     }
 
     boardFlyingVehicle() {
@@ -1708,12 +1977,12 @@ export default class WorldScene extends Phaser.Scene {
             // Pause WorldScene
             this.scene.pause();
             
-            // Launch ShooterScene
-            this.scene.launch('ShooterScene', {
+            // Launch the vehicle's scene (ShooterScene)
+            this.scene.launch(this.vehicleTargetScene, {
                 returnPosition: returnPosition
             });
             
-            console.log('[WorldScene] Launched ShooterScene - rail shooter active!');
+            console.log(`[WorldScene] Launched ${this.vehicleTargetScene} - rail shooter active!`);
         });
     }
     
@@ -1794,8 +2063,11 @@ export default class WorldScene extends Phaser.Scene {
      * Setup mobile event listeners
      */
     setupMobileListeners() {
+        // Kept so shutdown can remove them
+        this.mobileListeners = {};
+        
         // Listen for ESC corner double-tap to open menu
-        window.addEventListener('mobileesc', () => {
+        this.mobileListeners.mobileesc = () => {
             console.log('[WorldScene] Mobile ESC detected, opening menu');
             if (this.worldSceneSFX) {
                 this.worldSceneSFX.playMenuOpen();
@@ -1807,10 +2079,10 @@ export default class WorldScene extends Phaser.Scene {
                 playerPosition: this.playerManager.getPlayerPosition(),
                 isOnSavePoint: this.isOnSavePoint
             });
-        });
+        };
         
         // Listen for mobile button presses
-        window.addEventListener('mobilebutton', (e) => {
+        this.mobileListeners.mobilebutton = (e) => {
             const { button, pressed } = e.detail;
             
             if (!pressed) return; // Only handle button press, not release
@@ -1871,7 +2143,9 @@ export default class WorldScene extends Phaser.Scene {
                     }
                     break;
             }
-        });
+        };
+        
+        Object.entries(this.mobileListeners).forEach(([event, handler]) => window.addEventListener(event, handler));
         
         // Pass mobile input state to player manager controls
         // This will be integrated in the player control update cycle
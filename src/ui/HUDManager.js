@@ -4,6 +4,7 @@
  */
 import { gameStateManager } from '../managers/GameStateManager.js';
 import { moneyManager } from '../managers/MoneyManager.js';
+import { statusEffectManager } from '../managers/StatusEffectManager.js';
 
 export default class HUDManager {
     constructor(scene) {
@@ -120,6 +121,12 @@ export default class HUDManager {
             
             const hpPercent = (currentHealth / maxHealth) * 100;
             
+            // Player MP lives in GameStateManager, recruits keep theirs in their party stats
+            const mpStats = member.id === 'player' ? gameStateManager.getPlayerStats() : member.stats;
+            const currentMP = Math.floor(mpStats.mp || 0);
+            const maxMP = mpStats.maxMp || 0;
+            const mpPercent = maxMP > 0 ? (currentMP / maxMP) * 100 : 0;
+            
             // Leader gets crown emoji
             const leaderIndicator = isLeader ? '👑 ' : '';
             
@@ -136,6 +143,13 @@ export default class HUDManager {
                         </div>
                         <span class="stat-value" id="world-party-${index}-health" style="font-size: 10px;">${currentHealth}/${maxHealth}</span>
                     </div>
+                    <div class="stat-row" style="font-size: 11px;">
+                        <span class="stat-label">MP:</span>
+                        <div class="stat-bar-container" style="flex: 1; height: 6px;">
+                            <div class="stat-bar" id="world-party-${index}-mp-bar" style="width: ${mpPercent}%; background: #74B9FF;"></div>
+                        </div>
+                        <span class="stat-value" id="world-party-${index}-mp" style="font-size: 10px;">${currentMP}/${maxMP}</span>
+                    </div>
                     <div class="stat-row" style="font-size: 10px;">
                         <span class="stat-label">Lvl:</span>
                         <span class="stat-value">${member.stats.level}</span>
@@ -207,8 +221,11 @@ export default class HUDManager {
                 indicatorColor: battleScene.playerData.indicatorColor || 0xff0000,
                 currentHP: battleScene.currentHP !== undefined ? battleScene.currentHP : playerStats.health,
                 maxHP: battleScene.maxHP || playerStats.maxHealth,
+                currentMP: battleScene.currentMP !== undefined ? battleScene.currentMP : playerStats.mp,
+                maxMP: battleScene.maxMP || playerStats.maxMp,
                 level: playerStats.level,
                 isDowned: battleScene.isPlayerDowned || false,
+                statusIcons: statusEffectManager.getIcons(battleScene.player),
                 isLeader: true,
                 isOriginalPlayer: battleScene.playerData.isOriginalPlayer
             });
@@ -226,9 +243,12 @@ export default class HUDManager {
                     indicatorColor: memberData.indicatorColor,
                     currentHP: memberData.currentHP || memberData.maxHP, // LIVE HP from game object
                     maxHP: memberData.maxHP,
+                    currentMP: memberData.currentMP || 0,
+                    maxMP: memberData.maxMP || 0,
                     level: memberData.stats?.level || 1,
                     attack: memberData.stats?.attack || 10,
                     isDowned: memberData.isDowned || false,
+                    statusIcons: statusEffectManager.getIcons(character),
                     isLeader: false
                 });
             });
@@ -250,16 +270,18 @@ export default class HUDManager {
             const isDowned = member.isDowned || member.currentHP <= 0;
             const panelOpacity = isDowned ? 0.5 : 1.0;
             const hpColor = isDowned ? '#ff4444' : colorHex;
+            const mpPercent = member.maxMP > 0 ? (member.currentMP / member.maxMP) * 100 : 0;
             
             // Leader gets crown emoji
             const leaderIndicator = isLeader ? '👑 ' : '';
             const downedIndicator = isDowned ? ' <span style="color: #ff4444; font-size: 10px;">⚠️ DOWNED</span>' : '';
+            const statusIndicator = member.statusIcons ? ` <span class="status-icons" style="font-size: 12px;">${member.statusIcons}</span>` : '';
             
             partyHTML += `
                 <div class="character-panel" style="opacity: ${panelOpacity}; background: rgba(${parseInt(colorHex.substr(1,2), 16)}, ${parseInt(colorHex.substr(3,2), 16)}, ${parseInt(colorHex.substr(5,2), 16)}, 0.1); border: 2px solid ${colorHex}; ${isLeader ? 'box-shadow: 0 0 10px ' + colorHex + ';' : ''} border-radius: 10px; padding: 10px; min-width: 150px;">
                     <div style="display: flex; align-items: center; gap: 5px; margin-bottom: 5px;">
                         <div style="width: 10px; height: 10px; background: ${colorHex}; border-radius: 2px;"></div>
-                        <div class="hud-title" style="margin: 0; font-size: 14px;">${leaderIndicator}${member.name.toUpperCase()}${downedIndicator}</div>
+                        <div class="hud-title" style="margin: 0; font-size: 14px;">${leaderIndicator}${member.name.toUpperCase()}${downedIndicator}${statusIndicator}</div>
                     </div>
                     <div class="stat-row" style="font-size: 12px;">
                         <span class="stat-label">HP:</span>
@@ -268,6 +290,13 @@ export default class HUDManager {
                         </div>
                         <span class="stat-value" id="battle-party-${index}-health" style="font-size: 11px; color: ${hpColor};">${member.currentHP}/${member.maxHP}</span>
                     </div>
+                    <div class="stat-row" style="font-size: 12px;">
+                        <span class="stat-label">MP:</span>
+                        <div class="stat-bar-container" style="flex: 1; height: 8px;">
+                            <div class="stat-bar" id="battle-party-${index}-mp-bar" style="width: ${mpPercent}%; background: #74B9FF;"></div>
+                        </div>
+                        <span class="stat-value" id="battle-party-${index}-mp" style="font-size: 11px; color: #74B9FF;">${Math.floor(member.currentMP)}/${member.maxMP}</span>
+                    </div>
                     <div class="stat-row" style="font-size: 11px;">
                         <span class="stat-label">Lvl:</span>
                         <span class="stat-value">${member.level}</span>
@@ -421,7 +450,7 @@ export default class HUDManager {
             const enemyElement = document.createElement('div');
             enemyElement.className = 'enemy-item';
             enemyElement.innerHTML = `
-                <div class="enemy-name">${enemy.type || 'Enemy'} ${index + 1}</div>
+                <div class="enemy-name">${enemy.type || 'Enemy'} ${index + 1}${enemy.statusIcons ? ` <span class="status-icons">${enemy.statusIcons}</span>` : ''}</div>
                 <div class="stat-row-small">
                     <span class="stat-label-small">HP:</span>
                     <div class="stat-bar-container-small">
@@ -438,6 +467,49 @@ export default class HUDManager {
         });
     }
 
+    /**
+     * Show/update the boss HP bar (top center)
+     * Lives outside the HUD container so it still shows when the HUD is toggled off
+     * @param {Object} boss - { name, title, health, maxHealth, phase, phaseCount, phaseName, enraged }
+     */
+    updateBossBar(boss) {
+        if (!this.elements.bossBar) {
+            const bar = document.createElement('div');
+            bar.className = 'boss-bar';
+            bar.innerHTML = `
+                <div class="boss-bar-header">
+                    <span class="boss-name"></span>
+                    <span class="boss-phase"></span>
+                </div>
+                <div class="boss-title"></div>
+                <div class="boss-bar-container">
+                    <div class="stat-bar health-bar boss-health"></div>
+                </div>
+                <div class="boss-hp-value"></div>
+            `;
+            document.body.appendChild(bar);
+            this.elements.bossBar = bar;
+        }
+        
+        const bar = this.elements.bossBar;
+        bar.classList.toggle('enraged', boss.enraged);
+        bar.querySelector('.boss-name').textContent = `👑 ${boss.name}${boss.enraged ? ' 😡' : ''}`;
+        bar.querySelector('.boss-phase').textContent = `Phase ${boss.phase}/${boss.phaseCount} - ${boss.phaseName}`;
+        bar.querySelector('.boss-title').textContent = boss.title || '';
+        bar.querySelector('.boss-health').style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+        bar.querySelector('.boss-hp-value').textContent = `${boss.health}/${boss.maxHealth}`;
+    }
+
+    /**
+     * Remove the boss HP bar
+     */
+    hideBossBar() {
+        if (this.elements.bossBar) {
+            this.elements.bossBar.remove();
+            this.elements.bossBar = null;
+        }
+    }
+
     /**
      * Show a message notification
      * @param {string} message - Message to display
@@ -465,6 +537,57 @@ export default class HUDManager {
         return messageElement;
     }
 
+    /**
+     * Show the small autosave indicator
+     * Lives outside the HUD container so it still shows when the HUD is toggled off
+     * @param {number} duration - How long to keep it on screen (ms)
+     */
+    showAutosaveIndicator(duration = 2000) {
+        if (!this.elements.autosaveIndicator) {
+            const indicator = document.createElement('div');
+            indicator.className = 'autosave-indicator';
+            indicator.textContent = '💾 Autosaved';
+            document.body.appendChild(indicator);
+            this.elements.autosaveIndicator = indicator;
+        }
+        
+        const indicator = this.elements.autosaveIndicator;
+        clearTimeout(this.autosaveIndicatorTimeout);
+        
+        // Fade in
+        setTimeout(() => indicator.classList.add('show'), 10);
+        
+        this.autosaveIndicatorTimeout = setTimeout(() => {
+            indicator.classList.remove('show');
+        }, duration);
+    }
+
+    /**
+     * Show a banner at the top of the screen (zone names, map trigger messages)
+     * Like the autosave indicator it lives outside the HUD container
+     * @param {string} text - Banner text
+     * @param {number} duration - How long to keep it on screen (ms)
+     */
+    showMapBanner(text, duration = 2500) {
+        if (!this.elements.mapBanner) {
+            const banner = document.createElement('div');
+            banner.className = 'map-banner';
+            document.body.appendChild(banner);
+            this.elements.mapBanner = banner;
+        }
+        
+        const banner = this.elements.mapBanner;
+        banner.textContent = text;
+        clearTimeout(this.mapBannerTimeout);
+        
+        // Fade in
+        setTimeout(() => banner.classList.add('show'), 10);
+        
+        this.mapBannerTimeout = setTimeout(() => {
+            banner.classList.remove('show');
+        }, duration);
+    }
+
     /**
      * Show victory message
      */
@@ -637,6 +760,18 @@ export default class HUDManager {
         
         this.stopInputMonitoring();
         
+        clearTimeout(this.autosaveIndicatorTimeout);
+        if (this.elements.autosaveIndicator) {
+            this.elements.autosaveIndicator.remove();
+        }
+        
+        clearTimeout(this.mapBannerTimeout);
+        if (this.elements.mapBanner) {
+            this.elements.mapBanner.remove();
+        }
+        
+        this.hideBossBar();
+        
         if (this.container) {
             this.container.remove();
             this.container = null;